@@ -0,0 +1,219 @@
+const { MAX_BATCH_TERMS, searchEachTerm, summarizeTermOutcomes } = require('./batch');
+const {
+  MAX_SEARCH_TERM_LENGTH,
+  SEARCH_FILTER_KEYS,
+  SEARCH_SORTS,
+  getQueryString,
+  parseSearchFilters,
+  stripControlChars,
+} = require('./search');
+
+// Server-side replay of an app search for /api/feed and /api/export. Takes the query string the
+// app keeps in its URL (terms, minLikes, time with its custom from/to dates, sort, expand and the
+// filter params), reads the terms with the app's query language (src/query.mjs) and runs the
+// post pipeline from src/utils.mjs, so results match what the page would show.
+
+// Mirror the app's defaults and its time range options.
+const APP_DEFAULT_MIN_LIKES = 10;
+const APP_DEFAULT_TIME_HOURS = 24;
+const APP_TIME_HOURS = [1, 6, 12, 24, 48, 168];
+
+let utilsPromise = null;
+let queryPromise = null;
+
+// src/ is ESM; load the shared helpers once.
+function loadFrontendUtils() {
+  if (!utilsPromise) {
+    utilsPromise = import('../../src/utils.mjs');
+  }
+  return utilsPromise;
+}
+
+function loadFrontendQuery() {
+  if (!queryPromise) {
+    queryPromise = import('../../src/query.mjs');
+  }
+  return queryPromise;
+}
+
+function parseMinLikes(value) {
+  const raw = stripControlChars(getQueryString(value)).trim();
+  if (!raw) return APP_DEFAULT_MIN_LIKES;
+  return /^\d{1,9}$/.test(raw) ? Number(raw) : null;
+}
+
+function parseTimeHours(value) {
+  const raw = stripControlChars(getQueryString(value)).trim();
+  if (!raw) return APP_DEFAULT_TIME_HOURS;
+  const hours = Number(raw);
+  return APP_TIME_HOURS.includes(hours) ? hours : null;
+}
+
+// The app's time range: { timeHours } for a preset, { dateRange } for time=custom (or bare
+// from/to dates, as the app reads them) via the app's parseDateRange, or { error }.
+function parseTimeWindow(query, utils) {
+  const time = stripControlChars(getQueryString(query.time)).trim();
+  const from = stripControlChars(getQueryString(query.from)).trim();
+  const to = stripControlChars(getQueryString(query.to)).trim();
+  if (time !== 'custom' && !from && !to) {
+    const timeHours = parseTimeHours(time);
+    return timeHours === null ? { error: 'Invalid time parameter.' } : { timeHours };
+  }
+  try {
+    return { dateRange: { ...utils.parseDateRange(from, to), from, to } };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// "in the last 24h", or the custom range's dates, for feed titles and descriptions.
+function describeTimeWindow({ timeHours, dateRange }) {
+  if (!dateRange) return `in the last ${timeHours}h`;
+  if (dateRange.from && dateRange.to) return `from ${dateRange.from} to ${dateRange.to}`;
+  return dateRange.from ? `since ${dateRange.from}` : `through ${dateRange.to}`;
+}
+
+// The terms input as the app reads it: the query AST (phrases expanded into their words with
+// `expand`) and the upstream searches it compiles to. Throws with the query error message.
+function compileAppQuery(queryLanguage, input, expand) {
+  let query = queryLanguage.parseQuery(input);
+  if (expand) {
+    query = queryLanguage.expandQueryPhrases(query);
+  }
+  return { query, terms: queryLanguage.compileQuery(query) };
+}
+
+// Resolves to { search } or { error } with a 400 message.
+async function parseAppSearchQuery(query) {
+  const [utils, queryLanguage] = await Promise.all([loadFrontendUtils(), loadFrontendQuery()]);
+  const input = stripControlChars(getQueryString(query.terms)).trim();
+  const expand = getQueryString(query.expand) === '1';
+  const minLikes = parseMinLikes(query.minLikes);
+  const sort = stripControlChars(getQueryString(query.sort)).trim().toLowerCase() || 'top';
+
+  if (!input) {
+    return { error: 'Missing terms parameter.' };
+  }
+  let compiled;
+  try {
+    compiled = compileAppQuery(queryLanguage, input, expand);
+  } catch (error) {
+    return { error: error.message };
+  }
+  const { terms } = compiled;
+  if (terms.length > MAX_BATCH_TERMS) {
+    return { error: `Too many terms (max ${MAX_BATCH_TERMS}).` };
+  }
+  if (terms.some((term) => term.length > MAX_SEARCH_TERM_LENGTH)) {
+    return { error: 'Search term is too long.' };
+  }
+  if (minLikes === null) {
+    return { error: 'Invalid minLikes parameter.' };
+  }
+  if (!SEARCH_SORTS.includes(sort)) {
+    return { error: 'Invalid sort parameter.' };
+  }
+
+  const { timeHours = null, dateRange = null, error: timeError } = parseTimeWindow(query, utils);
+  if (timeError) {
+    return { error: timeError };
+  }
+
+  // A custom range goes upstream as since/until, like the app's readSearchFilters.
+  const filterQuery = dateRange
+    ? { ...query, since: undefined, until: undefined, ...utils.getDateRangeFilters(dateRange) }
+    : query;
+  const { filters, error } = parseSearchFilters(filterQuery);
+  if (error) {
+    return { error };
+  }
+
+  return {
+    search: {
+      input,
+      query: compiled.query,
+      terms,
+      expand,
+      minLikes,
+      timeHours,
+      dateRange,
+      sort,
+      filters,
+    },
+  };
+}
+
+// Fetch `pages` pages per term, tag posts with their term and run them through the app's
+// deduplicatePosts, query match, date and like filters and sort. `terms` and `retryAfterMs`
+// are the batch endpoint's per-term reports; `degraded` marks results from the fallback AppView.
+async function runAppSearch(search, pages) {
+  const [utils, queryLanguage] = await Promise.all([loadFrontendUtils(), loadFrontendQuery()]);
+  const outcomes = await searchEachTerm({
+    terms: search.terms,
+    pages,
+    sort: search.sort,
+    filters: search.filters,
+  });
+
+  const tagged = outcomes.flatMap((outcome) =>
+    outcome.ok ? outcome.posts.map((post) => ({ ...post, matchedTerm: outcome.term })) : []
+  );
+  let posts = utils.deduplicatePosts(tagged);
+  // Searches over-fetch for NOT and multi-search queries; keep what satisfies the query.
+  posts = posts.filter((post) => queryLanguage.matchesQuery(search.query, post));
+  posts = utils.filterByDate(posts, search.dateRange || search.timeHours);
+  posts = utils.filterByLikes(posts, search.minLikes);
+  posts = utils.sortPosts(posts, search.sort);
+  // `tagged` holds copies, so the first-match tag can go; `matchedTerms` carries them all.
+  posts.forEach((post) => {
+    delete post.matchedTerm;
+  });
+
+  return {
+    posts,
+    ...summarizeTermOutcomes(outcomes),
+    degraded: outcomes.some((outcome) => outcome.degraded),
+  };
+}
+
+// The app's URL parameters for a search, in the order the app writes them.
+function getAppSearchParams({ input, minLikes, timeHours, dateRange, sort, expand, filters }) {
+  const params = new URLSearchParams();
+  params.set('terms', input);
+  params.set('minLikes', String(minLikes));
+  if (dateRange) {
+    params.set('time', 'custom');
+    if (dateRange.from) params.set('from', dateRange.from);
+    if (dateRange.to) params.set('to', dateRange.to);
+  } else if (timeHours !== APP_DEFAULT_TIME_HOURS) {
+    params.set('time', String(timeHours));
+  }
+  if (sort !== 'top') params.set('sort', sort);
+  if (expand) params.set('expand', '1');
+  SEARCH_FILTER_KEYS.forEach((key) => {
+    // The custom range's since/until are already in from/to.
+    if (dateRange && (key === 'since' || key === 'until')) return;
+    if (filters[key]) params.set(key, filters[key]);
+  });
+  return params;
+}
+
+// Absolute origin for links back to this deployment; falls back to localhost when the Host
+// header looks wrong.
+function getRequestOrigin(req) {
+  const forwardedProto = getQueryString(req.headers?.['x-forwarded-proto']).split(',')[0].trim();
+  const proto = forwardedProto === 'http' ? 'http' : 'https';
+  const host = getQueryString(req.headers?.['x-forwarded-host'] || req.headers?.host).trim();
+  return /^[a-z0-9.-]+(:\d{1,5})?$/i.test(host) ? `${proto}://${host}` : `${proto}://localhost`;
+}
+
+module.exports = {
+  describeTimeWindow,
+  getAppSearchParams,
+  getRequestOrigin,
+  loadFrontendUtils,
+  parseAppSearchQuery,
+  parseMinLikes,
+  parseTimeHours,
+  runAppSearch,
+};
@@ -0,0 +1,236 @@
+const {
+  fetchSearchResult,
+  getQueryString,
+  getSearchCacheKey,
+  readCachedSearch,
+  stripControlChars,
+} = require('./search');
+const { createResultMatcher } = require('./result-filters');
+const { UPSTREAM_TIMEOUT_MS, isUpstreamTimeoutError } = require('./upstream');
+
+// Multi-term search fan-out: each term is paged sequentially, terms run with bounded
+// concurrency, and every page goes through the shared cache and in-flight coalescing.
+const MAX_BATCH_TERMS = 20;
+const MAX_BATCH_PAGES = 5;
+const DEFAULT_BATCH_PAGES = 2;
+const BATCH_CONCURRENCY = 4;
+
+// Comma-separated terms, trimmed and deduplicated in order.
+function parseTermList(value) {
+  const terms = stripControlChars(getQueryString(value))
+    .split(',')
+    .map((term) => term.trim())
+    .filter(Boolean);
+  return Array.from(new Set(terms));
+}
+
+// A page count between 1 and MAX_BATCH_PAGES, `defaultPages` when absent, or null if invalid.
+function parsePageCount(value, defaultPages) {
+  const raw = stripControlChars(getQueryString(value)).trim();
+  if (!raw) return defaultPages;
+  if (!/^\d+$/.test(raw)) return null;
+  const pages = Number(raw);
+  return pages >= 1 && pages <= MAX_BATCH_PAGES ? pages : null;
+}
+
+// Run `worker` over `items` with at most `limit` in flight; results keep input order.
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function drain() {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, drain);
+  await Promise.all(runners);
+  return results;
+}
+
+function describeSearchError(error) {
+  if (isUpstreamTimeoutError(error)) {
+    return { status: 504, error: error.message };
+  }
+  console.error('Batch search error:', error.message || 'Unknown error');
+  return { status: 500, error: 'Search proxy failed.' };
+}
+
+// Fetch up to `pages` pages for one term. A failure after the first page keeps the posts
+// collected so far and returns the failed page's cursor so the client can resume there.
+// With `freshOnly`, stale cache entries wait for the (coalesced) revalidation instead.
+// `matcher` (from createResultMatcher) keeps only matching posts; latest-sorted paging stops at
+// the first page reaching past its time window, since every later page is older still.
+async function searchTermPages(
+  term,
+  { cursor: startCursor = '', pages, sort, filters, deadline, freshOnly, account, matcher }
+) {
+  const posts = [];
+  let cursor = startCursor;
+  let degraded = false;
+
+  for (let page = 0; page < pages; page += 1) {
+    const cacheKey = getSearchCacheKey(term, cursor, sort, filters, account);
+    let failure = null;
+    let data = null;
+
+    try {
+      const cached = await readCachedSearch(cacheKey, term, cursor, sort, filters, account);
+      if (cached && !(freshOnly && cached.stale)) {
+        data = cached.data;
+      } else {
+        const result = await fetchSearchResult(
+          cacheKey,
+          term,
+          cursor,
+          sort,
+          filters,
+          deadline,
+          account
+        );
+        if (result.ok) {
+          data = result.payload;
+          degraded = degraded || result.degraded;
+        } else {
+          const message =
+            result.payload?.message || result.payload?.error || `Search failed: ${result.status}`;
+          failure = { status: result.status, error: message, retryAfterMs: result.retryAfterMs };
+        }
+      }
+    } catch (error) {
+      failure = describeSearchError(error);
+    }
+
+    if (failure) {
+      if (page === 0) {
+        return { term, ok: false, ...failure };
+      }
+      return { term, ok: true, posts, cursor, error: failure.error, degraded };
+    }
+
+    const pagePosts = Array.isArray(data?.posts) ? data.posts : [];
+    posts.push(...(matcher ? pagePosts.filter(matcher.matches) : pagePosts));
+    cursor = data?.cursor || '';
+    if (matcher && sort === 'latest' && pagePosts.some(matcher.isTooOld)) {
+      cursor = '';
+    }
+    if (!cursor) break;
+  }
+
+  return { term, ok: true, posts, cursor: cursor || null, degraded };
+}
+
+// Page through one term from `cursor` for /api/search; resolves like a searchEachTerm outcome.
+function runPagedSearch({
+  term,
+  cursor = '',
+  pages,
+  sort,
+  filters,
+  account = null,
+  resultFilters = null,
+}) {
+  return searchTermPages(term, {
+    cursor,
+    pages,
+    sort,
+    filters,
+    deadline: Date.now() + UPSTREAM_TIMEOUT_MS,
+    freshOnly: false,
+    account,
+    matcher: resultFilters ? createResultMatcher(resultFilters) : null,
+  });
+}
+
+// Per-term { term, ok, count, cursor[, error] } / { term, ok: false, status, error } reports,
+// plus the longest Retry-After hint among failed terms (null when there is none).
+function summarizeTermOutcomes(outcomes) {
+  let retryAfterMs = null;
+  const terms = outcomes.map((outcome) => {
+    if (!outcome.ok) {
+      const { retryAfterMs: termRetryAfterMs, ...failure } = outcome;
+      if (Number.isFinite(termRetryAfterMs)) {
+        retryAfterMs = Math.max(retryAfterMs || 0, termRetryAfterMs);
+      }
+      return failure;
+    }
+
+    const result = {
+      term: outcome.term,
+      ok: true,
+      count: outcome.posts.length,
+      cursor: outcome.cursor,
+    };
+    if (outcome.error) {
+      result.error = outcome.error;
+    }
+    return result;
+  });
+  return { terms, retryAfterMs };
+}
+
+// Search every term under one deadline. Resolves to per-term outcomes in request order:
+// { term, ok: true, posts, cursor[, error] } or { term, ok: false, status, error, retryAfterMs }.
+// `account` searches as a signed-in user instead of the shared session; `resultFilters` (from
+// parseResultFilters) filters each term's posts server-side.
+async function searchEachTerm({
+  terms,
+  pages = DEFAULT_BATCH_PAGES,
+  sort,
+  filters,
+  freshOnly = false,
+  account = null,
+  resultFilters = null,
+}) {
+  const deadline = Date.now() + UPSTREAM_TIMEOUT_MS;
+  const matcher = resultFilters ? createResultMatcher(resultFilters) : null;
+  return mapWithConcurrency(terms, BATCH_CONCURRENCY, (term) =>
+    searchTermPages(term, { pages, sort, filters, deadline, freshOnly, account, matcher })
+  );
+}
+
+// Search every term and merge the results: posts deduplicated by URI carrying `matchedTerms`
+// in request order, the `terms` reports and `retryAfterMs` from summarizeTermOutcomes, and
+// `degraded` when any page came from the unauthenticated fallback AppView.
+async function runBatchSearch(options) {
+  const outcomes = await searchEachTerm(options);
+
+  const postsByUri = new Map();
+  const { terms: termResults, retryAfterMs } = summarizeTermOutcomes(outcomes);
+  outcomes.forEach((outcome) => {
+    if (!outcome.ok) return;
+    outcome.posts.forEach((post) => {
+      if (!post?.uri) return;
+      const existing = postsByUri.get(post.uri);
+      if (!existing) {
+        postsByUri.set(post.uri, { ...post, matchedTerms: [outcome.term] });
+      } else if (!existing.matchedTerms.includes(outcome.term)) {
+        existing.matchedTerms.push(outcome.term);
+      }
+    });
+  });
+
+  return {
+    posts: Array.from(postsByUri.values()),
+    terms: termResults,
+    retryAfterMs,
+    degraded: outcomes.some((outcome) => outcome.degraded),
+  };
+}
+
+module.exports = {
+  MAX_BATCH_TERMS,
+  MAX_BATCH_PAGES,
+  DEFAULT_BATCH_PAGES,
+  BATCH_CONCURRENCY,
+  mapWithConcurrency,
+  parsePageCount,
+  parseTermList,
+  runBatchSearch,
+  runPagedSearch,
+  searchEachTerm,
+  summarizeTermOutcomes,
+};
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { configErrors, readNumberEnv } = require('./config');
+const { getClientIp } = require('./rate-limit');
+
+// Keeps the search proxy to this deployment's own pages. Both checks are opt-in:
+//   ALLOWED_ORIGINS        comma-separated origins (https://search.example) whose pages may call
+//                          the API, checked against Origin, then Referer
+//   API_TOKEN_SECRET       HMAC key for the short-lived tokens /api/token hands those pages;
+//                          search, stream and export requests must send one in X-Api-Token
+//                          (EventSource cannot set headers, so /api/stream takes ?token=).
+//                          Scripts export with EXPORT_API_KEY instead (see api/export.js)
+//   API_TOKEN_TTL_SECONDS  token lifetime (default 600)
+// Headers can be forged outside a browser, so this raises the bar for scripted reuse rather
+// than authenticating anyone: tokens are bound to the client IP and expire quickly, and the
+// per-client rate limit still applies.
+
+const API_TOKEN_HEADER = 'x-api-token';
+const API_TOKEN_TTL_MS = readNumberEnv('API_TOKEN_TTL_SECONDS', 600, 10) * 1000;
+const API_TOKEN_SECRET = process.env.API_TOKEN_SECRET || '';
+
+function readAllowedOrigins() {
+  const raw = (process.env.ALLOWED_ORIGINS || '').trim();
+  if (!raw) return null;
+  const origins = new Set();
+  raw
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .forEach((value) => {
+      let url = null;
+      try {
+        url = new URL(value);
+      } catch {
+        url = null;
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol) || url.origin !== value) {
+        configErrors.push(`ALLOWED_ORIGINS entry ${value} is not an http(s) origin.`);
+        return;
+      }
+      origins.add(url.origin);
+    });
+  return origins;
+}
+
+const ALLOWED_ORIGINS = readAllowedOrigins();
+
+function isOriginAllowlistEnabled() {
+  return Boolean(ALLOWED_ORIGINS);
+}
+
+function isApiTokenEnabled() {
+  return Boolean(API_TOKEN_SECRET);
+}
+
+function getHeader(req, name) {
+  const value = req.headers?.[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// The calling page's origin from Origin, or the Referer for same-origin GETs that omit it.
+function getRequestOrigin(req) {
+  const origin = getHeader(req, 'origin');
+  if (typeof origin === 'string' && origin && origin !== 'null') return origin;
+  const referer = getHeader(req, 'referer');
+  if (typeof referer !== 'string' || !referer) return null;
+  try {
+    return new URL(referer).origin;
+  } catch {
+    return null;
+  }
+}
+
+function isAllowedOrigin(req) {
+  if (!ALLOWED_ORIGINS) return true;
+  const origin = getRequestOrigin(req);
+  return Boolean(origin && ALLOWED_ORIGINS.has(origin));
+}
+
+function signToken(payload) {
+  return crypto.createHmac('sha256', API_TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+function getClientKey(req) {
+  return crypto.createHash('sha256').update(getClientIp(req)).digest('base64url').slice(0, 16);
+}
+
+// `<expiresAt>.<nonce>.<signature>`, signed over the client key so a token only works from
+// the address it was issued to.
+function issueApiToken(req, now = Date.now()) {
+  const expiresAt = now + API_TOKEN_TTL_MS;
+  const payload = `${expiresAt}.${crypto.randomBytes(9).toString('base64url')}`;
+  const token = `${payload}.${signToken(`${payload}.${getClientKey(req)}`)}`;
+  return { token, expiresAt };
+}
+
+function readApiToken(req, queryToken) {
+  const header = getHeader(req, API_TOKEN_HEADER);
+  if (header || !queryToken) return header;
+  const value = req.query?.token;
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Null for a valid token, otherwise the 401 error message. `queryToken` also accepts the
+// token from the `token` query parameter.
+function checkApiToken(req, now = Date.now(), { queryToken = false } = {}) {
+  const token = readApiToken(req, queryToken);
+  if (typeof token !== 'string' || !token) {
+    return 'Missing API token.';
+  }
+  const match = token.match(/^(\d{1,15})\.([\w-]{12})\.([\w-]{43})$/);
+  if (!match) {
+    return 'Invalid API token.';
+  }
+  const expected = Buffer.from(signToken(`${match[1]}.${match[2]}.${getClientKey(req)}`));
+  const provided = Buffer.from(match[3]);
+  if (!crypto.timingSafeEqual(expected, provided)) {
+    return 'Invalid API token.';
+  }
+  if (Number(match[1]) <= now) {
+    return 'API token expired.';
+  }
+  return null;
+}
+
+// Returns true when the request may proceed; otherwise sends the 403 or 401 response.
+function enforceClientAccess(req, res, { queryToken = false } = {}) {
+  if (!isAllowedOrigin(req)) {
+    res.status(403).json({ error: 'Origin not allowed.' });
+    return false;
+  }
+  if (!isApiTokenEnabled()) return true;
+
+  const error = checkApiToken(req, Date.now(), { queryToken });
+  if (error) {
+    res.setHeader('WWW-Authenticate', 'Token realm="api"');
+    res.status(401).json({ error });
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  API_TOKEN_TTL_MS,
+  checkApiToken,
+  enforceClientAccess,
+  isAllowedOrigin,
+  isApiTokenEnabled,
+  isOriginAllowlistEnabled,
+  issueApiToken,
+};
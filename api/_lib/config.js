@@ -0,0 +1,70 @@
+// Deployment configuration shared by the API handlers.
+// BSKY_SERVICE_URL points authenticated calls at a PDS/entryway (default bsky.social);
+// BSKY_PUBLIC_API_URL is the unauthenticated AppView the browser talks to directly; server.js
+// adds its origin to the CSP connect-src, and on Vercel vercel.json's connect-src needs it too.
+// Either may be a bare origin (http://localhost:2583) or already end in /xrpc.
+// BSKY_FALLBACK_SEARCH_URL is the AppView searched without credentials when no account session
+// is available (default BSKY_PUBLIC_API_URL); `off` disables the fallback.
+
+const DEFAULT_BSKY_SERVICE = 'https://bsky.social/xrpc';
+const DEFAULT_PUBLIC_API = 'https://public.api.bsky.app/xrpc';
+
+// Normalize an http(s) base URL to `<origin><path>/xrpc`; null when unusable.
+function parseXrpcBase(raw) {
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol) || parsed.search || parsed.hash) {
+    return null;
+  }
+
+  const pathname = parsed.pathname.replace(/\/+$/, '');
+  const xrpcPath = pathname.endsWith('/xrpc') ? pathname : `${pathname}/xrpc`;
+  return `${parsed.origin}${xrpcPath}`;
+}
+
+const configErrors = [];
+
+// Read a numeric env var, falling back when unset, malformed or below `min`.
+function readNumberEnv(name, fallback, min = 0) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const parsed = Number(raw);
+  return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+}
+
+function readXrpcBaseEnv(name, fallback) {
+  const raw = (process.env[name] || '').trim();
+  if (!raw) return fallback;
+  const base = parseXrpcBase(raw);
+  if (!base) {
+    configErrors.push(`${name} must be an http(s) URL without query or fragment.`);
+    return fallback;
+  }
+  return base;
+}
+
+const BSKY_SERVICE = readXrpcBaseEnv('BSKY_SERVICE_URL', DEFAULT_BSKY_SERVICE);
+const PUBLIC_API = readXrpcBaseEnv('BSKY_PUBLIC_API_URL', DEFAULT_PUBLIC_API);
+const SEARCH_FALLBACK_API =
+  (process.env.BSKY_FALLBACK_SEARCH_URL || '').trim().toLowerCase() === 'off'
+    ? null
+    : readXrpcBaseEnv('BSKY_FALLBACK_SEARCH_URL', PUBLIC_API);
+
+if (configErrors.length > 0) {
+  console.error('Invalid endpoint configuration, using defaults:', configErrors.join(' '));
+}
+
+module.exports = {
+  BSKY_SERVICE,
+  PUBLIC_API,
+  SEARCH_FALLBACK_API,
+  DEFAULT_BSKY_SERVICE,
+  DEFAULT_PUBLIC_API,
+  configErrors,
+  parseXrpcBase,
+  readNumberEnv,
+};
@@ -0,0 +1,114 @@
+// Atom 1.0 and RSS 2.0 rendering for /api/feed. Entries arrive already filtered and sorted:
+// { id, url, title, text, authorName, published, updated, categories }.
+
+const FEED_FORMATS = ['atom', 'rss'];
+const FEED_CONTENT_TYPES = {
+  atom: 'application/atom+xml; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8',
+};
+const ENTRY_TITLE_MAX_LENGTH = 80;
+
+// Characters XML 1.0 does not allow at all, even escaped.
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/[&<>"']/g, (char) => XML_ESCAPES[char]);
+}
+
+function getEntryTitle(authorName, text) {
+  const flattened = (text || '').replace(/\s+/g, ' ').trim();
+  if (!flattened) return authorName;
+  const snippet =
+    flattened.length > ENTRY_TITLE_MAX_LENGTH
+      ? `${flattened.slice(0, ENTRY_TITLE_MAX_LENGTH - 1).trimEnd()}…`
+      : flattened;
+  return `${authorName}: ${snippet}`;
+}
+
+function toIsoDate(ms) {
+  return new Date(ms).toISOString();
+}
+
+function buildAtomFeed({ title, subtitle, selfUrl, alternateUrl, updated, entries }) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(selfUrl)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <subtitle>${escapeXml(subtitle)}</subtitle>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(alternateUrl)}"/>`,
+    `  <updated>${toIsoDate(updated)}</updated>`,
+    '  <generator>bskySearch</generator>',
+  ];
+
+  entries.forEach((entry) => {
+    lines.push(
+      '  <entry>',
+      `    <id>${escapeXml(entry.id)}</id>`,
+      `    <title>${escapeXml(entry.title)}</title>`
+    );
+    if (entry.url) {
+      lines.push(`    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>`);
+    }
+    lines.push(
+      `    <author><name>${escapeXml(entry.authorName)}</name></author>`,
+      `    <published>${toIsoDate(entry.published)}</published>`,
+      `    <updated>${toIsoDate(entry.updated)}</updated>`
+    );
+    entry.categories.forEach((category) => {
+      lines.push(`    <category term="${escapeXml(category)}"/>`);
+    });
+    lines.push(`    <content type="text">${escapeXml(entry.text)}</content>`, '  </entry>');
+  });
+
+  lines.push('</feed>', '');
+  return lines.join('\n');
+}
+
+function buildRssFeed({ title, subtitle, selfUrl, alternateUrl, updated, entries }) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(alternateUrl)}</link>`,
+    `    <description>${escapeXml(subtitle)}</description>`,
+    `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(selfUrl)}"/>`,
+    `    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>`,
+    '    <generator>bskySearch</generator>',
+  ];
+
+  entries.forEach((entry) => {
+    lines.push('    <item>', `      <title>${escapeXml(entry.title)}</title>`);
+    if (entry.url) {
+      lines.push(`      <link>${escapeXml(entry.url)}</link>`);
+    }
+    lines.push(
+      `      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+      `      <pubDate>${new Date(entry.published).toUTCString()}</pubDate>`
+    );
+    entry.categories.forEach((category) => {
+      lines.push(`      <category>${escapeXml(category)}</category>`);
+    });
+    lines.push(`      <description>${escapeXml(entry.text)}</description>`, '    </item>');
+  });
+
+  lines.push('  </channel>', '</rss>', '');
+  return lines.join('\n');
+}
+
+function renderFeed(format, feed) {
+  return format === 'rss' ? buildRssFeed(feed) : buildAtomFeed(feed);
+}
+
+module.exports = {
+  FEED_FORMATS,
+  FEED_CONTENT_TYPES,
+  escapeXml,
+  getEntryTitle,
+  renderFeed,
+};
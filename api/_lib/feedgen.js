@@ -0,0 +1,126 @@
+const { configErrors } = require('./config');
+
+// Bluesky feed generator backed by saved searches. Served at /xrpc/app.bsky.feed.* and
+// /.well-known/did.json through the rewrites in vercel.json.
+//   FEEDGEN_HOSTNAME       public hostname of this deployment; the service DID is did:web:<host>
+//   FEEDGEN_PUBLISHER_DID  account that publishes the app.bsky.feed.generator records
+//   FEEDGEN_FEEDS          JSON object of record key -> the query string the app keeps in its
+//                          URL, e.g. {"cats":"terms=cats,kittens&minLikes=5&sort=latest"}
+//   FEEDGEN_SERVICE_DID    optional; overrides did:web:<host> when the DID is hosted elsewhere
+
+const FEEDGEN_SKELETON_DEFAULT_LIMIT = 50;
+const FEEDGEN_SKELETON_MAX_LIMIT = 100;
+const FEED_GENERATOR_COLLECTION = 'app.bsky.feed.generator';
+const SERVICE_ENDPOINT_ID = '#bsky_fg';
+
+const HOSTNAME_PATTERN = /^[a-z0-9-]{1,63}(\.[a-z0-9-]{1,63})+$/i;
+const DID_PATTERN = /^did:[a-z]+:[a-zA-Z0-9._:%-]+$/;
+const RECORD_KEY_PATTERN = /^[a-zA-Z0-9._:~-]{1,512}$/;
+
+function readFeedgenEnv(name, pattern) {
+  const raw = (process.env[name] || '').trim();
+  if (!raw) return null;
+  if (!pattern.test(raw)) {
+    console.error(`Feed generator misconfigured: ${name} is not valid.`);
+    configErrors.push(`${name} is not valid.`);
+    return null;
+  }
+  return raw;
+}
+
+function readFeedsEnv() {
+  const raw = (process.env.FEEDGEN_FEEDS || '').trim();
+  if (!raw) return new Map();
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    parsed = null;
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    console.error('Feed generator misconfigured: FEEDGEN_FEEDS is not a JSON object.');
+    configErrors.push('FEEDGEN_FEEDS must be a JSON object of record key to search query.');
+    return new Map();
+  }
+
+  const feeds = new Map();
+  Object.entries(parsed).forEach(([rkey, query]) => {
+    if (!RECORD_KEY_PATTERN.test(rkey) || rkey === '.' || rkey === '..') {
+      configErrors.push(`FEEDGEN_FEEDS has an invalid record key: ${rkey}`);
+    } else if (typeof query !== 'string' || !new URLSearchParams(query).get('terms')) {
+      configErrors.push(`FEEDGEN_FEEDS entry ${rkey} needs a query string with terms.`);
+    } else {
+      feeds.set(rkey, query);
+    }
+  });
+  return feeds;
+}
+
+const FEEDGEN_HOSTNAME = readFeedgenEnv('FEEDGEN_HOSTNAME', HOSTNAME_PATTERN);
+const FEEDGEN_PUBLISHER_DID = readFeedgenEnv('FEEDGEN_PUBLISHER_DID', DID_PATTERN);
+const FEEDGEN_SERVICE_DID =
+  readFeedgenEnv('FEEDGEN_SERVICE_DID', DID_PATTERN) ||
+  (FEEDGEN_HOSTNAME ? `did:web:${FEEDGEN_HOSTNAME}` : null);
+const FEEDGEN_FEEDS = readFeedsEnv();
+
+function isFeedGeneratorConfigured() {
+  return Boolean(FEEDGEN_SERVICE_DID && FEEDGEN_PUBLISHER_DID && FEEDGEN_FEEDS.size > 0);
+}
+
+function getFeedUri(rkey) {
+  return `at://${FEEDGEN_PUBLISHER_DID}/${FEED_GENERATOR_COLLECTION}/${rkey}`;
+}
+
+function listFeedUris() {
+  return Array.from(FEEDGEN_FEEDS.keys(), getFeedUri);
+}
+
+// The saved query for a feed AT-URI, or null when this generator does not serve it.
+function getFeedQuery(feedUri) {
+  const prefix = `at://${FEEDGEN_PUBLISHER_DID}/${FEED_GENERATOR_COLLECTION}/`;
+  if (typeof feedUri !== 'string' || !feedUri.startsWith(prefix)) return null;
+  const query = FEEDGEN_FEEDS.get(feedUri.slice(prefix.length));
+  return query ? Object.fromEntries(new URLSearchParams(query)) : null;
+}
+
+// did:web document, only when the service DID is this host's own did:web.
+function getServiceDidDocument() {
+  if (!FEEDGEN_HOSTNAME || FEEDGEN_SERVICE_DID !== `did:web:${FEEDGEN_HOSTNAME}`) {
+    return null;
+  }
+  return {
+    '@context': ['https://www.w3.org/ns/did/v1'],
+    id: FEEDGEN_SERVICE_DID,
+    service: [
+      {
+        id: SERVICE_ENDPOINT_ID,
+        type: 'BskyFeedGenerator',
+        serviceEndpoint: `https://${FEEDGEN_HOSTNAME}`,
+      },
+    ],
+  };
+}
+
+// Offset cursors into the ranked result list. The list is rebuilt on every request, so a page
+// boundary can shift by a post or two as new posts arrive.
+function paginateSkeleton(posts, { limit, offset }) {
+  const page = posts.slice(offset, offset + limit);
+  const skeleton = { feed: page.map((post) => ({ post: post.uri })) };
+  if (offset + limit < posts.length) {
+    skeleton.cursor = String(offset + limit);
+  }
+  return skeleton;
+}
+
+module.exports = {
+  FEEDGEN_SERVICE_DID,
+  FEEDGEN_SKELETON_DEFAULT_LIMIT,
+  FEEDGEN_SKELETON_MAX_LIMIT,
+  getFeedQuery,
+  getFeedUri,
+  getServiceDidDocument,
+  isFeedGeneratorConfigured,
+  listFeedUris,
+  paginateSkeleton,
+};
@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const { PUBLIC_API, configErrors, readNumberEnv } = require('./config');
+const { projectCompactPost } = require('./projection');
+const { getSharedCacheStore } = require('./shared-cache');
+const { fetchWithTimeout } = require('./upstream');
+const { connectWebSocket } = require('./websocket');
+
+// Real-time matching from a Jetstream WebSocket (JETSTREAM_URL, e.g.
+// wss://jetstream2.us-east.bsky.network/subscribe). Two halves meet in the shared cache store:
+//   - /api/stream registers the term sets it is serving and reads their recent matches
+//   - the worker (scripts/jetstream-worker.js) subscribes to app.bsky.feed.post creates while
+//     any term set is registered, matches post text and writes matches back per term set
+// With more than one process involved, CACHE_BACKEND must be shared (redis, or file on one host).
+
+const JETSTREAM_COLLECTION = 'app.bsky.feed.post';
+const TERM_SETS_KEY = 'jetstream:term-sets';
+const CURSOR_KEY = 'jetstream:cursor';
+// A term set stays active this long after /api/stream last registered it.
+const TERM_SET_TTL_MS = 60 * 1000;
+const MAX_TERM_SETS = 200;
+const MATCHES_LIMIT = 200;
+const MATCHES_TTL_MS = 10 * 60 * 1000;
+const CURSOR_TTL_MS = 24 * 60 * 60 * 1000;
+// Replay a little on reconnect; matches are deduplicated by URI.
+const CURSOR_REWIND_US = 5 * 1000 * 1000;
+const HYDRATE_BATCH_SIZE = 25;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+const JETSTREAM_REFRESH_MS = readNumberEnv('JETSTREAM_REFRESH_SECONDS', 10, 1) * 1000;
+const JETSTREAM_FLUSH_MS = readNumberEnv('JETSTREAM_FLUSH_SECONDS', 2, 0.1) * 1000;
+
+function readJetstreamUrl() {
+  const raw = (process.env.JETSTREAM_URL || '').trim();
+  if (!raw) return null;
+  try {
+    const url = new URL(raw);
+    if ((url.protocol === 'ws:' || url.protocol === 'wss:') && !url.hash) {
+      return url.toString();
+    }
+  } catch {
+    // Reported below.
+  }
+  console.error('Jetstream misconfigured: JETSTREAM_URL is not a ws(s) URL.');
+  configErrors.push('JETSTREAM_URL must be a ws(s) URL.');
+  return null;
+}
+
+const JETSTREAM_URL = readJetstreamUrl();
+
+function isJetstreamEnabled() {
+  return Boolean(JETSTREAM_URL);
+}
+
+function getTermSetKey(terms) {
+  const normalized = Array.from(new Set(terms.map((term) => term.toLowerCase()))).sort();
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex').slice(0, 24);
+}
+
+function getMatchesKey(setKey) {
+  return `jetstream:matches:${setKey}`;
+}
+
+// Keep a term set active for the worker. Instances overwrite each other's writes now and
+// then; the next registration (every few seconds while a stream is open) repairs that.
+async function registerTermSet(terms, now = Date.now()) {
+  const store = getSharedCacheStore();
+  const current = (await store.get(TERM_SETS_KEY)) || {};
+  const active = Object.entries(current)
+    .filter(([, entry]) => entry?.expiresAt > now)
+    .sort(([, a], [, b]) => b.expiresAt - a.expiresAt)
+    .slice(0, MAX_TERM_SETS - 1);
+  const next = Object.fromEntries(active);
+  next[getTermSetKey(terms)] = { terms, expiresAt: now + TERM_SET_TTL_MS };
+  await store.set(TERM_SETS_KEY, next, TERM_SET_TTL_MS);
+}
+
+async function readLiveMatches(terms) {
+  const matches = await getSharedCacheStore().get(getMatchesKey(getTermSetKey(terms)));
+  return Array.isArray(matches) ? matches : [];
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function createPartPattern(part) {
+  const source = escapeRegExp(part).replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${source}(?![\\p{L}\\p{N}_])`, 'iu');
+}
+
+// A compiled search's parts, as src/query.mjs getTermParts reads them: a quoted phrase is one
+// part, every other word its own.
+function getSearchParts(term) {
+  return Array.from(term.matchAll(/"([^"]*)"|(\S+)/g), (match) =>
+    (match[1] ?? match[2]).trim()
+  ).filter(Boolean);
+}
+
+// Case-insensitive whole-word (and whole-phrase) matching, close to how searchPosts tokenizes.
+// `terms` are the searches src/query.mjs compileQuery produced; a search matches when every
+// part does. Returns text => matched terms.
+function createTermMatcher(terms) {
+  const seen = new Set();
+  const matchers = [];
+  terms.forEach((raw) => {
+    const term = typeof raw === 'string' ? raw.trim() : '';
+    const parts = getSearchParts(term);
+    if (parts.length === 0 || seen.has(term.toLowerCase())) return;
+    seen.add(term.toLowerCase());
+    matchers.push({ term, patterns: parts.map(createPartPattern) });
+  });
+  return (text) =>
+    matchers
+      .filter(({ patterns }) => patterns.every((pattern) => pattern.test(text)))
+      .map(({ term }) => term);
+}
+
+// searchPosts is pinned to lang=en (see api/_lib/search.js); match the same posts here.
+function isEnglishRecord(record) {
+  return (
+    Array.isArray(record?.langs) &&
+    record.langs.some((lang) => typeof lang === 'string' && /^en(-|$)/i.test(lang))
+  );
+}
+
+// Post view for a Jetstream `create` commit, or null for anything else. Jetstream carries no
+// profile or counts; the handle falls back to the DID until the post is hydrated.
+function toPostView(event) {
+  const commit = event?.commit;
+  if (
+    event?.kind !== 'commit' ||
+    commit?.operation !== 'create' ||
+    commit.collection !== JETSTREAM_COLLECTION ||
+    typeof event.did !== 'string' ||
+    typeof commit.rkey !== 'string' ||
+    typeof commit.record?.text !== 'string'
+  ) {
+    return null;
+  }
+
+  const timeMs = Number.isFinite(event.time_us) ? Math.floor(event.time_us / 1000) : Date.now();
+  return {
+    uri: `at://${event.did}/${JETSTREAM_COLLECTION}/${commit.rkey}`,
+    cid: commit.cid,
+    author: { did: event.did, handle: event.did },
+    record: commit.record,
+    indexedAt: new Date(timeMs).toISOString(),
+    likeCount: 0,
+    repostCount: 0,
+    replyCount: 0,
+    quoteCount: 0,
+  };
+}
+
+// Full post views from the public AppView, keyed by URI. Posts it has not indexed yet (or a
+// failed request) are simply missing from the map.
+async function hydratePosts(uris) {
+  const hydrated = new Map();
+  for (let i = 0; i < uris.length; i += HYDRATE_BATCH_SIZE) {
+    const params = new URLSearchParams();
+    uris.slice(i, i + HYDRATE_BATCH_SIZE).forEach((uri) => params.append('uris', uri));
+    try {
+      const response = await fetchWithTimeout(`${PUBLIC_API}/app.bsky.feed.getPosts?${params}`);
+      if (!response.ok) continue;
+      const data = await response.json();
+      (data.posts || []).forEach((post) => hydrated.set(post.uri, post));
+    } catch (error) {
+      console.error('Jetstream hydration failed:', error.message || 'Unknown error');
+    }
+  }
+  return hydrated;
+}
+
+function buildSubscribeUrl(baseUrl, cursor) {
+  const url = new URL(baseUrl);
+  url.searchParams.set('wantedCollections', JETSTREAM_COLLECTION);
+  if (cursor) {
+    url.searchParams.set('cursor', String(Math.max(0, cursor - CURSOR_REWIND_US)));
+  } else {
+    url.searchParams.delete('cursor');
+  }
+  return url.toString();
+}
+
+// The ingestion loop. Connects only while some term set is registered, reconnects with
+// backoff from the last cursor, and flushes matches to the store every JETSTREAM_FLUSH_MS.
+function createJetstreamWorker({
+  url = JETSTREAM_URL,
+  store = getSharedCacheStore(),
+  connect = connectWebSocket,
+  hydrate = hydratePosts,
+  now = Date.now,
+} = {}) {
+  const termSets = new Map();
+  const pending = new Map();
+  let connection = null;
+  let connecting = false;
+  let reconnectTimer = null;
+  let reconnectAttempts = 0;
+  let refreshTimer = null;
+  let flushTimer = null;
+  let flushing = null;
+  let cursor = null;
+  let running = false;
+
+  function handleMessage(message) {
+    let event;
+    try {
+      event = JSON.parse(typeof message === 'string' ? message : message.toString('utf8'));
+    } catch {
+      return;
+    }
+    if (Number.isFinite(event?.time_us)) {
+      cursor = event.time_us;
+    }
+
+    const post = toPostView(event);
+    if (!post || !isEnglishRecord(post.record)) return;
+    termSets.forEach(({ matcher }, setKey) => {
+      const matchedTerms = matcher(post.record.text);
+      if (matchedTerms.length === 0) return;
+      if (!pending.has(setKey)) pending.set(setKey, []);
+      pending.get(setKey).push({ post, matchedTerms });
+    });
+  }
+
+  function scheduleReconnect() {
+    if (!running || reconnectTimer || termSets.size === 0) return;
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_MIN_MS * 2 ** reconnectAttempts);
+    reconnectAttempts += 1;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      openConnection();
+    }, delay);
+  }
+
+  async function openConnection() {
+    if (!running || connection || connecting || termSets.size === 0) return;
+    connecting = true;
+    let opened = null;
+    let lost = false;
+    try {
+      opened = await connect(buildSubscribeUrl(url, cursor), {
+        onMessage: handleMessage,
+        onClose: (reason) => {
+          // Deliberate closes clear `connection` first and need no reconnect.
+          if (opened && connection !== opened) return;
+          lost = true;
+          connection = null;
+          console.error('Jetstream disconnected:', reason);
+          scheduleReconnect();
+        },
+      });
+      if (lost) return;
+      connection = opened;
+      reconnectAttempts = 0;
+      if (!running || termSets.size === 0) {
+        closeConnection();
+      }
+    } catch (error) {
+      console.error('Jetstream connection failed:', error.message || 'Unknown error');
+      scheduleReconnect();
+    } finally {
+      connecting = false;
+    }
+  }
+
+  function closeConnection() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (connection) {
+      const closing = connection;
+      connection = null;
+      closing.close();
+    }
+  }
+
+  async function refreshTermSets() {
+    const registered = (await store.get(TERM_SETS_KEY)) || {};
+    const active = new Set();
+    Object.entries(registered).forEach(([setKey, entry]) => {
+      if (!(entry?.expiresAt > now()) || !Array.isArray(entry.terms)) return;
+      active.add(setKey);
+      if (!termSets.has(setKey)) {
+        termSets.set(setKey, { matcher: createTermMatcher(entry.terms) });
+      }
+    });
+    termSets.forEach((_, setKey) => {
+      if (!active.has(setKey)) termSets.delete(setKey);
+    });
+
+    if (termSets.size === 0) {
+      closeConnection();
+    } else {
+      await openConnection();
+    }
+  }
+
+  async function writeMatches(batch) {
+    const uris = new Set();
+    batch.forEach((matches) => matches.forEach(({ post }) => uris.add(post.uri)));
+    const hydrated = await hydrate(Array.from(uris));
+
+    for (const [setKey, matches] of batch) {
+      const fresh = matches.map(({ post, matchedTerms }) => ({
+        ...projectCompactPost(hydrated.get(post.uri) || post),
+        matchedTerms,
+      }));
+      const existing = (await store.get(getMatchesKey(setKey))) || [];
+      const seen = new Set();
+      const merged = [...fresh.reverse(), ...existing].filter((post) => {
+        if (seen.has(post.uri)) return false;
+        seen.add(post.uri);
+        return true;
+      });
+      await store.set(getMatchesKey(setKey), merged.slice(0, MATCHES_LIMIT), MATCHES_TTL_MS);
+    }
+  }
+
+  // Write pending matches (newest first) and the cursor. Safe to call concurrently.
+  function flush() {
+    if (!flushing) {
+      const batch = new Map(pending);
+      pending.clear();
+      const cursorAtFlush = cursor;
+      flushing = (async () => {
+        if (batch.size > 0) await writeMatches(batch);
+        if (cursorAtFlush) await store.set(CURSOR_KEY, cursorAtFlush, CURSOR_TTL_MS);
+      })()
+        .catch((error) => {
+          console.error('Jetstream flush failed:', error.message || 'Unknown error');
+        })
+        .finally(() => {
+          flushing = null;
+        });
+    }
+    return flushing;
+  }
+
+  function guard(task) {
+    return () =>
+      task().catch((error) => {
+        console.error('Jetstream worker error:', error.message || 'Unknown error');
+      });
+  }
+
+  return {
+    async start() {
+      if (running) return;
+      if (!url) throw new Error('JETSTREAM_URL is not configured.');
+      running = true;
+      const storedCursor = await store.get(CURSOR_KEY);
+      cursor = Number.isFinite(storedCursor) ? storedCursor : null;
+      refreshTimer = setInterval(guard(refreshTermSets), JETSTREAM_REFRESH_MS);
+      flushTimer = setInterval(guard(flush), JETSTREAM_FLUSH_MS);
+      await guard(refreshTermSets)();
+    },
+    async stop() {
+      running = false;
+      clearInterval(refreshTimer);
+      clearInterval(flushTimer);
+      closeConnection();
+      await flush();
+    },
+    flush,
+    refreshTermSets,
+    get connected() {
+      return Boolean(connection);
+    },
+  };
+}
+
+module.exports = {
+  JETSTREAM_URL,
+  buildSubscribeUrl,
+  createJetstreamWorker,
+  createTermMatcher,
+  getTermSetKey,
+  isEnglishRecord,
+  isJetstreamEnabled,
+  readLiveMatches,
+  registerTermSet,
+  toPostView,
+};
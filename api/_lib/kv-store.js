@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+
+// Key-value storage used by server-side state that may need to outlive a single instance.
+// A store implements async get(key), set(key, value, ttlMs) and delete(key); values must be
+// JSON-safe. `kind` tells callers whether the store is shared beyond this process.
+
+const DEFAULT_MAX_ENTRIES = 10000;
+// File entries can hold session tokens and DPoP keys, so only this user may read them.
+const FILE_STORE_DIRECTORY_MODE = 0o700;
+const FILE_STORE_FILE_MODE = 0o600;
+const REDIS_COMMAND_TIMEOUT_MS = 1000;
+
+function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    kind: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        const oldestKey = entries.keys().next().value;
+        if (oldestKey === undefined) break;
+        entries.delete(oldestKey);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+  };
+}
+
+// One JSON file per key. Suits a single self-hosted instance or a persistent volume;
+// on serverless platforms only /tmp is writable and it is per instance.
+function createFileStore({ directory }) {
+  let ready = null;
+
+  // mkdir's mode does not apply to a directory that already exists, so refuse one that other
+  // users can open rather than chmod a directory we may not own (CACHE_FILE_DIR=/tmp).
+  const ensureDirectory = () => {
+    if (!ready) {
+      ready = fs
+        .mkdir(directory, { recursive: true, mode: FILE_STORE_DIRECTORY_MODE })
+        .then(() => fs.stat(directory))
+        .then((stats) => {
+          if (process.platform !== 'win32' && (stats.mode & 0o077) !== 0) {
+            throw new Error(`Cache directory ${directory} must not be accessible to other users.`);
+          }
+        })
+        .catch((error) => {
+          ready = null;
+          throw error;
+        });
+    }
+    return ready;
+  };
+
+  const getFilePath = (key) =>
+    path.join(directory, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+
+  const removeFile = async (filePath) => {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+
+  return {
+    kind: 'file',
+
+    async get(key) {
+      const filePath = getFilePath(key);
+      let raw;
+      try {
+        raw = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(raw);
+      } catch {
+        await removeFile(filePath);
+        return null;
+      }
+      if (!entry || entry.expiresAt <= Date.now()) {
+        await removeFile(filePath);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      await ensureDirectory();
+      const filePath = getFilePath(key);
+      const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify({ value, expiresAt: Date.now() + ttlMs }), {
+        mode: FILE_STORE_FILE_MODE,
+      });
+      await fs.rename(tempPath, filePath);
+    },
+
+    async delete(key) {
+      await removeFile(getFilePath(key));
+    },
+  };
+}
+
+function encodeRedisCommand(args) {
+  let command = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return command;
+}
+
+// Parse one RESP2 reply from the start of `buffer`.
+// Returns { value, offset } or null when the reply is incomplete.
+function parseRedisReply(buffer, start = 0) {
+  const lineEnd = buffer.indexOf('\r\n', start);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[start]);
+  const line = buffer.toString('utf8', start + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let offset = next;
+      for (let i = 0; i < count; i += 1) {
+        const item = parseRedisReply(buffer, offset);
+        if (!item) return null;
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+}
+
+// Minimal Redis (RESP2) client covering GET/SET PX/DEL, enough for Redis, Valkey,
+// KeyDB or any hosted Redis-compatible service. Accepts redis:// and rediss:// URLs.
+function createRedisStore({ url, keyPrefix = 'bsky-search:' }) {
+  const parsed = new URL(url);
+  const useTls = parsed.protocol === 'rediss:';
+  const port = Number(parsed.port) || 6379;
+  const database = Number(parsed.pathname.slice(1)) || 0;
+  const username = decodeURIComponent(parsed.username || '');
+  const password = decodeURIComponent(parsed.password || '');
+
+  let socket = null;
+  let connecting = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  const failPending = (error) => {
+    while (pending.length > 0) {
+      const { reject, timer } = pending.shift();
+      clearTimeout(timer);
+      reject(error);
+    }
+  };
+
+  const resetConnection = (error) => {
+    if (socket) {
+      socket.destroy();
+    }
+    socket = null;
+    connecting = null;
+    buffer = Buffer.alloc(0);
+    failPending(error);
+  };
+
+  const handleData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let reply;
+    try {
+      while (pending.length > 0 && (reply = parseRedisReply(buffer))) {
+        buffer = buffer.subarray(reply.offset);
+        const { resolve, reject, timer } = pending.shift();
+        clearTimeout(timer);
+        if (reply.value instanceof Error) {
+          reject(reply.value);
+        } else {
+          resolve(reply.value);
+        }
+      }
+    } catch (error) {
+      resetConnection(error);
+    }
+  };
+
+  const send = (args) =>
+    new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        resetConnection(new Error('Redis command timed out.'));
+      }, REDIS_COMMAND_TIMEOUT_MS);
+      pending.push({ resolve, reject, timer });
+      socket.write(encodeRedisCommand(args));
+    });
+
+  const connect = () => {
+    if (connecting) return connecting;
+
+    connecting = new Promise((resolve, reject) => {
+      const options = { host: parsed.hostname, port };
+      const nextSocket = useTls
+        ? tls.connect({ ...options, servername: parsed.hostname })
+        : net.connect(options);
+
+      const onConnectError = (error) => {
+        resetConnection(error);
+        reject(error);
+      };
+
+      nextSocket.setTimeout(REDIS_COMMAND_TIMEOUT_MS, () => {
+        nextSocket.destroy(new Error('Redis connection timed out.'));
+      });
+      nextSocket.once('error', onConnectError);
+      nextSocket.once(useTls ? 'secureConnect' : 'connect', async () => {
+        nextSocket.setTimeout(0);
+        // Idle connections must not keep the process alive.
+        nextSocket.unref();
+        nextSocket.off('error', onConnectError);
+        nextSocket.on('error', (error) => resetConnection(error));
+        nextSocket.on('close', () => resetConnection(new Error('Redis connection closed.')));
+        nextSocket.on('data', handleData);
+        socket = nextSocket;
+
+        try {
+          if (password) {
+            await send(username ? ['AUTH', username, password] : ['AUTH', password]);
+          }
+          if (database) {
+            await send(['SELECT', database]);
+          }
+          resolve();
+        } catch (error) {
+          resetConnection(error);
+          reject(error);
+        }
+      });
+    });
+
+    return connecting;
+  };
+
+  const command = async (args) => {
+    await connect();
+    return send(args);
+  };
+
+  return {
+    kind: 'redis',
+
+    async get(key) {
+      const raw = await command(['GET', `${keyPrefix}${key}`]);
+      if (raw === null) return null;
+      try {
+        return JSON.parse(raw);
+      } catch {
+        return null;
+      }
+    },
+
+    async set(key, value, ttlMs) {
+      const ttl = Math.max(1, Math.ceil(ttlMs));
+      await command(['SET', `${keyPrefix}${key}`, JSON.stringify(value), 'PX', ttl]);
+    },
+
+    async delete(key) {
+      await command(['DEL', `${keyPrefix}${key}`]);
+    },
+
+    close() {
+      resetConnection(new Error('Redis store closed.'));
+    },
+  };
+}
+
+// Per-user cache directory ($XDG_CACHE_HOME or ~/.cache), not the shared OS temp dir.
+function getDefaultFileStoreDirectory(env = process.env) {
+  const cacheHome = env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(cacheHome, 'bsky-search');
+}
+
+// Select the backend from env: CACHE_BACKEND=memory (default) | file | redis.
+// file uses CACHE_FILE_DIR (default: getDefaultFileStoreDirectory; on serverless set it under
+// /tmp, the only writable path); redis uses REDIS_URL. A `namespace` gets its own
+// subdirectory or key prefix on the same backend.
+function createStoreFromEnv(env = process.env, { namespace = '' } = {}) {
+  const backend = (env.CACHE_BACKEND || 'memory').trim().toLowerCase();
+
+  if (backend === 'file') {
+    const directory = env.CACHE_FILE_DIR || getDefaultFileStoreDirectory(env);
+    return createFileStore({ directory: namespace ? path.join(directory, namespace) : directory });
+  }
+
+  if (backend === 'redis') {
+    if (!env.REDIS_URL) {
+      throw new Error('CACHE_BACKEND=redis requires REDIS_URL.');
+    }
+    const keyPrefix = namespace ? `bsky-search:${namespace}:` : undefined;
+    return createRedisStore({ url: env.REDIS_URL, keyPrefix });
+  }
+
+  if (backend !== 'memory') {
+    throw new Error(`Unknown CACHE_BACKEND: ${backend}`);
+  }
+  return createMemoryStore();
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createRedisStore,
+  createStoreFromEnv,
+  encodeRedisCommand,
+  getDefaultFileStoreDirectory,
+  parseRedisReply,
+};
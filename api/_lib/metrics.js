@@ -0,0 +1,170 @@
+// Minimal Prometheus-style metrics: counters and histograms rendered in the text exposition
+// format. Values live in process memory, so each serverless instance reports only the traffic
+// it has served itself; scrape a long-running deployment for fleet-wide numbers.
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.keys(labels)
+    .sort()
+    .map((name) => `${name}="${escapeLabelValue(labels[name])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function getSeriesKey(labels) {
+  return formatLabels(labels || {});
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(12)));
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function counter({ name, help }) {
+    const series = new Map();
+
+    const metric = {
+      name,
+      inc(labels = {}, amount = 1) {
+        const key = getSeriesKey(labels);
+        const current = series.get(key);
+        series.set(key, { labels, value: (current ? current.value : 0) + amount });
+      },
+      get(labels = {}) {
+        return series.get(getSeriesKey(labels))?.value || 0;
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const { labels, value } of series.values()) {
+          lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+        return lines;
+      },
+      reset() {
+        series.clear();
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function histogram({ name, help, buckets = DEFAULT_DURATION_BUCKETS }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+
+    const metric = {
+      name,
+      observe(labels = {}, value) {
+        const key = getSeriesKey(labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        bounds.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      },
+      get(labels = {}) {
+        const entry = series.get(getSeriesKey(labels));
+        return entry ? { sum: entry.sum, count: entry.count } : { sum: 0, count: 0 };
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const { labels, counts, sum, count } of series.values()) {
+          bounds.forEach((bound, index) => {
+            const bucketLabels = formatLabels({ ...labels, le: formatValue(bound) });
+            lines.push(`${name}_bucket${bucketLabels} ${counts[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+      },
+      reset() {
+        series.clear();
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  return {
+    counter,
+    histogram,
+    render() {
+      return `${metrics.flatMap((metric) => metric.render()).join('\n')}\n`;
+    },
+    reset() {
+      metrics.forEach((metric) => metric.reset());
+    },
+  };
+}
+
+// Process-wide registry and the proxy's metrics.
+const registry = createRegistry();
+
+const upstreamRequests = registry.counter({
+  name: 'bsky_upstream_requests_total',
+  help: 'Requests sent to Bluesky, by XRPC method and HTTP status (or timeout/error).',
+});
+
+const upstreamDuration = registry.histogram({
+  name: 'bsky_upstream_request_duration_seconds',
+  help: 'Latency of requests sent to Bluesky, by XRPC method.',
+});
+
+const upstreamTimeouts = registry.counter({
+  name: 'bsky_upstream_timeouts_total',
+  help: 'Upstream requests aborted with UPSTREAM_TIMEOUT, by XRPC method.',
+});
+
+const searchCacheLookups = registry.counter({
+  name: 'bsky_search_cache_lookups_total',
+  help: 'Search cache lookups by result (hit, stale or miss).',
+});
+
+const sessionRefreshes = registry.counter({
+  name: 'bsky_session_refreshes_total',
+  help: 'Session renewals after a 401 from Bluesky, by outcome (refreshed, recreated or failed).',
+});
+
+const searchFallbacks = registry.counter({
+  name: 'bsky_search_fallbacks_total',
+  help: 'Searches sent unauthenticated to the fallback AppView because no session was available.',
+});
+
+const searchResponses = registry.counter({
+  name: 'bsky_search_responses_total',
+  help: 'Responses sent by the search proxy, by route and HTTP status.',
+});
+
+const webhookDeliveries = registry.counter({
+  name: 'bsky_webhook_deliveries_total',
+  help: 'Saved-search webhook deliveries by outcome (delivered or failed), after retries.',
+});
+
+module.exports = {
+  PROMETHEUS_CONTENT_TYPE,
+  createRegistry,
+  registry,
+  upstreamRequests,
+  upstreamDuration,
+  upstreamTimeouts,
+  searchCacheLookups,
+  sessionRefreshes,
+  searchFallbacks,
+  searchResponses,
+  webhookDeliveries,
+};
@@ -0,0 +1,650 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { PUBLIC_API, configErrors } = require('./config');
+const { createStoreFromEnv } = require('./kv-store');
+const { fetchWithTimeout } = require('./upstream');
+
+// Per-user sign-in with ATProto OAuth (PAR + PKCE + DPoP) as a public web client. Tokens and
+// DPoP keys stay server-side in an `oauth` namespace of the CACHE_BACKEND store; the browser
+// only holds an opaque HttpOnly session cookie. Signed-in searches go to the user's own PDS
+// with their token.
+//   OAUTH_PUBLIC_URL    this deployment's origin (https://search.example); enables sign-in.
+//                       http://127.0.0.1:<port> uses the ATProto loopback client for local dev.
+//                       Needs CACHE_BACKEND=redis (or file on a single host): login, callback
+//                       and search may each run on a different instance
+//   PLC_DIRECTORY_URL   did:plc resolver (default https://plc.directory)
+
+const OAUTH_SCOPE = 'atproto transition:generic';
+const SESSION_COOKIE = 'bsky_session';
+// Ties a callback to the browser that started the sign-in, against login CSRF.
+const LOGIN_COOKIE = 'bsky_oauth_login';
+const PENDING_TTL_MS = 10 * 60 * 1000;
+const SESSION_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+// Route response when the session store fails.
+const OAUTH_UNAVAILABLE_ERROR = 'Sign-in is temporarily unavailable. Please try again.';
+const HANDLE_PATTERN = /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+const DID_PATTERN = /^did:(plc:[a-z2-7]{24}|web:[a-z0-9.-]+(%3A\d+)?)$/;
+
+function isLoopbackHost(hostname) {
+  return hostname === '127.0.0.1' || hostname === '[::1]' || hostname === 'localhost';
+}
+
+// Origins configured in env must use https; plain http is only accepted on loopback (local dev).
+function isAllowedOriginUrl(value) {
+  try {
+    const url = new URL(value);
+    return (
+      url.protocol === 'https:' || (url.protocol === 'http:' && isLoopbackHost(url.hostname))
+    );
+  } catch {
+    return false;
+  }
+}
+
+function readOriginEnv(name, fallback) {
+  const raw = (process.env[name] || '').trim();
+  if (!raw) return fallback;
+  let url = null;
+  try {
+    url = new URL(raw);
+  } catch {
+    url = null;
+  }
+  if (!url || !isAllowedOriginUrl(raw) || url.pathname !== '/' || url.search || url.hash) {
+    console.error(`OAuth misconfigured: ${name} is not an https origin.`);
+    configErrors.push(`${name} must be an https origin without a path.`);
+    return fallback;
+  }
+  return url.origin;
+}
+
+const OAUTH_PUBLIC_URL = readOriginEnv('OAUTH_PUBLIC_URL', null);
+const PLC_DIRECTORY = readOriginEnv('PLC_DIRECTORY_URL', 'https://plc.directory');
+const IS_LOOPBACK_CLIENT = Boolean(
+  OAUTH_PUBLIC_URL && isLoopbackHost(new URL(OAUTH_PUBLIC_URL).hostname)
+);
+const REDIRECT_URI = OAUTH_PUBLIC_URL && `${OAUTH_PUBLIC_URL}/api/oauth/callback`;
+
+function parseIpv6(address) {
+  let text = address;
+  const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted[2].split('.').map(Number);
+    text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : Array(8 - headParts.length - tailParts.length).fill('0');
+  return [...headParts, ...zeros, ...tailParts].map((part) => parseInt(part, 16));
+}
+
+function isPrivateIpv4(address) {
+  const [a, b] = address.split('.').map(Number);
+  return (
+    a === 0 || // "this network"
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) || // carrier-grade NAT
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    a >= 224 // multicast and reserved
+  );
+}
+
+// Loopback, private, link-local and other non-public IP literals (brackets allowed for IPv6).
+function isPrivateAddress(hostname) {
+  const address = hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIPv4(address)) return isPrivateIpv4(address);
+  if (!net.isIPv6(address)) return false;
+
+  const parts = parseIpv6(address);
+  if (parts.slice(0, 5).every((part) => part === 0) && parts[5] === 0xffff) {
+    return isPrivateIpv4(`${parts[6] >> 8}.${parts[6] & 255}.${parts[7] >> 8}.${parts[7] & 255}`);
+  }
+  return (
+    parts.slice(0, 7).every((part) => part === 0) || // :: and ::1
+    (parts[0] & 0xfe00) === 0xfc00 || // unique local, fc00::/7
+    (parts[0] & 0xffc0) === 0xfe80 || // link-local, fe80::/10
+    (parts[0] & 0xff00) === 0xff00 // multicast
+  );
+}
+
+// PDS, issuer and endpoint URLs come from the DID document and metadata of any handle a user
+// types, so outside local dev they must be https and must not name this host or a private,
+// loopback or link-local address. Host names are checked once resolved, by
+// checkServiceAddress.
+function isAllowedServiceUrl(value) {
+  try {
+    const url = new URL(value);
+    if (isLoopbackHost(url.hostname) || isPrivateAddress(url.hostname)) {
+      return IS_LOOPBACK_CLIENT && (url.protocol === 'http:' || url.protocol === 'https:');
+    }
+    return url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+// Reject a service whose host name resolves to a private address. The fetch resolves the name
+// again, so a host that changes its answer in between is not caught; this stops plain DNS
+// entries pointing into the deployment's network.
+async function checkServiceAddress(value) {
+  if (IS_LOOPBACK_CLIENT) return;
+  const { hostname } = new URL(value);
+  if (net.isIP(hostname.replace(/^\[(.*)\]$/, '$1'))) return;
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`${hostname} resolves to a private address`);
+  }
+}
+
+// Pending sign-ins and sessions get a store of their own, so cached pages and rate-limit
+// buckets never evict them. An in-memory store would lose them between instances.
+function createOAuthStore() {
+  if (!OAUTH_PUBLIC_URL) return null;
+  let store = null;
+  try {
+    store = createStoreFromEnv(process.env, { namespace: 'oauth' });
+  } catch {
+    // shared-cache already reports the misconfigured backend.
+  }
+  if (store && store.kind !== 'memory') {
+    return store;
+  }
+  console.error('OAuth disabled: OAUTH_PUBLIC_URL requires a shared CACHE_BACKEND.');
+  configErrors.push(
+    'OAUTH_PUBLIC_URL requires CACHE_BACKEND=redis (or file on a single host); sign-in is off.'
+  );
+  return null;
+}
+
+const oauthStore = createOAuthStore();
+
+function isOAuthEnabled() {
+  return Boolean(oauthStore);
+}
+
+// Loopback clients have no metadata document; the client_id itself carries the settings.
+function getClientId() {
+  if (IS_LOOPBACK_CLIENT) {
+    const params = new URLSearchParams({ redirect_uri: REDIRECT_URI, scope: OAUTH_SCOPE });
+    return `http://localhost?${params}`;
+  }
+  return `${OAUTH_PUBLIC_URL}/oauth/client-metadata.json`;
+}
+
+function getClientMetadata() {
+  return {
+    client_id: getClientId(),
+    client_name: 'Bluesky Term Search',
+    client_uri: OAUTH_PUBLIC_URL,
+    redirect_uris: [REDIRECT_URI],
+    scope: OAUTH_SCOPE,
+    grant_types: ['authorization_code', 'refresh_token'],
+    response_types: ['code'],
+    application_type: 'web',
+    token_endpoint_auth_method: 'none',
+    dpop_bound_access_tokens: true,
+  };
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// ============================================================================
+// DPoP (RFC 9449)
+// ============================================================================
+function createDpopKey() {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  return privateKey.export({ format: 'jwk' });
+}
+
+function createDpopProof(privateJwk, { method, url, nonce, accessToken }) {
+  const { kty, crv, x, y } = privateJwk;
+  const header = { typ: 'dpop+jwt', alg: 'ES256', jwk: { kty, crv, x, y } };
+  const target = new URL(url);
+  const payload = {
+    jti: randomToken(16),
+    htm: method,
+    htu: `${target.origin}${target.pathname}`,
+    iat: Math.floor(Date.now() / 1000),
+  };
+  if (nonce) payload.nonce = nonce;
+  if (accessToken) payload.ath = base64url(sha256(accessToken));
+
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), {
+    key: crypto.createPrivateKey({ key: privateJwk, format: 'jwk' }),
+    dsaEncoding: 'ieee-p1363',
+  });
+  return `${signingInput}.${base64url(signature)}`;
+}
+
+async function isNonceChallenge(response) {
+  if (!response.headers.get('dpop-nonce')) return false;
+  if (response.status === 401) {
+    return /use_dpop_nonce/.test(response.headers.get('www-authenticate') || '');
+  }
+  if (response.status === 400) {
+    const body = await response
+      .clone()
+      .json()
+      .catch(() => null);
+    return body?.error === 'use_dpop_nonce';
+  }
+  return false;
+}
+
+// Send a DPoP-bound request, retrying once when the server asks for a fresh nonce.
+// `holder` is { dpopJwk, dpopNonces } and keeps the latest nonce per origin.
+async function dpopFetch(holder, url, options) {
+  const { method = 'GET', headers = {}, body, accessToken, timeoutMs } = options;
+  const origin = new URL(url).origin;
+  let response;
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    const proof = createDpopProof(holder.dpopJwk, {
+      method,
+      url,
+      nonce: holder.dpopNonces[origin],
+      accessToken,
+    });
+    const requestHeaders = { ...headers, DPoP: proof };
+    if (accessToken) requestHeaders.Authorization = `DPoP ${accessToken}`;
+    response = await fetchWithTimeout(url, { method, headers: requestHeaders, body }, timeoutMs);
+
+    const nonce = response.headers.get('dpop-nonce');
+    const retry = attempt === 0 && (await isNonceChallenge(response));
+    if (nonce) holder.dpopNonces[origin] = nonce;
+    if (!retry) break;
+  }
+  return response;
+}
+
+// ============================================================================
+// Identity and authorization server discovery
+// ============================================================================
+async function fetchJson(url) {
+  const response = await fetchWithTimeout(url, { headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`${new URL(url).pathname} returned ${response.status}`);
+  }
+  return response.json();
+}
+
+async function fetchDidDocument(did) {
+  if (did.startsWith('did:plc:')) {
+    return fetchJson(`${PLC_DIRECTORY}/${did}`);
+  }
+  const host = decodeURIComponent(did.slice('did:web:'.length));
+  const url = `https://${host}/.well-known/did.json`;
+  if (!isAllowedServiceUrl(url)) return null;
+  await checkServiceAddress(url);
+  return fetchJson(url);
+}
+
+// { did, handle, pdsUrl } for a handle or DID. A handle must be confirmed by the DID document.
+async function resolveIdentity(identifier) {
+  const input = identifier.trim().replace(/^@/, '').toLowerCase();
+  let did = input;
+  if (!DID_PATTERN.test(input)) {
+    if (!HANDLE_PATTERN.test(input)) return null;
+    const params = new URLSearchParams({ handle: input });
+    did = (await fetchJson(`${PUBLIC_API}/com.atproto.identity.resolveHandle?${params}`)).did;
+    if (typeof did !== 'string' || !DID_PATTERN.test(did)) return null;
+  }
+
+  const document = await fetchDidDocument(did);
+  if (document?.id !== did) return null;
+  const handle = (document.alsoKnownAs || [])
+    .find((alias) => typeof alias === 'string' && alias.startsWith('at://'))
+    ?.slice('at://'.length)
+    .toLowerCase();
+  if (did !== input && handle !== input) return null;
+  const pds = (document.service || []).find(
+    (service) => service.id === '#atproto_pds' || service.id === `${did}#atproto_pds`
+  );
+  const pdsUrl = typeof pds?.serviceEndpoint === 'string' ? pds.serviceEndpoint : null;
+  if (!pdsUrl || !isAllowedServiceUrl(pdsUrl)) return null;
+  return { did, handle: handle || null, pdsUrl: new URL(pdsUrl).origin };
+}
+
+async function discoverAuthorizationServer(pdsUrl) {
+  await checkServiceAddress(pdsUrl);
+  const resource = await fetchJson(`${pdsUrl}/.well-known/oauth-protected-resource`);
+  const issuer = resource?.authorization_servers?.[0];
+  if (typeof issuer !== 'string' || !isAllowedServiceUrl(issuer)) return null;
+
+  await checkServiceAddress(issuer);
+  const metadata = await fetchJson(`${issuer}/.well-known/oauth-authorization-server`);
+  const endpoints = [
+    metadata?.authorization_endpoint,
+    metadata?.token_endpoint,
+    metadata?.pushed_authorization_request_endpoint,
+  ];
+  if (
+    metadata?.issuer !== issuer ||
+    !endpoints.every((endpoint) => typeof endpoint === 'string' && isAllowedServiceUrl(endpoint))
+  ) {
+    return null;
+  }
+  return metadata;
+}
+
+// ============================================================================
+// Sign-in flow
+// ============================================================================
+function getPendingKey(state) {
+  return `oauth:pending:${state}`;
+}
+
+function getSessionKey(sessionId) {
+  return `oauth:session:${sha256(sessionId).toString('hex')}`;
+}
+
+function toTokenSet(tokens) {
+  return {
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token,
+    expiresAt: Date.now() + (Number(tokens.expires_in) || 300) * 1000,
+  };
+}
+
+// POST a DPoP-signed form to the authorization server; the JSON body, or null on any failure.
+async function postForm(holder, url, params) {
+  try {
+    await checkServiceAddress(url);
+    const response = await dpopFetch(holder, url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ client_id: getClientId(), ...params }).toString(),
+    });
+    const body = await response.json().catch(() => null);
+    return response.ok ? body : null;
+  } catch (error) {
+    console.error('OAuth request failed:', error.message || 'Unknown error');
+    return null;
+  }
+}
+
+async function postTokenRequest(holder, tokenEndpoint, params) {
+  const body = await postForm(holder, tokenEndpoint, params);
+  if (body?.token_type !== 'DPoP' || typeof body.access_token !== 'string') {
+    return null;
+  }
+  return body;
+}
+
+// Resolves to { redirectUrl, loginNonce } for the authorization server, or { status, error }.
+// The nonce goes into the login cookie; only its hash is stored with the pending sign-in.
+async function startLogin(identifier) {
+  let identity;
+  let metadata;
+  try {
+    identity = await resolveIdentity(identifier);
+    metadata = identity && (await discoverAuthorizationServer(identity.pdsUrl));
+  } catch (error) {
+    console.error('OAuth discovery failed:', error.message || 'Unknown error');
+    return { status: 502, error: 'Could not reach the account’s server.' };
+  }
+  if (!identity) {
+    return { status: 400, error: 'Could not resolve that handle.' };
+  }
+  if (!metadata) {
+    return { status: 502, error: 'The account’s server does not support OAuth sign-in.' };
+  }
+
+  const state = randomToken();
+  const codeVerifier = randomToken();
+  const loginNonce = randomToken();
+  const pending = {
+    loginNonceHash: sha256(loginNonce).toString('hex'),
+    did: identity.did,
+    handle: identity.handle,
+    pdsUrl: identity.pdsUrl,
+    issuer: metadata.issuer,
+    tokenEndpoint: metadata.token_endpoint,
+    codeVerifier,
+    dpopJwk: createDpopKey(),
+    dpopNonces: {},
+  };
+
+  const par = await postForm(pending, metadata.pushed_authorization_request_endpoint, {
+    redirect_uri: REDIRECT_URI,
+    response_type: 'code',
+    scope: OAUTH_SCOPE,
+    state,
+    code_challenge: base64url(sha256(codeVerifier)),
+    code_challenge_method: 'S256',
+    login_hint: identity.handle || identity.did,
+  });
+  if (typeof par?.request_uri !== 'string') {
+    return { status: 502, error: 'The authorization server rejected the sign-in request.' };
+  }
+
+  await oauthStore.set(getPendingKey(state), pending, PENDING_TTL_MS);
+  const params = new URLSearchParams({ client_id: getClientId(), request_uri: par.request_uri });
+  return { redirectUrl: `${metadata.authorization_endpoint}?${params}`, loginNonce };
+}
+
+function isLoginNonceFor(pending, loginNonce) {
+  if (!loginNonce || typeof pending.loginNonceHash !== 'string') return false;
+  const expected = Buffer.from(pending.loginNonceHash, 'hex');
+  const actual = sha256(loginNonce);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Exchange the callback's code. `loginNonce` is the login cookie of the browser making the
+// callback, so a code for someone else's account cannot be planted in it.
+// Resolves to { sessionId, handle } or { status, error }.
+async function completeLogin({ state, code, iss, loginNonce }) {
+  const pending = state ? await oauthStore.get(getPendingKey(state)) : null;
+  if (!pending) {
+    return { status: 400, error: 'Sign-in expired. Please try again.' };
+  }
+  await oauthStore.delete(getPendingKey(state));
+  if (!isLoginNonceFor(pending, loginNonce)) {
+    return { status: 400, error: 'Sign-in was started in another browser. Please try again.' };
+  }
+  if (iss !== pending.issuer || !code) {
+    return { status: 400, error: 'Sign-in response did not match the request.' };
+  }
+
+  const tokens = await postTokenRequest(pending, pending.tokenEndpoint, {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: REDIRECT_URI,
+    code_verifier: pending.codeVerifier,
+  });
+  // The token must be for the account we resolved, or the issuer is not its authority.
+  if (!tokens || tokens.sub !== pending.did || !/\batproto\b/.test(tokens.scope || '')) {
+    return { status: 502, error: 'Sign-in failed at the authorization server.' };
+  }
+
+  const sessionId = randomToken();
+  const session = {
+    did: pending.did,
+    handle: pending.handle,
+    pdsUrl: pending.pdsUrl,
+    issuer: pending.issuer,
+    tokenEndpoint: pending.tokenEndpoint,
+    dpopJwk: pending.dpopJwk,
+    dpopNonces: pending.dpopNonces,
+    ...toTokenSet(tokens),
+  };
+  await oauthStore.set(getSessionKey(sessionId), session, SESSION_TTL_MS);
+  return { sessionId, handle: session.handle };
+}
+
+// ============================================================================
+// Sessions
+// ============================================================================
+function readCookie(req, cookieName) {
+  const header = req.headers?.cookie;
+  if (typeof header !== 'string') return null;
+  for (const part of header.split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name === cookieName) {
+      const value = rest.join('=');
+      return /^[A-Za-z0-9_-]{20,100}$/.test(value) ? value : null;
+    }
+  }
+  return null;
+}
+
+function getSessionCookie(req) {
+  return readCookie(req, SESSION_COOKIE);
+}
+
+function getLoginCookie(req) {
+  return readCookie(req, LOGIN_COOKIE);
+}
+
+function buildCookie(name, value, path, maxAgeSeconds) {
+  const secure = OAUTH_PUBLIC_URL?.startsWith('https:') ? '; Secure' : '';
+  return (
+    `${name}=${value}; Path=${path}; HttpOnly; SameSite=Lax; ` +
+    `Max-Age=${maxAgeSeconds}${secure}`
+  );
+}
+
+function buildSessionCookie(sessionId, maxAgeSeconds = SESSION_TTL_MS / 1000) {
+  return buildCookie(SESSION_COOKIE, sessionId, '/', maxAgeSeconds);
+}
+
+function buildClearedSessionCookie() {
+  return buildSessionCookie('', 0);
+}
+
+// Lax still sends it on the authorization server's top-level redirect to the callback.
+function buildLoginCookie(loginNonce, maxAgeSeconds = PENDING_TTL_MS / 1000) {
+  return buildCookie(LOGIN_COOKIE, loginNonce, '/api/oauth', maxAgeSeconds);
+}
+
+function buildClearedLoginCookie() {
+  return buildLoginCookie('', 0);
+}
+
+async function loadSession(req) {
+  if (!isOAuthEnabled()) return null;
+  const sessionId = getSessionCookie(req);
+  if (!sessionId) return null;
+  const session = await oauthStore.get(getSessionKey(sessionId));
+  return session ? { sessionId, session } : null;
+}
+
+const refreshes = new Map();
+
+// Rotate the token pair once per session at a time; concurrent callers share the refresh.
+function refreshTokens(sessionId, session) {
+  if (!refreshes.has(sessionId)) {
+    const refresh = (async () => {
+      const tokens = await postTokenRequest(session, session.tokenEndpoint, {
+        grant_type: 'refresh_token',
+        refresh_token: session.refreshToken,
+      });
+      if (!tokens || tokens.sub !== session.did) {
+        await oauthStore.delete(getSessionKey(sessionId));
+        return false;
+      }
+      Object.assign(session, toTokenSet(tokens));
+      try {
+        await oauthStore.set(getSessionKey(sessionId), session, SESSION_TTL_MS);
+      } catch (error) {
+        // Use the new tokens anyway; without the rotated refresh token saved, the stored
+        // session will need a fresh sign-in once these expire.
+        console.error('OAuth session save failed:', error.message || 'Unknown error');
+      }
+      return true;
+    })().finally(() => refreshes.delete(sessionId));
+    refreshes.set(sessionId, refresh);
+  }
+  return refreshes.get(sessionId);
+}
+
+// The signed-in account behind a request, or null for anonymous use (also when the session
+// store fails, so search keeps working). `fetchXrpc` calls the user's PDS with their
+// DPoP-bound token, refreshing it when it is about to expire.
+async function getRequestAccount(req) {
+  let loaded;
+  try {
+    loaded = await loadSession(req);
+  } catch (error) {
+    console.error('OAuth session lookup failed:', error.message || 'Unknown error');
+    return null;
+  }
+  if (!loaded) return null;
+  const { sessionId, session } = loaded;
+
+  return {
+    did: session.did,
+    handle: session.handle,
+    async fetchXrpc(nsid, params, timeoutMs) {
+      if (session.expiresAt - TOKEN_REFRESH_MARGIN_MS <= Date.now()) {
+        await refreshTokens(sessionId, session);
+      }
+      const url = `${session.pdsUrl}/xrpc/${nsid}?${params}`;
+      const send = () => dpopFetch(session, url, { accessToken: session.accessToken, timeoutMs });
+      let response = await send();
+      if (response.status === 401 && (await refreshTokens(sessionId, session))) {
+        response = await send();
+      }
+      return response;
+    },
+  };
+}
+
+async function getSessionInfo(req) {
+  const loaded = await loadSession(req);
+  if (!loaded) return { signedIn: false };
+  return { signedIn: true, did: loaded.session.did, handle: loaded.session.handle };
+}
+
+// Forget the session here and ask the authorization server to revoke the refresh token.
+async function endSession(req) {
+  const loaded = await loadSession(req);
+  if (!loaded) return;
+  await oauthStore.delete(getSessionKey(loaded.sessionId));
+  try {
+    const { issuer } = loaded.session;
+    const metadata = await fetchJson(`${issuer}/.well-known/oauth-authorization-server`);
+    if (metadata?.revocation_endpoint && isAllowedServiceUrl(metadata.revocation_endpoint)) {
+      await postForm(loaded.session, metadata.revocation_endpoint, {
+        token: loaded.session.refreshToken,
+      });
+    }
+  } catch (error) {
+    console.error('OAuth revocation failed:', error.message || 'Unknown error');
+  }
+}
+
+module.exports = {
+  OAUTH_SCOPE,
+  OAUTH_UNAVAILABLE_ERROR,
+  buildClearedLoginCookie,
+  buildClearedSessionCookie,
+  buildLoginCookie,
+  buildSessionCookie,
+  completeLogin,
+  createDpopProof,
+  endSession,
+  getClientMetadata,
+  getLoginCookie,
+  getRequestAccount,
+  getSessionInfo,
+  isOAuthEnabled,
+  resolveIdentity,
+  startLogin,
+};
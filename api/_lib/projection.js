@@ -0,0 +1,92 @@
+// Response projections for search results. The cache always holds the full upstream payload;
+// `view=compact` trims each post at response time to the fields the frontend renders, filters
+// on and matches queries against (see createPostElement, the filters and getPostSearchText in
+// src/utils.mjs).
+const SEARCH_VIEWS = ['full', 'compact'];
+const IMAGES_EMBED_VIEW = 'app.bsky.embed.images#view';
+const EXTERNAL_EMBED_VIEW = 'app.bsky.embed.external#view';
+const RECORD_EMBED_VIEW = 'app.bsky.embed.record#view';
+const RECORD_WITH_MEDIA_EMBED_VIEW = 'app.bsky.embed.recordWithMedia#view';
+
+function pickDefined(source, keys) {
+  const picked = {};
+  keys.forEach((key) => {
+    if (source?.[key] !== undefined) {
+      picked[key] = source[key];
+    }
+  });
+  return picked;
+}
+
+// A quoted post keeps only its text, which the query and mute matching read.
+function projectQuotedRecord(record) {
+  return typeof record?.value?.text === 'string' ? { value: { text: record.value.text } } : null;
+}
+
+// Images render; link cards, quoted text and recordWithMedia's media stay for
+// getPostSearchText, since upstream may have matched the post on them.
+function projectEmbed(embed) {
+  if (embed?.$type === IMAGES_EMBED_VIEW && Array.isArray(embed.images)) {
+    return {
+      $type: IMAGES_EMBED_VIEW,
+      images: embed.images.map((image) => pickDefined(image, ['thumb', 'fullsize', 'alt'])),
+    };
+  }
+  if (embed?.$type === EXTERNAL_EMBED_VIEW && embed.external) {
+    return {
+      $type: EXTERNAL_EMBED_VIEW,
+      external: pickDefined(embed.external, ['uri', 'title', 'description']),
+    };
+  }
+  if (embed?.$type === RECORD_EMBED_VIEW) {
+    const record = projectQuotedRecord(embed.record);
+    return record ? { $type: RECORD_EMBED_VIEW, record } : undefined;
+  }
+  if (embed?.$type === RECORD_WITH_MEDIA_EMBED_VIEW) {
+    const record = projectQuotedRecord(embed.record?.record);
+    const media = projectEmbed(embed.media);
+    if (!record && !media) return undefined;
+    return {
+      $type: RECORD_WITH_MEDIA_EMBED_VIEW,
+      ...(record ? { record: { record } } : {}),
+      ...(media ? { media } : {}),
+    };
+  }
+  return undefined;
+}
+
+function projectLabels(labels) {
+  if (!Array.isArray(labels) || labels.length === 0) {
+    return undefined;
+  }
+  return labels.map((label) => pickDefined(label, ['src', 'val']));
+}
+
+function projectCompactPost(post) {
+  const projected = {
+    uri: post.uri,
+    author: pickDefined(post.author, ['handle', 'displayName', 'avatar']),
+    record: pickDefined(post.record, ['text', 'createdAt', 'reply', 'tags']),
+    ...pickDefined(post, ['indexedAt', 'likeCount', 'repostCount', 'replyCount', 'quoteCount']),
+  };
+
+  const embed = projectEmbed(post.embed);
+  if (embed) projected.embed = embed;
+  const labels = projectLabels(post.labels);
+  if (labels) projected.labels = labels;
+  return projected;
+}
+
+// Apply `view` to a searchPosts payload ({ posts, cursor, hitsTotal }); other keys pass through.
+function projectSearchPayload(payload, view) {
+  if (view !== 'compact' || !Array.isArray(payload?.posts)) {
+    return payload;
+  }
+  return { ...payload, posts: payload.posts.map(projectCompactPost) };
+}
+
+module.exports = {
+  SEARCH_VIEWS,
+  projectCompactPost,
+  projectSearchPayload,
+};
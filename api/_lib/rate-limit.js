@@ -0,0 +1,64 @@
+const { createMemoryStore } = require('./kv-store');
+
+// Token bucket: each client holds up to `burst` tokens, refilled at `refillPerSecond`.
+// Buckets live in a pluggable store; reads and writes are not atomic, so a shared remote
+// store may let a few concurrent requests through — acceptable for abuse protection.
+function createTokenBucketLimiter({
+  store = createMemoryStore(),
+  burst,
+  refillPerSecond,
+  keyPrefix = 'ratelimit:',
+  now = Date.now,
+}) {
+  const bucketTtlMs = Math.ceil((burst / refillPerSecond) * 1000);
+
+  // `cost` lets one request spend several tokens; it is capped at `burst` so any request can
+  // eventually be admitted.
+  async function consume(clientKey, cost = 1) {
+    const price = Math.min(Math.max(cost, 1), burst);
+    const key = `${keyPrefix}${clientKey}`;
+    const currentTime = now();
+    const bucket = await store.get(key);
+    const elapsedSeconds = bucket ? Math.max(0, currentTime - bucket.updatedAt) / 1000 : 0;
+    const tokens = bucket
+      ? Math.min(burst, bucket.tokens + elapsedSeconds * refillPerSecond)
+      : burst;
+
+    if (tokens < price) {
+      await store.set(key, { tokens, updatedAt: currentTime }, bucketTtlMs);
+      return {
+        allowed: false,
+        remaining: Math.floor(tokens),
+        retryAfterMs: Math.ceil(((price - tokens) / refillPerSecond) * 1000),
+      };
+    }
+
+    await store.set(key, { tokens: tokens - price, updatedAt: currentTime }, bucketTtlMs);
+    return { allowed: true, remaining: Math.floor(tokens - price), retryAfterMs: 0 };
+  }
+
+  return { consume };
+}
+
+function getHeader(req, name) {
+  const value = req.headers?.[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Client IP as reported by the platform proxy (leftmost X-Forwarded-For entry).
+function getClientIp(req) {
+  const forwardedFor = getHeader(req, 'x-forwarded-for');
+  if (typeof forwardedFor === 'string' && forwardedFor.trim()) {
+    return forwardedFor.split(',')[0].trim();
+  }
+  const realIp = getHeader(req, 'x-real-ip');
+  if (typeof realIp === 'string' && realIp.trim()) {
+    return realIp.trim();
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+module.exports = {
+  createTokenBucketLimiter,
+  getClientIp,
+};
@@ -0,0 +1,63 @@
+const { getQueryString, stripControlChars } = require('./search');
+
+// Result filters the proxy applies to fetched pages before responding, unlike the searchPosts
+// filters it forwards upstream. Cached pages stay unfiltered so every combination shares them.
+//   minLikes    drop posts with fewer likes
+//   sinceHours  drop posts older than this many hours
+const MAX_MIN_LIKES = 1000000;
+const MAX_SINCE_HOURS = 24 * 30;
+
+const RESULT_FILTER_PARSERS = {
+  minLikes(raw) {
+    if (!/^\d+$/.test(raw)) return null;
+    const value = Number(raw);
+    return value <= MAX_MIN_LIKES ? value : null;
+  },
+  sinceHours(raw) {
+    if (!/^\d+(\.\d+)?$/.test(raw)) return null;
+    const value = Number(raw);
+    return value > 0 && value <= MAX_SINCE_HOURS ? value : null;
+  },
+};
+
+// { resultFilters } (null when nothing is filtered) or { error } for the 400 response.
+function parseResultFilters(query) {
+  const resultFilters = {};
+  for (const [key, parse] of Object.entries(RESULT_FILTER_PARSERS)) {
+    const raw = stripControlChars(getQueryString(query?.[key])).trim();
+    if (!raw) continue;
+    const value = parse(raw);
+    if (value === null) {
+      return { error: `Invalid ${key} parameter.` };
+    }
+    if (value > 0) {
+      resultFilters[key] = value;
+    }
+  }
+  return { resultFilters: Object.keys(resultFilters).length > 0 ? resultFilters : null };
+}
+
+// Mirrors getPostTimestamp in src/utils.mjs.
+function getPostTimestamp(post) {
+  const time = new Date(post?.record?.createdAt || post?.indexedAt).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
+
+// Compile `resultFilters` against `now`: `matches(post)` and, for the time window, `isTooOld`
+// so latest-sorted paging can stop once a page runs past it.
+function createResultMatcher(resultFilters, now = Date.now()) {
+  const minLikes = resultFilters?.minLikes || 0;
+  const cutoffTs = resultFilters?.sinceHours ? now - resultFilters.sinceHours * 3600000 : null;
+  const isTooOld = (post) => cutoffTs !== null && getPostTimestamp(post) < cutoffTs;
+  return {
+    isTooOld,
+    matches: (post) => (post?.likeCount || 0) >= minLikes && !isTooOld(post),
+  };
+}
+
+module.exports = {
+  MAX_MIN_LIKES,
+  MAX_SINCE_HOURS,
+  createResultMatcher,
+  parseResultFilters,
+};
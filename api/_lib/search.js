@@ -0,0 +1,601 @@
+const { BSKY_SERVICE, SEARCH_FALLBACK_API, readNumberEnv } = require('./config');
+const { createMemoryStore } = require('./kv-store');
+const { searchCacheLookups, searchFallbacks } = require('./metrics');
+const { createTokenBucketLimiter, getClientIp } = require('./rate-limit');
+const {
+  createSessionUnavailableError,
+  getPoolRateLimit,
+  hasAvailableMember,
+  hasCredentials,
+  isSessionUnavailableError,
+  resetSessionForTests,
+  selectPoolMember,
+} = require('./session');
+const { getSharedCacheStore, setSharedCacheStore, usesSharedCache } = require('./shared-cache');
+const {
+  UPSTREAM_TIMEOUT_MS,
+  createUpstreamTimeoutError,
+  fetchWithTimeout,
+  isUpstreamTimeoutError,
+} = require('./upstream');
+
+// Search core shared by the /api/search handlers: query validation, the two-level result
+// cache, coalesced upstream fetches with retries, and per-client rate limiting.
+
+// Per-client rate limit: token bucket keyed on client IP. Every visitor shares the server's
+// Bluesky accounts, so a single client must not be able to drain their budget. Burst 0
+// disables it.
+const CLIENT_RATE_LIMIT_BURST = readNumberEnv('SEARCH_RATE_LIMIT_BURST', 30);
+const CLIENT_RATE_LIMIT_REFILL_PER_SECOND = readNumberEnv(
+  'SEARCH_RATE_LIMIT_REFILL_PER_SECOND',
+  0.5,
+  0.001
+);
+let clientRateLimiter = createClientRateLimiter(getSharedCacheStore());
+
+function createClientRateLimiter(store) {
+  if (CLIENT_RATE_LIMIT_BURST < 1) return null;
+  return createTokenBucketLimiter({
+    store,
+    burst: CLIENT_RATE_LIMIT_BURST,
+    refillPerSecond: CLIENT_RATE_LIMIT_REFILL_PER_SECOND,
+  });
+}
+
+// Swap the limiter's storage (e.g. for a shared key-value store); used by tests too.
+function setClientRateLimitStore(store) {
+  clientRateLimiter = createClientRateLimiter(store);
+}
+
+// Returns true when the request may proceed; otherwise sends the 429 response.
+// `cost` is the number of upstream searches the request may trigger.
+async function enforceClientRateLimit(req, res, cost = 1) {
+  if (!clientRateLimiter) return true;
+
+  let result;
+  try {
+    result = await clientRateLimiter.consume(getClientIp(req), cost);
+  } catch (error) {
+    // Fail open: a broken limiter store must not take search down with it.
+    console.error('Client rate limiter failed:', error.message || 'Unknown error');
+    return true;
+  }
+
+  if (result.allowed) return true;
+  res.setHeader('Retry-After', String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))));
+  res.status(429).json({ error: 'Too many requests. Please slow down and try again shortly.' });
+  return false;
+}
+
+// Retry policy for rate-limited (429) and transient (5xx) upstream search responses.
+// Attempts share the UPSTREAM_TIMEOUT_MS budget, so retries never outlive the function.
+const UPSTREAM_RETRY_MAX_ATTEMPTS = 3;
+const UPSTREAM_RETRY_BASE_DELAY_MS = 250;
+const UPSTREAM_RETRY_MIN_ATTEMPT_MS = 1000;
+const RETRYABLE_UPSTREAM_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function parseHeaderInteger(headers, name) {
+  const value = headers?.get?.(name);
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Math.floor(parsed) : null;
+}
+
+function parseRateLimitHeaders(headers) {
+  const remaining = parseHeaderInteger(headers, 'ratelimit-remaining');
+  if (remaining === null) return null;
+  return {
+    limit: parseHeaderInteger(headers, 'ratelimit-limit'),
+    remaining,
+    reset: parseHeaderInteger(headers, 'ratelimit-reset'),
+  };
+}
+
+// Retry-After may be delta-seconds or an HTTP date.
+function parseRetryAfterMs(headers, now = Date.now()) {
+  const value = headers?.get?.('retry-after');
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim()) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Delay before the next attempt: server hints win, otherwise jittered exponential backoff.
+function getRetryDelayMs(response, attempt, now = Date.now()) {
+  const retryAfterMs = parseRetryAfterMs(response.headers, now);
+  if (retryAfterMs !== null) {
+    return retryAfterMs;
+  }
+
+  const rateLimit = parseRateLimitHeaders(response.headers);
+  if (rateLimit && rateLimit.remaining <= 0 && rateLimit.reset) {
+    return Math.max(0, rateLimit.reset * 1000 - now);
+  }
+
+  const backoff = UPSTREAM_RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+function discardResponseBody(response) {
+  if (typeof response.body?.cancel === 'function') {
+    response.body.cancel().catch(() => {});
+  }
+}
+
+// Search results cache with two-tier TTL and size cap: entries are fresh for 30s,
+// then served stale (while a background refresh runs) until the 5 minute hard limit.
+const SEARCH_CACHE_TTL_MS = 30000;
+const SEARCH_CACHE_STALE_TTL_MS = 5 * 60 * 1000;
+const SEARCH_CACHE_CLEANUP_INTERVAL_MS = 5000;
+const MAX_SEARCH_CACHE_SIZE = 500;
+const searchResultsCache = new Map();
+let lastSearchCacheCleanupAt = 0;
+
+// Upstream searches currently in flight, keyed like searchResultsCache.
+// Concurrent identical requests await the same promise instead of refetching.
+const inFlightSearches = new Map();
+
+// Second-level search cache entries in the shared store (see _lib/shared-cache).
+const SHARED_SEARCH_KEY_PREFIX = 'search:';
+
+const SEARCH_SORTS = ['top', 'latest'];
+const MAX_SEARCH_TERM_LENGTH = 500;
+
+function getQueryString(value) {
+  if (Array.isArray(value)) {
+    return value[0];
+  }
+  return typeof value === 'string' ? value : '';
+}
+
+function stripControlChars(value) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/[\u0000-\u001F\u007F-\u009F]/g, '');
+}
+
+// Optional app.bsky.feed.searchPosts filters, in cache-key order.
+const SEARCH_FILTER_KEYS = ['author', 'mentions', 'since', 'until', 'domain', 'url', 'tag'];
+const MAX_SEARCH_TAGS = 10;
+const MAX_TAG_LENGTH = 64;
+const HANDLE_PATTERN =
+  /^([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/;
+const DID_PATTERN = /^did:[a-z]+:[a-zA-Z0-9._:%-]+$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,9})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+function normalizeActor(value) {
+  const actor = value.startsWith('@') ? value.slice(1) : value;
+  if (actor.startsWith('did:')) {
+    return actor.length <= 256 && DID_PATTERN.test(actor) ? actor : null;
+  }
+  return actor.length <= 253 && HANDLE_PATTERN.test(actor) ? actor.toLowerCase() : null;
+}
+
+// Accepts YYYY-MM-DD (UTC midnight) or a full ISO 8601 datetime with offset.
+function normalizeDateTime(value) {
+  if (!DATE_ONLY_PATTERN.test(value) && !DATETIME_PATTERN.test(value)) {
+    return null;
+  }
+  const time = Date.parse(DATE_ONLY_PATTERN.test(value) ? `${value}T00:00:00Z` : value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function normalizeDomain(value) {
+  const domain = value.toLowerCase();
+  return domain.length <= 253 && HANDLE_PATTERN.test(domain) ? domain : null;
+}
+
+function normalizeLinkUrl(value) {
+  if (value.length > 1000) return null;
+  try {
+    const parsed = new URL(value);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+function normalizeTags(value) {
+  const tags = value
+    .split(',')
+    .map((tag) => tag.trim().replace(/^#/, ''))
+    .filter(Boolean);
+  if (tags.length === 0 || tags.length > MAX_SEARCH_TAGS) return null;
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH || /\s/.test(tag))) return null;
+  return tags.join(',');
+}
+
+const SEARCH_FILTER_NORMALIZERS = {
+  author: normalizeActor,
+  mentions: normalizeActor,
+  since: normalizeDateTime,
+  until: normalizeDateTime,
+  domain: normalizeDomain,
+  url: normalizeLinkUrl,
+  tag: normalizeTags,
+};
+
+// Parse optional search filters from the request query.
+// Returns { filters } on success or { error } with a client-facing message.
+function parseSearchFilters(query) {
+  const filters = {};
+  for (const key of SEARCH_FILTER_KEYS) {
+    const raw = stripControlChars(getQueryString(query?.[key])).trim();
+    if (!raw) continue;
+    const normalized = SEARCH_FILTER_NORMALIZERS[key](raw);
+    if (!normalized) {
+      return { error: `Invalid ${key} parameter.` };
+    }
+    filters[key] = normalized;
+  }
+
+  if (filters.since && filters.until && Date.parse(filters.since) >= Date.parse(filters.until)) {
+    return { error: 'The since parameter must be earlier than until.' };
+  }
+
+  return { filters };
+}
+
+// Generate cache key for search results. Signed-in results depend on the account's blocks
+// and mutes, so they are keyed per DID.
+function getSearchCacheKey(term, cursor, sort, filters = {}, account = null) {
+  return JSON.stringify([
+    term,
+    cursor || '',
+    sort,
+    ...SEARCH_FILTER_KEYS.map((key) => filters?.[key] || ''),
+    ...(account ? [account.did] : []),
+  ]);
+}
+
+// Get cached search result if still usable: { data, stale } or null past the hard limit
+function getCachedSearchResult(cacheKey) {
+  const cached = searchResultsCache.get(cacheKey);
+  if (!cached) return null;
+  const age = Date.now() - cached.timestamp;
+  if (age > SEARCH_CACHE_STALE_TTL_MS) {
+    searchResultsCache.delete(cacheKey);
+    return null;
+  }
+  // Refresh order for LRU-style eviction without extending TTL.
+  searchResultsCache.delete(cacheKey);
+  searchResultsCache.set(cacheKey, cached);
+  return { data: cached.data, stale: age > SEARCH_CACHE_TTL_MS };
+}
+
+// Fall back to the shared cache backend on a first-level miss, hydrating the local Map.
+async function loadSharedSearchResult(cacheKey) {
+  if (!usesSharedCache()) return null;
+  try {
+    const entry = await getSharedCacheStore().get(`${SHARED_SEARCH_KEY_PREFIX}${cacheKey}`);
+    if (!entry || !Number.isFinite(entry.timestamp)) return null;
+    searchResultsCache.set(cacheKey, { data: entry.data, timestamp: entry.timestamp });
+    enforceSearchCacheLimit();
+    return getCachedSearchResult(cacheKey);
+  } catch (error) {
+    console.error('Shared search cache read failed:', error.message || 'Unknown error');
+    return null;
+  }
+}
+
+async function saveSharedSearchResult(cacheKey, entry) {
+  if (!usesSharedCache()) return;
+  try {
+    await getSharedCacheStore().set(
+      `${SHARED_SEARCH_KEY_PREFIX}${cacheKey}`,
+      entry,
+      SEARCH_CACHE_STALE_TTL_MS
+    );
+  } catch (error) {
+    console.error('Shared search cache write failed:', error.message || 'Unknown error');
+  }
+}
+
+function enforceSearchCacheLimit() {
+  while (searchResultsCache.size > MAX_SEARCH_CACHE_SIZE) {
+    const oldestKey = searchResultsCache.keys().next().value;
+    if (oldestKey === undefined) {
+      break;
+    }
+    searchResultsCache.delete(oldestKey);
+  }
+}
+
+// Clean up expired cache entries periodically
+function cleanupSearchCache() {
+  const now = Date.now();
+  for (const [key, value] of searchResultsCache.entries()) {
+    if (now - value.timestamp > SEARCH_CACHE_STALE_TTL_MS) {
+      searchResultsCache.delete(key);
+    }
+  }
+  enforceSearchCacheLimit();
+}
+
+function resetModuleStateForTests() {
+  resetSessionForTests();
+  searchResultsCache.clear();
+  inFlightSearches.clear();
+  lastSearchCacheCleanupAt = 0;
+  setSharedCacheStore(createMemoryStore());
+  setClientRateLimitStore(getSharedCacheStore());
+}
+
+// `auth` is { accessJwt } for a pooled account's session, { account } for a signed-in user,
+// whose search goes to their own PDS under their own token, or { fallback: true } for an
+// unauthenticated search of the fallback AppView.
+async function searchPosts(term, cursor, auth, sort, filters = {}, timeoutMs) {
+  const sortValue = sort === 'latest' ? 'latest' : 'top';
+  const params = new URLSearchParams({
+    q: term,
+    sort: sortValue,
+    limit: '100',
+    lang: 'en', // Intentionally English-only; do not make configurable
+  });
+
+  if (cursor) {
+    params.set('cursor', cursor);
+  }
+
+  for (const key of SEARCH_FILTER_KEYS) {
+    if (!filters[key]) continue;
+    if (key === 'tag') {
+      filters.tag.split(',').forEach((tag) => params.append('tag', tag));
+    } else {
+      params.set(key, filters[key]);
+    }
+  }
+
+  if (auth.account) {
+    return auth.account.fetchXrpc('app.bsky.feed.searchPosts', params, timeoutMs);
+  }
+
+  if (auth.fallback) {
+    const url = `${SEARCH_FALLBACK_API}/app.bsky.feed.searchPosts?${params}`;
+    return fetchWithTimeout(url, {}, timeoutMs);
+  }
+
+  return fetchWithTimeout(
+    `${BSKY_SERVICE}/app.bsky.feed.searchPosts?${params}`,
+    {
+      headers: {
+        Authorization: `Bearer ${auth.accessJwt}`,
+      },
+    },
+    timeoutMs
+  );
+}
+
+// Run searchPosts, retrying 429/5xx responses while the deadline leaves room for another attempt.
+// Responses are reported to the pooled `auth.member`; with `auth.canRotate` a 429 returns at
+// once so the caller can move to another account instead of waiting this one out.
+async function searchPostsWithRetry(term, cursor, auth, sort, filters, deadline) {
+  for (let attempt = 0; ; attempt += 1) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      throw createUpstreamTimeoutError();
+    }
+
+    const response = await searchPosts(term, cursor, auth, sort, filters, remainingMs);
+    auth.member?.recordResult({
+      status: response.status,
+      rateLimit: parseRateLimitHeaders(response.headers),
+      retryAfterMs: parseRetryAfterMs(response.headers),
+    });
+
+    if (
+      !RETRYABLE_UPSTREAM_STATUSES.has(response.status) ||
+      attempt + 1 >= UPSTREAM_RETRY_MAX_ATTEMPTS ||
+      (response.status === 429 && auth.canRotate)
+    ) {
+      return response;
+    }
+
+    const delayMs = getRetryDelayMs(response, attempt);
+    if (Date.now() + delayMs + UPSTREAM_RETRY_MIN_ATTEMPT_MS > deadline) {
+      return response;
+    }
+
+    discardResponseBody(response);
+    await sleep(delayMs);
+  }
+}
+
+function isSearchFallbackEnabled() {
+  return Boolean(SEARCH_FALLBACK_API);
+}
+
+function toSessionError(error) {
+  return isUpstreamTimeoutError(error) ? error : createSessionUnavailableError(error);
+}
+
+// Search with a pooled account, moving to the next healthiest one when an account is
+// rate limited or its session cannot be created.
+async function searchWithPool(term, cursor, sort, filters, deadline) {
+  const tried = new Set();
+  for (;;) {
+    const member = selectPoolMember(tried);
+    if (!member) {
+      throw createSessionUnavailableError();
+    }
+    tried.add(member);
+
+    let session;
+    try {
+      session = await member.ensureSession();
+    } catch (error) {
+      if (!hasAvailableMember(tried)) throw toSessionError(error);
+      continue;
+    }
+
+    const auth = { accessJwt: session.accessJwt, member, canRotate: hasAvailableMember(tried) };
+    let response = await searchPostsWithRetry(term, cursor, auth, sort, filters, deadline);
+    if (response.status === 401) {
+      try {
+        session = await member.refreshOrCreateSession();
+      } catch (error) {
+        if (!hasAvailableMember(tried)) throw toSessionError(error);
+        continue;
+      }
+      auth.accessJwt = session.accessJwt;
+      response = await searchPostsWithRetry(term, cursor, auth, sort, filters, deadline);
+    }
+
+    if (response.status !== 429 || !hasAvailableMember(tried)) {
+      return response;
+    }
+    discardResponseBody(response);
+  }
+}
+
+// Pooled search, degrading to an unauthenticated search of the fallback AppView when no
+// session is available. Degraded results are not cached, so recovery shows up immediately.
+async function searchWithFallback(term, cursor, sort, filters, deadline) {
+  try {
+    return { response: await searchWithPool(term, cursor, sort, filters, deadline) };
+  } catch (error) {
+    if (!isSearchFallbackEnabled() || !isSessionUnavailableError(error)) throw error;
+    console.error('Searching without a session:', error.message || 'Unknown error');
+    searchFallbacks.inc({ reason: hasCredentials() ? 'session_failed' : 'no_credentials' });
+    const auth = { fallback: true };
+    return {
+      response: await searchPostsWithRetry(term, cursor, auth, sort, filters, deadline),
+      degraded: true,
+    };
+  }
+}
+
+async function runUpstreamSearch(cacheKey, term, cursor, sort, filters, deadline, account) {
+  const { response, degraded = false } = account
+    ? { response: await searchPostsWithRetry(term, cursor, { account }, sort, filters, deadline) }
+    : await searchWithFallback(term, cursor, sort, filters, deadline);
+  const payload = await response.json().catch(() => null);
+
+  if (response.ok && !degraded) {
+    // Cache the successful result
+    const entry = { data: payload, timestamp: Date.now() };
+    searchResultsCache.set(cacheKey, entry);
+    enforceSearchCacheLimit();
+    await saveSharedSearchResult(cacheKey, entry);
+  }
+
+  const retryAfterMs = response.ok ? null : parseRetryAfterMs(response.headers);
+  return { ok: response.ok, status: response.status, payload, retryAfterMs, degraded };
+}
+
+// Expose the account pool's remaining upstream budget so clients can back off.
+function setRateLimitHeaders(res) {
+  const rateLimit = getPoolRateLimit();
+  if (!rateLimit) return;
+  res.setHeader('X-RateLimit-Remaining', String(rateLimit.remaining));
+  if (rateLimit.limit !== null) {
+    res.setHeader('X-RateLimit-Limit', String(rateLimit.limit));
+  }
+  if (rateLimit.reset !== null) {
+    res.setHeader('X-RateLimit-Reset', String(rateLimit.reset));
+  }
+}
+
+// Resolve a search via upstream, sharing one fetch between concurrent callers.
+// Every caller sees the same result or the same rejection (including timeouts).
+// Resolves to { ok, status, payload, retryAfterMs, degraded }; a joined fetch keeps its first
+// deadline. `degraded` marks results from the unauthenticated fallback AppView.
+// `account` (from getRequestAccount) searches as that user; its cache key must include it.
+function fetchSearchResult(
+  cacheKey,
+  term,
+  cursor,
+  sort,
+  filters,
+  deadline = Date.now() + UPSTREAM_TIMEOUT_MS,
+  account = null
+) {
+  const existing = inFlightSearches.get(cacheKey);
+  if (existing) {
+    return existing;
+  }
+
+  const request = runUpstreamSearch(
+    cacheKey,
+    term,
+    cursor,
+    sort,
+    filters,
+    deadline,
+    account
+  ).finally(() => {
+    inFlightSearches.delete(cacheKey);
+  });
+  inFlightSearches.set(cacheKey, request);
+  return request;
+}
+
+// Look up both cache levels, recording the outcome. Returns { data, stale } or null on a miss;
+// stale entries are revalidated in the background (coalescing with any refresh in flight).
+async function readCachedSearch(cacheKey, term, cursor, sort, filters, account = null) {
+  const cachedResult =
+    getCachedSearchResult(cacheKey) || (await loadSharedSearchResult(cacheKey));
+  if (!cachedResult) {
+    searchCacheLookups.inc({ result: 'miss' });
+    return null;
+  }
+
+  if (cachedResult.stale) {
+    // Best effort: the platform may freeze the instance once the response is sent.
+    fetchSearchResult(cacheKey, term, cursor, sort, filters, undefined, account).catch((error) => {
+      console.error('Background search refresh failed:', error.message || 'Unknown error');
+    });
+  }
+  searchCacheLookups.inc({ result: cachedResult.stale ? 'stale' : 'hit' });
+  return cachedResult;
+}
+
+// Periodically clean up expired cache entries
+function cleanupSearchCacheIfDue() {
+  const now = Date.now();
+  if (
+    searchResultsCache.size > 100 ||
+    now - lastSearchCacheCleanupAt > SEARCH_CACHE_CLEANUP_INTERVAL_MS
+  ) {
+    cleanupSearchCache();
+    lastSearchCacheCleanupAt = now;
+  }
+}
+
+module.exports = {
+  SEARCH_FILTER_KEYS,
+  SEARCH_SORTS,
+  MAX_SEARCH_TERM_LENGTH,
+  SEARCH_CACHE_TTL_MS,
+  SEARCH_CACHE_STALE_TTL_MS,
+  MAX_SEARCH_CACHE_SIZE,
+  UPSTREAM_RETRY_MAX_ATTEMPTS,
+  CLIENT_RATE_LIMIT_BURST,
+  getQueryString,
+  stripControlChars,
+  parseSearchFilters,
+  getSearchCacheKey,
+  getCachedSearchResult,
+  cleanupSearchCache,
+  cleanupSearchCacheIfDue,
+  enforceSearchCacheLimit,
+  searchResultsCache,
+  inFlightSearches,
+  readCachedSearch,
+  fetchSearchResult,
+  parseRateLimitHeaders,
+  parseRetryAfterMs,
+  getRetryDelayMs,
+  setRateLimitHeaders,
+  isSearchFallbackEnabled,
+  enforceClientRateLimit,
+  setClientRateLimitStore,
+  resetModuleStateForTests,
+};
+
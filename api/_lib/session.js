@@ -0,0 +1,426 @@
+const crypto = require('crypto');
+const { BSKY_SERVICE, configErrors } = require('./config');
+const { sessionRefreshes } = require('./metrics');
+const { getSharedCacheStore, usesSharedCache } = require('./shared-cache');
+const { fetchWithTimeout } = require('./upstream');
+
+// Pool of Bluesky accounts the proxy searches with. BSKY_HANDLE/BSKY_APP_PASSWORD is the first
+// account; BSKY_ACCOUNTS adds more as a JSON array of { handle, password }. Each search goes
+// to the healthiest account (see selectPoolMember); an account whose session cannot be
+// created is quarantined with growing backoff. Health is tracked per instance.
+
+// Session cache with TTL (2 hours, refresh tokens last longer)
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+const SHARED_SESSION_KEY = 'session:shared';
+const QUARANTINE_BASE_MS = 60 * 1000;
+const QUARANTINE_MAX_MS = 30 * 60 * 1000;
+const THROTTLE_DEFAULT_MS = 60 * 1000;
+const SESSION_UNAVAILABLE_ERROR_CODE = 'SESSION_UNAVAILABLE';
+
+// No pooled account could provide a session: none configured, all quarantined, or the last
+// candidate's session creation failed.
+function createSessionUnavailableError(cause) {
+  const error = new Error(cause?.message || 'No Bluesky account available.');
+  error.code = SESSION_UNAVAILABLE_ERROR_CODE;
+  return error;
+}
+
+function isSessionUnavailableError(error) {
+  return Boolean(error && error.code === SESSION_UNAVAILABLE_ERROR_CODE);
+}
+
+function readAccountsEnv() {
+  const accounts = [];
+  const handles = new Set();
+  function addAccount(handle, password) {
+    const key = handle.trim().toLowerCase();
+    if (handles.has(key)) return;
+    handles.add(key);
+    accounts.push({ handle: handle.trim(), password });
+  }
+
+  if (process.env.BSKY_HANDLE && process.env.BSKY_APP_PASSWORD) {
+    addAccount(process.env.BSKY_HANDLE, process.env.BSKY_APP_PASSWORD);
+  }
+
+  const raw = (process.env.BSKY_ACCOUNTS || '').trim();
+  if (!raw) return accounts;
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    parsed = null;
+  }
+  if (!Array.isArray(parsed)) {
+    console.error('Account pool misconfigured: BSKY_ACCOUNTS is not a JSON array.');
+    configErrors.push('BSKY_ACCOUNTS must be a JSON array of { handle, password }.');
+    return accounts;
+  }
+  parsed.forEach((entry, index) => {
+    if (
+      typeof entry?.handle !== 'string' ||
+      !entry.handle.trim() ||
+      typeof entry.password !== 'string' ||
+      !entry.password
+    ) {
+      configErrors.push(`BSKY_ACCOUNTS entry ${index} needs a handle and password.`);
+      return;
+    }
+    addAccount(entry.handle, entry.password);
+  });
+  return accounts;
+}
+
+// One pooled account: its session (the former module-level ensureSession and
+// refreshOrCreateSession logic) plus the health signals used for routing.
+function createPoolMember({ handle, password }, index) {
+  // The first account keeps the original shared key; others are keyed by a handle digest.
+  const sharedKey =
+    index === 0
+      ? SHARED_SESSION_KEY
+      : `${SHARED_SESSION_KEY}:${crypto.createHash('sha256').update(handle).digest('hex')}`;
+  let cachedSession = null;
+  let sessionCreatedAt = null;
+  let sessionPromise = null;
+  const health = {
+    rateLimit: null,
+    throttledUntil: 0,
+    recentThrottles: [],
+    quarantinedUntil: 0,
+    failures: 0,
+    lastUsedAt: 0,
+  };
+
+  async function createSession() {
+    const response = await fetchWithTimeout(`${BSKY_SERVICE}/com.atproto.server.createSession`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        identifier: handle,
+        password,
+      }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const message = errorData.message || `Create session failed: ${response.status}`;
+      throw new Error(message);
+    }
+
+    return response.json();
+  }
+
+  async function refreshSession() {
+    if (!cachedSession?.refreshJwt) {
+      throw new Error('Missing refresh token.');
+    }
+
+    const response = await fetchWithTimeout(`${BSKY_SERVICE}/com.atproto.server.refreshSession`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${cachedSession.refreshJwt}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const message = errorData.message || `Refresh session failed: ${response.status}`;
+      throw new Error(message);
+    }
+
+    return response.json();
+  }
+
+  async function loadSharedSession() {
+    if (!usesSharedCache()) return null;
+    try {
+      const stored = await getSharedCacheStore().get(sharedKey);
+      if (!stored?.session?.accessJwt || !Number.isFinite(stored.createdAt)) return null;
+      if (Date.now() - stored.createdAt > SESSION_TTL_MS) return null;
+      return stored;
+    } catch (error) {
+      console.error('Shared session read failed:', error.message || 'Unknown error');
+      return null;
+    }
+  }
+
+  async function saveSharedSession(session, createdAt) {
+    if (!usesSharedCache()) return;
+    try {
+      const ttlMs = SESSION_TTL_MS - (Date.now() - createdAt);
+      await getSharedCacheStore().set(sharedKey, { session, createdAt }, ttlMs);
+    } catch (error) {
+      console.error('Shared session write failed:', error.message || 'Unknown error');
+    }
+  }
+
+  async function clearSharedSession() {
+    if (!usesSharedCache()) return;
+    try {
+      await getSharedCacheStore().delete(sharedKey);
+    } catch (error) {
+      console.error('Shared session delete failed:', error.message || 'Unknown error');
+    }
+  }
+
+  function isSessionExpired() {
+    if (!cachedSession || !sessionCreatedAt) return true;
+    return Date.now() - sessionCreatedAt > SESSION_TTL_MS;
+  }
+
+  function markSessionCreated(session) {
+    cachedSession = session;
+    sessionCreatedAt = Date.now();
+    health.failures = 0;
+    health.quarantinedUntil = 0;
+  }
+
+  // Take the account out of rotation, doubling the wait after each consecutive failure.
+  function quarantine(error) {
+    health.failures += 1;
+    const delayMs = Math.min(QUARANTINE_MAX_MS, QUARANTINE_BASE_MS * 2 ** (health.failures - 1));
+    health.quarantinedUntil = Date.now() + delayMs;
+    console.error(
+      `Account ${index} quarantined for ${Math.round(delayMs / 1000)}s:`,
+      error.message || 'Unknown error'
+    );
+  }
+
+  async function ensureSession() {
+    if (cachedSession && !isSessionExpired()) {
+      return cachedSession;
+    }
+
+    if (!sessionPromise) {
+      sessionPromise = (async () => {
+        const stored = await loadSharedSession();
+        if (stored) {
+          cachedSession = stored.session;
+          sessionCreatedAt = stored.createdAt;
+          return stored.session;
+        }
+
+        let session;
+        try {
+          session = await createSession();
+        } catch (error) {
+          quarantine(error);
+          throw error;
+        }
+        markSessionCreated(session);
+        await saveSharedSession(session, sessionCreatedAt);
+        return session;
+      })().finally(() => {
+        sessionPromise = null;
+      });
+    }
+
+    return sessionPromise;
+  }
+
+  // Called after Bluesky rejects the access token (401).
+  async function refreshOrCreateSession() {
+    if (sessionPromise) {
+      return sessionPromise;
+    }
+
+    sessionPromise = (async () => {
+      if (cachedSession?.refreshJwt) {
+        try {
+          const refreshed = await refreshSession();
+          markSessionCreated(refreshed);
+          await saveSharedSession(refreshed, sessionCreatedAt);
+          sessionRefreshes.inc({ outcome: 'refreshed' });
+          return refreshed;
+        } catch (refreshError) {
+          const refreshMessage =
+            refreshError && typeof refreshError.message === 'string'
+              ? refreshError.message
+              : 'Unknown refresh error';
+          console.error('Session refresh failed:', refreshMessage);
+          cachedSession = null;
+          sessionCreatedAt = null;
+          await clearSharedSession();
+        }
+      }
+
+      try {
+        const created = await createSession();
+        markSessionCreated(created);
+        await saveSharedSession(created, sessionCreatedAt);
+        sessionRefreshes.inc({ outcome: 'recreated' });
+        return created;
+      } catch (createError) {
+        sessionRefreshes.inc({ outcome: 'failed' });
+        quarantine(createError);
+        throw createError;
+      }
+    })().finally(() => {
+      sessionPromise = null;
+    });
+
+    return sessionPromise;
+  }
+
+  // Feed back an upstream search response: { status, rateLimit, retryAfterMs }.
+  function recordResult({ status, rateLimit, retryAfterMs }) {
+    const now = Date.now();
+    if (rateLimit) {
+      health.rateLimit = rateLimit;
+    }
+    if (status === 429) {
+      health.recentThrottles.push(now);
+      const resetMs = rateLimit?.remaining <= 0 && rateLimit.reset ? rateLimit.reset * 1000 : 0;
+      health.throttledUntil = Math.max(now + (retryAfterMs ?? THROTTLE_DEFAULT_MS), resetMs);
+    }
+  }
+
+  function isAvailable(now = Date.now()) {
+    return health.quarantinedUntil <= now && health.throttledUntil <= now;
+  }
+
+  // Higher is healthier: the share of the upstream budget left, minus recent 429s.
+  function getScore(now = Date.now()) {
+    health.recentThrottles = health.recentThrottles.filter((at) => now - at < QUARANTINE_MAX_MS);
+    const rateLimit = getRateLimit(now);
+    const budget =
+      rateLimit && rateLimit.limit ? Math.max(0, rateLimit.remaining) / rateLimit.limit : 1;
+    return budget - health.recentThrottles.length * 0.1;
+  }
+
+  function getRateLimit(now = Date.now()) {
+    const { rateLimit } = health;
+    if (!rateLimit) return null;
+    if (rateLimit.reset && rateLimit.reset * 1000 <= now) return null;
+    return rateLimit;
+  }
+
+  async function getStatus() {
+    let createdAt = cachedSession && !isSessionExpired() ? sessionCreatedAt : null;
+    let source = createdAt ? 'local' : null;
+    if (!createdAt) {
+      const stored = await loadSharedSession();
+      if (stored) {
+        createdAt = stored.createdAt;
+        source = 'shared';
+      }
+    }
+    return { createdAt, source };
+  }
+
+  return {
+    index,
+    health,
+    ensureSession,
+    refreshOrCreateSession,
+    recordResult,
+    isAvailable,
+    isSessionExpired,
+    getScore,
+    getRateLimit,
+    getStatus,
+    markUsed() {
+      health.lastUsedAt = Date.now();
+    },
+  };
+}
+
+const POOL_ACCOUNTS = readAccountsEnv();
+let pool = POOL_ACCOUNTS.map(createPoolMember);
+
+function hasCredentials() {
+  return pool.length > 0;
+}
+
+// The healthiest account not in `exclude`: available accounts by score, least recently used
+// first on ties. When every remaining account is throttled, the one free soonest. Null when
+// the pool is empty or every remaining account is quarantined.
+function selectPoolMember(exclude = new Set()) {
+  const now = Date.now();
+  const candidates = pool.filter(
+    (member) => !exclude.has(member) && member.health.quarantinedUntil <= now
+  );
+  if (candidates.length === 0) return null;
+
+  const available = candidates.filter((member) => member.isAvailable(now));
+  const [best] = available.length
+    ? available.sort(
+        (a, b) => b.getScore(now) - a.getScore(now) || a.health.lastUsedAt - b.health.lastUsedAt
+      )
+    : candidates.sort((a, b) => a.health.throttledUntil - b.health.throttledUntil);
+  best.markUsed();
+  return best;
+}
+
+// Whether another account outside `exclude` could serve a request right now.
+function hasAvailableMember(exclude = new Set()) {
+  const now = Date.now();
+  return pool.some((member) => !exclude.has(member) && member.isAvailable(now));
+}
+
+// Combined upstream budget across the pool: { limit, remaining, reset } or null when unknown.
+function getPoolRateLimit() {
+  const now = Date.now();
+  const rateLimits = pool.map((member) => member.getRateLimit(now)).filter(Boolean);
+  if (rateLimits.length === 0) return null;
+  const resets = rateLimits.map((rateLimit) => rateLimit.reset).filter((reset) => reset !== null);
+  return {
+    limit: rateLimits.every((rateLimit) => rateLimit.limit !== null)
+      ? rateLimits.reduce((sum, rateLimit) => sum + rateLimit.limit, 0)
+      : null,
+    remaining: rateLimits.reduce((sum, rateLimit) => sum + rateLimit.remaining, 0),
+    reset: resets.length ? Math.min(...resets) : null,
+  };
+}
+
+function isSessionExpired() {
+  return pool[0] ? pool[0].isSessionExpired() : true;
+}
+
+// Session summary for health checks. Never includes tokens or the account identifier.
+// Falls back to the shared store so a fresh instance can report a session another one created.
+// Reports the first account's session, plus per-pool counts when there is more than one.
+async function getSessionStatus() {
+  const { createdAt, source } = pool[0] ? await pool[0].getStatus() : {};
+  const status = createdAt
+    ? {
+        active: true,
+        source,
+        ageSeconds: Math.floor((Date.now() - createdAt) / 1000),
+        expiresInSeconds: Math.max(
+          0,
+          Math.floor((SESSION_TTL_MS - (Date.now() - createdAt)) / 1000)
+        ),
+      }
+    : { active: false };
+
+  if (pool.length > 1) {
+    const now = Date.now();
+    status.pool = {
+      accounts: pool.length,
+      available: pool.filter((member) => member.isAvailable(now)).length,
+      quarantined: pool.filter((member) => member.health.quarantinedUntil > now).length,
+    };
+  }
+  return status;
+}
+
+function resetSessionForTests() {
+  pool = POOL_ACCOUNTS.map(createPoolMember);
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  SESSION_UNAVAILABLE_ERROR_CODE,
+  createSessionUnavailableError,
+  hasCredentials,
+  hasAvailableMember,
+  isSessionExpired,
+  isSessionUnavailableError,
+  selectPoolMember,
+  getPoolRateLimit,
+  getSessionStatus,
+  resetSessionForTests,
+};
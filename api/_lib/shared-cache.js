@@ -0,0 +1,36 @@
+const { configErrors } = require('./config');
+const { createMemoryStore, createStoreFromEnv } = require('./kv-store');
+
+// Cache backend selected by CACHE_BACKEND (see kv-store). In-process Maps stay the first-level
+// cache; a file or redis backend adds a second level so cached search pages and the Bluesky
+// session survive cold starts (and, for redis, are shared between instances).
+let sharedCacheStore = createSharedCacheStore();
+
+function createSharedCacheStore() {
+  try {
+    return createStoreFromEnv(process.env);
+  } catch (error) {
+    console.error('Cache backend misconfigured, using memory:', error.message);
+    configErrors.push(`Cache backend misconfigured: ${error.message}`);
+    return createMemoryStore();
+  }
+}
+
+function getSharedCacheStore() {
+  return sharedCacheStore;
+}
+
+// Swap the second-level cache backend (tests use this to exercise non-memory stores).
+function setSharedCacheStore(store) {
+  sharedCacheStore = store;
+}
+
+function usesSharedCache() {
+  return sharedCacheStore.kind !== 'memory';
+}
+
+module.exports = {
+  getSharedCacheStore,
+  setSharedCacheStore,
+  usesSharedCache,
+};
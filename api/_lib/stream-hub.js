@@ -0,0 +1,176 @@
+// Live search fan-out for /api/stream. Subscribers asking for the same search share one
+// channel, and each channel polls upstream on a single cadence no matter how many tabs listen.
+// A channel remembers the URIs it has seen and pushes only unseen posts. An optional
+// `livePoll` (Jetstream matches) runs on its own, shorter cadence through the same dedupe.
+// A channel outlives its last subscriber by `idleMs`, so clients reconnecting after the
+// stream's duration cap rejoin it instead of starting a new channel (and a new poll).
+
+const DEFAULT_MAX_SEEN_URIS = 5000;
+// Search indexing lags posting; posts this much older than a subscriber's watermark still count.
+const SINCE_GRACE_MS = 5 * 60 * 1000;
+
+function getPostTime(post) {
+  const time = Date.parse(post?.indexedAt || post?.record?.createdAt || '');
+  return Number.isNaN(time) ? 0 : time;
+}
+
+// `poll(params, { initial })` resolves to { posts, error, degraded } where `error` (a message)
+// means the poll failed, `degraded` that it came from the fallback AppView and `initial` marks
+// a channel's first poll. `livePoll(params)` resolves to { posts }
+// and never reports errors to subscribers.
+function createStreamHub({
+  poll,
+  intervalMs,
+  idleMs = 0,
+  livePoll = null,
+  liveIntervalMs = intervalMs,
+  maxSeenUris = DEFAULT_MAX_SEEN_URIS,
+  now = Date.now,
+}) {
+  const channels = new Map();
+
+  function rememberUris(channel, posts) {
+    posts.forEach((post) => {
+      channel.seenUris.delete(post.uri);
+      channel.seenUris.add(post.uri);
+    });
+    while (channel.seenUris.size > maxSeenUris) {
+      channel.seenUris.delete(channel.seenUris.values().next().value);
+    }
+  }
+
+  // The first delivery honours the subscriber's watermark (a reconnect's Last-Event-ID or
+  // the client's `since`); after that every post new to the channel is new to them too.
+  function deliver(channel, subscriber, posts, eventId) {
+    const { since } = subscriber;
+    subscriber.since = null;
+    const fresh =
+      since === null ? posts : posts.filter((post) => getPostTime(post) > since - SINCE_GRACE_MS);
+    if (fresh.length > 0) {
+      subscriber.onPosts(fresh, eventId, channel.degraded);
+    }
+  }
+
+  function publish(channel, posts) {
+    const eventId = now();
+    const unseen = posts.filter((post) => post?.uri && !channel.seenUris.has(post.uri));
+    rememberUris(channel, posts.filter((post) => post?.uri));
+    channel.subscribers.forEach((subscriber) => deliver(channel, subscriber, unseen, eventId));
+    return eventId;
+  }
+
+  async function pollChannel(channel) {
+    if (channel.polling) return;
+    channel.polling = true;
+    try {
+      const { posts, error, degraded = false } = await poll(channel.params, {
+        initial: !channel.lastPosts,
+      });
+      if (!channels.has(channel.key)) return;
+      if (error) {
+        channel.subscribers.forEach((subscriber) => subscriber.onError(error));
+        return;
+      }
+
+      channel.degraded = degraded;
+      channel.lastEventId = publish(channel, posts);
+      channel.lastPosts = posts;
+    } catch (error) {
+      console.error('Stream poll failed:', error.message || 'Unknown error');
+      channel.subscribers.forEach((subscriber) => subscriber.onError('Live update failed.'));
+    } finally {
+      channel.polling = false;
+    }
+  }
+
+  async function livePollChannel(channel) {
+    if (channel.livePolling) return;
+    channel.livePolling = true;
+    try {
+      const { posts } = await livePoll(channel.params);
+      // Wait for the first search poll so it still applies each subscriber's watermark.
+      if (channels.has(channel.key) && channel.lastPosts && posts.length > 0) {
+        publish(channel, posts);
+      }
+    } catch (error) {
+      console.error('Stream live poll failed:', error.message || 'Unknown error');
+    } finally {
+      channel.livePolling = false;
+    }
+  }
+
+  function closeChannel(channel) {
+    clearInterval(channel.timer);
+    clearInterval(channel.liveTimer);
+    clearTimeout(channel.idleTimer);
+    if (channels.get(channel.key) === channel) {
+      channels.delete(channel.key);
+    }
+  }
+
+  // Subscriber: { since, onPosts(posts, eventId, degraded), onError(message) }. A new channel
+  // polls every `options.intervalMs` (default: the hub's intervalMs), so the key must cover the
+  // interval. Returns unsubscribe().
+  function subscribe(key, params, subscriber, { intervalMs: channelIntervalMs = intervalMs } = {}) {
+    let channel = channels.get(key);
+    const isNewChannel = !channel;
+    if (isNewChannel) {
+      channel = {
+        key,
+        params,
+        subscribers: new Set(),
+        seenUris: new Set(),
+        lastPosts: null,
+        lastEventId: null,
+        degraded: false,
+        polling: false,
+        livePolling: false,
+        timer: null,
+        liveTimer: null,
+        idleTimer: null,
+      };
+      channels.set(key, channel);
+    }
+
+    clearTimeout(channel.idleTimer);
+    channel.idleTimer = null;
+    channel.subscribers.add(subscriber);
+    if (isNewChannel) {
+      channel.timer = setInterval(() => pollChannel(channel), channelIntervalMs);
+      pollChannel(channel);
+      if (livePoll) {
+        channel.liveTimer = setInterval(() => livePollChannel(channel), liveIntervalMs);
+        livePollChannel(channel);
+      }
+    } else if (channel.lastPosts) {
+      deliver(channel, subscriber, channel.lastPosts, channel.lastEventId);
+    }
+
+    return () => {
+      if (!channel.subscribers.delete(subscriber) || channel.subscribers.size > 0) return;
+      clearTimeout(channel.idleTimer);
+      channel.idleTimer = setTimeout(() => closeChannel(channel), idleMs);
+    };
+  }
+
+  return {
+    subscribe,
+    hasChannel(key) {
+      return channels.has(key);
+    },
+    get channelCount() {
+      return channels.size;
+    },
+    get subscriberCount() {
+      let count = 0;
+      channels.forEach((channel) => {
+        count += channel.subscribers.size;
+      });
+      return count;
+    },
+  };
+}
+
+module.exports = {
+  createStreamHub,
+};
@@ -0,0 +1,80 @@
+const { upstreamRequests, upstreamDuration, upstreamTimeouts } = require('./metrics');
+
+// Upstream fetch timeout — fits within Vercel Hobby 10s limit with 2s headroom
+const UPSTREAM_TIMEOUT_MS = 8000;
+const UPSTREAM_TIMEOUT_ERROR_CODE = 'UPSTREAM_TIMEOUT';
+
+function createUpstreamTimeoutError() {
+  const error = new Error('Upstream request timed out.');
+  error.code = UPSTREAM_TIMEOUT_ERROR_CODE;
+  return error;
+}
+
+function isUpstreamTimeoutError(error) {
+  return Boolean(error && error.code === UPSTREAM_TIMEOUT_ERROR_CODE);
+}
+
+function mergeAbortSignals(primarySignal, secondarySignal) {
+  if (!primarySignal) return secondarySignal;
+  if (!secondarySignal) return primarySignal;
+
+  if (typeof AbortSignal !== 'undefined' && typeof AbortSignal.any === 'function') {
+    return AbortSignal.any([primarySignal, secondarySignal]);
+  }
+
+  const mergedController = new AbortController();
+  const abortMerged = () => mergedController.abort();
+  primarySignal.addEventListener('abort', abortMerged, { once: true });
+  secondarySignal.addEventListener('abort', abortMerged, { once: true });
+  if (primarySignal.aborted || secondarySignal.aborted) {
+    mergedController.abort();
+  }
+
+  return mergedController.signal;
+}
+
+// Metrics label for an upstream URL: the XRPC method name (last path segment).
+function getEndpointLabel(url) {
+  try {
+    const { pathname } = new URL(url);
+    return pathname.slice(pathname.lastIndexOf('/') + 1) || 'unknown';
+  } catch {
+    return 'unknown';
+  }
+}
+
+async function fetchWithTimeout(url, options, timeoutMs = UPSTREAM_TIMEOUT_MS) {
+  const timeoutController = new AbortController();
+  const timer = setTimeout(() => timeoutController.abort(), timeoutMs);
+  const fetchOptions = { ...(options || {}) };
+  fetchOptions.signal = mergeAbortSignals(fetchOptions.signal, timeoutController.signal);
+  const endpoint = getEndpointLabel(url);
+  const startedAt = Date.now();
+  let outcome = 'error';
+
+  try {
+    const response = await fetch(url, fetchOptions);
+    outcome = String(response.status);
+    return response;
+  } catch (error) {
+    if (error?.name === 'AbortError' && timeoutController.signal.aborted) {
+      outcome = 'timeout';
+      upstreamTimeouts.inc({ endpoint });
+      throw createUpstreamTimeoutError();
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    upstreamRequests.inc({ endpoint, status: outcome });
+    upstreamDuration.observe({ endpoint }, (Date.now() - startedAt) / 1000);
+  }
+}
+
+module.exports = {
+  UPSTREAM_TIMEOUT_MS,
+  UPSTREAM_TIMEOUT_ERROR_CODE,
+  createUpstreamTimeoutError,
+  isUpstreamTimeoutError,
+  fetchWithTimeout,
+  getEndpointLabel,
+};
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const { parseAppSearchQuery, runAppSearch } = require('./app-search');
+const { DEFAULT_BATCH_PAGES } = require('./batch');
+const { configErrors, readNumberEnv } = require('./config');
+const { webhookDeliveries } = require('./metrics');
+const { projectCompactPost } = require('./projection');
+const { getSharedCacheStore } = require('./shared-cache');
+
+// Saved searches delivered to webhooks by the /api/cron/webhooks job (see its header
+// for schedules).
+//   WEBHOOK_SEARCHES  JSON array of { id, query, url }: `query` is the query string the app
+//                     keeps in its URL, `url` the http(s) endpoint that receives new matches
+//   WEBHOOK_SECRET    HMAC-SHA256 key for the X-Webhook-Signature header
+//   CRON_SECRET       bearer token the cron job is called with; also guards the log
+//   WEBHOOK_RUN_BUDGET_SECONDS  stop starting searches after this long (default 45) so a run
+//                     ends inside the function's maxDuration; the rest wait for the next run
+// Seen URIs and the delivery log live in the shared cache store, so deployments with more than
+// one instance need CACHE_BACKEND=redis (or file on a single host) to avoid redelivering.
+
+const WEBHOOK_TIMEOUT_MS = readNumberEnv('WEBHOOK_TIMEOUT_MS', 5000, 1);
+const WEBHOOK_MAX_ATTEMPTS = readNumberEnv('WEBHOOK_MAX_ATTEMPTS', 3, 1);
+const WEBHOOK_RETRY_DELAY_MS = readNumberEnv('WEBHOOK_RETRY_DELAY_MS', 1000, 0);
+const WEBHOOK_RUN_BUDGET_MS = readNumberEnv('WEBHOOK_RUN_BUDGET_SECONDS', 45, 1) * 1000;
+const WEBHOOK_SEEN_LIMIT = 2000;
+const WEBHOOK_SEEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const WEBHOOK_LOG_LIMIT = 100;
+const WEBHOOK_LOG_KEY = 'webhook:log';
+
+const SEARCH_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+function parseWebhookUrl(value) {
+  if (typeof value !== 'string') return null;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+function readSearchesEnv() {
+  const raw = (process.env.WEBHOOK_SEARCHES || '').trim();
+  if (!raw) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    parsed = null;
+  }
+  if (!Array.isArray(parsed)) {
+    console.error('Webhooks misconfigured: WEBHOOK_SEARCHES is not a JSON array.');
+    configErrors.push('WEBHOOK_SEARCHES must be a JSON array of { id, query, url }.');
+    return [];
+  }
+
+  const searches = [];
+  const ids = new Set();
+  parsed.forEach((entry, index) => {
+    const id = entry?.id;
+    const url = parseWebhookUrl(entry?.url);
+    if (typeof id !== 'string' || !SEARCH_ID_PATTERN.test(id) || ids.has(id)) {
+      configErrors.push(`WEBHOOK_SEARCHES entry ${index} needs a unique id.`);
+    } else if (typeof entry.query !== 'string' || !new URLSearchParams(entry.query).get('terms')) {
+      configErrors.push(`WEBHOOK_SEARCHES entry ${id} needs a query string with terms.`);
+    } else if (!url) {
+      configErrors.push(`WEBHOOK_SEARCHES entry ${id} needs an http(s) url.`);
+    } else {
+      ids.add(id);
+      searches.push({ id, query: entry.query, url });
+    }
+  });
+  return searches;
+}
+
+const WEBHOOK_SEARCHES = readSearchesEnv();
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const CRON_SECRET = process.env.CRON_SECRET || '';
+
+if (WEBHOOK_SEARCHES.length > 0 && !WEBHOOK_SECRET) {
+  console.error('Webhooks misconfigured: WEBHOOK_SEARCHES is set without WEBHOOK_SECRET.');
+  configErrors.push('WEBHOOK_SEARCHES requires WEBHOOK_SECRET.');
+}
+
+function isWebhooksConfigured() {
+  return Boolean(WEBHOOK_SEARCHES.length > 0 && WEBHOOK_SECRET && CRON_SECRET);
+}
+
+function isCronSecretConfigured() {
+  return Boolean(CRON_SECRET);
+}
+
+// Constant-time check of `Authorization: Bearer <CRON_SECRET>`.
+function isAuthorizedCronRequest(req) {
+  if (!CRON_SECRET) return false;
+  const header = req.headers?.authorization;
+  const expected = Buffer.from(`Bearer ${CRON_SECRET}`);
+  const actual = Buffer.from(typeof header === 'string' ? header : '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) over the raw body and compare
+// it with X-Webhook-Signature; the timestamp lets them reject replays.
+function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// POST a JSON body, retrying network errors, timeouts, 408, 429 and 5xx with exponential
+// backoff. Each attempt is signed with a fresh timestamp; the delivery id stays the same so
+// receivers can drop duplicates.
+async function deliverWebhook(url, payload, { deliveryId, secret = WEBHOOK_SECRET } = {}) {
+  const body = JSON.stringify(payload);
+  let attempts = 0;
+  let lastError = null;
+
+  while (attempts < WEBHOOK_MAX_ATTEMPTS) {
+    if (attempts > 0) {
+      await sleep(WEBHOOK_RETRY_DELAY_MS * 2 ** (attempts - 1));
+    }
+    attempts += 1;
+
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'bsky-search-webhooks',
+          'X-Webhook-Id': deliveryId,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signWebhookPayload(secret, timestamp, body),
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      if (response.ok) {
+        return { ok: true, status: response.status, attempts };
+      }
+      lastError = `HTTP ${response.status}`;
+      if (!isRetryableStatus(response.status)) {
+        return { ok: false, status: response.status, attempts, error: lastError };
+      }
+    } catch (error) {
+      lastError = error?.name === 'TimeoutError' ? 'Timed out.' : 'Request failed.';
+    }
+  }
+
+  return { ok: false, status: null, attempts, error: lastError };
+}
+
+function getSeenKey(searchId) {
+  return `webhook:seen:${searchId}`;
+}
+
+async function readSeenUris(searchId) {
+  const seen = await getSharedCacheStore().get(getSeenKey(searchId));
+  return Array.isArray(seen) ? seen : null;
+}
+
+function writeSeenUris(searchId, uris) {
+  return getSharedCacheStore().set(
+    getSeenKey(searchId),
+    uris.slice(0, WEBHOOK_SEEN_LIMIT),
+    WEBHOOK_SEEN_TTL_MS
+  );
+}
+
+async function getDeliveryLog() {
+  const log = await getSharedCacheStore().get(WEBHOOK_LOG_KEY);
+  return Array.isArray(log) ? log : [];
+}
+
+async function appendDeliveryLog(entry) {
+  const log = [entry, ...(await getDeliveryLog())].slice(0, WEBHOOK_LOG_LIMIT);
+  await getSharedCacheStore().set(WEBHOOK_LOG_KEY, log, WEBHOOK_SEEN_TTL_MS);
+}
+
+function toWebhookPost(post) {
+  return { ...projectCompactPost(post), matchedTerms: post.matchedTerms };
+}
+
+// Run one saved search and deliver the posts not seen on earlier runs. The first run only
+// records a baseline, so a new webhook is not flooded with the existing backlog. URIs are
+// marked seen after a successful delivery; failed deliveries are retried on the next run.
+// Each attempt is logged right away, so a run cut short still leaves the log in step with the
+// seen URIs.
+async function runSavedSearch(savedSearch) {
+  const { search, error } = await parseAppSearchQuery(
+    Object.fromEntries(new URLSearchParams(savedSearch.query))
+  );
+  if (error) {
+    return { id: savedSearch.id, status: 'invalid', error };
+  }
+
+  const { posts, terms } = await runAppSearch(search, DEFAULT_BATCH_PAGES);
+  if (terms.every((result) => !result.ok)) {
+    return { id: savedSearch.id, status: 'search-failed', error: terms[0].error };
+  }
+
+  const uris = posts.map((post) => post.uri);
+  const seen = await readSeenUris(savedSearch.id);
+  if (!seen) {
+    await writeSeenUris(savedSearch.id, uris);
+    return { id: savedSearch.id, status: 'baseline', postCount: 0 };
+  }
+
+  const seenSet = new Set(seen);
+  const newPosts = posts.filter((post) => !seenSet.has(post.uri));
+  if (newPosts.length === 0) {
+    return { id: savedSearch.id, status: 'unchanged', postCount: 0 };
+  }
+
+  const deliveryId = crypto.randomUUID();
+  const delivery = await deliverWebhook(
+    savedSearch.url,
+    {
+      id: deliveryId,
+      search: { id: savedSearch.id, query: savedSearch.query },
+      createdAt: new Date().toISOString(),
+      posts: newPosts.map(toWebhookPost),
+    },
+    { deliveryId }
+  );
+  webhookDeliveries.inc({ outcome: delivery.ok ? 'delivered' : 'failed' });
+
+  if (delivery.ok) {
+    await writeSeenUris(savedSearch.id, [...newPosts.map((post) => post.uri), ...seen]);
+  }
+
+  const result = {
+    id: savedSearch.id,
+    status: delivery.ok ? 'delivered' : 'failed',
+    postCount: newPosts.length,
+    delivery: {
+      id: deliveryId,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      ...(delivery.error && { error: delivery.error }),
+    },
+  };
+  await appendDeliveryLog({
+    ...result.delivery,
+    searchId: result.id,
+    outcome: result.status,
+    postCount: result.postCount,
+    at: new Date().toISOString(),
+  });
+  return result;
+}
+
+// Run the saved searches in turn until the run budget is spent; searches not started by then
+// are reported as skipped and wait for the next run.
+async function runSavedSearches(searches = WEBHOOK_SEARCHES) {
+  const deadline = Date.now() + WEBHOOK_RUN_BUDGET_MS;
+  const results = [];
+  for (const savedSearch of searches) {
+    if (Date.now() >= deadline) {
+      results.push({ id: savedSearch.id, status: 'skipped', error: 'Run time budget spent.' });
+      continue;
+    }
+    results.push(await runSavedSearch(savedSearch));
+  }
+  return results;
+}
+
+module.exports = {
+  WEBHOOK_SEARCHES,
+  deliverWebhook,
+  getDeliveryLog,
+  isAuthorizedCronRequest,
+  isCronSecretConfigured,
+  isWebhooksConfigured,
+  runSavedSearches,
+  signWebhookPayload,
+};
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+// Minimal RFC 6455 client for the Jetstream worker: text/binary messages in, ping/pong and
+// close handled here. No extensions (so no permessage-deflate) and no outgoing data frames
+// beyond control frames; that is all a read-only subscription needs.
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const DEFAULT_MAX_MESSAGE_BYTES = 1024 * 1024;
+const DEFAULT_HANDSHAKE_TIMEOUT_MS = 10000;
+
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+};
+
+// Client frames must be masked (RFC 6455 §5.3).
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const mask = crypto.randomBytes(4);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, 0x80 | payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 0x80 | 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  const masked = Buffer.alloc(payload.length);
+  for (let i = 0; i < payload.length; i += 1) {
+    masked[i] = payload[i] ^ mask[i % 4];
+  }
+  return Buffer.concat([header, mask, masked]);
+}
+
+// Incremental frame reader. Calls onFrame({ fin, opcode, payload }) per complete frame and
+// throws when a frame is larger than `maxBytes`.
+function createFrameParser(onFrame, maxBytes = DEFAULT_MAX_MESSAGE_BYTES) {
+  let buffer = Buffer.alloc(0);
+
+  return function push(chunk) {
+    buffer = buffer.length === 0 ? chunk : Buffer.concat([buffer, chunk]);
+
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        const longLength = buffer.readBigUInt64BE(2);
+        if (longLength > BigInt(maxBytes)) {
+          throw new Error('WebSocket frame too large.');
+        }
+        length = Number(longLength);
+        offset = 10;
+      }
+      if (length > maxBytes) {
+        throw new Error('WebSocket frame too large.');
+      }
+
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (buffer.length < offset + length) return;
+
+      let payload = buffer.subarray(offset, offset + length);
+      if (masked) {
+        payload = Buffer.from(payload);
+        for (let i = 0; i < payload.length; i += 1) {
+          payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+      }
+      buffer = buffer.subarray(offset + length);
+      onFrame({ fin, opcode, payload });
+    }
+  };
+}
+
+// Open a connection. Resolves to { close() } once the handshake succeeds; after that,
+// onMessage(string | Buffer) gets each message and onClose(reason) fires exactly once.
+function connectWebSocket(
+  url,
+  {
+    onMessage,
+    onClose = () => {},
+    maxMessageBytes = DEFAULT_MAX_MESSAGE_BYTES,
+    handshakeTimeoutMs = DEFAULT_HANDSHAKE_TIMEOUT_MS,
+  }
+) {
+  const target = new URL(url);
+  if (target.protocol !== 'ws:' && target.protocol !== 'wss:') {
+    return Promise.reject(new Error('WebSocket URL must use ws: or wss:.'));
+  }
+
+  const key = crypto.randomBytes(16).toString('base64');
+  const expectedAccept = crypto
+    .createHash('sha1')
+    .update(`${key}${WEBSOCKET_GUID}`)
+    .digest('base64');
+  const transport = target.protocol === 'wss:' ? https : http;
+  target.protocol = target.protocol === 'wss:' ? 'https:' : 'http:';
+
+  return new Promise((resolve, reject) => {
+    // A fresh socket: a pooled keep-alive one may already be closing.
+    const request = transport.request(target, {
+      agent: false,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': '13',
+        'User-Agent': 'bsky-search-jetstream',
+      },
+      timeout: handshakeTimeoutMs,
+    });
+
+    request.on('timeout', () => request.destroy(new Error('WebSocket handshake timed out.')));
+    request.on('error', reject);
+    request.on('response', (response) => {
+      response.resume();
+      reject(new Error(`WebSocket handshake failed: HTTP ${response.statusCode}`));
+    });
+
+    request.on('upgrade', (response, socket, head) => {
+      if (response.headers['sec-websocket-accept'] !== expectedAccept) {
+        socket.destroy();
+        reject(new Error('WebSocket handshake failed: bad Sec-WebSocket-Accept.'));
+        return;
+      }
+
+      let closed = false;
+      let fragments = [];
+      let fragmentOpcode = null;
+      let fragmentBytes = 0;
+
+      function finish(reason) {
+        if (closed) return;
+        closed = true;
+        onClose(reason);
+      }
+
+      function fail(reason) {
+        socket.destroy();
+        finish(reason);
+      }
+
+      function handleFrame({ fin, opcode, payload }) {
+        if (closed) return;
+        if (opcode === OPCODES.ping) {
+          socket.write(encodeFrame(OPCODES.pong, payload));
+          return;
+        }
+        if (opcode === OPCODES.pong) return;
+        if (opcode === OPCODES.close) {
+          socket.end(encodeFrame(OPCODES.close, payload.subarray(0, 2)));
+          finish(payload.length >= 2 ? `closed (${payload.readUInt16BE(0)})` : 'closed');
+          return;
+        }
+
+        if (opcode !== OPCODES.continuation) {
+          fragmentOpcode = opcode;
+          fragments = [];
+          fragmentBytes = 0;
+        }
+        fragments.push(payload);
+        fragmentBytes += payload.length;
+        if (fragmentBytes > maxMessageBytes) {
+          throw new Error('WebSocket message too large.');
+        }
+        if (!fin) return;
+
+        const message = Buffer.concat(fragments);
+        fragments = [];
+        fragmentBytes = 0;
+        onMessage(fragmentOpcode === OPCODES.text ? message.toString('utf8') : message);
+      }
+
+      const parse = createFrameParser(handleFrame, maxMessageBytes);
+      function handleData(chunk) {
+        try {
+          parse(chunk);
+        } catch (error) {
+          fail(error.message);
+        }
+      }
+
+      socket.setTimeout(0);
+      socket.setNoDelay(true);
+      socket.on('data', handleData);
+      socket.on('error', (error) => fail(error.message || 'socket error'));
+      socket.on('close', () => finish('connection lost'));
+
+      resolve({
+        close() {
+          if (closed) return;
+          socket.end(encodeFrame(OPCODES.close, Buffer.from([0x03, 0xe8])));
+          finish('closed by client');
+        },
+      });
+      if (head?.length) handleData(head);
+    });
+
+    request.end();
+  });
+}
+
+module.exports = {
+  connectWebSocket,
+  createFrameParser,
+  encodeFrame,
+};
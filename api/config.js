@@ -0,0 +1,13 @@
+const { PUBLIC_API } = require('./_lib/config');
+
+// Public client configuration. Never include secrets here: the response is cacheable.
+module.exports = (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.status(200).json({ publicApi: PUBLIC_API });
+};
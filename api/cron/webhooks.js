@@ -0,0 +1,57 @@
+const { searchResponses } = require('../_lib/metrics');
+const { cleanupSearchCacheIfDue, isSearchFallbackEnabled } = require('../_lib/search');
+const { hasCredentials } = require('../_lib/session');
+const {
+  isAuthorizedCronRequest,
+  isCronSecretConfigured,
+  isWebhooksConfigured,
+  runSavedSearches,
+} = require('../_lib/webhooks');
+
+// GET /api/cron/webhooks, called with `Authorization: Bearer <CRON_SECRET>`. Runs every saved
+// search in WEBHOOK_SEARCHES and posts new matches to its webhook; the body reports what
+// happened to each search.
+// vercel.json ships no cron, so deployments without webhooks are not called for nothing. To
+// enable it on Vercel Pro, add `"crons": [{ "path": "/api/cron/webhooks", "schedule":
+// "*/15 * * * *" }]` (Vercel sends the bearer token itself); Hobby plans only accept daily
+// schedules such as "0 6 * * *". Elsewhere (server.js hosts, GitHub Actions, system cron)
+// call it from an external scheduler:
+//   curl -fsS -H "Authorization: Bearer $CRON_SECRET" https://example.com/api/cron/webhooks
+async function handleWebhookCron(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  if (!isCronSecretConfigured()) {
+    return res.status(503).json({ error: 'CRON_SECRET is not configured.' });
+  }
+
+  if (!isAuthorizedCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized.' });
+  }
+
+  if (!isWebhooksConfigured()) {
+    return res.status(503).json({ error: 'Webhooks are not configured.' });
+  }
+
+  if (!hasCredentials() && !isSearchFallbackEnabled()) {
+    return res.status(500).json({
+      error: 'Server missing BSKY_HANDLE or BSKY_APP_PASSWORD.',
+    });
+  }
+
+  cleanupSearchCacheIfDue();
+  const searches = await runSavedSearches();
+  return res.status(200).json({ searches });
+}
+
+module.exports = async (req, res) => {
+  try {
+    await handleWebhookCron(req, res);
+  } finally {
+    searchResponses.inc({ route: 'webhooks', status: String(res.statusCode) });
+  }
+};
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const { DEFAULT_BATCH_PAGES, MAX_BATCH_PAGES } = require('./_lib/batch');
+const {
+  describeTimeWindow,
+  getAppSearchParams,
+  getRequestOrigin,
+  loadFrontendUtils,
+  parseAppSearchQuery,
+  runAppSearch,
+} = require('./_lib/app-search');
+const { enforceClientAccess } = require('./_lib/client-access');
+const { readNumberEnv } = require('./_lib/config');
+const { searchResponses } = require('./_lib/metrics');
+const {
+  cleanupSearchCacheIfDue,
+  enforceClientRateLimit,
+  getQueryString,
+  isSearchFallbackEnabled,
+  setRateLimitHeaders,
+  stripControlChars,
+} = require('./_lib/search');
+const { hasCredentials } = require('./_lib/session');
+
+// Machine-readable search results: GET /api/export?terms=a,b&pages=3&format=jsonfeed|ndjson
+// plus the app's URL params (minLikes, time with its custom from/to, sort, expand, filters).
+// Posts are the full upstream objects, filtered and sorted like the page, with `matchedTerms`
+// from deduplicatePosts. `format=jsonfeed` (default) is a JSON Feed 1.1 document whose items
+// carry the post under `_bluesky`; `format=ndjson` writes one post per line. Like /api/search
+// it needs an allowed origin and, with API_TOKEN_SECRET set, an X-Api-Token from /api/token.
+// Scripts and other servers skip both checks with a key of their own (the per-client rate
+// limit still applies):
+//   EXPORT_API_KEY  bearer token for server-to-server exports; unset, only pages can export
+//   curl -H "Authorization: Bearer $EXPORT_API_KEY" \
+//     'https://search.example/api/export?terms=cats,dogs&pages=3&format=ndjson'
+const EXPORT_FORMATS = ['jsonfeed', 'ndjson'];
+const EXPORT_CONTENT_TYPES = {
+  jsonfeed: 'application/feed+json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+// Pages fetched per term; every page is one upstream call and one rate-limit token.
+const EXPORT_MAX_PAGES = readNumberEnv('EXPORT_MAX_PAGES', MAX_BATCH_PAGES, 1);
+const JSON_FEED_VERSION = 'https://jsonfeed.org/version/1.1';
+const EXPORT_API_KEY = process.env.EXPORT_API_KEY || '';
+
+// Constant-time check of `Authorization: Bearer <EXPORT_API_KEY>`.
+function isAuthorizedExportRequest(req) {
+  if (!EXPORT_API_KEY) return false;
+  const header = req.headers?.authorization;
+  const expected = Buffer.from(`Bearer ${EXPORT_API_KEY}`);
+  const actual = Buffer.from(typeof header === 'string' ? header : '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function parseExportPages(value) {
+  const raw = stripControlChars(getQueryString(value)).trim();
+  if (!raw) return Math.min(DEFAULT_BATCH_PAGES, EXPORT_MAX_PAGES);
+  if (!/^\d+$/.test(raw)) return null;
+  const pages = Number(raw);
+  return pages >= 1 && pages <= EXPORT_MAX_PAGES ? pages : null;
+}
+
+function toJsonFeedItem(post, utils) {
+  const author = post.author || {};
+  const indexedAt = Date.parse(post.indexedAt || '');
+  const item = {
+    id: post.uri,
+    content_text: post.record?.text || '',
+    date_published: new Date(utils.getPostTimestamp(post)).toISOString(),
+    authors: [{ name: author.displayName || author.handle || 'Unknown' }],
+    tags: post.matchedTerms,
+    _bluesky: { post },
+  };
+  const url = author.handle ? utils.getPostUrl(post) : null;
+  if (url) {
+    item.url = url;
+    item.authors[0].url = `https://bsky.app/profile/${encodeURIComponent(author.handle)}`;
+  }
+  if (!Number.isNaN(indexedAt)) {
+    item.date_modified = new Date(indexedAt).toISOString();
+  }
+  return item;
+}
+
+async function handleExport(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  if (!isAuthorizedExportRequest(req) && !enforceClientAccess(req, res)) {
+    return;
+  }
+
+  const format =
+    stripControlChars(getQueryString(req.query.format)).trim().toLowerCase() || 'jsonfeed';
+  const pages = parseExportPages(req.query.pages);
+  const { search, error } = await parseAppSearchQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (pages === null) {
+    return res.status(400).json({ error: `Invalid pages parameter (1-${EXPORT_MAX_PAGES}).` });
+  }
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: 'Invalid format parameter.' });
+  }
+
+  if (!(await enforceClientRateLimit(req, res, search.terms.length * pages))) {
+    return;
+  }
+
+  if (!hasCredentials() && !isSearchFallbackEnabled()) {
+    return res.status(500).json({
+      error: 'Server missing BSKY_HANDLE or BSKY_APP_PASSWORD.',
+    });
+  }
+
+  cleanupSearchCacheIfDue();
+  const { posts, terms: termResults, retryAfterMs, degraded } = await runAppSearch(search, pages);
+  setRateLimitHeaders(res);
+  if (degraded) {
+    res.setHeader('X-Search-Degraded', '1');
+  }
+
+  if (termResults.every((result) => !result.ok)) {
+    if (retryAfterMs !== null) {
+      res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    }
+    return res.status(termResults[0].status).json({
+      error: termResults[0].error,
+      terms: termResults,
+    });
+  }
+
+  res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+  if (format === 'ndjson') {
+    const lines = posts.map((post) => `${JSON.stringify(post)}\n`);
+    return res.status(200).send(lines.join(''));
+  }
+
+  const utils = await loadFrontendUtils();
+  const origin = getRequestOrigin(req);
+  const appParams = getAppSearchParams(search);
+  const exportParams = new URLSearchParams(appParams);
+  exportParams.set('pages', String(pages));
+  const feed = {
+    version: JSON_FEED_VERSION,
+    title: `Bluesky search: ${search.input}`,
+    home_page_url: `${origin}/?${appParams}`,
+    feed_url: `${origin}/api/export?${exportParams}`,
+    description:
+      `Posts matching ${search.input} with at least ${search.minLikes} likes ` +
+      describeTimeWindow(search),
+    items: posts.map((post) => toJsonFeedItem(post, utils)),
+    _bluesky: { terms: termResults },
+  };
+  return res.status(200).send(JSON.stringify(feed));
+}
+
+module.exports = async (req, res) => {
+  try {
+    await handleExport(req, res);
+  } finally {
+    searchResponses.inc({ route: 'export', status: String(res.statusCode) });
+  }
+};
+
+// Test utilities export (must be after module.exports assignment)
+if (process.env.NODE_ENV === 'test') {
+  module.exports.testUtils = {
+    EXPORT_MAX_PAGES,
+    parseExportPages,
+  };
+}
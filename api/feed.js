@@ -0,0 +1,122 @@
+const { DEFAULT_BATCH_PAGES } = require('./_lib/batch');
+const {
+  describeTimeWindow,
+  getAppSearchParams,
+  getRequestOrigin,
+  loadFrontendUtils,
+  parseAppSearchQuery,
+  runAppSearch,
+} = require('./_lib/app-search');
+const { FEED_CONTENT_TYPES, FEED_FORMATS, getEntryTitle, renderFeed } = require('./_lib/feed');
+const { searchResponses } = require('./_lib/metrics');
+const {
+  cleanupSearchCacheIfDue,
+  enforceClientRateLimit,
+  getQueryString,
+  isSearchFallbackEnabled,
+  stripControlChars,
+} = require('./_lib/search');
+const { hasCredentials } = require('./_lib/session');
+
+// Atom/RSS feed of a search: GET /api/feed?terms=a,b&minLikes=10&time=24&sort=top&expand=1
+// (or time=custom&from=YYYY-MM-DD&to=YYYY-MM-DD) plus the filter params — the same query
+// string the app keeps in its URL — and
+// `format=atom|rss` (default atom). See _lib/app-search.js for how it matches the page.
+// Feed readers send no Origin or API token, so this stays public: only the per-client rate
+// limit, charged per upstream search, guards the shared accounts.
+const FEED_CACHE_MAX_AGE_SECONDS = 300;
+const APP_PAGE_PATH = '/';
+
+function toFeedEntry(post, utils) {
+  const author = post.author || {};
+  const authorName = author.displayName || author.handle || 'Unknown';
+  const published = utils.getPostTimestamp(post);
+  const indexedAt = Date.parse(post.indexedAt || '');
+  return {
+    id: post.uri,
+    url: author.handle ? utils.getPostUrl(post) : null,
+    title: getEntryTitle(authorName, post.record?.text),
+    text: post.record?.text || '',
+    authorName,
+    published,
+    updated: Number.isNaN(indexedAt) ? published : Math.max(published, indexedAt),
+    categories: post.matchedTerms || [],
+  };
+}
+
+async function handleFeed(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  const format = stripControlChars(getQueryString(req.query.format)).trim().toLowerCase() || 'atom';
+  const { search, error } = await parseAppSearchQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (!FEED_FORMATS.includes(format)) {
+    return res.status(400).json({ error: 'Invalid format parameter.' });
+  }
+
+  if (!(await enforceClientRateLimit(req, res, search.terms.length * DEFAULT_BATCH_PAGES))) {
+    return;
+  }
+
+  if (!hasCredentials() && !isSearchFallbackEnabled()) {
+    return res.status(500).json({
+      error: 'Server missing BSKY_HANDLE or BSKY_APP_PASSWORD.',
+    });
+  }
+
+  cleanupSearchCacheIfDue();
+  const { posts, terms: termResults, retryAfterMs, degraded } = await runAppSearch(
+    search,
+    DEFAULT_BATCH_PAGES
+  );
+
+  if (termResults.every((result) => !result.ok)) {
+    if (retryAfterMs !== null) {
+      res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    }
+    return res.status(termResults[0].status).json({ error: termResults[0].error });
+  }
+
+  const utils = await loadFrontendUtils();
+  const origin = getRequestOrigin(req);
+  const appParams = getAppSearchParams(search);
+  const feedParams = new URLSearchParams(appParams);
+  if (format !== 'atom') feedParams.set('format', format);
+  const entries = posts.map((post) => toFeedEntry(post, utils));
+
+  const body = renderFeed(format, {
+    title: `Bluesky search: ${search.input}`,
+    subtitle:
+      `Posts matching ${search.input} with at least ${search.minLikes} likes ` +
+      describeTimeWindow(search),
+    selfUrl: `${origin}/api/feed?${feedParams}`,
+    alternateUrl: `${origin}${APP_PAGE_PATH}?${appParams}`,
+    updated: entries.reduce((latest, entry) => Math.max(latest, entry.updated), 0) || Date.now(),
+    entries,
+  });
+
+  // Fallback results are not cached server-side either, so readers pick up the recovery.
+  if (degraded) {
+    res.setHeader('X-Search-Degraded', '1');
+  } else {
+    res.setHeader('Cache-Control', `public, max-age=${FEED_CACHE_MAX_AGE_SECONDS}`);
+  }
+  res.setHeader('Content-Type', FEED_CONTENT_TYPES[format]);
+  return res.status(200).send(body);
+}
+
+module.exports = async (req, res) => {
+  try {
+    await handleFeed(req, res);
+  } finally {
+    searchResponses.inc({ route: 'feed', status: String(res.statusCode) });
+  }
+};
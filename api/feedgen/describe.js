@@ -0,0 +1,27 @@
+const {
+  FEEDGEN_SERVICE_DID,
+  isFeedGeneratorConfigured,
+  listFeedUris,
+} = require('../_lib/feedgen');
+
+// GET /xrpc/app.bsky.feed.describeFeedGenerator (rewritten here by vercel.json).
+module.exports = (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(405).json({ error: 'InvalidRequest', message: 'Method not allowed.' });
+  }
+
+  if (!isFeedGeneratorConfigured()) {
+    res.setHeader('Cache-Control', 'no-store');
+    return res
+      .status(501)
+      .json({ error: 'MethodNotImplemented', message: 'Feed generator is not configured.' });
+  }
+
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.status(200).json({
+    did: FEEDGEN_SERVICE_DID,
+    feeds: listFeedUris().map((uri) => ({ uri })),
+  });
+};
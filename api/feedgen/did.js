@@ -0,0 +1,20 @@
+const { getServiceDidDocument } = require('../_lib/feedgen');
+
+// GET /.well-known/did.json (rewritten here by vercel.json): the did:web document that points
+// AppViews at this deployment's feed generator.
+module.exports = (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  const document = getServiceDidDocument();
+  if (!document) {
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(404).json({ error: 'Not found.' });
+  }
+
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.status(200).json(document);
+};
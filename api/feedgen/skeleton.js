@@ -0,0 +1,134 @@
+const { parseAppSearchQuery, runAppSearch } = require('../_lib/app-search');
+const { DEFAULT_BATCH_PAGES } = require('../_lib/batch');
+const {
+  FEEDGEN_SKELETON_DEFAULT_LIMIT,
+  FEEDGEN_SKELETON_MAX_LIMIT,
+  getFeedQuery,
+  isFeedGeneratorConfigured,
+  paginateSkeleton,
+} = require('../_lib/feedgen');
+const { readNumberEnv } = require('../_lib/config');
+const { searchResponses } = require('../_lib/metrics');
+const { createTokenBucketLimiter, getClientIp } = require('../_lib/rate-limit');
+const {
+  cleanupSearchCacheIfDue,
+  getQueryString,
+  isSearchFallbackEnabled,
+  stripControlChars,
+} = require('../_lib/search');
+const { getSharedCacheStore } = require('../_lib/shared-cache');
+const { hasCredentials } = require('../_lib/session');
+
+// GET /xrpc/app.bsky.feed.getFeedSkeleton?feed=<at-uri>&limit=50&cursor=<offset> (rewritten here
+// by vercel.json). Errors use the XRPC { error, message } shape AppViews expect. Calls come
+// from AppView servers rather than browsers, so this stays public with no origin or API token
+// check. It only runs the FEEDGEN_FEEDS searches and the search cache absorbs repeats; a
+// per-client limit of its own (FEEDGEN_RATE_LIMIT_BURST, FEEDGEN_RATE_LIMIT_REFILL_PER_SECOND;
+// burst 0 disables it), looser than the browser one since AppViews share a few addresses,
+// bounds the rest.
+const FEEDGEN_RATE_LIMIT_BURST = readNumberEnv('FEEDGEN_RATE_LIMIT_BURST', 120);
+const FEEDGEN_RATE_LIMIT_REFILL_PER_SECOND = readNumberEnv(
+  'FEEDGEN_RATE_LIMIT_REFILL_PER_SECOND',
+  2,
+  0.001
+);
+
+function xrpcError(res, status, error, message) {
+  return res.status(status).json({ error, message });
+}
+
+// Returns true when the request may proceed; otherwise sends the 429 response.
+async function enforceSkeletonRateLimit(req, res) {
+  if (FEEDGEN_RATE_LIMIT_BURST < 1) return true;
+
+  let result;
+  try {
+    result = await createTokenBucketLimiter({
+      store: getSharedCacheStore(),
+      burst: FEEDGEN_RATE_LIMIT_BURST,
+      refillPerSecond: FEEDGEN_RATE_LIMIT_REFILL_PER_SECOND,
+      keyPrefix: 'ratelimit:feedgen:',
+    }).consume(getClientIp(req));
+  } catch (error) {
+    console.error('Feed generator rate limiter failed:', error.message || 'Unknown error');
+    return true;
+  }
+
+  if (result.allowed) return true;
+  res.setHeader('Retry-After', String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))));
+  xrpcError(res, 429, 'RateLimitExceeded', 'Too many requests.');
+  return false;
+}
+
+function parseSkeletonLimit(value) {
+  const raw = stripControlChars(getQueryString(value)).trim();
+  if (!raw) return FEEDGEN_SKELETON_DEFAULT_LIMIT;
+  if (!/^\d+$/.test(raw)) return null;
+  const limit = Number(raw);
+  return limit >= 1 && limit <= FEEDGEN_SKELETON_MAX_LIMIT ? limit : null;
+}
+
+function parseSkeletonCursor(value) {
+  const raw = stripControlChars(getQueryString(value)).trim();
+  if (!raw) return 0;
+  return /^\d{1,6}$/.test(raw) ? Number(raw) : null;
+}
+
+async function handleFeedSkeleton(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return xrpcError(res, 405, 'InvalidRequest', 'Method not allowed.');
+  }
+
+  if (!isFeedGeneratorConfigured()) {
+    return xrpcError(res, 501, 'MethodNotImplemented', 'Feed generator is not configured.');
+  }
+
+  const feedQuery = getFeedQuery(getQueryString(req.query.feed).trim());
+  const limit = parseSkeletonLimit(req.query.limit);
+  const offset = parseSkeletonCursor(req.query.cursor);
+
+  if (!feedQuery) {
+    return xrpcError(res, 400, 'UnknownFeed', 'Unknown feed.');
+  }
+
+  if (limit === null) {
+    return xrpcError(res, 400, 'InvalidRequest', `limit must be 1-${FEEDGEN_SKELETON_MAX_LIMIT}.`);
+  }
+
+  if (offset === null) {
+    return xrpcError(res, 400, 'InvalidRequest', 'Invalid cursor.');
+  }
+
+  if (!(await enforceSkeletonRateLimit(req, res))) {
+    return;
+  }
+
+  if (!hasCredentials() && !isSearchFallbackEnabled()) {
+    return xrpcError(res, 500, 'InternalServerError', 'Feed generator cannot search.');
+  }
+
+  const { search, error } = await parseAppSearchQuery(feedQuery);
+  if (error) {
+    console.error('Feed generator query rejected:', error);
+    return xrpcError(res, 500, 'InternalServerError', 'Feed is misconfigured.');
+  }
+
+  cleanupSearchCacheIfDue();
+  const { posts, terms: termResults } = await runAppSearch(search, DEFAULT_BATCH_PAGES);
+  if (termResults.every((result) => !result.ok)) {
+    return xrpcError(res, 502, 'UpstreamFailure', termResults[0].error);
+  }
+
+  return res.status(200).json(paginateSkeleton(posts, { limit, offset }));
+}
+
+module.exports = async (req, res) => {
+  try {
+    await handleFeedSkeleton(req, res);
+  } finally {
+    searchResponses.inc({ route: 'feedgen', status: String(res.statusCode) });
+  }
+};
@@ -0,0 +1,41 @@
+const { isApiTokenEnabled, isOriginAllowlistEnabled } = require('./_lib/client-access');
+const { configErrors } = require('./_lib/config');
+const { isFeedGeneratorConfigured } = require('./_lib/feedgen');
+const { isJetstreamEnabled } = require('./_lib/jetstream');
+const { isOAuthEnabled } = require('./_lib/oauth');
+const { isSearchFallbackEnabled } = require('./_lib/search');
+const { getSessionStatus, hasCredentials } = require('./_lib/session');
+const { getSharedCacheStore } = require('./_lib/shared-cache');
+const { isWebhooksConfigured } = require('./_lib/webhooks');
+
+// Liveness and configuration report for uptime checks. Reports whether things are set up,
+// never their values: no tokens, credentials, account identifiers or backend URLs.
+module.exports = async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  const credentialsConfigured = hasCredentials();
+  const healthy = credentialsConfigured && configErrors.length === 0;
+
+  return res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'ok' : 'degraded',
+    config: {
+      credentialsConfigured,
+      cacheBackend: getSharedCacheStore().kind,
+      feedGenerator: isFeedGeneratorConfigured(),
+      webhooks: isWebhooksConfigured(),
+      jetstream: isJetstreamEnabled(),
+      oauth: isOAuthEnabled(),
+      searchFallback: isSearchFallbackEnabled(),
+      originAllowlist: isOriginAllowlistEnabled(),
+      apiTokens: isApiTokenEnabled(),
+      errors: [...configErrors],
+    },
+    session: await getSessionStatus(),
+    uptimeSeconds: Math.floor(process.uptime()),
+  });
+};
@@ -0,0 +1,14 @@
+const { PROMETHEUS_CONTENT_TYPE, registry } = require('./_lib/metrics');
+
+// Prometheus scrape endpoint for the proxy's counters and latency histograms.
+module.exports = (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  res.setHeader('Content-Type', PROMETHEUS_CONTENT_TYPE);
+  return res.status(200).send(registry.render());
+};
@@ -0,0 +1,50 @@
+const { getQueryString } = require('../_lib/search');
+const {
+  OAUTH_UNAVAILABLE_ERROR,
+  buildClearedLoginCookie,
+  buildSessionCookie,
+  completeLogin,
+  getLoginCookie,
+  isOAuthEnabled,
+} = require('../_lib/oauth');
+
+// GET /api/oauth/callback: the authorization server's redirect back. Only accepted from the
+// browser holding the login cookie; sets the session cookie and returns to the app.
+module.exports = async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  if (!isOAuthEnabled()) {
+    return res.status(404).json({ error: 'Sign-in is not enabled.' });
+  }
+
+  const error = getQueryString(req.query.error);
+  if (error) {
+    const description = getQueryString(req.query.error_description);
+    return res.status(400).json({ error: `Sign-in was not completed: ${description || error}` });
+  }
+
+  let result;
+  try {
+    result = await completeLogin({
+      state: getQueryString(req.query.state),
+      code: getQueryString(req.query.code),
+      iss: getQueryString(req.query.iss),
+      loginNonce: getLoginCookie(req),
+    });
+  } catch (storeError) {
+    console.error('OAuth callback failed:', storeError.message || 'Unknown error');
+    return res.status(503).json({ error: OAUTH_UNAVAILABLE_ERROR });
+  }
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  res.setHeader('Set-Cookie', [buildSessionCookie(result.sessionId), buildClearedLoginCookie()]);
+  res.setHeader('Location', '/');
+  return res.status(302).end();
+};
@@ -0,0 +1,19 @@
+const { getClientMetadata, isOAuthEnabled } = require('../_lib/oauth');
+
+// GET /oauth/client-metadata.json (rewritten here by vercel.json): the OAuth client metadata
+// document authorization servers fetch via this deployment's client_id.
+module.exports = (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  if (!isOAuthEnabled()) {
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(404).json({ error: 'Not found.' });
+  }
+
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.status(200).json(getClientMetadata());
+};
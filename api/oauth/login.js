@@ -0,0 +1,44 @@
+const { getQueryString, stripControlChars } = require('../_lib/search');
+const {
+  OAUTH_UNAVAILABLE_ERROR,
+  buildLoginCookie,
+  isOAuthEnabled,
+  startLogin,
+} = require('../_lib/oauth');
+
+// GET /api/oauth/login?handle=alice.bsky.social: start sign-in and redirect the browser to
+// the account's authorization server. The login cookie set here must come back with the
+// callback.
+module.exports = async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  if (!isOAuthEnabled()) {
+    return res.status(404).json({ error: 'Sign-in is not enabled.' });
+  }
+
+  const handle = stripControlChars(getQueryString(req.query.handle)).trim();
+  if (!handle || handle.length > 253) {
+    return res.status(400).json({ error: 'Missing handle parameter.' });
+  }
+
+  let result;
+  try {
+    result = await startLogin(handle);
+  } catch (storeError) {
+    console.error('OAuth login failed:', storeError.message || 'Unknown error');
+    return res.status(503).json({ error: OAUTH_UNAVAILABLE_ERROR });
+  }
+  const { redirectUrl, loginNonce, status, error } = result;
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  res.setHeader('Set-Cookie', buildLoginCookie(loginNonce));
+  res.setHeader('Location', redirectUrl);
+  return res.status(302).end();
+};
@@ -0,0 +1,21 @@
+const { OAUTH_UNAVAILABLE_ERROR, buildClearedSessionCookie, endSession } = require('../_lib/oauth');
+
+// POST /api/oauth/logout: drop the server-held session and clear the cookie.
+module.exports = async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  // Keep the cookie when the session could not be dropped, so signing out can be retried.
+  try {
+    await endSession(req);
+  } catch (error) {
+    console.error('OAuth logout failed:', error.message || 'Unknown error');
+    return res.status(503).json({ error: OAUTH_UNAVAILABLE_ERROR });
+  }
+  res.setHeader('Set-Cookie', buildClearedSessionCookie());
+  return res.status(200).json({ signedIn: false });
+};
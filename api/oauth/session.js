@@ -0,0 +1,20 @@
+const { OAUTH_UNAVAILABLE_ERROR, getSessionInfo, isOAuthEnabled } = require('../_lib/oauth');
+
+// GET /api/oauth/session: { enabled, signedIn[, did, handle] } for the current browser.
+module.exports = async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  let info;
+  try {
+    info = await getSessionInfo(req);
+  } catch (error) {
+    console.error('OAuth session lookup failed:', error.message || 'Unknown error');
+    return res.status(503).json({ error: OAUTH_UNAVAILABLE_ERROR });
+  }
+  return res.status(200).json({ enabled: isOAuthEnabled(), ...info });
+};
@@ -1,258 +1,57 @@
-const BSKY_SERVICE = 'https://bsky.social/xrpc';
-
-const BSKY_HANDLE = process.env.BSKY_HANDLE;
-const BSKY_APP_PASSWORD = process.env.BSKY_APP_PASSWORD;
-
-// Upstream fetch timeout — fits within Vercel Hobby 10s limit with 2s headroom
-const UPSTREAM_TIMEOUT_MS = 8000;
-const UPSTREAM_TIMEOUT_ERROR_CODE = 'UPSTREAM_TIMEOUT';
-
-function createUpstreamTimeoutError() {
-  const error = new Error('Upstream request timed out.');
-  error.code = UPSTREAM_TIMEOUT_ERROR_CODE;
-  return error;
-}
-
-function isUpstreamTimeoutError(error) {
-  return Boolean(error && error.code === UPSTREAM_TIMEOUT_ERROR_CODE);
-}
-
-function mergeAbortSignals(primarySignal, secondarySignal) {
-  if (!primarySignal) return secondarySignal;
-  if (!secondarySignal) return primarySignal;
-
-  if (typeof AbortSignal !== 'undefined' && typeof AbortSignal.any === 'function') {
-    return AbortSignal.any([primarySignal, secondarySignal]);
-  }
-
-  const mergedController = new AbortController();
-  const abortMerged = () => mergedController.abort();
-  primarySignal.addEventListener('abort', abortMerged, { once: true });
-  secondarySignal.addEventListener('abort', abortMerged, { once: true });
-  if (primarySignal.aborted || secondarySignal.aborted) {
-    mergedController.abort();
-  }
-
-  return mergedController.signal;
-}
-
-async function fetchWithTimeout(url, options, timeoutMs = UPSTREAM_TIMEOUT_MS) {
-  const timeoutController = new AbortController();
-  const timer = setTimeout(() => timeoutController.abort(), timeoutMs);
-  const fetchOptions = { ...(options || {}) };
-  fetchOptions.signal = mergeAbortSignals(fetchOptions.signal, timeoutController.signal);
-
-  try {
-    return await fetch(url, fetchOptions);
-  } catch (error) {
-    if (error?.name === 'AbortError' && timeoutController.signal.aborted) {
-      throw createUpstreamTimeoutError();
-    }
-    throw error;
-  } finally {
-    clearTimeout(timer);
-  }
-}
-
-// Session cache with TTL (2 hours, refresh tokens last longer)
-const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
-let cachedSession = null;
-let sessionCreatedAt = null;
-let sessionPromise = null;
-
-// Search results cache with 30s TTL and size cap
-const SEARCH_CACHE_TTL_MS = 30000;
-const SEARCH_CACHE_CLEANUP_INTERVAL_MS = 5000;
-const MAX_SEARCH_CACHE_SIZE = 500;
-const searchResultsCache = new Map();
-let lastSearchCacheCleanupAt = 0;
-
-function getQueryString(value) {
-  if (Array.isArray(value)) {
-    return value[0];
-  }
-  return typeof value === 'string' ? value : '';
-}
-
-function stripControlChars(value) {
-  if (typeof value !== 'string') return '';
-  return value.replace(/[\u0000-\u001F\u007F-\u009F]/g, '');
-}
-
-async function createSession() {
-  const response = await fetchWithTimeout(`${BSKY_SERVICE}/com.atproto.server.createSession`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      identifier: BSKY_HANDLE,
-      password: BSKY_APP_PASSWORD,
-    }),
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    const message = errorData.message || `Create session failed: ${response.status}`;
-    throw new Error(message);
-  }
-
-  return response.json();
-}
-
-async function refreshSession() {
-  if (!cachedSession?.refreshJwt) {
-    throw new Error('Missing refresh token.');
-  }
-
-  const response = await fetchWithTimeout(`${BSKY_SERVICE}/com.atproto.server.refreshSession`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${cachedSession.refreshJwt}`,
-    },
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    const message = errorData.message || `Refresh session failed: ${response.status}`;
-    throw new Error(message);
-  }
-
-  return response.json();
-}
-
-function isSessionExpired() {
-  if (!cachedSession || !sessionCreatedAt) return true;
-  return Date.now() - sessionCreatedAt > SESSION_TTL_MS;
-}
-
-async function ensureSession() {
-  if (cachedSession && !isSessionExpired()) {
-    return cachedSession;
-  }
-
-  if (!sessionPromise) {
-    sessionPromise = createSession()
-      .then((session) => {
-        cachedSession = session;
-        sessionCreatedAt = Date.now();
-        return session;
-      })
-      .finally(() => {
-        sessionPromise = null;
-      });
-  }
-
-  return sessionPromise;
-}
-
-async function refreshOrCreateSession() {
-  if (sessionPromise) {
-    return sessionPromise;
-  }
-
-  sessionPromise = (async () => {
-    if (cachedSession?.refreshJwt) {
-      try {
-        const refreshed = await refreshSession();
-        cachedSession = refreshed;
-        sessionCreatedAt = Date.now();
-        return refreshed;
-      } catch (refreshError) {
-        const refreshMessage =
-          refreshError && typeof refreshError.message === 'string'
-            ? refreshError.message
-            : 'Unknown refresh error';
-        console.error('Session refresh failed:', refreshMessage);
-        cachedSession = null;
-        sessionCreatedAt = null;
-      }
-    }
-
-    if (!BSKY_HANDLE || !BSKY_APP_PASSWORD) {
-      throw new Error('Cannot create session: missing credentials');
+const { MAX_BATCH_PAGES, parsePageCount, runPagedSearch } = require('./_lib/batch');
+const { enforceClientAccess } = require('./_lib/client-access');
+const { searchResponses } = require('./_lib/metrics');
+const { getRequestAccount } = require('./_lib/oauth');
+const { SEARCH_VIEWS, projectSearchPayload } = require('./_lib/projection');
+const { parseResultFilters } = require('./_lib/result-filters');
+const {
+  MAX_SEARCH_TERM_LENGTH,
+  SEARCH_SORTS,
+  cleanupSearchCacheIfDue,
+  enforceClientRateLimit,
+  fetchSearchResult,
+  getQueryString,
+  getSearchCacheKey,
+  isSearchFallbackEnabled,
+  parseSearchFilters,
+  readCachedSearch,
+  setRateLimitHeaders,
+  stripControlChars,
+} = require('./_lib/search');
+const { hasCredentials } = require('./_lib/session');
+const { isUpstreamTimeoutError } = require('./_lib/upstream');
+
+// `pages` above 1, `minLikes` or `sinceHours` switch to server-side paging: up to `pages`
+// upstream pages from `cursor`, filtered and answered as { posts, cursor[, error] }, where
+// `cursor` resumes after the last page read and `error` reports a page that failed after the
+// first.
+async function sendPagedSearch(res, options, view) {
+  const { ok, status, error, retryAfterMs, posts, cursor, degraded } = await runPagedSearch(
+    options
+  );
+  if (!options.account) {
+    setRateLimitHeaders(res);
+  }
+
+  if (!ok) {
+    if (Number.isFinite(retryAfterMs)) {
+      res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
     }
-
-    const created = await createSession();
-    cachedSession = created;
-    sessionCreatedAt = Date.now();
-    return created;
-  })().finally(() => {
-    sessionPromise = null;
-  });
-
-  return sessionPromise;
-}
-
-// Generate cache key for search results
-function getSearchCacheKey(term, cursor, sort) {
-  return JSON.stringify([term, cursor || '', sort]);
-}
-
-// Get cached search result if valid
-function getCachedSearchResult(cacheKey) {
-  const cached = searchResultsCache.get(cacheKey);
-  if (!cached) return null;
-  if (Date.now() - cached.timestamp > SEARCH_CACHE_TTL_MS) {
-    searchResultsCache.delete(cacheKey);
-    return null;
+    return res.status(status).json({ error });
   }
-  // Refresh order for LRU-style eviction without extending TTL.
-  searchResultsCache.delete(cacheKey);
-  searchResultsCache.set(cacheKey, cached);
-  return cached.data;
-}
 
-function enforceSearchCacheLimit() {
-  while (searchResultsCache.size > MAX_SEARCH_CACHE_SIZE) {
-    const oldestKey = searchResultsCache.keys().next().value;
-    if (oldestKey === undefined) {
-      break;
-    }
-    searchResultsCache.delete(oldestKey);
+  const body = projectSearchPayload({ posts, cursor }, view);
+  if (error) {
+    body.error = error;
   }
-}
-
-// Clean up expired cache entries periodically
-function cleanupSearchCache() {
-  const now = Date.now();
-  for (const [key, value] of searchResultsCache.entries()) {
-    if (now - value.timestamp > SEARCH_CACHE_TTL_MS) {
-      searchResultsCache.delete(key);
-    }
-  }
-  enforceSearchCacheLimit();
-}
-
-function resetModuleStateForTests() {
-  cachedSession = null;
-  sessionCreatedAt = null;
-  sessionPromise = null;
-  searchResultsCache.clear();
-  lastSearchCacheCleanupAt = 0;
-}
-
-async function searchPosts(term, cursor, accessJwt, sort) {
-  const sortValue = sort === 'latest' ? 'latest' : 'top';
-  const params = new URLSearchParams({
-    q: term,
-    sort: sortValue,
-    limit: '100',
-    lang: 'en', // Intentionally English-only; do not make configurable
-  });
-
-  if (cursor) {
-    params.set('cursor', cursor);
+  if (degraded) {
+    res.setHeader('X-Search-Degraded', '1');
+    body.degraded = true;
   }
-
-  return fetchWithTimeout(`${BSKY_SERVICE}/app.bsky.feed.searchPosts?${params}`, {
-    headers: {
-      Authorization: `Bearer ${accessJwt}`,
-    },
-  });
+  return res.status(200).json(body);
 }
 
-module.exports = async (req, res) => {
+async function handleSearch(req, res) {
   res.setHeader('Cache-Control', 'no-store');
 
   if (req.method !== 'GET') {
@@ -260,7 +59,20 @@ module.exports = async (req, res) => {
     return res.status(405).json({ error: 'Method not allowed.' });
   }
 
-  if (!BSKY_HANDLE || !BSKY_APP_PASSWORD) {
+  if (!enforceClientAccess(req, res)) {
+    return;
+  }
+
+  // Each upstream page costs what a single-page request would.
+  const pages = parsePageCount(req.query.pages, 1);
+  if (!(await enforceClientRateLimit(req, res, pages || 1))) {
+    return;
+  }
+
+  // Signed-in users search under their own session; everyone else shares the server accounts,
+  // or the unauthenticated fallback AppView when none can sign in.
+  const account = await getRequestAccount(req);
+  if (!account && !hasCredentials() && !isSearchFallbackEnabled()) {
     return res.status(500).json({
       error: 'Server missing BSKY_HANDLE or BSKY_APP_PASSWORD.',
     });
@@ -269,12 +81,13 @@ module.exports = async (req, res) => {
   const term = stripControlChars(getQueryString(req.query.term)).trim();
   const cursor = stripControlChars(getQueryString(req.query.cursor));
   const sort = stripControlChars(getQueryString(req.query.sort)).trim().toLowerCase();
+  const view = stripControlChars(getQueryString(req.query.view)).trim().toLowerCase();
 
   if (!term) {
     return res.status(400).json({ error: 'Missing term parameter.' });
   }
 
-  if (term.length > 500) {
+  if (term.length > MAX_SEARCH_TERM_LENGTH) {
     return res.status(400).json({ error: 'Search term is too long.' });
   }
 
@@ -282,50 +95,84 @@ module.exports = async (req, res) => {
     return res.status(400).json({ error: 'Cursor is too long.' });
   }
 
-  if (sort && !['top', 'latest'].includes(sort)) {
+  if (sort && !SEARCH_SORTS.includes(sort)) {
     return res.status(400).json({ error: 'Invalid sort parameter.' });
   }
 
-  const sortValue = sort || 'top';
-  const cacheKey = getSearchCacheKey(term, cursor, sortValue);
+  if (view && !SEARCH_VIEWS.includes(view)) {
+    return res.status(400).json({ error: 'Invalid view parameter.' });
+  }
 
-  // Check server-side cache first
-  const cachedResult = getCachedSearchResult(cacheKey);
-  if (cachedResult) {
-    return res.status(200).json(cachedResult);
+  const { filters, error: filterError } = parseSearchFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
   }
 
-  // Periodically clean up expired cache entries
-  const now = Date.now();
-  if (
-    searchResultsCache.size > 100 ||
-    now - lastSearchCacheCleanupAt > SEARCH_CACHE_CLEANUP_INTERVAL_MS
-  ) {
-    cleanupSearchCache();
-    lastSearchCacheCleanupAt = now;
+  if (pages === null) {
+    return res.status(400).json({ error: `Invalid pages parameter (1-${MAX_BATCH_PAGES}).` });
   }
 
-  try {
-    let session = await ensureSession();
-    let response = await searchPosts(term, cursor, session.accessJwt, sortValue);
+  const { resultFilters, error: resultFilterError } = parseResultFilters(req.query);
+  if (resultFilterError) {
+    return res.status(400).json({ error: resultFilterError });
+  }
+
+  const sortValue = sort || 'top';
+  if (pages > 1 || resultFilters) {
+    cleanupSearchCacheIfDue();
+    const options = { term, cursor, pages, sort: sortValue, filters, account, resultFilters };
+    return sendPagedSearch(res, options, view);
+  }
+
+  const cacheKey = getSearchCacheKey(term, cursor, sortValue, filters, account);
 
-    if (response.status === 401) {
-      session = await refreshOrCreateSession();
-      response = await searchPosts(term, cursor, session.accessJwt, sortValue);
+  // Check server-side cache first
+  const cachedResult = await readCachedSearch(
+    cacheKey,
+    term,
+    cursor,
+    sortValue,
+    filters,
+    account
+  );
+  if (cachedResult) {
+    res.setHeader('X-Cache', cachedResult.stale ? 'STALE' : 'HIT');
+    if (!account) {
+      setRateLimitHeaders(res);
     }
+    return res.status(200).json(projectSearchPayload(cachedResult.data, view));
+  }
 
-    const payload = await response.json().catch(() => null);
+  res.setHeader('X-Cache', 'MISS');
+  cleanupSearchCacheIfDue();
 
-    if (!response.ok) {
-      const message = payload?.message || payload?.error || `Search failed: ${response.status}`;
-      return res.status(response.status).json({ error: message });
+  try {
+    const { ok, status, payload, retryAfterMs, degraded } = await fetchSearchResult(
+      cacheKey,
+      term,
+      cursor,
+      sortValue,
+      filters,
+      undefined,
+      account
+    );
+    if (!account) {
+      setRateLimitHeaders(res);
     }
 
-    // Cache the successful result
-    searchResultsCache.set(cacheKey, { data: payload, timestamp: Date.now() });
-    enforceSearchCacheLimit();
+    if (!ok) {
+      if (retryAfterMs !== null) {
+        res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+      }
+      const message = payload?.message || payload?.error || `Search failed: ${status}`;
+      return res.status(status).json({ error: message });
+    }
 
-    return res.status(200).json(payload);
+    if (degraded) {
+      res.setHeader('X-Search-Degraded', '1');
+      return res.status(200).json({ ...projectSearchPayload(payload, view), degraded: true });
+    }
+    return res.status(200).json(projectSearchPayload(payload, view));
   } catch (error) {
     console.error('Search proxy error:', error.message || 'Unknown error');
     if (isUpstreamTimeoutError(error)) {
@@ -333,26 +180,48 @@ module.exports = async (req, res) => {
     }
     return res.status(500).json({ error: 'Search proxy failed.' });
   }
+}
+
+module.exports = async (req, res) => {
+  try {
+    await handleSearch(req, res);
+  } finally {
+    searchResponses.inc({ route: 'search', status: String(res.statusCode) });
+  }
 };
 
 // Test utilities export (must be after module.exports assignment)
 // Only exposed for test consumption; gated to avoid leaking internals in production.
 if (process.env.NODE_ENV === 'test') {
+  const searchCore = require('./_lib/search');
+  const session = require('./_lib/session');
+  const upstream = require('./_lib/upstream');
   module.exports.testUtils = {
     getQueryString,
     stripControlChars,
+    parseSearchFilters,
     getSearchCacheKey,
-    isSessionExpired,
-    getCachedSearchResult,
-    cleanupSearchCache,
-    enforceSearchCacheLimit,
-    searchResultsCache,
-    SEARCH_CACHE_TTL_MS,
-    MAX_SEARCH_CACHE_SIZE,
-    UPSTREAM_TIMEOUT_MS,
-    UPSTREAM_TIMEOUT_ERROR_CODE,
-    fetchWithTimeout,
+    isSessionExpired: session.isSessionExpired,
+    getCachedSearchResult: searchCore.getCachedSearchResult,
+    cleanupSearchCache: searchCore.cleanupSearchCache,
+    enforceSearchCacheLimit: searchCore.enforceSearchCacheLimit,
+    searchResultsCache: searchCore.searchResultsCache,
+    inFlightSearches: searchCore.inFlightSearches,
+    SEARCH_CACHE_TTL_MS: searchCore.SEARCH_CACHE_TTL_MS,
+    SEARCH_CACHE_STALE_TTL_MS: searchCore.SEARCH_CACHE_STALE_TTL_MS,
+    MAX_SEARCH_CACHE_SIZE: searchCore.MAX_SEARCH_CACHE_SIZE,
+    UPSTREAM_TIMEOUT_MS: upstream.UPSTREAM_TIMEOUT_MS,
+    UPSTREAM_TIMEOUT_ERROR_CODE: upstream.UPSTREAM_TIMEOUT_ERROR_CODE,
+    fetchWithTimeout: upstream.fetchWithTimeout,
     isUpstreamTimeoutError,
-    resetModuleStateForTests,
+    parseRateLimitHeaders: searchCore.parseRateLimitHeaders,
+    parseRetryAfterMs: searchCore.parseRetryAfterMs,
+    getRetryDelayMs: searchCore.getRetryDelayMs,
+    UPSTREAM_RETRY_MAX_ATTEMPTS: searchCore.UPSTREAM_RETRY_MAX_ATTEMPTS,
+    CLIENT_RATE_LIMIT_BURST: searchCore.CLIENT_RATE_LIMIT_BURST,
+    setClientRateLimitStore: searchCore.setClientRateLimitStore,
+    setSharedCacheStore: require('./_lib/shared-cache').setSharedCacheStore,
+    SESSION_TTL_MS: session.SESSION_TTL_MS,
+    resetModuleStateForTests: searchCore.resetModuleStateForTests,
   };
 }
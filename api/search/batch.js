@@ -0,0 +1,153 @@
+const {
+  DEFAULT_BATCH_PAGES,
+  MAX_BATCH_PAGES,
+  MAX_BATCH_TERMS,
+  parsePageCount,
+  parseTermList,
+  runBatchSearch,
+} = require('../_lib/batch');
+const { enforceClientAccess } = require('../_lib/client-access');
+const { searchResponses } = require('../_lib/metrics');
+const { getRequestAccount } = require('../_lib/oauth');
+const { SEARCH_VIEWS, projectCompactPost } = require('../_lib/projection');
+const { parseResultFilters } = require('../_lib/result-filters');
+const {
+  MAX_SEARCH_TERM_LENGTH,
+  SEARCH_SORTS,
+  cleanupSearchCacheIfDue,
+  enforceClientRateLimit,
+  getQueryString,
+  isSearchFallbackEnabled,
+  parseSearchFilters,
+  setRateLimitHeaders,
+  stripControlChars,
+} = require('../_lib/search');
+const { hasCredentials } = require('../_lib/session');
+
+function parseBatchPages(value) {
+  return parsePageCount(value, DEFAULT_BATCH_PAGES);
+}
+
+// GET /api/search/batch?terms=a,b&pages=2&sort=top, plus the filter, minLikes/sinceHours and
+// view params that /api/search accepts. Responds with { posts, terms }: merged posts tagged
+// with `matchedTerms`, and per-term { term, ok, count, cursor } or
+// { term, ok: false, status, error } outcomes. `degraded: true` (and X-Search-Degraded) marks
+// results served by the unauthenticated fallback AppView.
+async function handleBatchSearch(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  if (!enforceClientAccess(req, res)) {
+    return;
+  }
+
+  const terms = parseTermList(req.query.terms);
+  const pages = parseBatchPages(req.query.pages);
+  const sort = stripControlChars(getQueryString(req.query.sort)).trim().toLowerCase();
+  const view = stripControlChars(getQueryString(req.query.view)).trim().toLowerCase();
+
+  if (terms.length === 0) {
+    return res.status(400).json({ error: 'Missing terms parameter.' });
+  }
+
+  if (terms.length > MAX_BATCH_TERMS) {
+    return res.status(400).json({ error: `Too many terms (max ${MAX_BATCH_TERMS}).` });
+  }
+
+  if (terms.some((term) => term.length > MAX_SEARCH_TERM_LENGTH)) {
+    return res.status(400).json({ error: 'Search term is too long.' });
+  }
+
+  if (pages === null) {
+    return res.status(400).json({ error: `Invalid pages parameter (1-${MAX_BATCH_PAGES}).` });
+  }
+
+  if (sort && !SEARCH_SORTS.includes(sort)) {
+    return res.status(400).json({ error: 'Invalid sort parameter.' });
+  }
+
+  if (view && !SEARCH_VIEWS.includes(view)) {
+    return res.status(400).json({ error: 'Invalid view parameter.' });
+  }
+
+  const { filters, error: filterError } = parseSearchFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+
+  const { resultFilters, error: resultFilterError } = parseResultFilters(req.query);
+  if (resultFilterError) {
+    return res.status(400).json({ error: resultFilterError });
+  }
+
+  // A batch costs what the equivalent single-term requests would.
+  if (!(await enforceClientRateLimit(req, res, terms.length * pages))) {
+    return;
+  }
+
+  const account = await getRequestAccount(req);
+  if (!account && !hasCredentials() && !isSearchFallbackEnabled()) {
+    return res.status(500).json({
+      error: 'Server missing BSKY_HANDLE or BSKY_APP_PASSWORD.',
+    });
+  }
+
+  cleanupSearchCacheIfDue();
+  const {
+    posts: fullPosts,
+    terms: termResults,
+    retryAfterMs,
+    degraded,
+  } = await runBatchSearch({
+    terms,
+    pages,
+    sort: sort || 'top',
+    filters,
+    account,
+    resultFilters,
+  });
+  const posts =
+    view === 'compact'
+      ? fullPosts.map((post) => ({ ...projectCompactPost(post), matchedTerms: post.matchedTerms }))
+      : fullPosts;
+  if (!account) {
+    setRateLimitHeaders(res);
+  }
+  if (degraded) {
+    res.setHeader('X-Search-Degraded', '1');
+  }
+
+  if (termResults.every((result) => !result.ok)) {
+    if (retryAfterMs !== null) {
+      res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    }
+    return res.status(termResults[0].status).json({
+      error: termResults[0].error,
+      posts,
+      terms: termResults,
+    });
+  }
+
+  return res.status(200).json(
+    degraded ? { posts, terms: termResults, degraded } : { posts, terms: termResults }
+  );
+}
+
+module.exports = async (req, res) => {
+  try {
+    await handleBatchSearch(req, res);
+  } finally {
+    searchResponses.inc({ route: 'batch', status: String(res.statusCode) });
+  }
+};
+
+// Test utilities export (must be after module.exports assignment)
+if (process.env.NODE_ENV === 'test') {
+  module.exports.testUtils = {
+    parseBatchPages,
+  };
+}
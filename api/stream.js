@@ -0,0 +1,235 @@
+const { MAX_BATCH_TERMS, parseTermList, runBatchSearch } = require('./_lib/batch');
+const { enforceClientAccess } = require('./_lib/client-access');
+const { readNumberEnv } = require('./_lib/config');
+const { isJetstreamEnabled, readLiveMatches, registerTermSet } = require('./_lib/jetstream');
+const { projectCompactPost } = require('./_lib/projection');
+const {
+  MAX_SEARCH_TERM_LENGTH,
+  SEARCH_FILTER_KEYS,
+  SEARCH_SORTS,
+  enforceClientRateLimit,
+  getQueryString,
+  isSearchFallbackEnabled,
+  parseSearchFilters,
+  stripControlChars,
+} = require('./_lib/search');
+const { hasCredentials } = require('./_lib/session');
+const { createStreamHub } = require('./_lib/stream-hub');
+
+// Server-Sent Events feed of new posts for a term set:
+// GET /api/stream?terms=a,b&sort=latest&from=<ms>&interval=<s>&token=<api token> plus the
+// /api/search filter params. `interval` is the client's refresh interval; it is never shorter
+// than STREAM_POLL_INTERVAL_SECONDS. Events:
+//   posts      { posts[, degraded] } — compact posts tagged with matchedTerms; `id` is the poll
+//              time (ms) and `degraded` marks results from the fallback AppView
+//   poll-error { error } — upstream failed this round; the stream stays open
+//   end        {}       — duration cap reached; EventSource reconnects with Last-Event-ID
+// With JETSTREAM_URL set, unfiltered streams also pick up the Jetstream worker's matches every
+// STREAM_LIVE_INTERVAL_SECONDS (see api/_lib/jetstream.js).
+const STREAM_POLL_INTERVAL_MS = readNumberEnv('STREAM_POLL_INTERVAL_SECONDS', 60, 10) * 1000;
+const STREAM_MAX_POLL_INTERVAL_MS = Math.max(60 * 60 * 1000, STREAM_POLL_INTERVAL_MS);
+// How long a channel keeps polling after its last subscriber leaves, to bridge reconnects.
+const STREAM_CHANNEL_IDLE_MS = readNumberEnv('STREAM_CHANNEL_IDLE_SECONDS', 30, 0) * 1000;
+const STREAM_LIVE_INTERVAL_MS = readNumberEnv('STREAM_LIVE_INTERVAL_SECONDS', 5, 1) * 1000;
+// Keep below the platform's function duration limit (see vercel.json).
+const STREAM_MAX_DURATION_MS = readNumberEnv('STREAM_MAX_DURATION_SECONDS', 25, 1) * 1000;
+const STREAM_HEARTBEAT_MS = 15000;
+const STREAM_RECONNECT_MS = 2000;
+const MAX_STREAM_CHANNELS = 100;
+const MAX_STREAM_SUBSCRIBERS = 500;
+
+// A new channel's first poll takes the shared cache, which the page's own search just filled.
+// Later polls outlast the search cache TTL, so stale pages would lag a full round.
+async function pollSearch({ terms, sort, filters }, { initial }) {
+  const { posts, terms: termResults, degraded } = await runBatchSearch({
+    terms,
+    pages: 1,
+    sort,
+    filters,
+    freshOnly: !initial,
+  });
+  if (termResults.every((result) => !result.ok)) {
+    return { posts: [], error: termResults[0].error };
+  }
+  return {
+    posts: posts.map((post) => ({
+      ...projectCompactPost(post),
+      matchedTerms: post.matchedTerms,
+    })),
+    degraded,
+  };
+}
+
+// Jetstream matching ignores the search filters, so filtered streams only poll search.
+async function pollLiveMatches({ terms, filters }) {
+  if (SEARCH_FILTER_KEYS.some((key) => filters[key])) {
+    return { posts: [] };
+  }
+  await registerTermSet(terms);
+  return { posts: await readLiveMatches(terms) };
+}
+
+function createHub() {
+  return createStreamHub({
+    poll: pollSearch,
+    intervalMs: STREAM_POLL_INTERVAL_MS,
+    idleMs: STREAM_CHANNEL_IDLE_MS,
+    livePoll: isJetstreamEnabled() ? pollLiveMatches : null,
+    liveIntervalMs: STREAM_LIVE_INTERVAL_MS,
+  });
+}
+
+let hub = createHub();
+
+function getStreamKey(terms, sort, filters, intervalMs = STREAM_POLL_INTERVAL_MS) {
+  return JSON.stringify([
+    [...terms].sort(),
+    sort,
+    ...SEARCH_FILTER_KEYS.map((key) => filters[key] || ''),
+    intervalMs,
+  ]);
+}
+
+// The channel's poll interval: the client's `interval` (seconds), kept between the server's
+// poll interval and an hour; null when malformed.
+function parseStreamInterval(value) {
+  const raw = stripControlChars(getQueryString(value)).trim();
+  if (!raw) return STREAM_POLL_INTERVAL_MS;
+  if (!/^\d{1,7}$/.test(raw)) return null;
+  const intervalMs = Math.max(Number(raw) * 1000, STREAM_POLL_INTERVAL_MS);
+  return Math.min(intervalMs, STREAM_MAX_POLL_INTERVAL_MS);
+}
+
+// Watermark for the first delivery: Last-Event-ID on reconnect, else `from` (ms), else now.
+function getSubscriberSince(req) {
+  const candidates = [req.headers?.['last-event-id'], getQueryString(req.query.from)];
+  for (const candidate of candidates) {
+    if (typeof candidate === 'string' && /^\d{1,15}$/.test(candidate.trim())) {
+      return Number(candidate.trim());
+    }
+  }
+  return Date.now();
+}
+
+function writeEvent(res, event, data, id) {
+  let message = '';
+  if (id !== undefined) message += `id: ${id}\n`;
+  message += `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  res.write(message);
+}
+
+module.exports = async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  if (!enforceClientAccess(req, res, { queryToken: true })) {
+    return;
+  }
+
+  const terms = parseTermList(req.query.terms);
+  const sort = stripControlChars(getQueryString(req.query.sort)).trim().toLowerCase();
+
+  if (terms.length === 0) {
+    return res.status(400).json({ error: 'Missing terms parameter.' });
+  }
+
+  if (terms.length > MAX_BATCH_TERMS) {
+    return res.status(400).json({ error: `Too many terms (max ${MAX_BATCH_TERMS}).` });
+  }
+
+  if (terms.some((term) => term.length > MAX_SEARCH_TERM_LENGTH)) {
+    return res.status(400).json({ error: 'Search term is too long.' });
+  }
+
+  if (sort && !SEARCH_SORTS.includes(sort)) {
+    return res.status(400).json({ error: 'Invalid sort parameter.' });
+  }
+
+  const { filters, error: filterError } = parseSearchFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+
+  const intervalMs = parseStreamInterval(req.query.interval);
+  if (intervalMs === null) {
+    return res.status(400).json({ error: 'Invalid interval parameter.' });
+  }
+
+  if (!(await enforceClientRateLimit(req, res))) {
+    return;
+  }
+
+  if (!hasCredentials() && !isSearchFallbackEnabled()) {
+    return res.status(500).json({
+      error: 'Server missing BSKY_HANDLE or BSKY_APP_PASSWORD.',
+    });
+  }
+
+  const sortValue = sort || 'latest';
+  const key = getStreamKey(terms, sortValue, filters, intervalMs);
+  if (
+    hub.subscriberCount >= MAX_STREAM_SUBSCRIBERS ||
+    (hub.channelCount >= MAX_STREAM_CHANNELS && !hub.hasChannel(key))
+  ) {
+    res.setHeader('Retry-After', '60');
+    return res.status(503).json({ error: 'Live updates are at capacity. Try again shortly.' });
+  }
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.write(`retry: ${STREAM_RECONNECT_MS}\n\n`);
+
+  return new Promise((resolve) => {
+    let closed = false;
+    const unsubscribe = hub.subscribe(
+      key,
+      { terms, sort: sortValue, filters },
+      {
+        since: getSubscriberSince(req),
+        onPosts: (posts, eventId, degraded) =>
+          writeEvent(res, 'posts', degraded ? { posts, degraded } : { posts }, eventId),
+        onError: (error) => writeEvent(res, 'poll-error', { error }),
+      },
+      { intervalMs }
+    );
+    const heartbeat = setInterval(() => res.write(': keepalive\n\n'), STREAM_HEARTBEAT_MS);
+    const deadline = setTimeout(() => close(true), STREAM_MAX_DURATION_MS);
+
+    function close(sendEnd) {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(deadline);
+      unsubscribe();
+      if (sendEnd) {
+        writeEvent(res, 'end', {});
+      }
+      res.end();
+      resolve();
+    }
+
+    req.on('close', () => close(false));
+  });
+};
+
+// Test utilities export (must be after module.exports assignment)
+if (process.env.NODE_ENV === 'test') {
+  module.exports.testUtils = {
+    STREAM_MAX_DURATION_MS,
+    STREAM_POLL_INTERVAL_MS,
+    getStreamKey,
+    getSubscriberSince,
+    parseStreamInterval,
+    STREAM_CHANNEL_IDLE_MS,
+    STREAM_LIVE_INTERVAL_MS,
+    resetStreamHub() {
+      hub = createHub();
+    },
+  };
+}
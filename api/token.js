@@ -0,0 +1,22 @@
+const { isAllowedOrigin, isApiTokenEnabled, issueApiToken } = require('./_lib/client-access');
+
+// POST /api/token: a short-lived { token, expiresAt } for the search API's X-Api-Token header.
+// Both are null when API tokens are not enabled.
+module.exports = (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  if (!isAllowedOrigin(req)) {
+    return res.status(403).json({ error: 'Origin not allowed.' });
+  }
+
+  if (!isApiTokenEnabled()) {
+    return res.status(200).json({ token: null, expiresAt: null });
+  }
+
+  return res.status(200).json(issueApiToken(req));
+};
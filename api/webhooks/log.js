@@ -0,0 +1,26 @@
+const {
+  getDeliveryLog,
+  isAuthorizedCronRequest,
+  isCronSecretConfigured,
+} = require('../_lib/webhooks');
+
+// GET /api/webhooks/log: recent webhook deliveries, newest first. Guarded by the same
+// `Authorization: Bearer <CRON_SECRET>` as the cron job.
+module.exports = async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  if (!isCronSecretConfigured()) {
+    return res.status(503).json({ error: 'CRON_SECRET is not configured.' });
+  }
+
+  if (!isAuthorizedCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized.' });
+  }
+
+  return res.status(200).json({ deliveries: await getDeliveryLog() });
+};
@@ -0,0 +1,28 @@
+const { createJetstreamWorker, isJetstreamEnabled } = require('../api/_lib/jetstream');
+const { usesSharedCache } = require('../api/_lib/shared-cache');
+
+// Long-running Jetstream ingestion for /api/stream (see api/_lib/jetstream.js). Run it next to
+// the deployment with the same JETSTREAM_URL and CACHE_BACKEND settings.
+
+if (!isJetstreamEnabled()) {
+  console.error('Set JETSTREAM_URL to a Jetstream subscribe endpoint (ws:// or wss://).');
+  process.exit(1);
+}
+
+if (!usesSharedCache()) {
+  console.warn('CACHE_BACKEND is memory: matches will not reach other processes.');
+}
+
+const worker = createJetstreamWorker();
+
+async function shutdown() {
+  await worker.stop();
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+worker.start().then(() => {
+  console.log('Jetstream worker running.');
+});
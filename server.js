@@ -0,0 +1,389 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Standalone server for self-hosting outside Vercel: `npm run build && npm start`.
+// Serves the build output (vercel.json outputDirectory) and mounts every handler under api/
+// at the same path Vercel would, with the vercel.json rewrites and headers applied.
+//   PORT / HOST    listen address (default 0.0.0.0:3000)
+//   TRUST_PROXY=1  keep X-Forwarded-* / X-Real-IP headers; set it only behind a reverse proxy
+//                  that overwrites them, or clients can pick their own rate-limit key
+// Vercel crons do not run here: call /api/cron/webhooks from an external scheduler with the
+// CRON_SECRET bearer token. With JETSTREAM_URL set, the Jetstream worker runs in-process.
+// The Content-Security-Policy also allows a BSKY_PUBLIC_API_URL origin, which the browser calls
+// directly (see withPublicApiOrigin).
+
+const ROOT_DIR = __dirname;
+const MAX_BODY_BYTES = 1024 * 1024;
+const FORWARDED_HEADERS = [
+  'x-forwarded-for',
+  'x-forwarded-host',
+  'x-forwarded-proto',
+  'x-real-ip',
+];
+const CONTENT_TYPES = {
+  '.css': 'text/css; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.ico': 'image/x-icon',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.xml': 'application/xml; charset=utf-8',
+};
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The subset of Vercel's path-to-regexp source syntax this repo uses: literal paths, `(...)`
+// regex groups, `:name` (one segment) and `:name*` (the rest of the path).
+function compileSourcePattern(source) {
+  const names = [];
+  let pattern = '';
+  let index = 0;
+  while (index < source.length) {
+    const char = source[index];
+    if (char === '(') {
+      let depth = 1;
+      let end = index + 1;
+      while (end < source.length && depth > 0) {
+        if (source[end] === '(') depth += 1;
+        if (source[end] === ')') depth -= 1;
+        end += 1;
+      }
+      pattern += source.slice(index, end);
+      names.push(String(names.length + 1));
+      index = end;
+    } else if (char === ':') {
+      const [, name, modifier] = source.slice(index).match(/^:(\w+)([*+?]?)/);
+      pattern += modifier === '*' || modifier === '+' ? '(.*)' : '([^/]+)';
+      names.push(name);
+      index += 1 + name.length + modifier.length;
+    } else {
+      pattern += escapeRegExp(char);
+      index += 1;
+    }
+  }
+  const regex = new RegExp(`^${pattern}$`);
+
+  return (pathname) => {
+    const match = pathname.match(regex);
+    if (!match) return null;
+    const params = {};
+    names.forEach((name, i) => {
+      params[name] = match[i + 1] || '';
+    });
+    return params;
+  };
+}
+
+// Substitute `$1` and `:name` references in a rewrite destination.
+function applyDestination(destination, params) {
+  return destination
+    .replace(/\$(\d+)/g, (_, index) => params[index] ?? '')
+    .replace(/:(\w+)\*?/g, (token, name) => (name in params ? params[name] : token));
+}
+
+// `/api/<path>` for every .js file under api/, skipping `_`-prefixed files and directories
+// (api/_lib), which Vercel does not deploy as functions either.
+function discoverApiRoutes(apiDir) {
+  const routes = new Map();
+  function walk(dir, prefix) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+      if (entry.name.startsWith('_') || entry.name.startsWith('.')) return;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath, `${prefix}/${entry.name}`);
+      } else if (entry.name.endsWith('.js')) {
+        const name = entry.name.slice(0, -3);
+        routes.set(name === 'index' ? prefix || '/api' : `${prefix}/${name}`, fullPath);
+      }
+    });
+  }
+  walk(apiDir, '/api');
+  return routes;
+}
+
+function parseQuery(searchParams) {
+  const query = {};
+  searchParams.forEach((value, key) => {
+    if (key in query) {
+      query[key] = [].concat(query[key], value);
+    } else {
+      query[key] = value;
+    }
+  });
+  return query;
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      const error = new Error('Request body too large.');
+      error.statusCode = 413;
+      throw error;
+    }
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString('utf8');
+  const contentType = String(req.headers['content-type'] || '').split(';')[0].trim();
+  if (!raw) return undefined;
+  if (contentType === 'application/json') {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      const error = new Error('Invalid JSON body.');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+  if (contentType === 'application/x-www-form-urlencoded') {
+    return parseQuery(new URLSearchParams(raw));
+  }
+  return raw;
+}
+
+// The Vercel Node.js helpers the handlers rely on: req.query, req.body, res.status(),
+// res.json(), res.send() and res.redirect().
+function addVercelHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.send = (body) => {
+    if (body === undefined || body === null) {
+      res.end();
+    } else if (Buffer.isBuffer(body)) {
+      if (!res.hasHeader('Content-Type')) res.setHeader('Content-Type', 'application/octet-stream');
+      res.end(body);
+    } else if (typeof body === 'object') {
+      return res.json(body);
+    } else {
+      if (!res.hasHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(String(body));
+    }
+    return res;
+  };
+  res.json = (body) => {
+    if (!res.hasHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.redirect = (statusOrUrl, maybeUrl) => {
+    const [status, location] =
+      typeof statusOrUrl === 'number' ? [statusOrUrl, maybeUrl] : [307, statusOrUrl];
+    res.statusCode = status;
+    res.setHeader('Location', location);
+    res.end();
+    return res;
+  };
+  return res;
+}
+
+// vercel.json's CSP only lets the browser reach the default public AppView. Add a configured
+// BSKY_PUBLIC_API_URL origin to connect-src, and drop upgrade-insecure-requests when it is plain
+// http (a local mock). Vercel serves vercel.json's header as is, so make the same edit there.
+function withPublicApiOrigin(policy, publicApi) {
+  const { origin, protocol } = new URL(publicApi);
+  return policy
+    .split(';')
+    .map((directive) => directive.trim())
+    .filter((directive) => !(protocol === 'http:' && directive === 'upgrade-insecure-requests'))
+    .map((directive) => {
+      const [name, ...sources] = directive.split(/\s+/);
+      if (name !== 'connect-src' || sources.includes(origin)) return directive;
+      return [name, ...sources, origin].join(' ');
+    })
+    .join('; ');
+}
+
+function sendError(res, status, message) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.statusCode = status;
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify({ error: message }));
+}
+
+function createServer({
+  rootDir = ROOT_DIR,
+  distDir,
+  trustProxy = false,
+  publicApi = require('./api/_lib/config').PUBLIC_API,
+} = {}) {
+  const config = JSON.parse(fs.readFileSync(path.join(rootDir, 'vercel.json'), 'utf8'));
+  const staticDir = path.resolve(distDir || path.join(rootDir, config.outputDirectory || 'dist'));
+  const apiRoutes = discoverApiRoutes(path.join(rootDir, 'api'));
+  const handlers = new Map();
+  const rewrites = (config.rewrites || []).map((rewrite) => ({
+    match: compileSourcePattern(rewrite.source),
+    destination: rewrite.destination,
+  }));
+  const headerRules = (config.headers || []).map((rule) => ({
+    match: compileSourcePattern(rule.source),
+    headers: rule.headers.map(({ key, value }) =>
+      key.toLowerCase() === 'content-security-policy'
+        ? { key, value: withPublicApiOrigin(value, publicApi) }
+        : { key, value }
+    ),
+  }));
+
+  function getHandler(routePath) {
+    if (!handlers.has(routePath)) {
+      const loaded = require(apiRoutes.get(routePath));
+      handlers.set(routePath, typeof loaded === 'function' ? loaded : loaded.default);
+    }
+    return handlers.get(routePath);
+  }
+
+  // A file under the build output, or null. Rejects anything resolving outside it.
+  function findStaticFile(pathname) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch {
+      return null;
+    }
+    if (decoded.includes('\0')) return null;
+    const filePath = path.resolve(staticDir, `.${decoded}`);
+    if (filePath !== staticDir && !filePath.startsWith(`${staticDir}${path.sep}`)) return null;
+    try {
+      return fs.statSync(filePath).isFile() ? filePath : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function serveStatic(req, res, filePath) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      sendError(res, 405, 'Method not allowed.');
+      return;
+    }
+    const type = CONTENT_TYPES[path.extname(filePath).toLowerCase()];
+    res.statusCode = 200;
+    res.setHeader('Content-Type', type || 'application/octet-stream');
+    res.setHeader('Content-Length', fs.statSync(filePath).size);
+    res.setHeader('Cache-Control', 'public, max-age=0, must-revalidate');
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    fs.createReadStream(filePath)
+      .on('error', () => res.destroy())
+      .pipe(res);
+  }
+
+  async function runHandler(req, res, routePath, searchParams) {
+    req.query = parseQuery(searchParams);
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      req.body = await readBody(req);
+    }
+    await getHandler(routePath)(req, addVercelHelpers(res));
+  }
+
+  // Filesystem and functions first, then the first matching rewrite (as Vercel does).
+  function resolveRoute(pathname, searchParams) {
+    const route = pathname.replace(/\/+$/, '') || '/';
+    if (apiRoutes.has(route)) return { routePath: route, searchParams };
+    const filePath = findStaticFile(pathname);
+    if (filePath) return { filePath };
+
+    for (const rewrite of rewrites) {
+      const params = rewrite.match(pathname);
+      if (!params) continue;
+      const target = new URL(applyDestination(rewrite.destination, params), 'http://localhost');
+      const merged = new URLSearchParams(searchParams);
+      target.searchParams.forEach((value, key) => merged.set(key, value));
+      const rewritten = target.pathname.replace(/\/+$/, '') || '/';
+      if (apiRoutes.has(rewritten)) return { routePath: rewritten, searchParams: merged };
+      const rewrittenFile = findStaticFile(target.pathname);
+      return rewrittenFile ? { filePath: rewrittenFile } : {};
+    }
+    return {};
+  }
+
+  return http.createServer(async (req, res) => {
+    if (!trustProxy) {
+      FORWARDED_HEADERS.forEach((name) => delete req.headers[name]);
+    }
+
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      sendError(res, 400, 'Bad request.');
+      return;
+    }
+
+    headerRules.forEach((rule) => {
+      if (rule.match(url.pathname)) {
+        rule.headers.forEach(({ key, value }) => res.setHeader(key, value));
+      }
+    });
+
+    const { routePath, searchParams, filePath } = resolveRoute(url.pathname, url.searchParams);
+    try {
+      if (routePath) {
+        await runHandler(req, res, routePath, searchParams);
+      } else if (filePath) {
+        serveStatic(req, res, filePath);
+      } else {
+        sendError(res, 404, 'Not found.');
+      }
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error('Handler failed:', error.message || 'Unknown error');
+      }
+      sendError(res, error.statusCode || 500, error.statusCode ? error.message : 'Server error.');
+    }
+  });
+}
+
+module.exports = {
+  applyDestination,
+  compileSourcePattern,
+  createServer,
+  discoverApiRoutes,
+  withPublicApiOrigin,
+};
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 3000;
+  const host = process.env.HOST || '0.0.0.0';
+  const server = createServer({ trustProxy: process.env.TRUST_PROXY === '1' });
+  let jetstreamWorker = null;
+
+  server.listen(port, host, () => {
+    console.log(`bskySearch listening on http://${host}:${port}`);
+  });
+
+  const { createJetstreamWorker, isJetstreamEnabled } = require('./api/_lib/jetstream');
+  if (isJetstreamEnabled()) {
+    jetstreamWorker = createJetstreamWorker();
+    jetstreamWorker.start().catch((error) => {
+      console.error('Jetstream worker failed to start:', error.message || 'Unknown error');
+    });
+  }
+
+  const shutdown = async () => {
+    server.close();
+    server.closeAllConnections();
+    if (jetstreamWorker) await jetstreamWorker.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
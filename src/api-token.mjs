@@ -0,0 +1,43 @@
+import { API_TOKEN_RENEW_MARGIN_MS, TOKEN_API } from './constants.mjs';
+
+// Short-lived token the search API may require (see api/_lib/client-access.js). Fetched on
+// first use, renewed shortly before it expires and again whenever the API answers 401.
+let tokenPromise = null;
+let tokenExpiresAt = null;
+
+function requestApiToken() {
+  tokenPromise = fetch(TOKEN_API, { method: 'POST' })
+    .then((response) => (response.ok ? response.json() : null))
+    .then((data) => {
+      tokenExpiresAt = Number.isFinite(data?.expiresAt) ? data.expiresAt : null;
+      return typeof data?.token === 'string' ? data.token : null;
+    })
+    .catch(() => {
+      tokenPromise = null;
+      return null;
+    });
+  return tokenPromise;
+}
+
+export function getApiToken(now = Date.now()) {
+  const expiring = tokenExpiresAt !== null && tokenExpiresAt - API_TOKEN_RENEW_MARGIN_MS <= now;
+  if (!tokenPromise || expiring) {
+    return requestApiToken();
+  }
+  return tokenPromise;
+}
+
+// fetch() with the X-Api-Token header, retrying once with a fresh token after a 401.
+export async function fetchWithApiToken(url) {
+  const send = (token) => fetch(url, token ? { headers: { 'X-Api-Token': token } } : undefined);
+  const response = await send(await getApiToken());
+  if (response.status !== 401) {
+    return response;
+  }
+  return send(await requestApiToken());
+}
+
+export function resetApiTokenForTests() {
+  tokenPromise = null;
+  tokenExpiresAt = null;
+}
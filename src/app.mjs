@@ -1,19 +1,26 @@
 import { state } from './state.mjs';
 import {
   autoRefreshToggle,
+  dateFromInput,
+  dateToInput,
   expandTermsToggle,
   minLikesInput,
+  muteForm,
+  muteList,
   postUrlInput,
   quoteForm,
   quoteTabs,
   refreshIntervalSelect,
   searchBtn,
+  signInForm,
+  signOutBtn,
   sortSelect,
   termsInput,
   themeSelect,
   timeFilterSelect,
 } from './dom.mjs';
 import {
+  applyMutes,
   cancelDebouncedSearch,
   debouncedSearch,
   disableAutoRefresh,
@@ -21,16 +28,20 @@ import {
   focusSearchInput,
   performSearch,
   scheduleNextRefresh,
+  searchFilterInputs,
   updateExpansionSummary,
   updateRefreshInterval,
   updateRefreshMeta,
   updateSearchURL,
 } from './search.mjs';
+import { formatDateInput } from './utils.mjs';
 import {
   handleQuoteTabClick,
   performQuoteSearch,
   updateQuoteTabs,
 } from './quotes.mjs';
+import { handleSignIn, handleSignOut, initAuth } from './auth.mjs';
+import { handleMuteListClick, handleMuteSubmit, initMutes } from './mutes.mjs';
 import {
   handleSystemThemeChange,
   handleThemeChange,
@@ -38,6 +49,26 @@ import {
   prefersDarkScheme,
 } from './theme.mjs';
 
+const DATE_PARAM_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function syncDateRangeFields() {
+  const isCustomRange = timeFilterSelect.value === 'custom';
+  [dateFromInput, dateToInput].forEach((input) => {
+    input.closest('.form-group').classList.toggle('hidden', !isCustomRange);
+  });
+}
+
+// Links from before the custom range carried since/until (exclusive) as advanced filters.
+function readLegacyDateRange(params) {
+  const since = params.get('since') || '';
+  const until = params.get('until') || '';
+  const untilTs = DATE_PARAM_PATTERN.test(until) ? Date.parse(`${until}T00:00:00Z`) : NaN;
+  return {
+    from: DATE_PARAM_PATTERN.test(since) ? since : '',
+    to: Number.isFinite(untilTs) ? formatDateInput(untilTs - 24 * 3600000) : '',
+  };
+}
+
 function initFromURL() {
   const params = new URLSearchParams(window.location.search);
   if (params.get('terms')) {
@@ -48,10 +79,19 @@ function initFromURL() {
   }
   if (params.get('time')) {
     const timeValue = params.get('time');
-    if (['1', '6', '12', '24', '48', '168'].includes(timeValue)) {
+    if (['1', '6', '12', '24', '48', '168', 'custom'].includes(timeValue)) {
       timeFilterSelect.value = timeValue;
     }
   }
+  const legacyRange = readLegacyDateRange(params);
+  const from = params.get('from') || legacyRange.from;
+  const to = params.get('to') || legacyRange.to;
+  if (from || to) {
+    timeFilterSelect.value = 'custom';
+    dateFromInput.value = DATE_PARAM_PATTERN.test(from) ? from : '';
+    dateToInput.value = DATE_PARAM_PATTERN.test(to) ? to : '';
+  }
+  syncDateRangeFields();
   if (params.get('sort')) {
     const sortValue = params.get('sort');
     if (['top', 'latest'].includes(sortValue)) {
@@ -62,6 +102,11 @@ function initFromURL() {
   if (params.get('expand') === '1') {
     expandTermsToggle.checked = true;
   }
+  Object.entries(searchFilterInputs).forEach(([key, input]) => {
+    if (params.get(key)) {
+      input.value = params.get(key);
+    }
+  });
 
   const postParam = params.get('post');
   const sortParam = params.get('sort');
@@ -88,6 +133,10 @@ quoteForm.addEventListener('submit', (event) => {
   performQuoteSearch();
 });
 
+signInForm.addEventListener('submit', handleSignIn);
+
+signOutBtn.addEventListener('click', handleSignOut);
+
 themeSelect.addEventListener('change', (event) => {
   handleThemeChange(event.target.value);
 });
@@ -113,6 +162,13 @@ refreshIntervalSelect.addEventListener('change', () => {
   }
 });
 
+timeFilterSelect.addEventListener('change', () => {
+  syncDateRangeFields();
+  if (timeFilterSelect.value === 'custom' && !dateFromInput.value && !dateToInput.value) {
+    dateFromInput.focus();
+  }
+});
+
 sortSelect.addEventListener('change', () => {
   state.searchSort = sortSelect.value === 'latest' ? 'latest' : 'top';
   if (state.autoRefreshEnabled) {
@@ -150,13 +206,36 @@ minLikesInput.addEventListener('keypress', (event) => {
 
 minLikesInput.addEventListener('input', debouncedSearch);
 
+[...Object.values(searchFilterInputs), dateFromInput, dateToInput].forEach((input) => {
+  input.addEventListener('keypress', (event) => {
+    if (event.key === 'Enter') {
+      cancelDebouncedSearch();
+      performSearch();
+    }
+  });
+});
+
 expandTermsToggle.addEventListener('change', () => {
   updateSearchURL();
   updateExpansionSummary();
 });
 
+muteForm.addEventListener('submit', (event) => {
+  if (handleMuteSubmit(event)) {
+    applyMutes();
+  }
+});
+
+muteList.addEventListener('click', (event) => {
+  if (handleMuteListClick(event)) {
+    applyMutes();
+  }
+});
+
 // Initialize
 initTheme();
+initAuth();
+initMutes();
 initFromURL();
 updateRefreshInterval();
 updateRefreshMeta();
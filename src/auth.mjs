@@ -0,0 +1,48 @@
+import { OAUTH_LOGIN_API, OAUTH_LOGOUT_API, OAUTH_SESSION_API } from './constants.mjs';
+import {
+  accountControl,
+  signInForm,
+  signInHandleInput,
+  signedInDiv,
+  signedInHandleSpan,
+  signOutBtn,
+} from './dom.mjs';
+
+// Optional Bluesky sign-in. The session lives server-side behind an HttpOnly cookie, so the
+// page only asks who is signed in; searches pick the account up from the cookie.
+function renderSession(session) {
+  accountControl.classList.toggle('hidden', !session?.enabled);
+  signInForm.classList.toggle('hidden', Boolean(session?.signedIn));
+  signedInDiv.classList.toggle('hidden', !session?.signedIn);
+  signedInHandleSpan.textContent = session?.signedIn
+    ? `Signed in as @${session.handle || session.did}`
+    : '';
+}
+
+export async function initAuth() {
+  try {
+    const response = await fetch(OAUTH_SESSION_API);
+    renderSession(response.ok ? await response.json() : null);
+  } catch {
+    renderSession(null);
+  }
+}
+
+// A navigation rather than a form submit: CSP form-action would block the redirect to the
+// account's authorization server.
+export function handleSignIn(event) {
+  event.preventDefault();
+  const handle = signInHandleInput.value.trim().replace(/^@/, '');
+  if (!handle) return;
+  window.location.assign(`${OAUTH_LOGIN_API}?${new URLSearchParams({ handle })}`);
+}
+
+export async function handleSignOut() {
+  signOutBtn.disabled = true;
+  try {
+    await fetch(OAUTH_LOGOUT_API, { method: 'POST' });
+  } finally {
+    // Cached results were fetched as the signed-in account.
+    window.location.reload();
+  }
+}
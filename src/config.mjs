@@ -0,0 +1,31 @@
+import { CONFIG_API, DEFAULT_PUBLIC_API } from './constants.mjs';
+
+let publicApiPromise = null;
+
+export function normalizePublicApi(value) {
+  if (typeof value !== 'string' || !value) return null;
+  try {
+    const parsed = new URL(value);
+    if (!['http:', 'https:'].includes(parsed.protocol) || parsed.search || parsed.hash) {
+      return null;
+    }
+    return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return null;
+  }
+}
+
+// Public AppView base from the server config, falling back to the default on any failure.
+export function getPublicApi() {
+  if (!publicApiPromise) {
+    publicApiPromise = fetch(CONFIG_API)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((config) => normalizePublicApi(config?.publicApi) || DEFAULT_PUBLIC_API)
+      .catch(() => DEFAULT_PUBLIC_API);
+  }
+  return publicApiPromise;
+}
+
+export function resetPublicApiForTests() {
+  publicApiPromise = null;
+}
@@ -1,5 +1,18 @@
-export const PUBLIC_API = 'https://public.api.bsky.app/xrpc';
+// Fallback AppView base; deployments can override it through CONFIG_API.
+export const DEFAULT_PUBLIC_API = 'https://public.api.bsky.app/xrpc';
+export const CONFIG_API = '/api/config';
 export const SEARCH_API = '/api/search';
+export const SEARCH_BATCH_API = '/api/search/batch';
+export const SEARCH_BATCH_MAX_TERMS = 20; // Mirrors MAX_BATCH_TERMS in api/_lib/batch.js
+export const MAX_QUERY_SEARCHES = 20; // Upstream searches one boolean query may compile to
+export const STREAM_API = '/api/stream';
+export const TOKEN_API = '/api/token';
+export const API_TOKEN_RENEW_MARGIN_MS = 30 * 1000;
+export const OAUTH_LOGIN_API = '/api/oauth/login';
+export const OAUTH_LOGOUT_API = '/api/oauth/logout';
+export const OAUTH_SESSION_API = '/api/oauth/session';
+// Optional searchPosts filters forwarded by the proxy, in cache-key order.
+export const SEARCH_FILTER_KEYS = ['author', 'mentions', 'since', 'until', 'domain', 'url', 'tag'];
 export const INITIAL_RENDER_LIMIT = 200;
 export const RENDER_STEP = 100;
 export const SEARCH_DEBOUNCE_MS = 300;
@@ -9,3 +22,4 @@ export const DID_CACHE_TTL_MS = 2 * 60 * 60 * 1000; // 2 hours
 export const MAX_SEARCH_CACHE_SIZE = 200;
 export const MAX_DID_CACHE_SIZE = 500;
 export const THEME_STORAGE_KEY = 'bsky-theme';
+export const MUTES_STORAGE_KEY = 'bsky-mutes';
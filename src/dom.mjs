@@ -1,9 +1,17 @@
 export const termsInput = document.getElementById('terms');
 export const minLikesInput = document.getElementById('minLikes');
 export const timeFilterSelect = document.getElementById('timeFilter');
+export const dateFromInput = document.getElementById('dateFrom');
+export const dateToInput = document.getElementById('dateTo');
 export const sortSelect = document.getElementById('sortSelect');
+export const filterAuthorInput = document.getElementById('filterAuthor');
+export const filterMentionsInput = document.getElementById('filterMentions');
+export const filterDomainInput = document.getElementById('filterDomain');
+export const filterUrlInput = document.getElementById('filterUrl');
+export const filterTagInput = document.getElementById('filterTag');
 export const searchBtn = document.getElementById('searchBtn');
 export const statusDiv = document.getElementById('status');
+export const degradedBanner = document.getElementById('degradedBanner');
 export const newPostsDiv = document.getElementById('newPosts');
 export const resultsDiv = document.getElementById('results');
 export const autoRefreshToggle = document.getElementById('autoRefreshToggle');
@@ -12,6 +20,17 @@ export const refreshStateDiv = document.getElementById('refreshState');
 export const refreshLastDiv = document.getElementById('refreshLast');
 export const refreshNextDiv = document.getElementById('refreshNext');
 export const themeSelect = document.getElementById('themeSelect');
+export const accountControl = document.getElementById('accountControl');
+export const signInForm = document.getElementById('signInForm');
+export const signInHandleInput = document.getElementById('signInHandle');
+export const signedInDiv = document.getElementById('signedIn');
+export const signedInHandleSpan = document.getElementById('signedInHandle');
+export const signOutBtn = document.getElementById('signOutBtn');
+export const muteForm = document.getElementById('muteForm');
+export const muteInput = document.getElementById('muteInput');
+export const muteError = document.getElementById('muteError');
+export const muteList = document.getElementById('muteList');
+export const muteCount = document.getElementById('muteCount');
 export const expandTermsToggle = document.getElementById('expandTermsToggle');
 export const expandSummary = document.getElementById('expandSummary');
 export const quoteForm = document.getElementById('quoteForm');
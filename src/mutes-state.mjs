@@ -0,0 +1,188 @@
+import { MUTES_STORAGE_KEY } from './constants.mjs';
+import { state } from './state.mjs';
+import { escapeRegExp, getPostSearchText } from './utils.mjs';
+
+// Mute list entries, persisted in localStorage:
+//   { type: 'word', value }           case-insensitive whole word or phrase
+//   { type: 'regex', value, flags }   tested against post text and image alt text
+//   { type: 'author', value, label }  a DID, or a handle without the @; `label` is for display
+// state.mutes is replaced rather than mutated, so compiled matchers can be cached per list.
+
+const REGEX_FLAGS = /^[imsu]*$/;
+const AUTHOR_DID_PATTERN = /^did:[a-z]+:[a-zA-Z0-9._:%-]+$/;
+const AUTHOR_HANDLE_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+function createRegexEntry(value, flags) {
+  if (!REGEX_FLAGS.test(flags)) {
+    throw new Error('Regex mutes support only the i, m, s and u flags.');
+  }
+  try {
+    new RegExp(value, flags);
+  } catch (error) {
+    throw new Error(`Invalid regular expression: ${error.message}`);
+  }
+  return { type: 'regex', value, flags };
+}
+
+function createAuthorEntry(value, label = value) {
+  const normalized = value.trim().replace(/^@/, '').toLowerCase();
+  if (normalized.startsWith('did:')) {
+    if (!AUTHOR_DID_PATTERN.test(value.trim())) {
+      throw new Error('Enter a valid DID to mute.');
+    }
+    return { type: 'author', value: value.trim(), label };
+  }
+  if (!AUTHOR_HANDLE_PATTERN.test(normalized)) {
+    throw new Error('Enter a valid handle to mute, like @spam.bsky.social.');
+  }
+  return { type: 'author', value: normalized, label: `@${normalized}` };
+}
+
+// Panel input: `/pattern/flags` mutes a regex, `@handle` or `did:…` an author, anything else
+// a word or phrase. Throws with a user-facing message.
+export function parseMuteInput(raw) {
+  const input = raw.replace(/[\u0000-\u001F\u007F-\u009F]/g, ' ').trim();
+  if (!input) {
+    throw new Error('Enter a word, /regex/ or @handle to mute.');
+  }
+  const regexMatch = input.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    return createRegexEntry(regexMatch[1], regexMatch[2]);
+  }
+  if (input.startsWith('@') || input.startsWith('did:')) {
+    return createAuthorEntry(input);
+  }
+  return { type: 'word', value: input.replace(/\s+/g, ' ') };
+}
+
+// The author action mutes by DID, which survives handle changes.
+export function createAuthorMute(post) {
+  const did = getPostAuthorDid(post);
+  const handle = post.author?.handle;
+  if (did) {
+    return createAuthorEntry(did, handle ? `@${handle}` : did);
+  }
+  return createAuthorEntry(handle || '');
+}
+
+// Stored entries are re-validated; anything malformed is dropped.
+function normalizeStoredMute(entry) {
+  try {
+    if (entry?.type === 'word' && typeof entry.value === 'string') {
+      const parsed = parseMuteInput(entry.value);
+      return parsed.type === 'word' ? parsed : null;
+    }
+    if (entry?.type === 'regex' && typeof entry.value === 'string') {
+      return createRegexEntry(entry.value, typeof entry.flags === 'string' ? entry.flags : '');
+    }
+    if (entry?.type === 'author' && typeof entry.value === 'string') {
+      const label = typeof entry.label === 'string' ? entry.label : entry.value;
+      return createAuthorEntry(entry.value, label);
+    }
+  } catch {
+    return null;
+  }
+  return null;
+}
+
+function getMuteKey(entry) {
+  if (entry.type === 'regex') return `regex:/${entry.value}/${entry.flags}`;
+  return `${entry.type}:${entry.value.toLowerCase()}`;
+}
+
+export function formatMute(entry) {
+  if (entry.type === 'regex') return `/${entry.value}/${entry.flags}`;
+  if (entry.type === 'author') return entry.label || entry.value;
+  return entry.value;
+}
+
+// Storage can be unavailable (private browsing, blocked cookies); mutes then last the session.
+export function loadMutes() {
+  let stored = [];
+  try {
+    stored = JSON.parse(localStorage.getItem(MUTES_STORAGE_KEY) || '[]');
+  } catch {
+    stored = [];
+  }
+  const seen = new Set();
+  state.mutes = (Array.isArray(stored) ? stored : [])
+    .map(normalizeStoredMute)
+    .filter((entry) => {
+      if (!entry || seen.has(getMuteKey(entry))) return false;
+      seen.add(getMuteKey(entry));
+      return true;
+    });
+  return state.mutes;
+}
+
+function saveMutes() {
+  try {
+    localStorage.setItem(MUTES_STORAGE_KEY, JSON.stringify(state.mutes));
+  } catch {
+    // Keep the in-memory list.
+  }
+}
+
+// Returns false when the entry is already muted.
+export function addMute(entry) {
+  const key = getMuteKey(entry);
+  if (state.mutes.some((existing) => getMuteKey(existing) === key)) {
+    return false;
+  }
+  state.mutes = [...state.mutes, entry];
+  saveMutes();
+  return true;
+}
+
+export function removeMute(index) {
+  if (index < 0 || index >= state.mutes.length) {
+    return false;
+  }
+  state.mutes = state.mutes.filter((_, entryIndex) => entryIndex !== index);
+  saveMutes();
+  return true;
+}
+
+// Post URIs are at://<author DID>/…; compact results omit author.did.
+export function getPostAuthorDid(post) {
+  if (post?.author?.did) return post.author.did;
+  const match = /^at:\/\/(did:[^/]+)\//.exec(post?.uri || '');
+  return match ? match[1] : null;
+}
+
+function compileMutes(mutes) {
+  const authors = new Set();
+  const patterns = [];
+  mutes.forEach((entry) => {
+    if (entry.type === 'author') {
+      authors.add(entry.value.toLowerCase());
+    } else if (entry.type === 'regex') {
+      patterns.push(new RegExp(entry.value, entry.flags));
+    } else {
+      const source = escapeRegExp(entry.value).replace(/\s+/g, '\\s+');
+      patterns.push(new RegExp(`(?<![\\p{L}\\p{N}_])${source}(?![\\p{L}\\p{N}_])`, 'iu'));
+    }
+  });
+  return (post) => {
+    const did = getPostAuthorDid(post);
+    const handle = post?.author?.handle;
+    if ((did && authors.has(did.toLowerCase())) || (handle && authors.has(handle.toLowerCase()))) {
+      return true;
+    }
+    if (patterns.length === 0) return false;
+    const text = getPostSearchText(post);
+    return patterns.some((pattern) => pattern.test(text));
+  };
+}
+
+const compiledMutes = new WeakMap();
+
+export function isPostMuted(post) {
+  if (state.mutes.length === 0) return false;
+  let matcher = compiledMutes.get(state.mutes);
+  if (!matcher) {
+    matcher = compileMutes(state.mutes);
+    compiledMutes.set(state.mutes, matcher);
+  }
+  return matcher(post);
+}
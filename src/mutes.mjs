@@ -0,0 +1,89 @@
+import { state } from './state.mjs';
+import { muteCount, muteError, muteInput, muteList } from './dom.mjs';
+import {
+  addMute,
+  createAuthorMute,
+  formatMute,
+  loadMutes,
+  parseMuteInput,
+  removeMute,
+} from './mutes-state.mjs';
+
+function showMuteError(message) {
+  muteError.textContent = message;
+  muteError.classList.toggle('hidden', !message);
+}
+
+export function renderMuteList() {
+  muteList.textContent = '';
+  state.mutes.forEach((entry, index) => {
+    const item = document.createElement('li');
+    item.className = 'mute-item';
+
+    const type = document.createElement('span');
+    type.className = 'mute-type';
+    type.textContent = entry.type;
+    item.appendChild(type);
+
+    item.appendChild(document.createTextNode(formatMute(entry)));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'thread-link';
+    removeBtn.dataset.muteIndex = String(index);
+    removeBtn.setAttribute('aria-label', `Unmute ${formatMute(entry)}`);
+    removeBtn.textContent = 'Unmute';
+    item.appendChild(removeBtn);
+
+    muteList.appendChild(item);
+  });
+  muteCount.textContent = state.mutes.length > 0 ? `(${state.mutes.length})` : '';
+}
+
+export function initMutes() {
+  loadMutes();
+  renderMuteList();
+}
+
+// Handlers return true when the list changed and results need re-filtering.
+export function handleMuteSubmit(event) {
+  event.preventDefault();
+  let entry;
+  try {
+    entry = parseMuteInput(muteInput.value);
+  } catch (error) {
+    showMuteError(error.message);
+    return false;
+  }
+  if (!addMute(entry)) {
+    showMuteError(`${formatMute(entry)} is already muted.`);
+    return false;
+  }
+  muteInput.value = '';
+  showMuteError('');
+  renderMuteList();
+  return true;
+}
+
+export function handleMuteListClick(event) {
+  const button = event.target.closest('[data-mute-index]');
+  if (!button || !removeMute(Number(button.dataset.muteIndex))) {
+    return false;
+  }
+  renderMuteList();
+  return true;
+}
+
+export function muteAuthor(post) {
+  let entry;
+  try {
+    entry = createAuthorMute(post);
+  } catch {
+    return false;
+  }
+  if (!addMute(entry)) {
+    return false;
+  }
+  renderMuteList();
+  return true;
+}
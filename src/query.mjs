@@ -0,0 +1,320 @@
+import { MAX_QUERY_SEARCHES } from './constants.mjs';
+import { escapeRegExp, getPostSearchText } from './utils.mjs';
+
+// Boolean query language for the terms input:
+//   climate change, "sea level"      commas and OR are alternatives
+//   climate AND policy               AND, or just adjacency between groups, requires both
+//   NOT crypto, -crypto              excludes
+//   (a OR b) c                       parentheses group
+// NOT binds tightest, then AND, then OR. Adjacent bare words form one term that needs every
+// word ("climate change"); quotes make an exact phrase. Operators are only recognized in
+// upper case, so lower-case "and"/"or"/"not" are searched as words.
+//
+// AST nodes: { type: 'term', value, phrase }, { type: 'not', operand },
+// { type: 'and', operands } and { type: 'or', operands }.
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+// A run of characters with no special meaning to the tokenizer.
+const WORD_PATTERN = /[^\s(),"]+/y;
+
+function syntaxError(message) {
+  return new Error(`Query error: ${message}`);
+}
+
+function describeToken(token) {
+  return `"${token.value ?? token.type}"`;
+}
+
+// Positions in tokens and messages are 1-based columns.
+function tokenize(input) {
+  const tokens = [];
+  let index = 0;
+  while (index < input.length) {
+    const char = input[index];
+    const position = index + 1;
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, position });
+      index += 1;
+    } else if (char === '-' && index + 1 < input.length && !/[\s),]/.test(input[index + 1])) {
+      // A leading dash negates what follows it; inside a word it is just a hyphen.
+      tokens.push({ type: 'op', value: 'NOT', position });
+      index += 1;
+    } else if (char === '"') {
+      const end = input.indexOf('"', index + 1);
+      if (end === -1) {
+        throw syntaxError(`missing closing quote for the phrase at position ${position}.`);
+      }
+      const value = input.slice(index + 1, end).trim().replace(/\s+/g, ' ');
+      if (!value) {
+        throw syntaxError(`empty phrase at position ${position}.`);
+      }
+      tokens.push({ type: 'phrase', value, position });
+      index = end + 1;
+    } else {
+      WORD_PATTERN.lastIndex = index;
+      const [value] = WORD_PATTERN.exec(input);
+      tokens.push({ type: OPERATORS.has(value) ? 'op' : 'word', value, position });
+      index += value.length;
+    }
+  }
+  return tokens;
+}
+
+function combine(type, operands) {
+  return operands.length === 1 ? operands[0] : { type, operands };
+}
+
+function createParser(tokens) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const isOp = (token, value) => token?.type === 'op' && token.value === value;
+  const startsUnary = (token) =>
+    ['word', 'phrase', '('].includes(token?.type) || isOp(token, 'NOT');
+
+  // Operators and "(" must be followed by something to apply to.
+  function expectOperand(after) {
+    const token = peek();
+    if (startsUnary(token)) return;
+    if (!token) {
+      const where = `${describeToken(after)} at position ${after.position}`;
+      throw syntaxError(`${where} needs a term after it.`);
+    }
+    throw syntaxError(`unexpected ${describeToken(token)} at position ${token.position}.`);
+  }
+
+  function parseOr() {
+    const operands = [parseAnd()];
+    while (peek()?.type === ',' || isOp(peek(), 'OR')) {
+      const separator = tokens[index];
+      index += 1;
+      expectOperand(separator);
+      operands.push(parseAnd());
+    }
+    return combine('or', operands);
+  }
+
+  function parseAnd() {
+    const operands = [parseUnary()];
+    for (;;) {
+      const token = peek();
+      if (isOp(token, 'AND')) {
+        index += 1;
+        expectOperand(token);
+      } else if (!startsUnary(token)) {
+        break;
+      }
+      operands.push(parseUnary());
+    }
+    return combine('and', mergeWordRuns(operands));
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (isOp(token, 'NOT')) {
+      index += 1;
+      expectOperand(token);
+      return { type: 'not', operand: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw syntaxError('expected a search term.');
+    }
+    index += 1;
+    if (token.type === 'word') {
+      return { type: 'term', value: token.value, phrase: false, bare: true };
+    }
+    if (token.type === 'phrase') {
+      return { type: 'term', value: token.value, phrase: token.value.includes(' ') };
+    }
+    if (token.type === '(') {
+      expectOperand(token);
+      const node = parseOr();
+      if (peek()?.type !== ')') {
+        throw syntaxError(`missing ")" for the "(" at position ${token.position}.`);
+      }
+      index += 1;
+      return node;
+    }
+    throw syntaxError(`unexpected ${describeToken(token)} at position ${token.position}.`);
+  }
+
+  return {
+    parse() {
+      const ast = parseOr();
+      if (peek()) {
+        throw syntaxError(`unexpected ${describeToken(peek())} at position ${peek().position}.`);
+      }
+      return stripParseMarks(ast);
+    },
+  };
+}
+
+// Adjacent bare words ("climate change") become one term that needs all of its words.
+function mergeWordRuns(operands) {
+  const merged = [];
+  operands.forEach((operand) => {
+    const previous = merged[merged.length - 1];
+    if (operand.bare && previous?.bare) {
+      merged[merged.length - 1] = { ...previous, value: `${previous.value} ${operand.value}` };
+    } else {
+      merged.push(operand);
+    }
+  });
+  return merged;
+}
+
+function stripParseMarks(node) {
+  if (node.type === 'term') return { type: 'term', value: node.value, phrase: node.phrase };
+  if (node.type === 'not') return { type: 'not', operand: stripParseMarks(node.operand) };
+  return { type: node.type, operands: node.operands.map(stripParseMarks) };
+}
+
+// Parse the terms input into an AST; throws an Error with a user-facing message on bad syntax.
+export function parseQuery(input) {
+  const tokens = tokenize(input.replace(/[\u0000-\u001F\u007F-\u009F]/g, ' '));
+  if (tokens.length === 0) {
+    throw syntaxError('enter at least one search term.');
+  }
+  return createParser(tokens).parse();
+}
+
+// "Also search each word in multi-word phrases": every multi-word term also matches on its
+// words alone.
+export function expandQueryPhrases(node) {
+  if (node.type === 'term') {
+    const words = node.value.split(' ');
+    if (words.length === 1) return node;
+    return {
+      type: 'or',
+      operands: [node, ...words.map((value) => ({ type: 'term', value, phrase: false }))],
+    };
+  }
+  if (node.type === 'not') {
+    return { type: 'not', operand: expandQueryPhrases(node.operand) };
+  }
+  return { type: node.type, operands: node.operands.map(expandQueryPhrases) };
+}
+
+// What a term must match: a phrase stays whole, other terms split into their words.
+function getTermParts(node) {
+  return node.phrase ? [node.value] : node.value.split(' ');
+}
+
+// A term's tokens in an upstream search string. Phrases are quoted; commas would split the
+// search apart in the batch API's term list.
+function getTermLiterals(node) {
+  if (node.phrase) return [`"${node.value.replace(/,/g, ' ')}"`];
+  return getTermParts(node);
+}
+
+// Alternatives as lists of positive literals. Negated literals only narrow results, which
+// matchesQuery checks, so they never add searches.
+function collectAlternatives(node, negated) {
+  if (node.type === 'term') {
+    return negated ? [[]] : [getTermLiterals(node)];
+  }
+  if (node.type === 'not') {
+    return collectAlternatives(node.operand, !negated);
+  }
+  const parts = node.operands.map((operand) => collectAlternatives(operand, negated));
+  const isConjunction = (node.type === 'and') !== negated;
+  if (!isConjunction) {
+    return minimizeAlternatives(parts.flat());
+  }
+  return parts.reduce((product, alternatives) =>
+    minimizeAlternatives(
+      product.flatMap((left) => alternatives.map((right) => [...left, ...right]))
+    )
+  );
+}
+
+// Dedupe literals and drop alternatives that a broader one (a subset of its literals) covers.
+function minimizeAlternatives(alternatives) {
+  const unique = new Map();
+  alternatives.forEach((literals) => {
+    const byKey = new Map(literals.map((literal) => [literal.toLowerCase(), literal]));
+    const key = Array.from(byKey.keys()).sort().join('\u0001');
+    if (!unique.has(key)) unique.set(key, byKey);
+  });
+  const candidates = Array.from(unique.values());
+  const minimal = candidates.filter(
+    (literals) =>
+      !candidates.some(
+        (other) =>
+          other !== literals &&
+          other.size < literals.size &&
+          Array.from(other.keys()).every((key) => literals.has(key))
+      )
+  );
+  if (minimal.length > MAX_QUERY_SEARCHES) {
+    throw syntaxError(`the query expands to more than ${MAX_QUERY_SEARCHES} searches.`);
+  }
+  return minimal.map((literals) => Array.from(literals.values()));
+}
+
+// The fewest upstream searches whose combined results cover every post the query can match.
+export function compileQuery(ast) {
+  const alternatives = collectAlternatives(ast, false);
+  if (alternatives.some((literals) => literals.length === 0)) {
+    throw syntaxError('every alternative needs a term that is not excluded with NOT.');
+  }
+  return alternatives.map((literals) => literals.join(' '));
+}
+
+// Positive terms and phrases, for highlighting.
+export function getQueryHighlightTerms(ast) {
+  const terms = new Set();
+  const visit = (node, negated) => {
+    if (node.type === 'term') {
+      if (!negated) {
+        getTermParts(node).forEach((part) => terms.add(part));
+      }
+    } else if (node.type === 'not') {
+      visit(node.operand, !negated);
+    } else {
+      node.operands.forEach((operand) => visit(operand, negated));
+    }
+  };
+  visit(ast, false);
+  return Array.from(terms);
+}
+
+// Case-insensitive matching at word starts, so "run" also accepts the "running" upstream
+// stemming returns (api/_lib/jetstream.js anchors both ends for its exact live matches).
+function createPartPattern(part) {
+  const source = escapeRegExp(part).replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${source}`, 'iu');
+}
+
+const compiledMatchers = new WeakMap();
+
+function compileMatcher(node) {
+  if (node.type === 'term') {
+    const patterns = getTermParts(node).map(createPartPattern);
+    return (text) => patterns.every((pattern) => pattern.test(text));
+  }
+  if (node.type === 'not') {
+    const operand = compileMatcher(node.operand);
+    return (text) => !operand(text);
+  }
+  const operands = node.operands.map(compileMatcher);
+  return node.type === 'and'
+    ? (text) => operands.every((operand) => operand(text))
+    : (text) => operands.some((operand) => operand(text));
+}
+
+// Whether a post's text, tags and embed text satisfy the whole query.
+export function matchesQuery(ast, post) {
+  let matcher = compiledMatchers.get(ast);
+  if (!matcher) {
+    matcher = compileMatcher(ast);
+    compiledMatchers.set(ast, matcher);
+  }
+  return matcher(getPostSearchText(post));
+}
@@ -1,4 +1,4 @@
-import { PUBLIC_API } from './constants.mjs';
+import { getPublicApi } from './config.mjs';
 import { didCache, state } from './state.mjs';
 import {
   postUrlInput,
@@ -332,8 +332,9 @@ async function fetchDid(actor) {
     return cached;
   }
 
+  const publicApi = await getPublicApi();
   const response = await fetch(
-    `${PUBLIC_API}/app.bsky.actor.getProfile?actor=${encodeURIComponent(actor)}`
+    `${publicApi}/app.bsky.actor.getProfile?actor=${encodeURIComponent(actor)}`
   );
   if (!response.ok) {
     throw new Error(`Profile fetch failed: ${response.status}`);
@@ -350,8 +351,9 @@ async function fetchDid(actor) {
 }
 
 async function fetchOriginalPost(atUri) {
+  const publicApi = await getPublicApi();
   const response = await fetch(
-    `${PUBLIC_API}/app.bsky.feed.getPosts?uris=${encodeURIComponent(atUri)}`
+    `${publicApi}/app.bsky.feed.getPosts?uris=${encodeURIComponent(atUri)}`
   );
   if (!response.ok) {
     throw new Error(`Original post fetch failed: ${response.status}`);
@@ -364,7 +366,8 @@ async function fetchOriginalPost(atUri) {
 }
 
 async function fetchQuotesPage(atUri, cursor = null) {
-  let url = `${PUBLIC_API}/app.bsky.feed.getQuotes?uri=${encodeURIComponent(atUri)}&limit=100`;
+  const publicApi = await getPublicApi();
+  let url = `${publicApi}/app.bsky.feed.getQuotes?uri=${encodeURIComponent(atUri)}&limit=100`;
   if (cursor) {
     url += `&cursor=${encodeURIComponent(cursor)}`;
   }
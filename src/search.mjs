@@ -3,13 +3,24 @@ import {
   INITIAL_RENDER_LIMIT,
   RENDER_STEP,
   SEARCH_API,
+  SEARCH_BATCH_API,
+  SEARCH_BATCH_MAX_TERMS,
   SEARCH_DEBOUNCE_MS,
+  SEARCH_FILTER_KEYS,
 } from './constants.mjs';
 import { isCurrentSearchGeneration, searchCache, state } from './state.mjs';
 import {
   autoRefreshToggle,
+  dateFromInput,
+  dateToInput,
+  degradedBanner,
   expandSummary,
   expandTermsToggle,
+  filterAuthorInput,
+  filterDomainInput,
+  filterMentionsInput,
+  filterTagInput,
+  filterUrlInput,
   minLikesInput,
   newPostsDiv,
   refreshIntervalSelect,
@@ -24,24 +35,39 @@ import {
   timeFilterSelect,
 } from './dom.mjs';
 import {
+  chunkTerms,
   deduplicatePosts,
-  expandSearchTerms,
   filterByDate,
   filterByLikes,
   formatDuration,
   formatRelativeTime,
   formatTime,
+  getDateRangeFilters,
+  getDateWindowBounds,
   getPostTimestamp,
   getPostUrl,
+  getRefreshBackoffFactor,
   getSearchCacheKey,
   isValidBskyUrl,
-  normalizeTerm,
+  parseDateRange,
+  parseRateLimitHeaders,
   setText,
   sortPosts,
 } from './utils.mjs';
 import { enforceSearchCacheLimit, getCachedSearch } from './cache.mjs';
 import { setQueryParam, updateURLWithParams } from './url.mjs';
 import { isReplyPost, toggleThread } from './thread.mjs';
+import { buildStreamUrl, isLiveStreamSupported, openSearchStream } from './stream.mjs';
+import { fetchWithApiToken, getApiToken } from './api-token.mjs';
+import { isPostMuted } from './mutes-state.mjs';
+import { muteAuthor } from './mutes.mjs';
+import {
+  compileQuery,
+  expandQueryPhrases,
+  getQueryHighlightTerms,
+  matchesQuery,
+  parseQuery,
+} from './query.mjs';
 
 const DERIVE_THROTTLE_MS = 120;
 
@@ -64,6 +90,19 @@ let loadMoreBtnEl = null;
 const renderedPostElements = new Map();
 const renderedPostFingerprints = new Map();
 
+// Advanced filter inputs keyed by their searchPosts parameter name. since/until come from the
+// time range's custom dates instead.
+export const searchFilterInputs = {
+  author: filterAuthorInput,
+  mentions: filterMentionsInput,
+  domain: filterDomainInput,
+  url: filterUrlInput,
+  tag: filterTagInput,
+};
+
+// Degraded-banner source for the live stream; searches use `term:<term>`.
+const LIVE_STREAM_SOURCE = 'stream';
+
 // Highlight matcher cache for a single active term set.
 let highlightMatcherCache = { key: '', regex: null, termSet: null };
 
@@ -78,16 +117,66 @@ function hideStatus() {
   statusDiv.style.display = 'none';
 }
 
+// The proxy marks results from its unauthenticated fallback (no account session available).
+// Each source (a searched term, or the live stream) keeps its own flag, so the banner shows
+// while any of them is degraded rather than following whichever reply landed last.
+function setDegradedSources(sources, degraded) {
+  sources.forEach((source) => {
+    if (degraded) {
+      state.degradedSources.add(source);
+    } else {
+      state.degradedSources.delete(source);
+    }
+  });
+  degradedBanner.classList.toggle('hidden', state.degradedSources.size === 0);
+}
+
+function updateDegradedBanner(response, terms) {
+  const degraded = response.headers.get('X-Search-Degraded') === '1';
+  setDegradedSources(terms.map((term) => `term:${term}`), degraded);
+}
+
 export function updateSearchURL() {
   const params = new URLSearchParams(window.location.search);
   setQueryParam(params, 'terms', termsInput.value.trim());
   setQueryParam(params, 'minLikes', minLikesInput.value);
   setQueryParam(params, 'time', timeFilterSelect.value !== '24' ? timeFilterSelect.value : '');
+  const isCustomRange = timeFilterSelect.value === 'custom';
+  setQueryParam(params, 'from', isCustomRange ? dateFromInput.value : '');
+  setQueryParam(params, 'to', isCustomRange ? dateToInput.value : '');
   setQueryParam(params, 'sort', state.searchSort !== 'top' ? state.searchSort : '');
   setQueryParam(params, 'expand', expandTermsToggle.checked ? '1' : '');
+  SEARCH_FILTER_KEYS.forEach((key) => {
+    setQueryParam(params, key, searchFilterInputs[key]?.value.trim() || '');
+  });
   updateURLWithParams(params);
 }
 
+function readSearchFilters(dateRange) {
+  const filters = getDateRangeFilters(dateRange);
+  Object.entries(searchFilterInputs).forEach(([key, input]) => {
+    const value = input.value.trim();
+    if (value) {
+      filters[key] = value;
+    }
+  });
+  return filters;
+}
+
+// The custom range's { since, until } bounds, or null for a relative preset; throws with the
+// date validation message.
+function readDateRange() {
+  if (timeFilterSelect.value !== 'custom') {
+    return null;
+  }
+  return parseDateRange(dateFromInput.value, dateToInput.value);
+}
+
+// What filterByDate keeps: the custom range, or the last timeFilterHours.
+function getDateWindow() {
+  return state.dateRange || state.timeFilterHours;
+}
+
 export function updateExpansionSummary() {
   const inputValue = termsInput.value.trim();
   if (!inputValue) {
@@ -95,33 +184,73 @@ export function updateExpansionSummary() {
     return;
   }
 
-  const rawTerms = inputValue.split(',').map(normalizeTerm).filter(Boolean);
-  if (rawTerms.length === 0) {
-    expandSummary.textContent = 'Enter terms to preview expansion.';
+  let searches;
+  let expanded;
+  try {
+    const query = parseQuery(inputValue);
+    searches = compileQuery(query);
+    expanded = compileQuery(expandQueryPhrases(query));
+  } catch (error) {
+    expandSummary.textContent = error.message;
     return;
   }
 
   if (!expandTermsToggle.checked) {
-    expandSummary.textContent = `Expansion is off. Searching only: ${rawTerms.join(', ')}`;
+    expandSummary.textContent = `Expansion is off. Searching only: ${searches.join(', ')}`;
     return;
   }
 
-  const expanded = expandSearchTerms(rawTerms, true);
-  const rawSet = new Set(rawTerms.map((term) => term.toLowerCase()));
-  const extras = expanded.filter((term) => !rawSet.has(term.toLowerCase()));
-
-  if (extras.length === 0) {
-    expandSummary.textContent = `No multi-word phrases detected. Searching: ${rawTerms.join(', ')}`;
+  if (expanded.join('\u0001') === searches.join('\u0001')) {
+    expandSummary.textContent = `No multi-word phrases detected. Searching: ${searches.join(', ')}`;
     return;
   }
 
-  expandSummary.textContent = `Typed: ${rawTerms.join(', ')}. Expanded: ${expanded.join(', ')}`;
+  expandSummary.textContent = `Typed: ${searches.join(', ')}. Expanded: ${expanded.join(', ')}`;
 }
 
-// Search posts for a single term (server-side proxy)
-async function searchTerm(term, cursor = null, sort = state.searchSort) {
+// Parse the terms input into the query, the upstream searches it compiles to and the terms to
+// highlight; throws with the parse error message.
+function readSearchQuery(input) {
+  let query = parseQuery(input);
+  if (expandTermsToggle.checked) {
+    query = expandQueryPhrases(query);
+  }
+  return { query, searches: compileQuery(query), highlightTerms: getQueryHighlightTerms(query) };
+}
+
+// The proxy drops posts under the like threshold or outside the time window before responding;
+// the client still re-applies both as posts age. A custom range goes upstream as since/until.
+function getResultFilters() {
+  return { minLikes: state.minLikes, sinceHours: state.timeFilterHours };
+}
+
+function setSearchParams(params, filters, resultFilters) {
+  SEARCH_FILTER_KEYS.forEach((key) => {
+    if (filters[key]) {
+      params.set(key, filters[key]);
+    }
+  });
+  Object.entries(resultFilters).forEach(([key, value]) => {
+    if (Number.isFinite(value) && value > 0) {
+      params.set(key, String(value));
+    }
+  });
+}
+
+// Search posts for a single term (server-side proxy), reading up to `pages` upstream pages
+async function searchTerm(
+  term,
+  cursor = null,
+  sort = state.searchSort,
+  filters = state.searchFilters,
+  pages = 1
+) {
   const sortValue = sort === 'latest' ? 'latest' : 'top';
-  const cacheKey = getSearchCacheKey(term, cursor, sortValue);
+  const resultFilters = getResultFilters();
+  const cacheKey = getSearchCacheKey(term, cursor, sortValue, filters, {
+    pages,
+    ...resultFilters,
+  });
 
   // Check cache first
   const cached = getCachedSearch(cacheKey);
@@ -129,12 +258,21 @@ async function searchTerm(term, cursor = null, sort = state.searchSort) {
     return cached;
   }
 
-  const params = new URLSearchParams({ term, sort: sortValue });
+  // Compact view: the proxy drops post fields the UI never reads
+  const params = new URLSearchParams({ term, sort: sortValue, view: 'compact' });
   if (cursor) {
     params.set('cursor', cursor);
   }
+  if (pages > 1) {
+    params.set('pages', String(pages));
+  }
+  setSearchParams(params, filters, resultFilters);
 
-  const response = await fetch(`${SEARCH_API}?${params}`);
+  const response = await fetchWithApiToken(`${SEARCH_API}?${params}`);
+  const rateLimit = parseRateLimitHeaders(response.headers);
+  if (rateLimit) {
+    state.upstreamRateLimit = rateLimit;
+  }
 
   if (!response.ok) {
     let errorMsg = `Search failed for "${term}": ${response.status}`;
@@ -146,6 +284,7 @@ async function searchTerm(term, cursor = null, sort = state.searchSort) {
     throw new Error(errorMsg);
   }
 
+  updateDegradedBanner(response, [term]);
   const data = await response.json();
 
   // Cache the result
@@ -155,30 +294,39 @@ async function searchTerm(term, cursor = null, sort = state.searchSort) {
   return data;
 }
 
-// Fetch all posts for a term (with pagination)
-async function fetchAllPostsForTerm(term, maxPages = INITIAL_MAX_PAGES, sort = state.searchSort) {
-  let allTermPosts = [];
-  let cursor = null;
-  let pages = 0;
-
-  while (pages < maxPages) {
-    const data = await searchTerm(term, cursor, sort);
+// Search several terms in one round-trip; the server pages, tags and dedupes posts.
+// Resolves to { posts, terms } where `terms` holds per-term { term, ok, cursor, error }.
+// Callers keep `terms` within SEARCH_BATCH_MAX_TERMS.
+async function searchBatch(
+  terms,
+  pages = INITIAL_MAX_PAGES,
+  sort = state.searchSort,
+  filters = state.searchFilters
+) {
+  const params = new URLSearchParams({
+    terms: terms.join(','),
+    pages: String(pages),
+    sort: sort === 'latest' ? 'latest' : 'top',
+    view: 'compact',
+  });
+  setSearchParams(params, filters, getResultFilters());
 
-    if (data.posts && data.posts.length > 0) {
-      const taggedPosts = data.posts.map((post) => ({
-        ...post,
-        matchedTerm: term,
-      }));
-      allTermPosts = allTermPosts.concat(taggedPosts);
-    }
+  const response = await fetchWithApiToken(`${SEARCH_BATCH_API}?${params}`);
+  const rateLimit = parseRateLimitHeaders(response.headers);
+  if (rateLimit) {
+    state.upstreamRateLimit = rateLimit;
+  }
 
-    if (!data.cursor) break;
-    cursor = data.cursor;
-    pages += 1;
+  // Failed batches still carry per-term outcomes; only a malformed reply is an error here.
+  const data = await response.json().catch(() => null);
+  if (!data || !Array.isArray(data.terms)) {
+    let errorMsg = `Search failed: ${response.status}`;
+    if (data?.error) errorMsg += ` - ${data.error}`;
+    throw new Error(errorMsg);
   }
+  updateDegradedBanner(response, terms);
 
-  state.currentCursors[term] = cursor;
-  return allTermPosts;
+  return { posts: Array.isArray(data.posts) ? data.posts : [], terms: data.terms };
 }
 
 async function fetchLatestPostsForTerm(term, sort = state.searchSort) {
@@ -249,9 +397,14 @@ function mergeMatchedTerms(existingTerms, incomingTerms) {
   return merged;
 }
 
+// Upstream searches over-fetch for NOT and multi-search queries; keep what satisfies the query.
+function matchesSearchQuery(post) {
+  return !state.searchQuery || matchesQuery(state.searchQuery, post);
+}
+
 function ingestPosts(posts) {
   for (const post of posts) {
-    if (!post?.uri) continue;
+    if (!post?.uri || !matchesSearchQuery(post)) continue;
 
     const incomingTerms = getMatchedTermsForPost(post);
     const existing = ingestedPostsByUri.get(post.uri);
@@ -271,11 +424,18 @@ function ingestPosts(posts) {
   }
 }
 
+// Drop muted posts from the main results, counting how many were hidden.
+function excludeMutedPosts(posts) {
+  const visible = posts.filter((post) => !isPostMuted(post));
+  state.mutedPostCount = posts.length - visible.length;
+  return visible;
+}
+
 function recomputeDerivedPosts() {
   let derived = Array.from(ingestedPostsByUri.values());
-  derived = filterByDate(derived, state.timeFilterHours);
+  derived = filterByDate(derived, getDateWindow());
   derived = filterByLikes(derived, state.minLikes);
-  state.allPosts = sortPosts(derived, state.searchSort);
+  state.allPosts = sortPosts(excludeMutedPosts(derived), state.searchSort);
 }
 
 function scheduleDerivedPostsRebuild() {
@@ -299,16 +459,15 @@ function flushDerivedPostsRebuild({ render = false } = {}) {
 }
 
 function pruneIngestedPostsByCurrentFilters() {
-  const hours =
-    Number.isFinite(state.timeFilterHours) && state.timeFilterHours > 0 ? state.timeFilterHours : 24;
-  const cutoffTs = Date.now() - hours * 3600000;
+  const { since, until } = getDateWindowBounds(getDateWindow());
   const minLikes = Number.isFinite(state.minLikes) && state.minLikes > 0 ? state.minLikes : 0;
 
   const retainedPosts = [];
   const prunedStore = new Map();
 
   for (const [uri, post] of ingestedPostsByUri.entries()) {
-    if (getPostTimestamp(post) < cutoffTs) {
+    const timestamp = getPostTimestamp(post);
+    if (timestamp < since || (until !== null && timestamp >= until)) {
       continue;
     }
     if ((post.likeCount || 0) < minLikes) {
@@ -344,8 +503,15 @@ export function updateRefreshInterval() {
 }
 
 export function updateRefreshMeta() {
-  if (state.autoRefreshEnabled) {
-    refreshStateDiv.textContent = state.isRefreshing ? 'Refreshing…' : 'Auto-refresh on';
+  if (state.autoRefreshEnabled && state.liveStream) {
+    refreshStateDiv.textContent = 'Live updates on';
+  } else if (state.autoRefreshEnabled) {
+    const slowed = getRefreshBackoffFactor(state.upstreamRateLimit) > 1;
+    refreshStateDiv.textContent = state.isRefreshing
+      ? 'Refreshing…'
+      : slowed
+        ? 'Auto-refresh on (slowed: rate limit low)'
+        : 'Auto-refresh on';
   } else {
     refreshStateDiv.textContent = 'Auto-refresh off';
   }
@@ -368,15 +534,101 @@ export function updateRefreshMeta() {
   }
 }
 
+function getLiveStreamKey() {
+  return JSON.stringify([
+    state.searchTerms,
+    state.searchSort,
+    state.searchFilters,
+    state.refreshIntervalMs,
+  ]);
+}
+
+function closeLiveStream() {
+  if (state.liveStream) {
+    state.liveStream.source?.close();
+    state.liveStream = null;
+    setDegradedSources([LIVE_STREAM_SOURCE], false);
+  }
+}
+
+function handleLiveStreamPosts(posts) {
+  const newCount = mergeLatestPosts(posts.filter((post) => !isPostMuted(post)));
+  state.lastRefreshAt = new Date();
+  state.lastRefreshNewCount = newCount;
+  state.lastRefreshError = null;
+  updateRefreshMeta();
+}
+
+function handleLiveStreamError(message) {
+  state.lastRefreshError = message;
+  updateRefreshMeta();
+}
+
+// The stream endpoint is unavailable (or refused us); poll for the rest of the session.
+function handleLiveStreamClosed() {
+  closeLiveStream();
+  state.liveStreamUnavailable = true;
+  scheduleNextRefresh();
+}
+
+// Keep a live stream open for the current search; returns false when polling should be used.
+function ensureLiveStream() {
+  if (state.liveStreamUnavailable || !isLiveStreamSupported(state.searchTerms)) {
+    closeLiveStream();
+    return false;
+  }
+  const key = getLiveStreamKey();
+  if (state.liveStream?.key === key) {
+    return true;
+  }
+  closeLiveStream();
+  state.liveStream = { key, source: null, since: state.lastRefreshAt?.getTime() ?? Date.now() };
+  connectLiveStream(state.liveStream);
+  return true;
+}
+
+// (Re)open `stream` with a current API token, resuming from the last poll it delivered.
+async function connectLiveStream(stream) {
+  const token = await getApiToken();
+  if (state.liveStream !== stream) {
+    return;
+  }
+  const url = buildStreamUrl(state.searchTerms, state.searchSort, state.searchFilters, {
+    from: stream.since,
+    intervalMs: state.refreshIntervalMs,
+    token,
+  });
+  stream.source = openSearchStream(url, {
+    onPosts: (posts, eventId, degraded) => {
+      stream.since = eventId ?? stream.since;
+      setDegradedSources([LIVE_STREAM_SOURCE], degraded);
+      handleLiveStreamPosts(posts);
+    },
+    onPollError: handleLiveStreamError,
+    onEnd: () => {
+      stream.source = null;
+      connectLiveStream(stream);
+    },
+    onClosed: handleLiveStreamClosed,
+  });
+}
+
 export function scheduleNextRefresh() {
   clearRefreshTimers();
   if (!state.autoRefreshEnabled) {
+    closeLiveStream();
+    state.nextRefreshAt = null;
+    updateRefreshMeta();
+    return;
+  }
+  if (ensureLiveStream()) {
     state.nextRefreshAt = null;
     updateRefreshMeta();
     return;
   }
-  state.nextRefreshAt = Date.now() + state.refreshIntervalMs;
-  state.refreshTimerId = setTimeout(runAutoRefresh, state.refreshIntervalMs);
+  const delayMs = state.refreshIntervalMs * getRefreshBackoffFactor(state.upstreamRateLimit);
+  state.nextRefreshAt = Date.now() + delayMs;
+  state.refreshTimerId = setTimeout(runAutoRefresh, delayMs);
   state.refreshCountdownId = setInterval(updateRefreshMeta, 1000);
   updateRefreshMeta();
 }
@@ -519,7 +771,7 @@ function createPostElement(post) {
   // Post text with highlights
   const textDiv = document.createElement('div');
   textDiv.className = 'post-text';
-  textDiv.appendChild(createHighlightedText(text, state.searchTerms));
+  textDiv.appendChild(createHighlightedText(text, state.highlightTerms));
   postDiv.appendChild(textDiv);
 
   // Images (hidden by default)
@@ -628,6 +880,18 @@ function createPostElement(post) {
     }
   }
 
+  const muteBtn = document.createElement('button');
+  muteBtn.type = 'button';
+  muteBtn.className = 'thread-link';
+  muteBtn.setAttribute('aria-label', `Mute @${handle}`);
+  muteBtn.textContent = 'Mute author';
+  muteBtn.addEventListener('click', () => {
+    if (muteAuthor(post)) {
+      applyMutes();
+    }
+  });
+  linksDiv.appendChild(muteBtn);
+
   postDiv.appendChild(linksDiv);
 
   return postDiv;
@@ -768,6 +1032,11 @@ function syncVisibleResultPosts(visiblePosts) {
   }
 }
 
+function getMutedCountSuffix() {
+  const count = state.mutedPostCount;
+  return count > 0 ? ` (${count} hidden by mutes)` : '';
+}
+
 // Render all results using safe DOM methods
 function renderResults() {
   ensureResultsShell();
@@ -788,7 +1057,7 @@ function renderResults() {
     resultsEmptySecondaryEl.textContent =
       state.pendingPosts.length > 0
         ? 'Use "Add to results" to merge them into the main list.'
-        : 'Try different search terms or lower the minimum likes.';
+        : `Try different search terms or lower the minimum likes.${getMutedCountSuffix()}`;
     if (resultsListEl.children.length > 0) {
       resultsListEl.textContent = '';
       renderedPostElements.clear();
@@ -803,9 +1072,9 @@ function renderResults() {
 
   const totalLabel = totalCount === 1 ? 'post' : 'posts';
   resultsCountEl.textContent =
-    visibleCount < totalCount
+    (visibleCount < totalCount
       ? `Showing ${visibleCount} of ${totalCount} ${totalLabel}`
-      : `${totalCount} ${totalLabel} found`;
+      : `${totalCount} ${totalLabel} found`) + getMutedCountSuffix();
   resultsSortEl.textContent =
     state.searchSort === 'latest'
       ? 'Sorted by time (newest first)'
@@ -908,6 +1177,13 @@ function mergePendingPosts() {
   renderResults();
 }
 
+// Re-filter loaded and pending posts after the mute list changes.
+export function applyMutes() {
+  state.pendingPosts = state.pendingPosts.filter((post) => !isPostMuted(post));
+  flushDerivedPostsRebuild({ render: true });
+  renderNewPosts();
+}
+
 function dismissPendingPosts() {
   if (state.pendingPosts.length === 0) {
     return;
@@ -918,26 +1194,21 @@ function dismissPendingPosts() {
   renderResults();
 }
 
-async function refreshSearch() {
-  if (state.searchTerms.length === 0) {
-    return 0;
-  }
-
+// Queue posts not already shown or pending into state.pendingPosts; returns how many were new.
+// Shared by polling refreshes and the live stream.
+function mergeLatestPosts(posts) {
   const retainedPosts = pruneIngestedPostsByCurrentFilters();
-  state.allPosts = sortPosts(retainedPosts, state.searchSort);
+  state.allPosts = sortPosts(excludeMutedPosts(retainedPosts), state.searchSort);
 
-  state.pendingPosts = filterByDate(state.pendingPosts, state.timeFilterHours);
+  state.pendingPosts = filterByDate(state.pendingPosts, getDateWindow());
   state.pendingPosts = filterByLikes(state.pendingPosts, state.minLikes);
 
   const existingUris = new Set([
     ...Array.from(ingestedPostsByUri.keys()),
     ...state.pendingPosts.map((post) => post.uri),
   ]);
-  const results = await Promise.all(
-    state.searchTerms.map((term) => fetchLatestPostsForTerm(term, state.searchSort))
-  );
-  let latestPosts = deduplicatePosts(results.flat());
-  latestPosts = filterByDate(latestPosts, state.timeFilterHours);
+  let latestPosts = deduplicatePosts(posts).filter(matchesSearchQuery);
+  latestPosts = filterByDate(latestPosts, getDateWindow());
   latestPosts = filterByLikes(latestPosts, state.minLikes);
 
   const newPosts = latestPosts.filter((post) => !existingUris.has(post.uri));
@@ -957,6 +1228,17 @@ async function refreshSearch() {
   return newPosts.length;
 }
 
+async function refreshSearch() {
+  if (state.searchTerms.length === 0) {
+    return 0;
+  }
+
+  const results = await Promise.all(
+    state.searchTerms.map((term) => fetchLatestPostsForTerm(term, state.searchSort))
+  );
+  return mergeLatestPosts(results.flat().filter((post) => !isPostMuted(post)));
+}
+
 async function runAutoRefresh() {
   if (!state.autoRefreshEnabled) {
     return;
@@ -1009,6 +1291,7 @@ export function enableAutoRefresh() {
 export function disableAutoRefresh() {
   state.autoRefreshEnabled = false;
   clearRefreshTimers();
+  closeLiveStream();
   state.nextRefreshAt = null;
   updateRefreshMeta();
 }
@@ -1028,20 +1311,30 @@ export async function performSearch() {
     return;
   }
 
-  state.rawSearchTerms = termsValue.split(',').map(normalizeTerm).filter((t) => t.length > 0);
-  state.searchTerms = expandSearchTerms(state.rawSearchTerms, expandTermsToggle.checked);
-  state.minLikes = parseInt(minLikesInput.value) || 0;
-  state.timeFilterHours = parseInt(timeFilterSelect.value) || 24;
-  state.searchSort = sortSelect.value === 'latest' ? 'latest' : 'top';
-
-  if (state.rawSearchTerms.length === 0) {
-    showStatus('Please enter at least one search term.', 'error');
+  let parsedQuery;
+  let dateRange;
+  try {
+    parsedQuery = readSearchQuery(termsValue);
+    dateRange = readDateRange();
+  } catch (error) {
+    showStatus(error.message, 'error');
     return;
   }
 
+  state.searchQuery = parsedQuery.query;
+  state.searchTerms = parsedQuery.searches;
+  state.highlightTerms = parsedQuery.highlightTerms;
+  state.minLikes = parseInt(minLikesInput.value) || 0;
+  state.dateRange = dateRange;
+  state.timeFilterHours = dateRange ? null : parseInt(timeFilterSelect.value) || 24;
+  state.searchSort = sortSelect.value === 'latest' ? 'latest' : 'top';
+  state.searchFilters = readSearchFilters(dateRange);
+
   state.isLoading = true;
   searchBtn.disabled = true;
   let searchCompleted = false;
+  closeLiveStream();
+  setDegradedSources([...state.degradedSources], false);
   state.allPosts = [];
   state.currentCursors = {};
   clearDerivedPostsTimer();
@@ -1056,49 +1349,48 @@ export async function performSearch() {
   updateSearchURL();
 
   try {
-    showStatus(`Searching for: ${state.rawSearchTerms.join(', ')}…`, 'loading');
-
-    // Track progress for progressive rendering
-    let completedTerms = 0;
-    const totalTerms = state.searchTerms.length;
-
-    // Fetch all terms in parallel, but render progressively as each completes
-    const promises = state.searchTerms.map(async (term) => {
-      const posts = await fetchAllPostsForTerm(term, INITIAL_MAX_PAGES, state.searchSort);
-
-      // Bail if a newer search has started — prevents stale data corruption
-      if (!isCurrentSearchGeneration(currentGeneration)) return posts;
+    showStatus(`Searching for: ${termsValue}…`, 'loading');
+
+    // One batch request per chunk of terms (usually just one), rendered as each completes
+    const chunks = chunkTerms(state.searchTerms, SEARCH_BATCH_MAX_TERMS);
+    const results = await Promise.allSettled(
+      chunks.map(async (chunk) => {
+        const batch = await searchBatch(
+          chunk,
+          INITIAL_MAX_PAGES,
+          state.searchSort,
+          state.searchFilters
+        );
+        if (isCurrentSearchGeneration(currentGeneration)) {
+          ingestPosts(batch.posts);
+          scheduleDerivedPostsRebuild();
+        }
+        return batch.terms;
+      })
+    );
 
-      // Immediately merge and render as this term completes
-      completedTerms++;
-      ingestPosts(posts);
+    // Bail if a newer search has started — prevents stale data corruption
+    if (!isCurrentSearchGeneration(currentGeneration)) return;
 
-      // Update status and render immediately
-      if (completedTerms < totalTerms) {
-        showStatus(`Loaded ${completedTerms}/${totalTerms} terms…`, 'loading');
+    const terms = results.flatMap((result, index) =>
+      result.status === 'fulfilled'
+        ? result.value
+        : chunks[index].map((term) => ({ term, ok: false, error: result.reason.message }))
+    );
+    terms.forEach((result) => {
+      if (result.ok) {
+        state.currentCursors[result.term] = result.cursor || null;
       }
-      scheduleDerivedPostsRebuild();
-
-      return posts;
     });
 
-    // Use allSettled to wait for ALL promises before continuing
-    // This prevents race conditions where failed promises' siblings
-    // continue updating state after error handling
-    const results = await Promise.allSettled(promises);
-
-    // Bail if a newer search has started
-    if (!isCurrentSearchGeneration(currentGeneration)) return;
-
-    // Check for failures
-    const failures = results.filter((r) => r.status === 'rejected');
+    // Partial results from successful terms are still shown
+    const failures = terms.filter((result) => !result.ok);
     if (failures.length > 0) {
       const errorMsg =
-        failures.length === totalTerms
-          ? `Search failed: ${failures[0].reason.message}`
-          : `${failures.length}/${totalTerms} terms failed to load`;
+        failures.length === terms.length
+          ? `Search failed: ${failures[0].error}`
+          : `${failures.length}/${terms.length} terms failed to load`;
       showStatus(errorMsg, 'error');
-      // Continue - we may have partial results from successful terms
     } else {
       hideStatus();
     }
@@ -1141,7 +1433,13 @@ export async function loadMore() {
     const promises = state.searchTerms
       .filter((term) => state.currentCursors[term])
       .map(async (term) => {
-        const data = await searchTerm(term, state.currentCursors[term], state.searchSort);
+        const data = await searchTerm(
+          term,
+          state.currentCursors[term],
+          state.searchSort,
+          state.searchFilters,
+          INITIAL_MAX_PAGES
+        );
         state.currentCursors[term] = data.cursor || null;
 
         if (data.posts && data.posts.length > 0) {
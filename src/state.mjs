@@ -8,11 +8,14 @@ export const searchCache = new Map();
 export const state = {
   allPosts: [],
   currentCursors: {},
-  rawSearchTerms: [],
+  searchQuery: null,
   searchTerms: [],
+  highlightTerms: [],
   searchSort: 'top',
+  searchFilters: {},
   minLikes: 10,
   timeFilterHours: 24,
+  dateRange: null,
   searchGeneration: 0,
   isLoading: false,
   isRefreshing: false,
@@ -26,7 +29,13 @@ export const state = {
   lastRefreshAt: null,
   lastRefreshNewCount: null,
   lastRefreshError: null,
+  upstreamRateLimit: null,
+  liveStream: null,
+  liveStreamUnavailable: false,
+  degradedSources: new Set(),
   pendingPosts: [],
+  mutes: [],
+  mutedPostCount: 0,
   newPostUris: new Set(),
   clearHighlightsTimeout: null,
   allQuotes: [],
@@ -0,0 +1,79 @@
+import { SEARCH_BATCH_MAX_TERMS, SEARCH_FILTER_KEYS, STREAM_API } from './constants.mjs';
+
+export function isLiveStreamSupported(terms) {
+  return (
+    typeof EventSource !== 'undefined' &&
+    terms.length > 0 &&
+    terms.length <= SEARCH_BATCH_MAX_TERMS
+  );
+}
+
+// `from` (ms) is the watermark for the first delivery and `intervalMs` the refresh interval the
+// server should poll at. EventSource cannot set headers, so the API token (when the server
+// requires one) goes in the URL.
+export function buildStreamUrl(
+  terms,
+  sort,
+  filters = {},
+  { from = null, intervalMs = null, token = null } = {}
+) {
+  const params = new URLSearchParams({
+    terms: terms.join(','),
+    sort: sort === 'latest' ? 'latest' : 'top',
+  });
+  SEARCH_FILTER_KEYS.forEach((key) => {
+    if (filters[key]) {
+      params.set(key, filters[key]);
+    }
+  });
+  if (Number.isFinite(from)) {
+    params.set('from', String(Math.floor(from)));
+  }
+  if (Number.isFinite(intervalMs) && intervalMs > 0) {
+    params.set('interval', String(Math.round(intervalMs / 1000)));
+  }
+  if (token) {
+    params.set('token', token);
+  }
+  return `${STREAM_API}?${params}`;
+}
+
+// Open /api/stream. EventSource reconnects by itself after a dropped connection; the server's
+// `end` calls `onEnd` so the caller can reconnect with a fresh token, and `onClosed` fires
+// when EventSource gives up (e.g. the endpoint returned an error). `onPosts` also gets the
+// event id (the server's poll time in ms) and whether the poll used the fallback AppView.
+export function openSearchStream(url, { onPosts, onPollError, onEnd, onClosed }) {
+  const source = new EventSource(url);
+
+  source.addEventListener('posts', (event) => {
+    try {
+      const data = JSON.parse(event.data);
+      if (Array.isArray(data?.posts)) {
+        onPosts(data.posts, Number(event.lastEventId) || null, data.degraded === true);
+      }
+    } catch (error) {
+      console.error('Malformed stream event:', error);
+    }
+  });
+
+  source.addEventListener('poll-error', (event) => {
+    try {
+      onPollError(JSON.parse(event.data)?.error || 'Live update failed.');
+    } catch {
+      onPollError('Live update failed.');
+    }
+  });
+
+  source.addEventListener('end', () => {
+    source.close();
+    onEnd();
+  });
+
+  source.addEventListener('error', () => {
+    if (source.readyState === EventSource.CLOSED) {
+      onClosed();
+    }
+  });
+
+  return source;
+}
@@ -1,17 +1,40 @@
 export {
+  chunkTerms,
   deduplicatePosts,
   expandSearchTerms,
   filterByDate,
   filterByLikes,
   formatDuration,
+  getDateRangeFilters,
   getPostTimestamp,
+  getRefreshBackoffFactor,
   getSearchCacheKey,
   isValidBskyUrl,
   normalizeTerm,
   parseBlueskyPostUrl,
+  parseDateRange,
+  parseRateLimitHeaders,
   sortPosts,
 } from './utils.mjs';
+export { getPublicApi, normalizePublicApi, resetPublicApiForTests } from './config.mjs';
+export {
+  compileQuery,
+  expandQueryPhrases,
+  getQueryHighlightTerms,
+  matchesQuery,
+  parseQuery,
+} from './query.mjs';
+export { fetchWithApiToken, getApiToken, resetApiTokenForTests } from './api-token.mjs';
 export { trackQuoteCursor } from './quotes-state.mjs';
+export {
+  addMute,
+  createAuthorMute,
+  isPostMuted,
+  loadMutes,
+  parseMuteInput,
+  removeMute,
+} from './mutes-state.mjs';
+export { buildStreamUrl } from './stream.mjs';
 export { enforceSearchCacheLimit, enforceDidCacheLimit, getCachedDid } from './cache.mjs';
 export { didCache, isCurrentSearchGeneration, searchCache, state } from './state.mjs';
-export { DID_CACHE_TTL_MS, MAX_SEARCH_CACHE_SIZE, MAX_DID_CACHE_SIZE } from './constants.mjs';
+export { DEFAULT_PUBLIC_API, DID_CACHE_TTL_MS, MAX_SEARCH_CACHE_SIZE, MAX_DID_CACHE_SIZE } from './constants.mjs';
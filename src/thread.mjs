@@ -1,4 +1,4 @@
-import { PUBLIC_API } from './constants.mjs';
+import { getPublicApi } from './config.mjs';
 import { formatRelativeTime, isValidBskyUrl } from './utils.mjs';
 
 // Thread Explorer functions
@@ -12,7 +12,8 @@ async function fetchPostThread(atUri) {
     depth: '0',
     parentHeight: '100',
   });
-  const response = await fetch(`${PUBLIC_API}/app.bsky.feed.getPostThread?${params}`);
+  const publicApi = await getPublicApi();
+  const response = await fetch(`${publicApi}/app.bsky.feed.getPostThread?${params}`);
   if (!response.ok) {
     throw new Error(`Failed to fetch thread: ${response.status}`);
   }
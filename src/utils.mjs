@@ -1,3 +1,5 @@
+import { SEARCH_FILTER_KEYS } from './constants.mjs';
+
 // Safe text content setter (prevents XSS)
 export function setText(element, text) {
   element.textContent = text;
@@ -60,9 +62,27 @@ export function expandSearchTerms(terms, shouldExpandWords) {
   return expanded;
 }
 
-// Generate cache key for search requests
-export function getSearchCacheKey(term, cursor, sort) {
-  return JSON.stringify([term, cursor || '', sort]);
+// Split terms into groups the batch search endpoint accepts
+export function chunkTerms(terms, size) {
+  const chunks = [];
+  for (let index = 0; index < terms.length; index += size) {
+    chunks.push(terms.slice(index, index + size));
+  }
+  return chunks;
+}
+
+// Generate cache key for search requests; `paging` holds the proxy's server-side
+// { pages, minLikes, sinceHours } options
+export function getSearchCacheKey(term, cursor, sort, filters = {}, paging = {}) {
+  return JSON.stringify([
+    term,
+    cursor || '',
+    sort,
+    ...SEARCH_FILTER_KEYS.map((key) => filters?.[key] || ''),
+    paging?.pages || 1,
+    paging?.minLikes || 0,
+    paging?.sinceHours || 0,
+  ]);
 }
 
 // Deduplicate posts by URI
@@ -97,11 +117,66 @@ export function filterByLikes(posts, minLikes) {
   return posts.filter((post) => (post.likeCount || 0) >= minLikes);
 }
 
-// Filter posts by date (configurable hours)
-export function filterByDate(posts, hours) {
-  const normalizedHours = Number.isFinite(hours) && hours > 0 ? hours : 24;
-  const cutoffTs = Date.now() - normalizedHours * 3600000;
-  return posts.filter((post) => getPostTimestamp(post) >= cutoffTs);
+// A date window as { since, until } ms bounds (until null when open-ended): either `hours` back
+// from now or an absolute range from parseDateRange.
+export function getDateWindowBounds(window, now = Date.now()) {
+  if (window && typeof window === 'object') {
+    return {
+      since: Number.isFinite(window.since) ? window.since : -Infinity,
+      until: Number.isFinite(window.until) ? window.until : null,
+    };
+  }
+  const hours = Number.isFinite(window) && window > 0 ? window : 24;
+  return { since: now - hours * 3600000, until: null };
+}
+
+// Filter posts by date: the last `window` hours, or an absolute { since, until } range
+export function filterByDate(posts, window) {
+  const { since, until } = getDateWindowBounds(window);
+  return posts.filter((post) => {
+    const ts = getPostTimestamp(post);
+    return ts >= since && (until === null || ts < until);
+  });
+}
+
+const DAY_MS = 24 * 3600000;
+
+function parseDateInput(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return NaN;
+  const ts = Date.parse(`${value}T00:00:00Z`);
+  return Number.isFinite(ts) && formatDateInput(ts) === value ? ts : NaN;
+}
+
+export function formatDateInput(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+// The custom range's From/To dates (YYYY-MM-DD, either may be empty) as whole UTC days, To
+// inclusive, which is how the proxy reads a bare since/until date. Returns { since, until }
+// ms bounds, until exclusive; throws with a user-facing message.
+export function parseDateRange(from, to) {
+  const fromValue = (from || '').trim();
+  const toValue = (to || '').trim();
+  if (!fromValue && !toValue) {
+    throw new Error('Choose a start or end date for the custom range.');
+  }
+  const since = fromValue ? parseDateInput(fromValue) : null;
+  const toTs = toValue ? parseDateInput(toValue) : null;
+  if (Number.isNaN(since) || Number.isNaN(toTs)) {
+    throw new Error('Enter custom range dates as YYYY-MM-DD.');
+  }
+  if (since !== null && toTs !== null && since > toTs) {
+    throw new Error('The custom range must start on or before its end date.');
+  }
+  return { since, until: toTs === null ? null : toTs + DAY_MS };
+}
+
+// Upstream searchPosts since/until dates for a parseDateRange result.
+export function getDateRangeFilters(range) {
+  const filters = {};
+  if (Number.isFinite(range?.since)) filters.since = formatDateInput(range.since);
+  if (Number.isFinite(range?.until)) filters.until = formatDateInput(range.until);
+  return filters;
 }
 
 // Sort posts by selected mode
@@ -147,6 +222,43 @@ export function formatDateTime(dateString) {
   return date.toLocaleString();
 }
 
+export function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Text the upstream search indexes in an embed view: image alt text, a link card's title and
+// description, and a quoted post's text (a record#view, or recordWithMedia's record and media).
+function collectEmbedText(embed, parts, depth = 0) {
+  if (!embed || depth > 2) return;
+  if (Array.isArray(embed.images)) {
+    embed.images.forEach((image) => {
+      if (image?.alt) parts.push(image.alt);
+    });
+  }
+  if (embed.external) {
+    if (embed.external.title) parts.push(embed.external.title);
+    if (embed.external.description) parts.push(embed.external.description);
+  }
+  const quoted = embed.record?.record || embed.record;
+  if (typeof quoted?.value?.text === 'string') {
+    parts.push(quoted.value.text);
+  }
+  collectEmbedText(embed.media, parts, depth + 1);
+}
+
+// Post text, tags and embed text (alt text, link card, quoted post), for client-side query and
+// mute matching
+export function getPostSearchText(post) {
+  const parts = [post.record?.text || ''];
+  if (Array.isArray(post.record?.tags)) {
+    post.record.tags.forEach((tag) => {
+      if (typeof tag === 'string') parts.push(`#${tag}`);
+    });
+  }
+  collectEmbedText(post.embed, parts);
+  return parts.join('\n');
+}
+
 export function getPostTimestamp(post) {
   const candidate = post.record?.createdAt || post.indexedAt;
   const time = new Date(candidate).getTime();
@@ -171,6 +283,30 @@ export function formatDuration(ms) {
   return `${minutes}:${String(seconds).padStart(2, '0')}`;
 }
 
+// Read the proxy's X-RateLimit-* headers: { limit, remaining, reset } or null.
+export function parseRateLimitHeaders(headers) {
+  const toInt = (name) => {
+    const value = headers?.get?.(name);
+    if (value === null || value === undefined || value === '') return null;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? Math.floor(parsed) : null;
+  };
+  const remaining = toInt('X-RateLimit-Remaining');
+  if (remaining === null) return null;
+  return { limit: toInt('X-RateLimit-Limit'), remaining, reset: toInt('X-RateLimit-Reset') };
+}
+
+// Multiplier for the auto-refresh interval as the shared upstream budget runs low.
+export function getRefreshBackoffFactor(rateLimit, now = Date.now()) {
+  if (!rateLimit || !Number.isFinite(rateLimit.remaining)) return 1;
+  if (rateLimit.reset && rateLimit.reset * 1000 <= now) return 1;
+  const limit = rateLimit.limit > 0 ? rateLimit.limit : null;
+  const ratio = limit ? rateLimit.remaining / limit : null;
+  if (rateLimit.remaining <= 0 || (ratio !== null && ratio <= 0.1)) return 4;
+  if (ratio !== null && ratio <= 0.25) return 2;
+  return 1;
+}
+
 export function parseBlueskyPostUrl(urlString) {
   let parsedUrl;
   try {
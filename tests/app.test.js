@@ -18,11 +18,28 @@ const {
   getCachedDid,
   filterByDate,
   filterByLikes,
+  parseDateRange,
+  getDateRangeFilters,
   sortPosts,
   normalizeTerm,
   expandSearchTerms,
+  parseQuery,
+  compileQuery,
+  expandQueryPhrases,
+  getQueryHighlightTerms,
+  matchesQuery,
+  addMute,
+  createAuthorMute,
+  isPostMuted,
+  loadMutes,
+  parseMuteInput,
+  removeMute,
+  chunkTerms,
+  buildStreamUrl,
   formatDuration,
   getPostTimestamp,
+  getRefreshBackoffFactor,
+  parseRateLimitHeaders,
   didCache,
   state,
   isCurrentSearchGeneration,
@@ -32,6 +49,13 @@ const {
   MAX_DID_CACHE_SIZE,
   enforceSearchCacheLimit,
   enforceDidCacheLimit,
+  getPublicApi,
+  normalizePublicApi,
+  resetPublicApiForTests,
+  fetchWithApiToken,
+  getApiToken,
+  resetApiTokenForTests,
+  DEFAULT_PUBLIC_API,
 } = app;
 
 // ============================================================================
@@ -236,6 +260,24 @@ describe('getSearchCacheKey', () => {
     const key2 = getSearchCacheKey('term', '', 'top');
     expect(key1).toBe(key2);
   });
+
+  it('generates different keys for different filters', () => {
+    const key1 = getSearchCacheKey('term', null, 'top', { tag: 'atproto' });
+    const key2 = getSearchCacheKey('term', null, 'top', { tag: 'bluesky' });
+    expect(key1).not.toBe(key2);
+    expect(getSearchCacheKey('term', null, 'top', {})).toBe(getSearchCacheKey('term', null, 'top'));
+  });
+
+  it('generates different keys for different server-side paging options', () => {
+    const base = getSearchCacheKey('term', null, 'top', {}, { pages: 1, minLikes: 10 });
+    expect(getSearchCacheKey('term', null, 'top', {}, { pages: 2, minLikes: 10 })).not.toBe(base);
+    expect(getSearchCacheKey('term', null, 'top', {}, { pages: 1, sinceHours: 6 })).not.toBe(
+      getSearchCacheKey('term', null, 'top', {}, { pages: 1, sinceHours: 24 })
+    );
+    expect(getSearchCacheKey('term', null, 'top', {}, { pages: 1 })).toBe(
+      getSearchCacheKey('term', null, 'top')
+    );
+  });
 });
 
 // ============================================================================
@@ -271,6 +313,244 @@ describe('getCachedDid', () => {
   });
 });
 
+// ============================================================================
+// Boolean queries
+// ============================================================================
+describe('parseQuery', () => {
+  const term = (value, phrase = false) => ({ type: 'term', value, phrase });
+
+  it('keeps adjacent words together and treats commas like OR', () => {
+    expect(parseQuery('climate change')).toEqual(term('climate change'));
+    expect(parseQuery('bluesky, atproto OR "sea level"')).toEqual({
+      type: 'or',
+      operands: [term('bluesky'), term('atproto'), term('sea level', true)],
+    });
+  });
+
+  it('binds NOT tighter than AND, and AND tighter than OR', () => {
+    expect(parseQuery('a OR b AND NOT c')).toEqual({
+      type: 'or',
+      operands: [
+        term('a'),
+        { type: 'and', operands: [term('b'), { type: 'not', operand: term('c') }] },
+      ],
+    });
+  });
+
+  it('groups with parentheses and negates with a leading dash only', () => {
+    expect(parseQuery('-(a OR b) e-mail')).toEqual({
+      type: 'and',
+      operands: [
+        { type: 'not', operand: { type: 'or', operands: [term('a'), term('b')] } },
+        term('e-mail'),
+      ],
+    });
+  });
+
+  it('reads lower-case operators and one-word phrases as plain terms', () => {
+    expect(parseQuery('cats and dogs')).toEqual(term('cats and dogs'));
+    expect(parseQuery('"atproto"')).toEqual(term('atproto'));
+  });
+
+  it('reports syntax errors with their position', () => {
+    const cases = [
+      ['   ', 'Query error: enter at least one search term.'],
+      ['a OR', 'Query error: "OR" at position 3 needs a term after it.'],
+      ['AND a', 'Query error: unexpected "AND" at position 1.'],
+      ['(a OR b', 'Query error: missing ")" for the "(" at position 1.'],
+      ['a) b', 'Query error: unexpected ")" at position 2.'],
+      ['a, , b', 'Query error: unexpected "," at position 4.'],
+      ['say "hello', 'Query error: missing closing quote for the phrase at position 5.'],
+      ['a ""', 'Query error: empty phrase at position 3.'],
+    ];
+    cases.forEach(([input, message]) => {
+      expect(() => parseQuery(input)).toThrow(message);
+    });
+  });
+});
+
+describe('compileQuery', () => {
+  const compile = (input) => compileQuery(parseQuery(input));
+
+  it('compiles each alternative into one search', () => {
+    expect(compile('climate change, "sea level"')).toEqual(['climate change', '"sea level"']);
+    expect(compile('(a OR b) AND c')).toEqual(['a c', 'b c']);
+  });
+
+  it('leaves exclusions to client-side matching', () => {
+    expect(compile('bluesky -crypto NOT (nft OR token)')).toEqual(['bluesky']);
+    expect(compile('a -(b c)')).toEqual(['a']);
+  });
+
+  it('drops searches covered by a broader one and deduplicates case-insensitively', () => {
+    expect(compile('a OR (a AND b), A')).toEqual(['a']);
+  });
+
+  it('rejects alternatives with nothing to search for', () => {
+    expect(() => compile('a OR -b')).toThrow(
+      'Query error: every alternative needs a term that is not excluded with NOT.'
+    );
+    expect(() => compile('NOT (a b)')).toThrow('Query error: every alternative');
+  });
+
+  it('caps how many searches a query may expand to', () => {
+    expect(() => compile('(a OR b OR c OR d OR e) (f OR g OR h OR i OR j)')).toThrow(
+      'Query error: the query expands to more than 20 searches.'
+    );
+  });
+
+  it('also searches each word of multi-word terms when expanded', () => {
+    const query = expandQueryPhrases(parseQuery('"sea level" rise, climate change'));
+    expect(compileQuery(query)).toEqual([
+      '"sea level" rise',
+      'sea rise',
+      'level rise',
+      'climate',
+      'change',
+    ]);
+  });
+});
+
+describe('matchesQuery', () => {
+  const post = (text, alt) => ({
+    record: { text },
+    embed: alt ? { images: [{ alt }] } : undefined,
+  });
+
+  it('evaluates the full expression against post text and image alt text', () => {
+    const query = parseQuery('(climate OR weather) -crypto "sea level"');
+
+    expect(matchesQuery(query, post('Climate news: sea  level rising'))).toBe(true);
+    expect(matchesQuery(query, post('Weather chart', 'Sea level map'))).toBe(true);
+    expect(matchesQuery(query, post('climate crypto sea level'))).toBe(false);
+    expect(matchesQuery(query, post('climate at sea; level ground'))).toBe(false);
+  });
+
+  it('also reads tags, link cards and quoted posts, as the upstream search does', () => {
+    const query = parseQuery('climate');
+    const external = { external: { title: 'Climate report', description: '' } };
+    const quote = { record: { value: { text: 'Climate thread' } } };
+    const quoteWithMedia = {
+      record: { record: { value: { text: 'no match' } } },
+      media: { external: { title: 'x', description: 'On the climate' } },
+    };
+
+    expect(matchesQuery(query, { record: { text: 'link', tags: ['climate'] } })).toBe(true);
+    expect(matchesQuery(query, { record: { text: 'link' }, embed: external })).toBe(true);
+    expect(matchesQuery(query, { record: { text: 'see' }, embed: quote })).toBe(true);
+    expect(matchesQuery(query, { record: { text: 'see' }, embed: quoteWithMedia })).toBe(true);
+    expect(matchesQuery(query, { record: { text: 'see', tags: [] }, embed: {} })).toBe(false);
+  });
+
+  it('matches terms at word starts, so upstream stemming survives', () => {
+    const query = parseQuery('run -cat');
+
+    expect(matchesQuery(query, post('Running late'))).toBe(true);
+    expect(matchesQuery(query, post('rerun with cats'))).toBe(false);
+    expect(matchesQuery(query, post('#run'))).toBe(true);
+  });
+
+  it('lists positive terms for highlighting', () => {
+    expect(getQueryHighlightTerms(parseQuery('climate change -crypto, "sea level"'))).toEqual([
+      'climate',
+      'change',
+      'sea level',
+    ]);
+  });
+});
+
+// ============================================================================
+// Mutes
+// ============================================================================
+describe('mute list', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new Map();
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, value),
+    });
+    state.mutes = [];
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    state.mutes = [];
+  });
+
+  const post = (text, overrides = {}) => ({
+    uri: 'at://did:plc:spammer/app.bsky.feed.post/1',
+    author: { handle: 'spam.bsky.social' },
+    record: { text },
+    ...overrides,
+  });
+
+  it('parses words, regexes and authors from the panel input', () => {
+    expect(parseMuteInput('  free   stuff ')).toEqual({ type: 'word', value: 'free stuff' });
+    expect(parseMuteInput('/nft\\s*drop/i')).toEqual({
+      type: 'regex',
+      value: 'nft\\s*drop',
+      flags: 'i',
+    });
+    expect(parseMuteInput('@Spam.Bsky.Social')).toEqual({
+      type: 'author',
+      value: 'spam.bsky.social',
+      label: '@spam.bsky.social',
+    });
+    expect(parseMuteInput('did:plc:abc123').value).toBe('did:plc:abc123');
+  });
+
+  it('rejects empty input, bad regexes and bad handles', () => {
+    expect(() => parseMuteInput('  ')).toThrow('Enter a word, /regex/ or @handle to mute.');
+    expect(() => parseMuteInput('/(/')).toThrow('Invalid regular expression');
+    expect(() => parseMuteInput('/spam/g')).toThrow('only the i, m, s and u flags');
+    expect(() => parseMuteInput('@not a handle')).toThrow('Enter a valid handle to mute');
+  });
+
+  it('matches whole words, regexes and authors by handle or the DID in the post URI', () => {
+    addMute(parseMuteInput('giveaway'));
+    expect(isPostMuted(post('Huge GIVEAWAY today', { uri: 'at://did:plc:x/p/1' }))).toBe(true);
+    expect(isPostMuted(post('giveaways', { uri: 'at://did:plc:x/p/1', author: {} }))).toBe(false);
+
+    addMute(parseMuteInput('/crypto\\s+pump/i'));
+    const imagePost = post('x', { uri: 'at://x', embed: { images: [{ alt: 'Crypto  PUMP' }] } });
+    expect(isPostMuted(imagePost)).toBe(true);
+
+    addMute(createAuthorMute(post('hello')));
+    expect(state.mutes.at(-1)).toEqual({
+      type: 'author',
+      value: 'did:plc:spammer',
+      label: '@spam.bsky.social',
+    });
+    expect(isPostMuted(post('hello', { author: { handle: 'renamed.bsky.social' } }))).toBe(true);
+  });
+
+  it('persists the list, skipping duplicates and malformed stored entries', () => {
+    expect(addMute(parseMuteInput('spam'))).toBe(true);
+    expect(addMute(parseMuteInput('SPAM'))).toBe(false);
+    addMute(parseMuteInput('@spam.bsky.social'));
+    expect(removeMute(0)).toBe(true);
+
+    const stored = JSON.parse(storage.get('bsky-mutes'));
+    storage.set(
+      'bsky-mutes',
+      JSON.stringify([...stored, { type: 'regex', value: '(' }, { type: 'unknown', value: 'x' }])
+    );
+    state.mutes = [];
+
+    expect(loadMutes()).toEqual([
+      { type: 'author', value: 'spam.bsky.social', label: '@spam.bsky.social' },
+    ]);
+    expect(isPostMuted(post('anything'))).toBe(true);
+  });
+
+  it('falls back to an empty list when storage is unreadable', () => {
+    storage.set('bsky-mutes', '{not json');
+    expect(loadMutes()).toEqual([]);
+  });
+});
+
 // ============================================================================
 // expandSearchTerms
 // ============================================================================
@@ -315,6 +595,58 @@ describe('expandSearchTerms', () => {
   });
 });
 
+// ============================================================================
+// chunkTerms
+// ============================================================================
+describe('chunkTerms', () => {
+  it('splits terms into groups of at most the given size', () => {
+    expect(chunkTerms(['a', 'b', 'c', 'd', 'e'], 2)).toEqual([['a', 'b'], ['c', 'd'], ['e']]);
+  });
+
+  it('returns a single group when under the limit', () => {
+    expect(chunkTerms(['a', 'b'], 20)).toEqual([['a', 'b']]);
+  });
+
+  it('returns no groups for no terms', () => {
+    expect(chunkTerms([], 20)).toEqual([]);
+  });
+});
+
+// ============================================================================
+// buildStreamUrl
+// ============================================================================
+describe('buildStreamUrl', () => {
+  it('encodes terms, sort and set filters', () => {
+    const url = buildStreamUrl(['cats', 'dogs'], 'latest', { author: 'a.test', tag: '' });
+    const params = new URL(url, 'https://example.test').searchParams;
+
+    expect(url.startsWith('/api/stream?')).toBe(true);
+    expect(params.get('terms')).toBe('cats,dogs');
+    expect(params.get('sort')).toBe('latest');
+    expect(params.get('author')).toBe('a.test');
+    expect(params.has('tag')).toBe(false);
+    expect(params.has('from')).toBe(false);
+  });
+
+  it('normalizes the sort and adds the from watermark and refresh interval', () => {
+    const options = { from: 1700000000000.5, intervalMs: 300000 };
+    const url = buildStreamUrl(['cats'], 'bogus', {}, options);
+    const params = new URL(url, 'https://x.test').searchParams;
+
+    expect(params.get('sort')).toBe('top');
+    expect(params.get('from')).toBe('1700000000000');
+    expect(params.get('interval')).toBe('300');
+  });
+
+  it('carries the API token only when there is one', () => {
+    const withToken = buildStreamUrl(['cats'], 'top', {}, { token: 'tok' });
+    const withoutToken = buildStreamUrl(['cats'], 'top', {});
+
+    expect(new URL(withToken, 'https://x.test').searchParams.get('token')).toBe('tok');
+    expect(new URL(withoutToken, 'https://x.test').searchParams.has('token')).toBe(false);
+  });
+});
+
 // ============================================================================
 // filterByLikes
 // ============================================================================
@@ -411,6 +743,67 @@ describe('filterByDate', () => {
     const result = filterByDate(posts, 24);
     expect(result.map((post) => post.uri)).toEqual(['at://fallback-recent']);
   });
+
+  it('keeps posts inside an absolute range, until exclusive', () => {
+    const posts = [
+      { uri: 'at://before', indexedAt: '2025-09-01T23:59:59.000Z' },
+      { uri: 'at://start', indexedAt: '2025-09-02T00:00:00.000Z' },
+      { uri: 'at://end', indexedAt: '2025-09-15T23:59:59.000Z' },
+      { uri: 'at://after', indexedAt: '2025-09-16T00:00:00.000Z' },
+    ];
+    const range = parseDateRange('2025-09-02', '2025-09-15');
+
+    const openEnded = { since: range.since, until: null };
+
+    expect(filterByDate(posts, range).map((post) => post.uri)).toEqual(['at://start', 'at://end']);
+    expect(filterByDate(posts, openEnded).map((post) => post.uri)).toEqual([
+      'at://start',
+      'at://end',
+      'at://after',
+    ]);
+  });
+});
+
+// ============================================================================
+// parseDateRange
+// ============================================================================
+describe('parseDateRange', () => {
+  it('reads whole UTC days with the end date inclusive', () => {
+    expect(parseDateRange('2026-09-01', '2026-09-15')).toEqual({
+      since: Date.parse('2026-09-01T00:00:00.000Z'),
+      until: Date.parse('2026-09-16T00:00:00.000Z'),
+    });
+    expect(parseDateRange('2026-09-01', '2026-09-01').until).toBe(
+      Date.parse('2026-09-02T00:00:00.000Z')
+    );
+  });
+
+  it('leaves an empty side open', () => {
+    expect(parseDateRange('', '2026-09-15')).toEqual({
+      since: null,
+      until: Date.parse('2026-09-16T00:00:00.000Z'),
+    });
+    expect(parseDateRange('2026-09-01', '')).toEqual({
+      since: Date.parse('2026-09-01T00:00:00.000Z'),
+      until: null,
+    });
+  });
+
+  it('rejects empty, malformed and reversed ranges', () => {
+    expect(() => parseDateRange('', '')).toThrow('Choose a start or end date');
+    expect(() => parseDateRange('2026-02-30', '')).toThrow('YYYY-MM-DD');
+    expect(() => parseDateRange('09/01/2026', '')).toThrow('YYYY-MM-DD');
+    expect(() => parseDateRange('2026-09-15', '2026-09-01')).toThrow('on or before');
+  });
+
+  it('maps to upstream since/until dates', () => {
+    expect(getDateRangeFilters(parseDateRange('2026-09-01', '2026-09-15'))).toEqual({
+      since: '2026-09-01',
+      until: '2026-09-16',
+    });
+    expect(getDateRangeFilters(parseDateRange('', '2026-12-31'))).toEqual({ until: '2027-01-01' });
+    expect(getDateRangeFilters(null)).toEqual({});
+  });
 });
 
 // ============================================================================
@@ -560,6 +953,160 @@ describe('formatDuration', () => {
   });
 });
 
+// ============================================================================
+// getPublicApi
+// ============================================================================
+describe('getPublicApi', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    resetPublicApiForTests();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    resetPublicApiForTests();
+  });
+
+  it('normalizes configured bases and rejects unsafe values', () => {
+    expect(normalizePublicApi('https://appview.example.com/xrpc/')).toBe(
+      'https://appview.example.com/xrpc'
+    );
+    expect(normalizePublicApi('javascript:alert(1)')).toBe(null);
+    expect(normalizePublicApi(undefined)).toBe(null);
+  });
+
+  it('uses the server-provided base and fetches config only once', async () => {
+    global.fetch = vi.fn(async () => ({
+      ok: true,
+      json: async () => ({ publicApi: 'http://localhost:2584/xrpc' }),
+    }));
+
+    expect(await getPublicApi()).toBe('http://localhost:2584/xrpc');
+    expect(await getPublicApi()).toBe('http://localhost:2584/xrpc');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledWith('/api/config');
+  });
+
+  it('falls back to the default when config is unavailable', async () => {
+    global.fetch = vi.fn(async () => {
+      throw new Error('offline');
+    });
+    expect(await getPublicApi()).toBe(DEFAULT_PUBLIC_API);
+
+    resetPublicApiForTests();
+    global.fetch = vi.fn(async () => ({ ok: false, json: async () => ({}) }));
+    expect(await getPublicApi()).toBe(DEFAULT_PUBLIC_API);
+  });
+});
+
+// ============================================================================
+// API tokens
+// ============================================================================
+describe('fetchWithApiToken', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    resetApiTokenForTests();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    resetApiTokenForTests();
+  });
+
+  function mockApi(tokens, searchStatuses) {
+    global.fetch = vi.fn(async (url) => {
+      if (url === '/api/token') {
+        return { ok: true, json: async () => tokens.shift() };
+      }
+      return { ok: true, status: searchStatuses.shift() || 200 };
+    });
+  }
+
+  it('attaches the token and reuses it until it nears expiry', async () => {
+    const expiresAt = Date.now() + 60000;
+    mockApi([{ token: 'a', expiresAt }, { token: 'b', expiresAt: expiresAt + 60000 }], []);
+
+    await fetchWithApiToken('/api/search?term=x');
+    await fetchWithApiToken('/api/search?term=y');
+    expect(await getApiToken(expiresAt - 1000)).toBe('b');
+
+    const tokenCalls = global.fetch.mock.calls.filter(([url]) => url === '/api/token');
+    expect(tokenCalls).toHaveLength(2);
+    expect(global.fetch).toHaveBeenCalledWith('/api/search?term=y', {
+      headers: { 'X-Api-Token': 'a' },
+    });
+  });
+
+  it('renews the token and retries once after a 401', async () => {
+    const expiresAt = Date.now() + 60000;
+    mockApi([{ token: 'old', expiresAt }, { token: 'new', expiresAt }], [401]);
+
+    const response = await fetchWithApiToken('/api/search?term=x');
+
+    expect(response.status).toBe(200);
+    expect(global.fetch).toHaveBeenLastCalledWith('/api/search?term=x', {
+      headers: { 'X-Api-Token': 'new' },
+    });
+  });
+
+  it('sends no header when tokens are not enabled', async () => {
+    mockApi([{ token: null, expiresAt: null }], []);
+
+    await fetchWithApiToken('/api/search?term=x');
+    await fetchWithApiToken('/api/search?term=y');
+
+    expect(global.fetch.mock.calls).toEqual([
+      ['/api/token', { method: 'POST' }],
+      ['/api/search?term=x', undefined],
+      ['/api/search?term=y', undefined],
+    ]);
+  });
+});
+
+// ============================================================================
+// parseRateLimitHeaders
+// ============================================================================
+describe('parseRateLimitHeaders', () => {
+  it('reads the proxy rate-limit headers', () => {
+    const headers = new Headers({
+      'X-RateLimit-Limit': '3000',
+      'X-RateLimit-Remaining': '150',
+      'X-RateLimit-Reset': '1700000000',
+    });
+    expect(parseRateLimitHeaders(headers)).toEqual({ limit: 3000, remaining: 150, reset: 1700000000 });
+  });
+
+  it('returns null when the budget is unknown', () => {
+    expect(parseRateLimitHeaders(new Headers())).toBeNull();
+    expect(parseRateLimitHeaders(undefined)).toBeNull();
+  });
+});
+
+// ============================================================================
+// getRefreshBackoffFactor
+// ============================================================================
+describe('getRefreshBackoffFactor', () => {
+  const now = 1_700_000_000_000;
+  const futureReset = now / 1000 + 300;
+
+  it('keeps the configured interval when the budget is healthy or unknown', () => {
+    expect(getRefreshBackoffFactor(null, now)).toBe(1);
+    expect(getRefreshBackoffFactor({ limit: 3000, remaining: 2000, reset: futureReset }, now)).toBe(1);
+  });
+
+  it('slows refresh as the budget runs low', () => {
+    expect(getRefreshBackoffFactor({ limit: 3000, remaining: 600, reset: futureReset }, now)).toBe(2);
+    expect(getRefreshBackoffFactor({ limit: 3000, remaining: 200, reset: futureReset }, now)).toBe(4);
+    expect(getRefreshBackoffFactor({ limit: null, remaining: 0, reset: futureReset }, now)).toBe(4);
+  });
+
+  it('ignores budgets whose reset time has passed', () => {
+    expect(getRefreshBackoffFactor({ limit: 3000, remaining: 0, reset: now / 1000 - 1 }, now)).toBe(1);
+  });
+});
+
 // ============================================================================
 // isCurrentSearchGeneration
 // ============================================================================
@@ -0,0 +1,414 @@
+/**
+ * Batch search endpoint tests: /api/search/batch fan-out, dedup and per-term outcomes
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+process.env.BSKY_HANDLE = 'batch-handle';
+process.env.BSKY_APP_PASSWORD = 'batch-app-password';
+
+const batchModule = await import('../api/search/batch.js');
+const batchHandler = batchModule.default;
+const { parseBatchPages } = batchModule.testUtils;
+const { mapWithConcurrency, parseTermList, MAX_BATCH_TERMS } = await import(
+  '../api/_lib/batch.js'
+);
+const searchModule = await import('../api/search.js');
+const searchHandler = searchModule.default;
+const { resetModuleStateForTests } = searchModule.testUtils;
+const { parseResultFilters } = await import('../api/_lib/result-filters.js');
+
+const originalFetch = global.fetch;
+
+function createMockResponse() {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader: vi.fn((key, value) => {
+      res.headers[key] = value;
+      return res;
+    }),
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+  };
+  return res;
+}
+
+function createJsonResponse(status, payload, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers(headers),
+    json: async () => payload,
+  };
+}
+
+// Upstream stand-in: `pagesByTerm[term]` is a list of { posts, cursor } pages or an error status;
+// unknown terms get one empty page.
+function mockUpstream(pagesByTerm) {
+  global.fetch = vi.fn(async (url) => {
+    if (url.includes('/com.atproto.server.createSession')) {
+      return createJsonResponse(200, { accessJwt: 'access', refreshJwt: 'refresh' });
+    }
+    const params = new URL(url).searchParams;
+    const pages = pagesByTerm[params.get('q')] ?? [{ posts: [] }];
+    if (typeof pages === 'number') {
+      return createJsonResponse(pages, { message: `Upstream ${pages}` }, { 'retry-after': '7' });
+    }
+    const index = params.get('cursor') ? Number(params.get('cursor')) : 0;
+    return createJsonResponse(200, pages[index]);
+  });
+}
+
+function getSearchUrls() {
+  return global.fetch.mock.calls
+    .map(([url]) => url)
+    .filter((url) => url.includes('/app.bsky.feed.searchPosts'));
+}
+
+beforeEach(() => {
+  resetModuleStateForTests();
+});
+
+afterEach(() => {
+  global.fetch = originalFetch;
+  vi.restoreAllMocks();
+});
+
+// ============================================================================
+// Query parsing
+// ============================================================================
+
+describe('parseTermList', () => {
+  it('splits, trims and deduplicates terms in order', () => {
+    expect(parseTermList(' alpha, beta ,,alpha,gamma ')).toEqual(['alpha', 'beta', 'gamma']);
+  });
+
+  it('returns an empty list for missing input', () => {
+    expect(parseTermList(undefined)).toEqual([]);
+  });
+});
+
+describe('parseBatchPages', () => {
+  it('defaults to two pages', () => {
+    expect(parseBatchPages(undefined)).toBe(2);
+  });
+
+  it('accepts 1-5 and rejects anything else', () => {
+    expect(parseBatchPages('5')).toBe(5);
+    expect(parseBatchPages('0')).toBeNull();
+    expect(parseBatchPages('6')).toBeNull();
+    expect(parseBatchPages('1.5')).toBeNull();
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('keeps input order and never exceeds the limit', async () => {
+    let active = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay) => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      active -= 1;
+      return delay * 2;
+    });
+
+    expect(results).toEqual([60, 20, 40, 10, 30]);
+    expect(peak).toBe(2);
+  });
+});
+
+// ============================================================================
+// Handler
+// ============================================================================
+
+describe('batch search handler', () => {
+  it('rejects non-GET methods', async () => {
+    const res = createMockResponse();
+    await batchHandler({ method: 'POST', query: {} }, res);
+
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('validates terms, pages, sort and filters', async () => {
+    const tooMany = Array.from({ length: MAX_BATCH_TERMS + 1 }, (_, index) => `t${index}`);
+    const cases = [
+      [{}, 'Missing terms parameter.'],
+      [{ terms: tooMany.join(',') }, `Too many terms (max ${MAX_BATCH_TERMS}).`],
+      [{ terms: 'a'.repeat(501) }, 'Search term is too long.'],
+      [{ terms: 'a', pages: '9' }, 'Invalid pages parameter (1-5).'],
+      [{ terms: 'a', sort: 'random' }, 'Invalid sort parameter.'],
+      [{ terms: 'a', author: 'not a handle' }, 'Invalid author parameter.'],
+    ];
+
+    for (const [query, error] of cases) {
+      const res = createMockResponse();
+      await batchHandler({ method: 'GET', query }, res);
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toEqual({ error });
+    }
+  });
+
+  it('pages each term, tags posts with every matched term and dedupes by URI', async () => {
+    mockUpstream({
+      alpha: [
+        { posts: [{ uri: 'at://1' }, { uri: 'at://2' }], cursor: '1' },
+        { posts: [{ uri: 'at://3' }], cursor: '2' },
+      ],
+      beta: [{ posts: [{ uri: 'at://2' }, { uri: 'at://4' }] }],
+    });
+    const res = createMockResponse();
+
+    await batchHandler({ method: 'GET', query: { terms: 'alpha,beta', pages: '2' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.posts).toEqual([
+      { uri: 'at://1', matchedTerms: ['alpha'] },
+      { uri: 'at://2', matchedTerms: ['alpha', 'beta'] },
+      { uri: 'at://3', matchedTerms: ['alpha'] },
+      { uri: 'at://4', matchedTerms: ['beta'] },
+    ]);
+    expect(res.body.terms).toEqual([
+      { term: 'alpha', ok: true, count: 3, cursor: '2' },
+      { term: 'beta', ok: true, count: 2, cursor: null },
+    ]);
+    expect(getSearchUrls()).toHaveLength(3);
+  });
+
+  it('projects merged posts in compact view and keeps their matched terms', async () => {
+    mockUpstream({
+      alpha: [{ posts: [{ uri: 'at://1', cid: 'bafy', author: { handle: 'a.test', did: 'x' } }] }],
+    });
+    const res = createMockResponse();
+
+    await batchHandler({ method: 'GET', query: { terms: 'alpha', view: 'compact' } }, res);
+
+    expect(res.body.posts).toEqual([
+      { uri: 'at://1', author: { handle: 'a.test' }, record: {}, matchedTerms: ['alpha'] },
+    ]);
+  });
+
+  it('reuses cached pages from earlier single or batch searches', async () => {
+    mockUpstream({ alpha: [{ posts: [{ uri: 'at://1' }] }] });
+
+    await batchHandler({ method: 'GET', query: { terms: 'alpha' } }, createMockResponse());
+    await batchHandler({ method: 'GET', query: { terms: 'alpha' } }, createMockResponse());
+
+    expect(getSearchUrls()).toHaveLength(1);
+  });
+
+  it('passes sort and filters through to every upstream call', async () => {
+    mockUpstream({ alpha: [{ posts: [] }], beta: [{ posts: [] }] });
+
+    await batchHandler(
+      {
+        method: 'GET',
+        query: { terms: 'alpha,beta', sort: 'latest', author: 'someone.bsky.social' },
+      },
+      createMockResponse()
+    );
+
+    for (const url of getSearchUrls()) {
+      const params = new URL(url).searchParams;
+      expect(params.get('sort')).toBe('latest');
+      expect(params.get('author')).toBe('someone.bsky.social');
+    }
+  });
+
+  it('reports per-term failures alongside successful terms', async () => {
+    mockUpstream({ alpha: [{ posts: [{ uri: 'at://1' }] }], broken: 400 });
+    const res = createMockResponse();
+
+    await batchHandler({ method: 'GET', query: { terms: 'alpha,broken' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.posts).toEqual([{ uri: 'at://1', matchedTerms: ['alpha'] }]);
+    expect(res.body.terms[1]).toEqual({
+      term: 'broken',
+      ok: false,
+      status: 400,
+      error: 'Upstream 400',
+    });
+  });
+
+  it('keeps earlier pages when a later page fails and returns its cursor', async () => {
+    global.fetch = vi.fn(async (url) => {
+      if (url.includes('/com.atproto.server.createSession')) {
+        return createJsonResponse(200, { accessJwt: 'access' });
+      }
+      return new URL(url).searchParams.get('cursor')
+        ? createJsonResponse(400, { message: 'Bad cursor' })
+        : createJsonResponse(200, { posts: [{ uri: 'at://1' }], cursor: 'next' });
+    });
+    const res = createMockResponse();
+
+    await batchHandler({ method: 'GET', query: { terms: 'alpha' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.terms).toEqual([
+      { term: 'alpha', ok: true, count: 1, cursor: 'next', error: 'Bad cursor' },
+    ]);
+  });
+
+  it('uses the upstream status and Retry-After when every term fails', async () => {
+    mockUpstream({ alpha: 400, beta: 400 });
+    const res = createMockResponse();
+
+    await batchHandler({ method: 'GET', query: { terms: 'alpha,beta' } }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.headers['Retry-After']).toBe('7');
+    expect(res.body.error).toBe('Upstream 400');
+    expect(res.body.terms.every((result) => !result.ok)).toBe(true);
+  });
+
+  it('charges the client rate limit for every term and page', async () => {
+    mockUpstream({});
+    const terms = Array.from({ length: 16 }, (_, index) => `t${index}`).join(',');
+    const res = createMockResponse();
+
+    // 16 terms x 2 pages = 32 tokens, more than the default burst of 30.
+    await batchHandler({ method: 'GET', query: { terms, pages: '2' } }, createMockResponse());
+    await batchHandler({ method: 'GET', query: { terms, pages: '2' } }, res);
+
+    expect(res.statusCode).toBe(429);
+  });
+});
+
+// ============================================================================
+// Server-side paging and result filters
+// ============================================================================
+describe('parseResultFilters', () => {
+  it('parses minLikes and sinceHours, dropping zero values', () => {
+    expect(parseResultFilters({ minLikes: '10', sinceHours: '1.5' })).toEqual({
+      resultFilters: { minLikes: 10, sinceHours: 1.5 },
+    });
+    expect(parseResultFilters({ minLikes: '0' })).toEqual({ resultFilters: null });
+    expect(parseResultFilters({})).toEqual({ resultFilters: null });
+  });
+
+  it('rejects malformed or out-of-range values', () => {
+    expect(parseResultFilters({ minLikes: '-1' })).toEqual({
+      error: 'Invalid minLikes parameter.',
+    });
+    expect(parseResultFilters({ sinceHours: '0' })).toEqual({
+      error: 'Invalid sinceHours parameter.',
+    });
+    expect(parseResultFilters({ sinceHours: '721' })).toEqual({
+      error: 'Invalid sinceHours parameter.',
+    });
+  });
+});
+
+describe('search handler server-side paging', () => {
+  function hoursAgo(hours) {
+    return { createdAt: new Date(Date.now() - hours * 3600000).toISOString() };
+  }
+
+  async function search(query) {
+    const res = createMockResponse();
+    await searchHandler({ method: 'GET', query: { term: 'alpha', ...query } }, res);
+    return res;
+  }
+
+  it('reads several pages from the cursor and keeps posts with enough likes', async () => {
+    mockUpstream({
+      alpha: [
+        { posts: [{ uri: 'at://0', likeCount: 50 }], cursor: '1' },
+        { posts: [{ uri: 'at://1', likeCount: 2 }, { uri: 'at://2', likeCount: 10 }], cursor: '2' },
+        { posts: [{ uri: 'at://3' }, { uri: 'at://4', likeCount: 12 }], cursor: '3' },
+        { posts: [{ uri: 'at://5', likeCount: 99 }] },
+      ],
+    });
+
+    const res = await search({ cursor: '1', pages: '2', minLikes: '10', view: 'compact' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      posts: [
+        { uri: 'at://2', author: {}, record: {}, likeCount: 10 },
+        { uri: 'at://4', author: {}, record: {}, likeCount: 12 },
+      ],
+      cursor: '3',
+    });
+    expect(getSearchUrls()).toHaveLength(2);
+  });
+
+  it('stops latest-sorted paging once a page reaches past the time window', async () => {
+    mockUpstream({
+      alpha: [
+        { posts: [{ uri: 'at://0', record: hoursAgo(1) }], cursor: '1' },
+        {
+          posts: [
+            { uri: 'at://1', record: hoursAgo(5) },
+            { uri: 'at://2', record: hoursAgo(7) },
+          ],
+          cursor: '2',
+        },
+        { posts: [{ uri: 'at://3', record: hoursAgo(8) }] },
+      ],
+    });
+
+    const res = await search({ sort: 'latest', pages: '5', sinceHours: '6' });
+
+    expect(res.body.posts.map((post) => post.uri)).toEqual(['at://0', 'at://1']);
+    expect(res.body.cursor).toBeNull();
+    expect(getSearchUrls()).toHaveLength(2);
+  });
+
+  it('keeps earlier pages and the resume cursor when a later page fails', async () => {
+    global.fetch = vi.fn(async (url) => {
+      if (url.includes('/com.atproto.server.createSession')) {
+        return createJsonResponse(200, { accessJwt: 'access' });
+      }
+      return new URL(url).searchParams.get('cursor')
+        ? createJsonResponse(400, { message: 'Bad cursor' })
+        : createJsonResponse(200, { posts: [{ uri: 'at://0', likeCount: 1 }], cursor: 'next' });
+    });
+
+    const res = await search({ pages: '2', minLikes: '1' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      posts: [{ uri: 'at://0', likeCount: 1 }],
+      cursor: 'next',
+      error: 'Bad cursor',
+    });
+  });
+
+  it('validates pages and result filters', async () => {
+    mockUpstream({});
+
+    expect((await search({ pages: '9' })).body).toEqual({
+      error: 'Invalid pages parameter (1-5).',
+    });
+    expect((await search({ minLikes: 'many' })).body).toEqual({
+      error: 'Invalid minLikes parameter.',
+    });
+    expect(getSearchUrls()).toHaveLength(0);
+  });
+
+  it('filters batch results per term before merging', async () => {
+    mockUpstream({
+      alpha: [{ posts: [{ uri: 'at://1', likeCount: 3 }, { uri: 'at://2', likeCount: 30 }] }],
+      beta: [{ posts: [{ uri: 'at://3', likeCount: 1 }] }],
+    });
+    const res = createMockResponse();
+
+    await batchHandler({ method: 'GET', query: { terms: 'alpha,beta', minLikes: '5' } }, res);
+
+    expect(res.body.posts).toEqual([{ uri: 'at://2', likeCount: 30, matchedTerms: ['alpha'] }]);
+    expect(res.body.terms).toEqual([
+      { term: 'alpha', ok: true, count: 1, cursor: null },
+      { term: 'beta', ok: true, count: 0, cursor: null },
+    ]);
+  });
+});
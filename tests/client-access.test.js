@@ -0,0 +1,203 @@
+/**
+ * Client access tests: the origin allowlist and the signed tokens issued by /api/token that
+ * the search endpoints require, against a local XRPC server
+ */
+
+import { describe, it, expect, afterAll, beforeEach, vi } from 'vitest';
+import http from 'node:http';
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  res.setHeader('Content-Type', 'application/json');
+  if (url.pathname === '/xrpc/com.atproto.server.createSession') {
+    res.end(JSON.stringify({ accessJwt: 'access', refreshJwt: 'refresh' }));
+    return;
+  }
+  if (url.pathname === '/xrpc/app.bsky.feed.searchPosts') {
+    res.end(JSON.stringify({ posts: [{ uri: `at://post/${url.searchParams.get('q')}` }] }));
+    return;
+  }
+  res.statusCode = 404;
+  res.end(JSON.stringify({ error: 'NotFound' }));
+});
+await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+const APP_ORIGIN = 'https://search.example';
+process.env.BSKY_SERVICE_URL = `http://127.0.0.1:${server.address().port}`;
+process.env.BSKY_HANDLE = 'proxy.test';
+process.env.BSKY_APP_PASSWORD = 'proxy-password';
+process.env.ALLOWED_ORIGINS = `${APP_ORIGIN}, https://other.example/path`;
+process.env.API_TOKEN_SECRET = 'test-secret';
+process.env.EXPORT_API_KEY = 'export-key';
+
+const searchModule = await import('../api/search.js');
+const searchHandler = searchModule.default;
+const { resetModuleStateForTests } = searchModule.testUtils;
+const batchHandler = (await import('../api/search/batch.js')).default;
+const tokenHandler = (await import('../api/token.js')).default;
+const healthHandler = (await import('../api/health.js')).default;
+const streamHandler = (await import('../api/stream.js')).default;
+const exportHandler = (await import('../api/export.js')).default;
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  resetModuleStateForTests();
+});
+
+function createMockResponse() {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader: vi.fn((key, value) => {
+      res.headers[key] = value;
+      return res;
+    }),
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+  };
+  return res;
+}
+
+function createRequest(method, headers = {}, query = {}) {
+  return { method, headers: { 'x-forwarded-for': '203.0.113.7', ...headers }, query };
+}
+
+async function issueToken(headers = { origin: APP_ORIGIN }) {
+  const res = createMockResponse();
+  await tokenHandler(createRequest('POST', headers), res);
+  return res;
+}
+
+async function search(headers, handler = searchHandler) {
+  const res = createMockResponse();
+  const query = handler === batchHandler ? { terms: 'one', pages: '1' } : { term: 'one' };
+  await handler(createRequest('GET', headers, query), res);
+  return res;
+}
+
+describe('client access', () => {
+  it('issues short-lived tokens only to allowlisted origins', async () => {
+    const allowed = await issueToken();
+    const denied = await issueToken({ origin: 'https://evil.example' });
+
+    expect(allowed.statusCode).toBe(200);
+    expect(allowed.headers['Cache-Control']).toBe('no-store');
+    expect(allowed.body.token).toMatch(/^\d+\.[\w-]{12}\.[\w-]{43}$/);
+    expect(allowed.body.expiresAt).toBeGreaterThan(Date.now() + 590 * 1000);
+    expect(denied.statusCode).toBe(403);
+    expect(denied.body).toEqual({ error: 'Origin not allowed.' });
+  });
+
+  it('accepts a valid token from an allowlisted page, falling back to the Referer', async () => {
+    const { token } = (await issueToken()).body;
+
+    const res = await search({ referer: `${APP_ORIGIN}/?q=one`, 'x-api-token': token });
+    const batch = await search({ origin: APP_ORIGIN, 'x-api-token': token }, batchHandler);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.posts).toEqual([{ uri: 'at://post/one' }]);
+    expect(batch.statusCode).toBe(200);
+  });
+
+  it('rejects requests from other origins before checking the token', async () => {
+    const { token } = (await issueToken()).body;
+
+    const res = await search({ origin: 'https://evil.example', 'x-api-token': token });
+    const noOrigin = await search({ 'x-api-token': token });
+
+    expect(res.statusCode).toBe(403);
+    expect(noOrigin.statusCode).toBe(403);
+  });
+
+  it('rejects missing, forged, expired and reused-elsewhere tokens with a 401', async () => {
+    const { token } = (await issueToken()).body;
+    const [, nonce, signature] = token.split('.');
+    const expired = (await issueToken()).body.token;
+    vi.useFakeTimers({ now: Date.now() + 11 * 60 * 1000, toFake: ['Date'] });
+    const expiredRes = await search({ origin: APP_ORIGIN, 'x-api-token': expired });
+    vi.useRealTimers();
+
+    const missing = await search({ origin: APP_ORIGIN });
+    const forged = await search({
+      origin: APP_ORIGIN,
+      'x-api-token': `${Date.now() + 10 ** 9}.${nonce}.${signature}`,
+    });
+    const otherClient = await search({
+      origin: APP_ORIGIN,
+      'x-forwarded-for': '198.51.100.1',
+      'x-api-token': token,
+    });
+
+    expect(missing.statusCode).toBe(401);
+    expect(missing.headers['WWW-Authenticate']).toBe('Token realm="api"');
+    expect(missing.body).toEqual({ error: 'Missing API token.' });
+    expect(forged.body).toEqual({ error: 'Invalid API token.' });
+    expect(otherClient.body).toEqual({ error: 'Invalid API token.' });
+    expect(expiredRes.statusCode).toBe(401);
+    expect(expiredRes.body).toEqual({ error: 'API token expired.' });
+  });
+
+  it('guards the stream and export endpoints, taking the stream token from the URL', async () => {
+    const { token } = (await issueToken()).body;
+    const call = async (handler, headers, query) => {
+      const res = createMockResponse();
+      await handler(createRequest('GET', headers, query), res);
+      return res;
+    };
+
+    const otherOrigin = await call(streamHandler, { origin: 'https://evil.example' }, {});
+    expect(otherOrigin.statusCode).toBe(403);
+    expect((await call(streamHandler, { origin: APP_ORIGIN }, {})).statusCode).toBe(401);
+    // Past the access checks, the missing terms are what fails.
+    const stream = await call(streamHandler, { origin: APP_ORIGIN }, { token });
+    expect(stream.statusCode).toBe(400);
+    expect(stream.body).toEqual({ error: 'Missing terms parameter.' });
+
+    expect((await call(exportHandler, { origin: APP_ORIGIN }, { token })).statusCode).toBe(401);
+    const exported = await call(exportHandler, { origin: APP_ORIGIN, 'x-api-token': token }, {});
+    expect(exported.statusCode).toBe(400);
+
+    // Only the stream accepts a token in the URL.
+    const queryToken = await call(searchHandler, { origin: APP_ORIGIN }, { term: 'one', token });
+    expect(queryToken.statusCode).toBe(401);
+  });
+
+  it('lets scripts export with EXPORT_API_KEY instead of an origin and token', async () => {
+    const exportWith = async (headers) => {
+      const res = createMockResponse();
+      res.send = vi.fn((payload) => {
+        res.body = payload;
+        return res;
+      });
+      await exportHandler(createRequest('GET', headers, { terms: 'one', format: 'ndjson' }), res);
+      return res;
+    };
+
+    expect((await exportWith({})).statusCode).toBe(403);
+    expect((await exportWith({ authorization: 'Bearer wrong-key' })).statusCode).toBe(403);
+    const exported = await exportWith({ authorization: 'Bearer export-key' });
+    expect(exported.statusCode).toBe(200);
+    expect(exported.headers['Content-Type']).toBe('application/x-ndjson; charset=utf-8');
+
+    // The key is not a search token.
+    expect((await search({ authorization: 'Bearer export-key' })).statusCode).toBe(403);
+  });
+
+  it('reports the checks and invalid allowlist entries in health', async () => {
+    const res = createMockResponse();
+    await healthHandler({ method: 'GET', headers: {}, query: {} }, res);
+
+    expect(res.body.config).toMatchObject({ originAllowlist: true, apiTokens: true });
+    expect(res.body.config.errors).toContain(
+      'ALLOWED_ORIGINS entry https://other.example/path is not an http(s) origin.'
+    );
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Endpoint configuration tests: /api/config and the proxy against a local mock XRPC server
+ */
+
+import { describe, it, expect, afterAll, vi } from 'vitest';
+import http from 'node:http';
+
+// Local mock XRPC server standing in for a self-hosted PDS/AppView.
+const xrpcRequests = [];
+const xrpcServer = http.createServer((req, res) => {
+  xrpcRequests.push({ method: req.method, url: req.url, authorization: req.headers.authorization });
+  res.setHeader('Content-Type', 'application/json');
+  if (req.url.startsWith('/xrpc/com.atproto.server.createSession')) {
+    res.end(JSON.stringify({ accessJwt: 'local-access', refreshJwt: 'local-refresh' }));
+    return;
+  }
+  if (req.url.startsWith('/xrpc/app.bsky.feed.searchPosts')) {
+    res.end(JSON.stringify({ posts: [{ uri: 'at://did:plc:local/app.bsky.feed.post/1' }] }));
+    return;
+  }
+  res.statusCode = 404;
+  res.end(JSON.stringify({ error: 'MethodNotImplemented' }));
+});
+await new Promise((resolve) => xrpcServer.listen(0, '127.0.0.1', resolve));
+const xrpcOrigin = `http://127.0.0.1:${xrpcServer.address().port}`;
+
+process.env.BSKY_HANDLE = 'local-handle';
+process.env.BSKY_APP_PASSWORD = 'local-password';
+process.env.BSKY_SERVICE_URL = xrpcOrigin;
+process.env.BSKY_PUBLIC_API_URL = 'http://127.0.0.1:2584/';
+
+const { BSKY_SERVICE, PUBLIC_API, parseXrpcBase } = await import('../api/_lib/config.js');
+const configHandler = (await import('../api/config.js')).default;
+const searchHandler = (await import('../api/search.js')).default;
+
+afterAll(() => new Promise((resolve) => xrpcServer.close(resolve)));
+
+function createMockResponse() {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader: vi.fn((key, value) => {
+      res.headers[key] = value;
+      return res;
+    }),
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+  };
+  return res;
+}
+
+// ============================================================================
+// parseXrpcBase
+// ============================================================================
+describe('parseXrpcBase', () => {
+  it('appends /xrpc to bare origins and trims trailing slashes', () => {
+    expect(parseXrpcBase('https://pds.example.com')).toBe('https://pds.example.com/xrpc');
+    expect(parseXrpcBase('https://pds.example.com/xrpc/')).toBe('https://pds.example.com/xrpc');
+    expect(parseXrpcBase('http://localhost:2583/base')).toBe('http://localhost:2583/base/xrpc');
+  });
+
+  it('rejects non-http URLs and URLs with query strings', () => {
+    expect(parseXrpcBase('ftp://pds.example.com')).toBeNull();
+    expect(parseXrpcBase('https://pds.example.com/?x=1')).toBeNull();
+    expect(parseXrpcBase('not a url')).toBeNull();
+  });
+
+  it('reads endpoints from the environment', () => {
+    expect(BSKY_SERVICE).toBe(`${xrpcOrigin}/xrpc`);
+    expect(PUBLIC_API).toBe('http://127.0.0.1:2584/xrpc');
+  });
+});
+
+// ============================================================================
+// /api/config
+// ============================================================================
+describe('config handler', () => {
+  it('returns the public API base as cacheable JSON', () => {
+    const res = createMockResponse();
+    configHandler({ method: 'GET', query: {} }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ publicApi: 'http://127.0.0.1:2584/xrpc' });
+    expect(res.headers['Cache-Control']).toBe('public, max-age=300');
+  });
+
+  it('rejects non-GET methods', () => {
+    const res = createMockResponse();
+    configHandler({ method: 'POST', query: {} }, res);
+
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.Allow).toBe('GET');
+  });
+});
+
+// ============================================================================
+// search proxy against the local mock XRPC server
+// ============================================================================
+describe('search handler with a configured service endpoint', () => {
+  it('creates the session and searches on the configured service', async () => {
+    const res = createMockResponse();
+    await searchHandler({ method: 'GET', query: { term: 'offline' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.posts[0].uri).toBe('at://did:plc:local/app.bsky.feed.post/1');
+    expect(xrpcRequests.map((request) => request.url.split('?')[0])).toEqual([
+      '/xrpc/com.atproto.server.createSession',
+      '/xrpc/app.bsky.feed.searchPosts',
+    ]);
+    expect(xrpcRequests[1].authorization).toBe('Bearer local-access');
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Export endpoint tests: /api/export JSON Feed and NDJSON output with server-side paging
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+process.env.BSKY_HANDLE = 'export-handle';
+process.env.BSKY_APP_PASSWORD = 'export-app-password';
+process.env.EXPORT_MAX_PAGES = '3';
+
+const exportModule = await import('../api/export.js');
+const exportHandler = exportModule.default;
+const { EXPORT_MAX_PAGES, parseExportPages } = exportModule.testUtils;
+const { resetModuleStateForTests } = (await import('../api/search.js')).testUtils;
+
+const originalFetch = global.fetch;
+
+function createMockResponse() {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader: vi.fn((key, value) => {
+      res.headers[key] = value;
+      return res;
+    }),
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    send: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+  };
+  return res;
+}
+
+function createJsonResponse(status, payload, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers(headers),
+    json: async () => payload,
+  };
+}
+
+function createPost(id, { likes = 20, hoursAgo = 1 } = {}) {
+  const createdAt = new Date(Date.now() - hoursAgo * 60 * 60 * 1000).toISOString();
+  return {
+    uri: `at://did:plc:a/app.bsky.feed.post/${id}`,
+    cid: `cid${id}`,
+    author: { did: 'did:plc:a', handle: 'a.test', displayName: 'Alice' },
+    record: { text: `post ${id} about cats and dogs`, createdAt },
+    indexedAt: createdAt,
+    likeCount: likes,
+  };
+}
+
+// Upstream stand-in: `pagesByTerm[term]` is a list of { posts, cursor } pages or an error status.
+function mockUpstream(pagesByTerm) {
+  global.fetch = vi.fn(async (url) => {
+    if (url.includes('/com.atproto.server.createSession')) {
+      return createJsonResponse(200, { accessJwt: 'access', refreshJwt: 'refresh' });
+    }
+    const params = new URL(url).searchParams;
+    const pages = pagesByTerm[params.get('q')] ?? [{ posts: [] }];
+    if (typeof pages === 'number') {
+      return createJsonResponse(pages, { message: `Upstream ${pages}` });
+    }
+    const index = params.get('cursor') ? Number(params.get('cursor')) : 0;
+    return createJsonResponse(200, pages[index]);
+  });
+}
+
+function getSearchUrls() {
+  return global.fetch.mock.calls
+    .map(([url]) => url)
+    .filter((url) => url.includes('/app.bsky.feed.searchPosts'));
+}
+
+function createRequest(query) {
+  return { method: 'GET', query, headers: { host: 'export.example.test' } };
+}
+
+beforeEach(() => {
+  resetModuleStateForTests();
+});
+
+afterEach(() => {
+  global.fetch = originalFetch;
+  vi.restoreAllMocks();
+});
+
+describe('parseExportPages', () => {
+  it('defaults to two pages and caps at EXPORT_MAX_PAGES', () => {
+    expect(EXPORT_MAX_PAGES).toBe(3);
+    expect(parseExportPages(undefined)).toBe(2);
+    expect(parseExportPages('3')).toBe(3);
+    expect(parseExportPages('4')).toBeNull();
+    expect(parseExportPages('0')).toBeNull();
+    expect(parseExportPages('two')).toBeNull();
+  });
+});
+
+describe('export handler', () => {
+  it('validates parameters before searching', async () => {
+    mockUpstream({});
+    const cases = [
+      [{ pages: '2' }, 'Missing terms parameter.'],
+      [{ terms: 'a', pages: '9' }, 'Invalid pages parameter (1-3).'],
+      [{ terms: 'a', format: 'csv' }, 'Invalid format parameter.'],
+      [{ terms: 'a', time: '2' }, 'Invalid time parameter.'],
+    ];
+
+    for (const [query, error] of cases) {
+      const res = createMockResponse();
+      await exportHandler(createRequest(query), res);
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toEqual({ error });
+    }
+    expect(getSearchUrls()).toEqual([]);
+  });
+
+  it('pages each term and returns a JSON Feed of the filtered, sorted posts', async () => {
+    mockUpstream({
+      cats: [
+        { posts: [createPost('1', { likes: 30 }), createPost('2', { likes: 1 })], cursor: '1' },
+        { posts: [createPost('3', { likes: 60 })], cursor: '2' },
+        { posts: [createPost('4', { likes: 90 })] },
+      ],
+      dogs: [
+        { posts: [createPost('1', { likes: 30 }), createPost('5', { likes: 40, hoursAgo: 50 })] },
+      ],
+    });
+    const res = createMockResponse();
+
+    await exportHandler(createRequest({ terms: 'cats, dogs', pages: '3' }), res);
+
+    expect(getSearchUrls()).toHaveLength(4);
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe('application/feed+json; charset=utf-8');
+    const feed = JSON.parse(res.body);
+    expect(feed.version).toBe('https://jsonfeed.org/version/1.1');
+    expect(feed.home_page_url).toBe('https://export.example.test/?terms=cats%2C+dogs&minLikes=10');
+    expect(feed.feed_url).toBe(
+      'https://export.example.test/api/export?terms=cats%2C+dogs&minLikes=10&pages=3'
+    );
+    expect(feed.items.map((item) => item.id)).toEqual([
+      'at://did:plc:a/app.bsky.feed.post/4',
+      'at://did:plc:a/app.bsky.feed.post/3',
+      'at://did:plc:a/app.bsky.feed.post/1',
+    ]);
+
+    const shared = feed.items[2];
+    expect(shared.url).toBe('https://bsky.app/profile/a.test/post/1');
+    expect(shared.tags).toEqual(['cats', 'dogs']);
+    expect(shared._bluesky.post.matchedTerms).toEqual(['cats', 'dogs']);
+    expect(shared._bluesky.post).not.toHaveProperty('matchedTerm');
+    expect(shared._bluesky.post.cid).toBe('cid1');
+    expect(feed._bluesky.terms).toEqual([
+      { term: 'cats', ok: true, count: 4, cursor: null },
+      { term: 'dogs', ok: true, count: 2, cursor: null },
+    ]);
+  });
+
+  it('writes one post per line as NDJSON', async () => {
+    mockUpstream({
+      cats: [{ posts: [createPost('1', { likes: 0 }), createPost('2', { likes: 5 })] }],
+    });
+    const res = createMockResponse();
+
+    await exportHandler(
+      createRequest({ terms: 'cats', format: 'ndjson', sort: 'latest', minLikes: '0', pages: '1' }),
+      res
+    );
+
+    expect(res.headers['Content-Type']).toBe('application/x-ndjson; charset=utf-8');
+    const lines = res.body.split('\n');
+    expect(lines.pop()).toBe('');
+    expect(lines.map((line) => JSON.parse(line).uri)).toEqual([
+      'at://did:plc:a/app.bsky.feed.post/1',
+      'at://did:plc:a/app.bsky.feed.post/2',
+    ]);
+    expect(JSON.parse(lines[0]).matchedTerms).toEqual(['cats']);
+  });
+
+  it('exports a custom date range and describes it', async () => {
+    mockUpstream({
+      cats: [{ posts: [createPost('1', { hoursAgo: 1 }), createPost('2', { hoursAgo: 30 * 24 })] }],
+    });
+    const res = createMockResponse();
+    const from = new Date(Date.now() - 40 * 86400000).toISOString().slice(0, 10);
+
+    await exportHandler(createRequest({ terms: 'cats', time: 'custom', from, pages: '1' }), res);
+
+    expect(res.statusCode).toBe(200);
+    const upstream = new URL(getSearchUrls()[0]).searchParams;
+    expect(upstream.get('since')).toBe(`${from}T00:00:00.000Z`);
+    expect(upstream.has('until')).toBe(false);
+    const feed = JSON.parse(res.body);
+    expect(feed.description).toBe(`Posts matching cats with at least 10 likes since ${from}`);
+    expect(feed.home_page_url).toBe(
+      `https://export.example.test/?terms=cats&minLikes=10&time=custom&from=${from}`
+    );
+    expect(feed.items.map((item) => item.id)).toEqual([
+      'at://did:plc:a/app.bsky.feed.post/1',
+      'at://did:plc:a/app.bsky.feed.post/2',
+    ]);
+  });
+
+  it('charges the rate limit per term and page', async () => {
+    mockUpstream({});
+    const terms = Array.from({ length: 10 }, (_, index) => `t${index}`).join(',');
+    const res = createMockResponse();
+
+    // 10 terms x 3 pages = 30 tokens, the whole default burst.
+    await exportHandler(createRequest({ terms, pages: '3' }), createMockResponse());
+    await exportHandler(createRequest({ terms: 'one', pages: '1' }), res);
+
+    expect(res.statusCode).toBe(429);
+  });
+
+  it('passes the upstream failure through when every term fails', async () => {
+    mockUpstream({ cats: 400 });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const res = createMockResponse();
+
+    await exportHandler(createRequest({ terms: 'cats' }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({
+      error: 'Upstream 400',
+      terms: [{ term: 'cats', ok: false, status: 400, error: 'Upstream 400' }],
+    });
+  });
+});
@@ -0,0 +1,338 @@
+/**
+ * Feed endpoint tests: /api/feed Atom/RSS output and parity with the app's post pipeline
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+process.env.BSKY_HANDLE = 'feed-handle';
+process.env.BSKY_APP_PASSWORD = 'feed-app-password';
+
+const feedHandler = (await import('../api/feed.js')).default;
+const {
+  describeTimeWindow,
+  getAppSearchParams,
+  getRequestOrigin,
+  parseMinLikes,
+  parseTimeHours,
+} = await import('../api/_lib/app-search.js');
+const { escapeXml, getEntryTitle } = await import('../api/_lib/feed.js');
+const { resetModuleStateForTests } = (await import('../api/search.js')).testUtils;
+
+const originalFetch = global.fetch;
+
+function createMockResponse() {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader: vi.fn((key, value) => {
+      res.headers[key] = value;
+      return res;
+    }),
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    send: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+  };
+  return res;
+}
+
+function createJsonResponse(status, payload, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers(headers),
+    json: async () => payload,
+  };
+}
+
+function createPost(
+  id,
+  { likes = 20, hoursAgo = 1, text = `post ${id} about cats and dogs`, handle = 'a.test' } = {}
+) {
+  const createdAt = new Date(Date.now() - hoursAgo * 60 * 60 * 1000).toISOString();
+  return {
+    uri: `at://did:plc:a/app.bsky.feed.post/${id}`,
+    cid: `cid${id}`,
+    author: { did: 'did:plc:a', handle, displayName: 'Alice' },
+    record: { text, createdAt },
+    indexedAt: createdAt,
+    likeCount: likes,
+  };
+}
+
+// Upstream stand-in: one page of posts per term; unknown terms get an empty page.
+function mockUpstream(postsByTerm) {
+  global.fetch = vi.fn(async (url) => {
+    if (url.includes('/com.atproto.server.createSession')) {
+      return createJsonResponse(200, { accessJwt: 'access', refreshJwt: 'refresh' });
+    }
+    const term = new URL(url).searchParams.get('q');
+    const posts = postsByTerm[term] ?? [];
+    if (typeof posts === 'number') {
+      return createJsonResponse(posts, { message: `Upstream ${posts}` });
+    }
+    return createJsonResponse(200, { posts });
+  });
+}
+
+function getSearchTerms() {
+  return global.fetch.mock.calls
+    .map(([url]) => url)
+    .filter((url) => url.includes('/app.bsky.feed.searchPosts'))
+    .map((url) => new URL(url).searchParams.get('q'));
+}
+
+function createRequest(query) {
+  return { method: 'GET', query, headers: { host: 'feeds.example.test' } };
+}
+
+function getEntryIds(xml) {
+  return Array.from(xml.matchAll(/<(?:id|guid[^>]*)>(at:\/\/[^<]+)</g), (match) => match[1]);
+}
+
+beforeEach(() => {
+  resetModuleStateForTests();
+});
+
+afterEach(() => {
+  global.fetch = originalFetch;
+  vi.restoreAllMocks();
+});
+
+// ============================================================================
+// Helpers
+// ============================================================================
+describe('feed helpers', () => {
+  it('escapes markup and drops characters XML cannot carry', () => {
+    expect(escapeXml(`<a href="x">&'</a>\u0007`)).toBe(
+      '&lt;a href=&quot;x&quot;&gt;&amp;&apos;&lt;/a&gt;'
+    );
+  });
+
+  it('titles entries with the author and a single-line snippet', () => {
+    expect(getEntryTitle('Alice', 'hello\n\nworld')).toBe('Alice: hello world');
+    expect(getEntryTitle('Alice', '')).toBe('Alice');
+    expect(getEntryTitle('Alice', 'x'.repeat(200))).toHaveLength('Alice: '.length + 80);
+  });
+
+  it('parses minLikes and time with the app defaults', () => {
+    expect(parseMinLikes(undefined)).toBe(10);
+    expect(parseMinLikes('0')).toBe(0);
+    expect(parseMinLikes('-1')).toBeNull();
+    expect(parseTimeHours(undefined)).toBe(24);
+    expect(parseTimeHours('168')).toBe(168);
+    expect(parseTimeHours('5')).toBeNull();
+  });
+
+  it('builds absolute links from the request host', () => {
+    expect(getRequestOrigin({ headers: { host: 'example.test' } })).toBe('https://example.test');
+    expect(
+      getRequestOrigin({ headers: { host: 'localhost:3000', 'x-forwarded-proto': 'http' } })
+    ).toBe('http://localhost:3000');
+    expect(getRequestOrigin({ headers: { host: 'evil"><x' } })).toBe('https://localhost');
+  });
+
+  it('writes the app URL params the same way the app does', () => {
+    const params = getAppSearchParams({
+      input: 'cats, big dogs',
+      minLikes: 10,
+      timeHours: 24,
+      sort: 'latest',
+      expand: true,
+      filters: { author: 'a.test' },
+    });
+    expect(params.toString()).toBe(
+      'terms=cats%2C+big+dogs&minLikes=10&sort=latest&expand=1&author=a.test'
+    );
+  });
+
+  it('writes a custom range as time=custom with its from/to dates', () => {
+    const params = getAppSearchParams({
+      input: 'cats',
+      minLikes: 10,
+      timeHours: null,
+      dateRange: { from: '2024-01-01', to: '', since: 1704067200000, until: null },
+      sort: 'top',
+      expand: false,
+      filters: { since: '2024-01-01T00:00:00.000Z' },
+    });
+    expect(params.toString()).toBe('terms=cats&minLikes=10&time=custom&from=2024-01-01');
+    expect(describeTimeWindow({ dateRange: { from: '2024-01-01', to: '' } })).toBe(
+      'since 2024-01-01'
+    );
+    expect(describeTimeWindow({ timeHours: 48, dateRange: null })).toBe('in the last 48h');
+  });
+});
+
+// ============================================================================
+// /api/feed
+// ============================================================================
+describe('feed handler', () => {
+  it('validates parameters before searching', async () => {
+    mockUpstream({});
+    const cases = [
+      [{}, 'Missing terms parameter.'],
+      [{ terms: 'a', minLikes: 'lots' }, 'Invalid minLikes parameter.'],
+      [{ terms: 'a', time: '3' }, 'Invalid time parameter.'],
+      [{ terms: 'a', sort: 'likes' }, 'Invalid sort parameter.'],
+      [{ terms: 'a', format: 'json' }, 'Invalid format parameter.'],
+      [{ terms: 'a', domain: 'not a domain' }, 'Invalid domain parameter.'],
+    ];
+
+    for (const [query, error] of cases) {
+      const res = createMockResponse();
+      await feedHandler(createRequest(query), res);
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toEqual({ error });
+    }
+    expect(getSearchTerms()).toEqual([]);
+  });
+
+  it('returns an Atom feed filtered and sorted like the app', async () => {
+    mockUpstream({
+      cats: [
+        createPost('1', { likes: 50 }),
+        createPost('2', { likes: 5 }),
+        createPost('3', { likes: 80, hoursAgo: 30 }),
+      ],
+      dogs: [createPost('1', { likes: 50 }), createPost('4', { likes: 90 })],
+    });
+    const res = createMockResponse();
+
+    await feedHandler(createRequest({ terms: 'cats, dogs' }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe('application/atom+xml; charset=utf-8');
+    expect(res.headers['Cache-Control']).toBe('public, max-age=300');
+    const xml = res.body;
+    expect(xml).toMatch(/^<\?xml version="1\.0" encoding="utf-8"\?>\n<feed xmlns=/);
+    expect(getEntryIds(xml)).toEqual([
+      'at://did:plc:a/app.bsky.feed.post/4',
+      'at://did:plc:a/app.bsky.feed.post/1',
+    ]);
+    expect(xml).toContain(
+      '<link rel="alternate" type="text/html" href="https://bsky.app/profile/a.test/post/1"/>'
+    );
+    expect(xml).toContain('<category term="cats"/>');
+    expect(xml).toContain('<category term="dogs"/>');
+    expect(xml).toContain(
+      '<link rel="self" type="application/atom+xml" href="https://feeds.example.test/api/feed?terms=cats%2C+dogs&amp;minLikes=10"/>'
+    );
+  });
+
+  it('returns RSS 2.0 with latest sort, time window and expanded terms', async () => {
+    mockUpstream({
+      '"big dogs"': [createPost('1', { likes: 0, hoursAgo: 2 })],
+      big: [createPost('2', { likes: 0, hoursAgo: 1, text: 'big fish & <chips>' })],
+      dogs: [createPost('3', { likes: 0, hoursAgo: 40 })],
+    });
+    const res = createMockResponse();
+
+    await feedHandler(
+      createRequest({
+        terms: '"big dogs"',
+        expand: '1',
+        sort: 'latest',
+        time: '6',
+        minLikes: '0',
+        format: 'rss',
+      }),
+      res
+    );
+
+    expect(getSearchTerms().sort()).toEqual(['"big dogs"', 'big', 'dogs']);
+    expect(res.headers['Content-Type']).toBe('application/rss+xml; charset=utf-8');
+    const xml = res.body;
+    expect(xml).toContain('<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">');
+    expect(getEntryIds(xml)).toEqual([
+      'at://did:plc:a/app.bsky.feed.post/2',
+      'at://did:plc:a/app.bsky.feed.post/1',
+    ]);
+    expect(xml).toContain('<description>big fish &amp; &lt;chips&gt;</description>');
+    expect(xml).toContain('<link>https://feeds.example.test/?terms=%22big+dogs%22&amp;minLikes=0');
+  });
+
+  it('reads terms with the app query language and keeps only matching posts', async () => {
+    mockUpstream({
+      cats: [
+        createPost('1', { text: 'cats in boxes' }),
+        createPost('2', { text: 'cats chasing dogs' }),
+        createPost('3', { text: 'a post about nothing' }),
+      ],
+    });
+    const res = createMockResponse();
+
+    await feedHandler(createRequest({ terms: 'cats -dogs' }), res);
+
+    expect(getSearchTerms()).toEqual(['cats']);
+    expect(getEntryIds(res.body)).toEqual(['at://did:plc:a/app.bsky.feed.post/1']);
+    expect(res.body).toContain('<title>Bluesky search: cats -dogs</title>');
+
+    const invalid = createMockResponse();
+    await feedHandler(createRequest({ terms: 'cats AND (' }), invalid);
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.error).toMatch(/^Query error: /);
+  });
+
+  it('searches a custom date range upstream and describes it', async () => {
+    const day = (daysAgo) => new Date(Date.now() - daysAgo * 86400000).toISOString().slice(0, 10);
+    mockUpstream({
+      cats: [createPost('1', { hoursAgo: 1 }), createPost('2', { hoursAgo: 5 * 24 })],
+    });
+    const res = createMockResponse();
+
+    const query = { terms: 'cats', time: 'custom', from: day(10), to: day(3) };
+    await feedHandler(createRequest(query), res);
+
+    expect(res.statusCode).toBe(200);
+    const upstream = new URL(global.fetch.mock.calls.at(-1)[0]).searchParams;
+    expect(upstream.get('since')).toBe(`${day(10)}T00:00:00.000Z`);
+    expect(upstream.get('until')).toBe(`${day(2)}T00:00:00.000Z`);
+    expect(getEntryIds(res.body)).toEqual(['at://did:plc:a/app.bsky.feed.post/2']);
+    expect(res.body).toContain(`with at least 10 likes from ${day(10)} to ${day(3)}`);
+    expect(res.body).toContain(
+      `/api/feed?terms=cats&amp;minLikes=10&amp;time=custom&amp;from=${day(10)}&amp;to=${day(3)}"`
+    );
+  });
+
+  it('rejects a custom range the app would reject', async () => {
+    mockUpstream({});
+    const cases = [
+      [{ terms: 'a', time: 'custom' }, 'Choose a start or end date for the custom range.'],
+      [{ terms: 'a', from: '2024-13-45' }, 'Enter custom range dates as YYYY-MM-DD.'],
+      [
+        { terms: 'a', from: '2024-02-01', to: '2024-01-01' },
+        'The custom range must start on or before its end date.',
+      ],
+    ];
+
+    for (const [query, error] of cases) {
+      const res = createMockResponse();
+      await feedHandler(createRequest(query), res);
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toEqual({ error });
+    }
+    expect(getSearchTerms()).toEqual([]);
+  });
+
+  it('passes the upstream failure through when every term fails', async () => {
+    mockUpstream({ cats: 503 });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const res = createMockResponse();
+
+    await feedHandler(createRequest({ terms: 'cats' }), res);
+
+    expect(res.statusCode).toBe(503);
+    expect(res.headers['Cache-Control']).toBe('no-store');
+    expect(res.body).toEqual({ error: 'Upstream 503' });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Feed generator tests: describeFeedGenerator, getFeedSkeleton and did.json against a local
+ * mock XRPC server
+ */
+
+import { describe, it, expect, afterAll, afterEach, beforeEach, vi } from 'vitest';
+import http from 'node:http';
+
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+}
+
+function createPost(id, likeCount, createdAt) {
+  return {
+    uri: `at://did:plc:author/app.bsky.feed.post/${id}`,
+    cid: `cid${id}`,
+    author: { did: 'did:plc:author', handle: 'author.test' },
+    record: { text: `post ${id} about cats and dogs`, createdAt },
+    indexedAt: createdAt,
+    likeCount,
+  };
+}
+
+// Local mock XRPC server standing in for the PDS/AppView behind the search proxy.
+const postsByTerm = {
+  cats: [
+    createPost('1', 10, hoursAgo(3)),
+    createPost('2', 1, hoursAgo(2)),
+    createPost('3', 50, hoursAgo(30)),
+    createPost('4', 7, hoursAgo(1)),
+  ],
+  kittens: [createPost('1', 10, hoursAgo(3)), createPost('5', 9, hoursAgo(5))],
+};
+const searchRequests = [];
+const xrpcServer = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  res.setHeader('Content-Type', 'application/json');
+  if (url.pathname === '/xrpc/com.atproto.server.createSession') {
+    res.end(JSON.stringify({ accessJwt: 'local-access', refreshJwt: 'local-refresh' }));
+    return;
+  }
+  if (url.pathname === '/xrpc/app.bsky.feed.searchPosts') {
+    searchRequests.push(url.searchParams);
+    res.end(JSON.stringify({ posts: postsByTerm[url.searchParams.get('q')] || [] }));
+    return;
+  }
+  res.statusCode = 404;
+  res.end(JSON.stringify({ error: 'MethodNotImplemented' }));
+});
+await new Promise((resolve) => xrpcServer.listen(0, '127.0.0.1', resolve));
+
+process.env.BSKY_HANDLE = 'feedgen-handle';
+process.env.BSKY_APP_PASSWORD = 'feedgen-password';
+process.env.BSKY_SERVICE_URL = `http://127.0.0.1:${xrpcServer.address().port}`;
+process.env.FEEDGEN_HOSTNAME = 'feeds.example.test';
+process.env.FEEDGEN_PUBLISHER_DID = 'did:plc:publisher';
+process.env.FEEDGEN_RATE_LIMIT_BURST = '5';
+process.env.FEEDGEN_FEEDS = JSON.stringify({
+  cats: 'terms=cats,kittens&minLikes=5&sort=latest',
+  broken: 'terms=cats&time=3',
+  'bad key': 'terms=dogs',
+  empty: 'minLikes=5',
+});
+
+const healthHandler = (await import('../api/health.js')).default;
+const describeHandler = (await import('../api/feedgen/describe.js')).default;
+const skeletonHandler = (await import('../api/feedgen/skeleton.js')).default;
+const didHandler = (await import('../api/feedgen/did.js')).default;
+const { resetModuleStateForTests } = (await import('../api/search.js')).testUtils;
+
+const CATS_FEED = 'at://did:plc:publisher/app.bsky.feed.generator/cats';
+
+afterAll(() => new Promise((resolve) => xrpcServer.close(resolve)));
+
+beforeEach(() => {
+  resetModuleStateForTests();
+  searchRequests.length = 0;
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+function createMockResponse() {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader: vi.fn((key, value) => {
+      res.headers[key] = value;
+      return res;
+    }),
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+  };
+  return res;
+}
+
+async function getSkeleton(query) {
+  const res = createMockResponse();
+  await skeletonHandler({ method: 'GET', query }, res);
+  return res;
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+describe('feed generator configuration', () => {
+  it('reports unusable FEEDGEN_FEEDS entries through /api/health', async () => {
+    const res = createMockResponse();
+    await healthHandler({ method: 'GET' }, res);
+
+    expect(res.body.status).toBe('degraded');
+    expect(res.body.config.feedGenerator).toBe(true);
+    expect(res.body.config.errors).toEqual([
+      'FEEDGEN_FEEDS has an invalid record key: bad key',
+      'FEEDGEN_FEEDS entry empty needs a query string with terms.',
+    ]);
+  });
+});
+
+// ============================================================================
+// describeFeedGenerator and did.json
+// ============================================================================
+describe('describeFeedGenerator', () => {
+  it('lists the configured feeds under the did:web service DID', () => {
+    const res = createMockResponse();
+    describeHandler({ method: 'GET', query: {} }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      did: 'did:web:feeds.example.test',
+      feeds: [
+        { uri: CATS_FEED },
+        { uri: 'at://did:plc:publisher/app.bsky.feed.generator/broken' },
+      ],
+    });
+  });
+});
+
+describe('did.json', () => {
+  it('points the service DID at this host', () => {
+    const res = createMockResponse();
+    didHandler({ method: 'GET', query: {} }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      '@context': ['https://www.w3.org/ns/did/v1'],
+      id: 'did:web:feeds.example.test',
+      service: [
+        {
+          id: '#bsky_fg',
+          type: 'BskyFeedGenerator',
+          serviceEndpoint: 'https://feeds.example.test',
+        },
+      ],
+    });
+  });
+});
+
+// ============================================================================
+// getFeedSkeleton
+// ============================================================================
+describe('getFeedSkeleton', () => {
+  it('serves the saved search filtered and sorted like the app', async () => {
+    const res = await getSkeleton({ feed: CATS_FEED });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      feed: [
+        { post: 'at://did:plc:author/app.bsky.feed.post/4' },
+        { post: 'at://did:plc:author/app.bsky.feed.post/1' },
+        { post: 'at://did:plc:author/app.bsky.feed.post/5' },
+      ],
+    });
+    expect(searchRequests.map((params) => params.get('q')).sort()).toEqual(['cats', 'kittens']);
+    expect(searchRequests.every((params) => params.get('sort') === 'latest')).toBe(true);
+  });
+
+  it('pages with offset cursors', async () => {
+    const first = await getSkeleton({ feed: CATS_FEED, limit: '2' });
+    expect(first.body.feed).toHaveLength(2);
+    expect(first.body.cursor).toBe('2');
+
+    const second = await getSkeleton({ feed: CATS_FEED, limit: '2', cursor: first.body.cursor });
+    expect(second.body).toEqual({ feed: [{ post: 'at://did:plc:author/app.bsky.feed.post/5' }] });
+  });
+
+  it('rejects unknown feeds and bad paging with XRPC errors', async () => {
+    const otherFeed = 'at://did:plc:other/app.bsky.feed.generator/cats';
+    expect((await getSkeleton({ feed: otherFeed })).body).toEqual({
+      error: 'UnknownFeed',
+      message: 'Unknown feed.',
+    });
+    expect((await getSkeleton({ feed: CATS_FEED, limit: '101' })).body).toEqual({
+      error: 'InvalidRequest',
+      message: 'limit must be 1-100.',
+    });
+    expect((await getSkeleton({ feed: CATS_FEED, cursor: 'abc' })).statusCode).toBe(400);
+    expect(searchRequests).toHaveLength(0);
+  });
+
+  it('rate-limits each caller with its own XRPC error', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      expect((await getSkeleton({ feed: CATS_FEED })).statusCode).toBe(200);
+    }
+    const limited = await getSkeleton({ feed: CATS_FEED });
+
+    expect(limited.statusCode).toBe(429);
+    expect(limited.headers['Retry-After']).toBe('1');
+    expect(limited.body).toEqual({ error: 'RateLimitExceeded', message: 'Too many requests.' });
+  });
+
+  it('fails closed when a saved query is invalid', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const brokenFeed = 'at://did:plc:publisher/app.bsky.feed.generator/broken';
+    const res = await getSkeleton({ feed: brokenFeed });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({ error: 'InternalServerError', message: 'Feed is misconfigured.' });
+  });
+});
@@ -0,0 +1,316 @@
+/**
+ * Jetstream matching tests: the term matcher, the WebSocket client and the ingestion worker,
+ * against a local WebSocket stand-in replaying recorded Jetstream events
+ */
+
+import { describe, it, expect, afterAll, afterEach, beforeEach, vi } from 'vitest';
+import crypto from 'node:crypto';
+import http from 'node:http';
+
+const SECOND_US = 1000 * 1000;
+const baseTimeUs = Date.now() * 1000;
+
+function createPostEvent(rkey, text, { langs = ['en'], offsetSeconds = 0 } = {}) {
+  return {
+    did: 'did:plc:poster',
+    time_us: baseTimeUs + offsetSeconds * SECOND_US,
+    kind: 'commit',
+    commit: {
+      rev: `rev${rkey}`,
+      operation: 'create',
+      collection: 'app.bsky.feed.post',
+      rkey,
+      record: {
+        $type: 'app.bsky.feed.post',
+        text,
+        langs,
+        createdAt: new Date(baseTimeUs / 1000).toISOString(),
+      },
+      cid: `cid${rkey}`,
+    },
+  };
+}
+
+// Recorded from a Jetstream subscription, trimmed to the fields the worker reads.
+const recordedEvents = [
+  { did: 'did:plc:poster', time_us: baseTimeUs, kind: 'identity', identity: { seq: 1 } },
+  createPostEvent('a1', 'My cats are asleep again', { offsetSeconds: 1 }),
+  createPostEvent('a2', 'concatenate strings, not cats-free zones', { offsetSeconds: 2 }),
+  createPostEvent('a3', 'Les CATS sont là', { langs: ['fr'], offsetSeconds: 3 }),
+  createPostEvent('a4', 'Walked the BIG\n dogs today', { offsetSeconds: 4 }),
+  createPostEvent('a5', 'nothing relevant', { offsetSeconds: 5 }),
+  {
+    did: 'did:plc:poster',
+    time_us: baseTimeUs + 6 * SECOND_US,
+    kind: 'commit',
+    commit: { operation: 'delete', collection: 'app.bsky.feed.post', rkey: 'a1' },
+  },
+  createPostEvent('a6', '#cats forever', { langs: ['en-GB'], offsetSeconds: 7 }),
+];
+
+function encodeServerFrame(opcode, payload, fin = true) {
+  const length = payload.length;
+  const header =
+    length < 126
+      ? Buffer.from([(fin ? 0x80 : 0) | opcode, length])
+      : Buffer.from([(fin ? 0x80 : 0) | opcode, 126, length >> 8, length & 0xff]);
+  return Buffer.concat([header, payload]);
+}
+
+// Local stand-in: a Jetstream-style WebSocket on /subscribe plus the AppView's getPosts.
+const subscribeUrls = [];
+const clientFrames = [];
+const sockets = new Set();
+let replayEvents = recordedEvents;
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  res.setHeader('Content-Type', 'application/json');
+  if (url.pathname === '/xrpc/app.bsky.feed.getPosts') {
+    const posts = url.searchParams
+      .getAll('uris')
+      .filter((uri) => uri.endsWith('/a1'))
+      .map((uri) => ({
+        uri,
+        cid: 'cida1',
+        author: { did: 'did:plc:poster', handle: 'poster.test', displayName: 'Poster' },
+        record: { text: 'My cats are asleep again', createdAt: new Date().toISOString() },
+        indexedAt: new Date().toISOString(),
+        likeCount: 3,
+      }));
+    res.end(JSON.stringify({ posts }));
+    return;
+  }
+  res.statusCode = 404;
+  res.end(JSON.stringify({ error: 'NotFound' }));
+});
+server.on('upgrade', (req, socket) => {
+  if (!req.url.startsWith('/subscribe')) {
+    socket.end('HTTP/1.1 404 Not Found\r\nContent-Length: 0\r\n\r\n');
+    return;
+  }
+  sockets.add(socket);
+  socket.on('close', () => sockets.delete(socket));
+  subscribeUrls.push(req.url);
+  const accept = crypto
+    .createHash('sha1')
+    .update(`${req.headers['sec-websocket-key']}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`)
+    .digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.on('data', (chunk) => clientFrames.push(chunk));
+  replayEvents.forEach((event) => {
+    socket.write(encodeServerFrame(0x1, Buffer.from(JSON.stringify(event))));
+  });
+});
+await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+const port = server.address().port;
+
+process.env.JETSTREAM_URL = `ws://127.0.0.1:${port}/subscribe`;
+process.env.BSKY_PUBLIC_API_URL = `http://127.0.0.1:${port}`;
+
+const {
+  buildSubscribeUrl,
+  createJetstreamWorker,
+  createTermMatcher,
+  readLiveMatches,
+  registerTermSet,
+  toPostView,
+} = await import('../api/_lib/jetstream.js');
+const { connectWebSocket, createFrameParser } = await import('../api/_lib/websocket.js');
+const { createMemoryStore } = await import('../api/_lib/kv-store.js');
+const { resetModuleStateForTests, setSharedCacheStore } = (await import('../api/search.js'))
+  .testUtils;
+
+let store;
+
+afterAll(() => {
+  sockets.forEach((socket) => socket.destroy());
+  return new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  resetModuleStateForTests();
+  store = createMemoryStore();
+  setSharedCacheStore(store);
+  subscribeUrls.length = 0;
+  clientFrames.length = 0;
+  replayEvents = recordedEvents;
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+function readClientFrames() {
+  const frames = [];
+  const parse = createFrameParser((frame) => frames.push(frame));
+  clientFrames.forEach((chunk) => parse(chunk));
+  return frames;
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+describe('createTermMatcher', () => {
+  it('matches whole words and phrases case-insensitively', () => {
+    const match = createTermMatcher(['cats', 'big dogs', '#rust']);
+
+    expect(match('I love CATS.')).toEqual(['cats']);
+    expect(match('concatenate')).toEqual([]);
+    expect(match('cats-free')).toEqual(['cats']);
+    expect(match('the big   dogs bark')).toEqual(['big dogs']);
+    expect(match('big dogsled')).toEqual([]);
+    expect(match('learning #rust and cats')).toEqual(['cats', '#rust']);
+  });
+
+  it('requires every word of an AND search, in any order', () => {
+    const match = createTermMatcher(['climate policy']);
+
+    expect(match('Policy news: the climate bill passed')).toEqual(['climate policy']);
+    expect(match('climate policy')).toEqual(['climate policy']);
+    expect(match('climate news only')).toEqual([]);
+  });
+
+  it('keeps a quoted phrase whole alongside the other words', () => {
+    const match = createTermMatcher(['"sea level" rise']);
+
+    expect(match('Sea  level RISE is speeding up')).toEqual(['"sea level" rise']);
+    expect(match('rise of the sea, level ground')).toEqual([]);
+    expect(match('sea level maps')).toEqual([]);
+  });
+});
+
+describe('toPostView', () => {
+  it('builds a search-shaped post from a create commit', () => {
+    const post = toPostView(recordedEvents[1]);
+
+    expect(post).toMatchObject({
+      uri: 'at://did:plc:poster/app.bsky.feed.post/a1',
+      cid: 'cida1',
+      author: { did: 'did:plc:poster', handle: 'did:plc:poster' },
+      record: { text: 'My cats are asleep again' },
+      likeCount: 0,
+    });
+    expect(Date.parse(post.indexedAt)).toBe(Math.floor(recordedEvents[1].time_us / 1000));
+  });
+
+  it('ignores identity events, deletes and other collections', () => {
+    expect(toPostView(recordedEvents[0])).toBeNull();
+    expect(toPostView(recordedEvents[6])).toBeNull();
+    const like = createPostEvent('l1', 'x');
+    like.commit.collection = 'app.bsky.feed.like';
+    expect(toPostView(like)).toBeNull();
+  });
+});
+
+describe('buildSubscribeUrl', () => {
+  it('asks for posts only and rewinds the cursor a few seconds', () => {
+    const url = new URL(buildSubscribeUrl('wss://jetstream.example/subscribe', 100 * SECOND_US));
+
+    expect(url.searchParams.get('wantedCollections')).toBe('app.bsky.feed.post');
+    expect(url.searchParams.get('cursor')).toBe(String(95 * SECOND_US));
+    expect(new URL(buildSubscribeUrl(url.toString(), null)).searchParams.has('cursor')).toBe(
+      false
+    );
+  });
+});
+
+// ============================================================================
+// WebSocket client
+// ============================================================================
+describe('connectWebSocket', () => {
+  it('reassembles fragmented messages, answers pings and closes cleanly', async () => {
+    replayEvents = [];
+    const messages = [];
+    const onClose = vi.fn();
+    const connection = await connectWebSocket(`ws://127.0.0.1:${port}/subscribe`, {
+      onMessage: (message) => messages.push(message),
+      onClose,
+    });
+    const [socket] = Array.from(sockets).slice(-1);
+
+    socket.write(
+      Buffer.concat([
+        encodeServerFrame(0x1, Buffer.from('{"hel'), false),
+        encodeServerFrame(0x9, Buffer.from('hi')),
+        encodeServerFrame(0x0, Buffer.from('lo":1}')),
+      ])
+    );
+    await vi.waitFor(() => expect(messages).toEqual(['{"hello":1}']));
+    const getOpcodes = () => readClientFrames().map((frame) => frame.opcode);
+    await vi.waitFor(() => expect(getOpcodes()).toEqual([0xa]));
+
+    connection.close();
+    expect(onClose).toHaveBeenCalledWith('closed by client');
+    await vi.waitFor(() => expect(getOpcodes()).toEqual([0xa, 0x8]));
+    expect(readClientFrames()[0].payload.toString()).toBe('hi');
+  });
+
+  it('rejects servers that do not upgrade', async () => {
+    await expect(
+      connectWebSocket(`ws://127.0.0.1:${port}/missing`, { onMessage: () => {} })
+    ).rejects.toThrow('WebSocket handshake failed: HTTP 404');
+  });
+});
+
+// ============================================================================
+// Worker
+// ============================================================================
+describe('Jetstream worker', () => {
+  it('stays disconnected while no stream has registered a term set', async () => {
+    const worker = createJetstreamWorker({ store });
+    await worker.start();
+
+    expect(worker.connected).toBe(false);
+    expect(subscribeUrls).toHaveLength(0);
+    await worker.stop();
+  });
+
+  it('matches replayed posts and publishes them per term set, hydrated when possible', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    await registerTermSet(['cats', 'big dogs']);
+    await registerTermSet(['rust']);
+    const worker = createJetstreamWorker({ store });
+    await worker.start();
+
+    expect(worker.connected).toBe(true);
+    expect(new URL(subscribeUrls[0], 'http://x').searchParams.get('wantedCollections')).toBe(
+      'app.bsky.feed.post'
+    );
+    await vi.waitFor(async () => {
+      await worker.flush();
+      expect(await readLiveMatches(['big dogs', 'cats'])).toHaveLength(4);
+    });
+    await worker.stop();
+
+    const matches = await readLiveMatches(['cats', 'big dogs']);
+    expect(matches.map((post) => [post.uri.split('/').pop(), post.matchedTerms])).toEqual([
+      ['a6', ['cats']],
+      ['a4', ['big dogs']],
+      ['a2', ['cats']],
+      ['a1', ['cats']],
+    ]);
+    expect(matches[3].author).toEqual({ handle: 'poster.test', displayName: 'Poster' });
+    expect(matches[3].likeCount).toBe(3);
+    expect(matches[0].author).toEqual({ handle: 'did:plc:poster' });
+    expect(await readLiveMatches(['rust'])).toEqual([]);
+    expect(await store.get('jetstream:cursor')).toBe(
+      recordedEvents[recordedEvents.length - 1].time_us
+    );
+  });
+
+  it('resumes from the stored cursor', async () => {
+    await store.set('jetstream:cursor', 100 * SECOND_US, 60000);
+    await registerTermSet(['cats']);
+    replayEvents = [];
+    const worker = createJetstreamWorker({ store });
+    await worker.start();
+    await worker.stop();
+
+    expect(new URL(subscribeUrls[0], 'http://x').searchParams.get('cursor')).toBe(
+      String(95 * SECOND_US)
+    );
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Cache backend tests for the search proxy key-value stores
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+
+const {
+  createMemoryStore,
+  createFileStore,
+  createRedisStore,
+  createStoreFromEnv,
+  encodeRedisCommand,
+  getDefaultFileStoreDirectory,
+  parseRedisReply,
+} = await import('../api/_lib/kv-store.js');
+
+// Local Redis stand-in speaking just enough RESP2 for GET/SET PX/DEL/AUTH.
+async function startRedisStandIn({ password } = {}) {
+  const data = new Map();
+  const commands = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let buffer = Buffer.alloc(0);
+    let authenticated = !password;
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseRedisReply(buffer))) {
+        buffer = buffer.subarray(parsed.offset);
+        const [name, ...args] = parsed.value;
+        commands.push([name, ...args]);
+
+        if (name === 'AUTH') {
+          authenticated = args[args.length - 1] === password;
+          socket.write(authenticated ? '+OK\r\n' : '-WRONGPASS invalid password\r\n');
+          continue;
+        }
+        if (!authenticated) {
+          socket.write('-NOAUTH Authentication required.\r\n');
+          continue;
+        }
+
+        if (name === 'SET') {
+          const ttl = Number(args[3]);
+          data.set(args[0], { value: args[1], expiresAt: Date.now() + ttl });
+          socket.write('+OK\r\n');
+        } else if (name === 'GET') {
+          const entry = data.get(args[0]);
+          if (!entry || entry.expiresAt <= Date.now()) {
+            socket.write('$-1\r\n');
+          } else {
+            socket.write(`$${Buffer.byteLength(entry.value)}\r\n${entry.value}\r\n`);
+          }
+        } else if (name === 'DEL') {
+          socket.write(`:${data.delete(args[0]) ? 1 : 0}\r\n`);
+        } else {
+          socket.write(`-ERR unknown command '${name}'\r\n`);
+        }
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    data,
+    commands,
+    url: `redis://${password ? `:${password}@` : ''}127.0.0.1:${server.address().port}`,
+    close: () =>
+      new Promise((resolve) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(resolve);
+      }),
+  };
+}
+
+// ============================================================================
+// createMemoryStore
+// ============================================================================
+describe('createMemoryStore', () => {
+  it('expires entries after their TTL', async () => {
+    const store = createMemoryStore();
+    await store.set('key', { value: 1 }, -1);
+    expect(await store.get('key')).toBeNull();
+
+    await store.set('key', { value: 2 }, 60_000);
+    expect(await store.get('key')).toEqual({ value: 2 });
+  });
+
+  it('evicts the oldest entries past the size cap', async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    await store.set('a', 1, 60_000);
+    await store.set('b', 2, 60_000);
+    await store.set('c', 3, 60_000);
+
+    expect(await store.get('a')).toBeNull();
+    expect(await store.get('c')).toBe(3);
+  });
+
+  it('deletes entries', async () => {
+    const store = createMemoryStore();
+    await store.set('key', 1, 60_000);
+    await store.delete('key');
+    expect(await store.get('key')).toBeNull();
+  });
+});
+
+// ============================================================================
+// createFileStore
+// ============================================================================
+describe('createFileStore', () => {
+  let directory;
+
+  afterEach(async () => {
+    if (directory) {
+      await fs.rm(directory, { recursive: true, force: true });
+      directory = null;
+    }
+  });
+
+  it('persists values across store instances', async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'kv-store-test-'));
+    await createFileStore({ directory }).set('session', { accessJwt: 'a' }, 60_000);
+
+    expect(await createFileStore({ directory }).get('session')).toEqual({ accessJwt: 'a' });
+  });
+
+  it('expires and deletes entries', async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'kv-store-test-'));
+    const store = createFileStore({ directory });
+
+    await store.set('expired', 1, -1);
+    expect(await store.get('expired')).toBeNull();
+    expect(await fs.readdir(directory)).toEqual([]);
+
+    await store.set('kept', 2, 60_000);
+    await store.delete('kept');
+    await store.delete('missing');
+    expect(await store.get('kept')).toBeNull();
+  });
+
+  it.skipIf(process.platform === 'win32')('keeps the directory and entries private', async () => {
+    const parent = await fs.mkdtemp(path.join(os.tmpdir(), 'kv-store-test-'));
+    directory = parent;
+    const store = createFileStore({ directory: path.join(parent, 'cache') });
+    await store.set('session', { accessJwt: 'a' }, 60_000);
+
+    const [file] = await fs.readdir(path.join(parent, 'cache'));
+    expect((await fs.stat(path.join(parent, 'cache'))).mode & 0o777).toBe(0o700);
+    expect((await fs.stat(path.join(parent, 'cache', file))).mode & 0o777).toBe(0o600);
+  });
+
+  it.skipIf(process.platform === 'win32')('refuses a directory other users can open', async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'kv-store-test-'));
+    await fs.chmod(directory, 0o755);
+
+    await expect(createFileStore({ directory }).set('session', 1, 60_000)).rejects.toThrow(
+      'must not be accessible to other users',
+    );
+  });
+});
+
+// ============================================================================
+// createRedisStore
+// ============================================================================
+describe('createRedisStore', () => {
+  let standIn;
+  let store;
+
+  afterEach(async () => {
+    store?.close();
+    store = null;
+    await standIn?.close();
+    standIn = null;
+  });
+
+  it('encodes commands and parses replies in RESP2', () => {
+    expect(encodeRedisCommand(['GET', 'key'])).toBe('*2\r\n$3\r\nGET\r\n$3\r\nkey\r\n');
+    expect(parseRedisReply(Buffer.from('$5\r\nhello\r\n')).value).toBe('hello');
+    expect(parseRedisReply(Buffer.from('$-1\r\n')).value).toBeNull();
+    expect(parseRedisReply(Buffer.from(':2\r\n')).value).toBe(2);
+    expect(parseRedisReply(Buffer.from('-ERR nope\r\n')).value).toBeInstanceOf(Error);
+    expect(parseRedisReply(Buffer.from('$5\r\nhel'))).toBeNull();
+  });
+
+  it('round-trips JSON values with a PX expiry under a key prefix', async () => {
+    standIn = await startRedisStandIn();
+    store = createRedisStore({ url: standIn.url });
+
+    await store.set('search:key', { posts: [{ uri: 'at://1' }] }, 30_000);
+
+    expect(await store.get('search:key')).toEqual({ posts: [{ uri: 'at://1' }] });
+    expect(standIn.commands[0]).toEqual([
+      'SET',
+      'bsky-search:search:key',
+      JSON.stringify({ posts: [{ uri: 'at://1' }] }),
+      'PX',
+      '30000',
+    ]);
+
+    await store.delete('search:key');
+    expect(await store.get('search:key')).toBeNull();
+  });
+
+  it('authenticates with the password from the URL', async () => {
+    standIn = await startRedisStandIn({ password: 's3cret' });
+    store = createRedisStore({ url: standIn.url });
+
+    await store.set('key', 1, 1000);
+
+    expect(standIn.commands[0]).toEqual(['AUTH', 's3cret']);
+    expect(await store.get('key')).toBe(1);
+  });
+
+  it('surfaces server errors and connection failures', async () => {
+    standIn = await startRedisStandIn({ password: 'right' });
+    store = createRedisStore({ url: standIn.url.replace('right', 'wrong') });
+
+    await expect(store.get('key')).rejects.toThrow('WRONGPASS');
+
+    const badUrl = standIn.url;
+    await standIn.close();
+    standIn = null;
+    await expect(createRedisStore({ url: badUrl }).get('key')).rejects.toThrow();
+  });
+});
+
+// ============================================================================
+// createStoreFromEnv
+// ============================================================================
+describe('createStoreFromEnv', () => {
+  it('defaults to the memory store', () => {
+    expect(createStoreFromEnv({}).kind).toBe('memory');
+  });
+
+  it('selects file and redis backends', () => {
+    expect(createStoreFromEnv({ CACHE_BACKEND: 'file', CACHE_FILE_DIR: os.tmpdir() }).kind).toBe(
+      'file',
+    );
+    expect(
+      createStoreFromEnv({ CACHE_BACKEND: 'redis', REDIS_URL: 'redis://127.0.0.1:6379' }).kind,
+    ).toBe('redis');
+  });
+
+  it('defaults the file backend to a per-user cache directory', () => {
+    expect(getDefaultFileStoreDirectory({ XDG_CACHE_HOME: '/home/app/.cache' })).toBe(
+      path.join('/home/app/.cache', 'bsky-search'),
+    );
+    expect(getDefaultFileStoreDirectory({})).toBe(path.join(os.homedir(), '.cache', 'bsky-search'));
+  });
+
+  it('rejects incomplete or unknown configuration', () => {
+    expect(() => createStoreFromEnv({ CACHE_BACKEND: 'redis' })).toThrow('REDIS_URL');
+    expect(() => createStoreFromEnv({ CACHE_BACKEND: 'memcached' })).toThrow('Unknown');
+  });
+});
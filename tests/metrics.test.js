@@ -0,0 +1,295 @@
+/**
+ * Health and metrics endpoint tests, plus the metrics registry itself
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+process.env.BSKY_HANDLE = 'metrics-handle';
+process.env.BSKY_APP_PASSWORD = 'metrics-app-password';
+
+const { createRegistry, registry, PROMETHEUS_CONTENT_TYPE } = await import(
+  '../api/_lib/metrics.js'
+);
+const searchModule = await import('../api/search.js');
+const searchHandler = searchModule.default;
+const { resetModuleStateForTests, setSharedCacheStore } = searchModule.testUtils;
+const healthHandler = (await import('../api/health.js')).default;
+const metricsHandler = (await import('../api/metrics.js')).default;
+
+const originalFetch = global.fetch;
+
+function createMockResponse() {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader: vi.fn((key, value) => {
+      res.headers[key] = value;
+      return res;
+    }),
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    send: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+  };
+  return res;
+}
+
+function createJsonResponse(status, payload) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers(),
+    json: async () => payload,
+  };
+}
+
+async function scrape() {
+  const res = createMockResponse();
+  await metricsHandler({ method: 'GET' }, res);
+  return res.body;
+}
+
+beforeEach(() => {
+  resetModuleStateForTests();
+  registry.reset();
+});
+
+afterEach(() => {
+  global.fetch = originalFetch;
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+// ============================================================================
+// createRegistry
+// ============================================================================
+
+describe('createRegistry', () => {
+  it('renders labelled counters in the Prometheus text format', () => {
+    const local = createRegistry();
+    const requests = local.counter({ name: 'test_requests_total', help: 'Test requests.' });
+    requests.inc({ status: '200' });
+    requests.inc({ status: '200' });
+    requests.inc({ status: '500' }, 3);
+
+    expect(local.render()).toBe(
+      [
+        '# HELP test_requests_total Test requests.',
+        '# TYPE test_requests_total counter',
+        'test_requests_total{status="200"} 2',
+        'test_requests_total{status="500"} 3',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('renders cumulative histogram buckets with sum and count', () => {
+    const local = createRegistry();
+    const latency = local.histogram({ name: 'test_seconds', help: 'Latency.', buckets: [0.1, 1] });
+    latency.observe({ endpoint: 'x' }, 0.05);
+    latency.observe({ endpoint: 'x' }, 0.5);
+    latency.observe({ endpoint: 'x' }, 3);
+
+    const lines = local.render().split('\n');
+    expect(lines).toContain('# TYPE test_seconds histogram');
+    expect(lines).toContain('test_seconds_bucket{endpoint="x",le="0.1"} 1');
+    expect(lines).toContain('test_seconds_bucket{endpoint="x",le="1"} 2');
+    expect(lines).toContain('test_seconds_bucket{endpoint="x",le="+Inf"} 3');
+    expect(lines).toContain('test_seconds_sum{endpoint="x"} 3.55');
+    expect(lines).toContain('test_seconds_count{endpoint="x"} 3');
+  });
+
+  it('escapes label values', () => {
+    const local = createRegistry();
+    local.counter({ name: 'test_total', help: 'Test.' }).inc({ value: 'a"b\\c\nd' });
+
+    expect(local.render()).toContain('test_total{value="a\\"b\\\\c\\nd"} 1');
+  });
+});
+
+// ============================================================================
+// /api/metrics
+// ============================================================================
+
+describe('metrics handler', () => {
+  it('rejects non-GET methods', async () => {
+    const res = createMockResponse();
+    await metricsHandler({ method: 'POST' }, res);
+
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.Allow).toBe('GET');
+  });
+
+  it('serves the exposition format uncached', async () => {
+    const res = createMockResponse();
+    await metricsHandler({ method: 'GET' }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe(PROMETHEUS_CONTENT_TYPE);
+    expect(res.headers['Cache-Control']).toBe('no-store');
+    expect(res.body).toContain('# TYPE bsky_upstream_request_duration_seconds histogram');
+  });
+
+  it('counts cache misses, hits, upstream calls and responses from the search proxy', async () => {
+    global.fetch = vi.fn(async (url) => {
+      if (url.includes('/com.atproto.server.createSession')) {
+        return createJsonResponse(200, { accessJwt: 'access', refreshJwt: 'refresh' });
+      }
+      return createJsonResponse(200, { posts: [] });
+    });
+
+    await searchHandler({ method: 'GET', query: { term: 'counted' } }, createMockResponse());
+    await searchHandler({ method: 'GET', query: { term: 'counted' } }, createMockResponse());
+    const body = await scrape();
+
+    expect(body).toContain('bsky_search_cache_lookups_total{result="miss"} 1');
+    expect(body).toContain('bsky_search_cache_lookups_total{result="hit"} 1');
+    expect(body).toContain(
+      'bsky_upstream_requests_total{endpoint="app.bsky.feed.searchPosts",status="200"} 1'
+    );
+    expect(body).toContain(
+      'bsky_upstream_requests_total{endpoint="com.atproto.server.createSession",status="200"} 1'
+    );
+    expect(body).toContain(
+      'bsky_upstream_request_duration_seconds_count{endpoint="app.bsky.feed.searchPosts"} 1'
+    );
+    expect(body).toContain('bsky_search_responses_total{route="search",status="200"} 2');
+  });
+
+  it('counts session refreshes triggered by a 401', async () => {
+    let searchCalls = 0;
+    global.fetch = vi.fn(async (url) => {
+      if (url.includes('/com.atproto.server.createSession')) {
+        return createJsonResponse(200, { accessJwt: 'access', refreshJwt: 'refresh' });
+      }
+      if (url.includes('/com.atproto.server.refreshSession')) {
+        return createJsonResponse(200, { accessJwt: 'access-2', refreshJwt: 'refresh-2' });
+      }
+      searchCalls += 1;
+      return searchCalls === 1
+        ? createJsonResponse(401, { error: 'ExpiredToken' })
+        : createJsonResponse(200, { posts: [] });
+    });
+
+    const res = createMockResponse();
+    await searchHandler({ method: 'GET', query: { term: 'expired' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(await scrape()).toContain('bsky_session_refreshes_total{outcome="refreshed"} 1');
+  });
+
+  it('counts upstream timeouts and the resulting 504', async () => {
+    vi.useFakeTimers();
+    global.fetch = vi.fn(
+      (url, options) =>
+        new Promise((resolve, reject) => {
+          if (url.includes('/com.atproto.server.createSession')) {
+            resolve(createJsonResponse(200, { accessJwt: 'access', refreshJwt: 'refresh' }));
+            return;
+          }
+          options.signal.addEventListener('abort', () => {
+            const error = new Error('aborted');
+            error.name = 'AbortError';
+            reject(error);
+          });
+        })
+    );
+
+    const res = createMockResponse();
+    const request = searchHandler({ method: 'GET', query: { term: 'slow' } }, res);
+    await vi.advanceTimersByTimeAsync(10000);
+    await request;
+    const body = await scrape();
+
+    expect(res.statusCode).toBe(504);
+    expect(body).toContain('bsky_upstream_timeouts_total{endpoint="app.bsky.feed.searchPosts"} 1');
+    expect(body).toContain(
+      'bsky_upstream_requests_total{endpoint="app.bsky.feed.searchPosts",status="timeout"} 1'
+    );
+    expect(body).toContain('bsky_search_responses_total{route="search",status="504"} 1');
+  });
+});
+
+// ============================================================================
+// /api/health
+// ============================================================================
+
+describe('health handler', () => {
+  it('rejects non-GET methods', async () => {
+    const res = createMockResponse();
+    await healthHandler({ method: 'DELETE' }, res);
+
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('reports configuration and an inactive session before the first search', async () => {
+    const res = createMockResponse();
+    await healthHandler({ method: 'GET' }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Cache-Control']).toBe('no-store');
+    expect(res.body).toMatchObject({
+      status: 'ok',
+      config: {
+        credentialsConfigured: true,
+        cacheBackend: 'memory',
+        feedGenerator: false,
+        webhooks: false,
+        jetstream: false,
+        oauth: false,
+        searchFallback: true,
+        originAllowlist: false,
+        apiTokens: false,
+        errors: [],
+      },
+      session: { active: false },
+    });
+  });
+
+  it('reports an active session without exposing tokens or credentials', async () => {
+    global.fetch = vi.fn(async (url) => {
+      if (url.includes('/com.atproto.server.createSession')) {
+        return createJsonResponse(200, { accessJwt: 'secret-access', refreshJwt: 'secret-refresh' });
+      }
+      return createJsonResponse(200, { posts: [] });
+    });
+    await searchHandler({ method: 'GET', query: { term: 'warm' } }, createMockResponse());
+
+    const res = createMockResponse();
+    await healthHandler({ method: 'GET' }, res);
+
+    expect(res.body.session).toMatchObject({ active: true, source: 'local', ageSeconds: 0 });
+    const serialized = JSON.stringify(res.body);
+    expect(serialized).not.toContain('secret-');
+    expect(serialized).not.toContain('metrics-handle');
+    expect(serialized).not.toContain('metrics-app-password');
+  });
+
+  it('reports a session persisted by another instance in the shared store', async () => {
+    const stored = {
+      session: { accessJwt: 'stored-access' },
+      createdAt: Date.now() - 60 * 1000,
+    };
+    setSharedCacheStore({
+      kind: 'redis',
+      get: vi.fn(async (key) => (key === 'session:shared' ? stored : null)),
+      set: vi.fn(async () => {}),
+      delete: vi.fn(async () => {}),
+    });
+
+    const res = createMockResponse();
+    await healthHandler({ method: 'GET' }, res);
+
+    expect(res.body.config.cacheBackend).toBe('redis');
+    expect(res.body.session).toMatchObject({ active: true, source: 'shared', ageSeconds: 60 });
+  });
+});
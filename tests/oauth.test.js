@@ -0,0 +1,527 @@
+/**
+ * OAuth sign-in tests: PAR + PKCE + DPoP login, per-user searches through the user's PDS and
+ * the shared-session fallback, against a local server playing the handle resolver, PLC
+ * directory, PDS and authorization server
+ */
+
+import { describe, it, expect, afterAll, afterEach, beforeEach, vi } from 'vitest';
+import crypto from 'node:crypto';
+import dns from 'node:dns';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+const DID = 'did:plc:abcdefghijklmnopqrstuvwx';
+const HANDLE = 'alice.test';
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Check a DPoP proof's signature and claims; returns the payload or null.
+function verifyDpopProof(proof, method, url) {
+  const [header, payload, signature] = (proof || '').split('.');
+  if (!signature) return null;
+  const { typ, alg, jwk } = decodeSegment(header);
+  const valid = crypto.verify(
+    'sha256',
+    Buffer.from(`${header}.${payload}`),
+    { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), dsaEncoding: 'ieee-p1363' },
+    Buffer.from(signature, 'base64url')
+  );
+  const claims = decodeSegment(payload);
+  if (!valid || typ !== 'dpop+jwt' || alg !== 'ES256' || jwk.d) return null;
+  if (claims.htm !== method || claims.htu !== url) return null;
+  return claims;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('base64url');
+}
+
+const calls = [];
+const parRequests = [];
+let tokenResponses = [];
+let didDocument = null;
+let origin = '';
+
+function readForm(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+  });
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Authorization server and PDS both demand a server nonce before accepting a proof.
+const AS_NONCE = 'as-nonce';
+const PDS_NONCE = 'pds-nonce';
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const endpoint = `${origin}${url.pathname}`;
+  calls.push(url.pathname);
+
+  if (url.pathname === '/public/xrpc/com.atproto.identity.resolveHandle') {
+    if (url.searchParams.get('handle') !== HANDLE) {
+      sendJson(res, 400, { error: 'InvalidRequest' });
+      return;
+    }
+    sendJson(res, 200, { did: DID });
+    return;
+  }
+  if (url.pathname === `/${DID}`) {
+    sendJson(res, 200, didDocument);
+    return;
+  }
+  if (url.pathname === '/.well-known/oauth-protected-resource') {
+    sendJson(res, 200, { resource: origin, authorization_servers: [origin] });
+    return;
+  }
+  if (url.pathname === '/.well-known/oauth-authorization-server') {
+    sendJson(res, 200, {
+      issuer: origin,
+      authorization_endpoint: `${origin}/oauth/authorize`,
+      token_endpoint: `${origin}/oauth/token`,
+      pushed_authorization_request_endpoint: `${origin}/oauth/par`,
+      revocation_endpoint: `${origin}/oauth/revoke`,
+      dpop_signing_alg_values_supported: ['ES256'],
+    });
+    return;
+  }
+  if (url.pathname === '/oauth/par' || url.pathname === '/oauth/token') {
+    const form = await readForm(req);
+    const claims = verifyDpopProof(req.headers.dpop, 'POST', endpoint);
+    if (!claims) {
+      sendJson(res, 400, { error: 'invalid_dpop_proof' });
+      return;
+    }
+    if (claims.nonce !== AS_NONCE) {
+      sendJson(res, 400, { error: 'use_dpop_nonce' }, { 'DPoP-Nonce': AS_NONCE });
+      return;
+    }
+    if (url.pathname === '/oauth/par') {
+      parRequests.push({ form, jkt: decodeSegment(req.headers.dpop.split('.')[0]).jwk.x });
+      sendJson(res, 201, { request_uri: 'urn:ietf:params:oauth:request_uri:req1', expires_in: 60 });
+      return;
+    }
+    const par = parRequests[parRequests.length - 1];
+    const grant = form.get('grant_type');
+    const verifier = form.get('code_verifier') || '';
+    if (
+      (grant === 'authorization_code' &&
+        (form.get('code') !== 'code1' ||
+          hashToken(verifier) !== par.form.get('code_challenge'))) ||
+      (grant === 'refresh_token' && !form.get('refresh_token'))
+    ) {
+      sendJson(res, 400, { error: 'invalid_grant' });
+      return;
+    }
+    calls.push(`token:${grant}`);
+    sendJson(res, 200, tokenResponses.shift());
+    return;
+  }
+  if (url.pathname === '/oauth/revoke') {
+    calls.push(`revoke:${(await readForm(req)).get('token')}`);
+    res.end();
+    return;
+  }
+  if (url.pathname === '/xrpc/app.bsky.feed.searchPosts') {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const claims = verifyDpopProof(req.headers.dpop, 'GET', endpoint);
+    if (scheme !== 'DPoP' || !claims || claims.ath !== hashToken(token)) {
+      sendJson(res, 401, { error: 'InvalidToken' });
+      return;
+    }
+    if (claims.nonce !== PDS_NONCE) {
+      res.writeHead(401, {
+        'DPoP-Nonce': PDS_NONCE,
+        'WWW-Authenticate': 'DPoP error="use_dpop_nonce"',
+      });
+      res.end();
+      return;
+    }
+    sendJson(res, 200, { posts: [{ uri: `at://${token}/${url.searchParams.get('q')}` }] });
+    return;
+  }
+  if (url.pathname === '/shared/xrpc/com.atproto.server.createSession') {
+    sendJson(res, 200, { accessJwt: 'shared-access', refreshJwt: 'shared-refresh' });
+    return;
+  }
+  if (url.pathname === '/shared/xrpc/app.bsky.feed.searchPosts') {
+    sendJson(res, 200, { posts: [{ uri: `at://shared/${url.searchParams.get('q')}` }] });
+    return;
+  }
+  sendJson(res, 404, { error: 'NotFound' });
+});
+await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+origin = `http://127.0.0.1:${server.address().port}`;
+
+process.env.BSKY_HANDLE = 'shared-handle';
+process.env.BSKY_APP_PASSWORD = 'shared-password';
+process.env.BSKY_SERVICE_URL = `${origin}/shared`;
+process.env.BSKY_PUBLIC_API_URL = `${origin}/public`;
+process.env.PLC_DIRECTORY_URL = origin;
+process.env.OAUTH_PUBLIC_URL = origin;
+// Sign-in state lives in the shared backend, never in process memory.
+const cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'oauth-test-'));
+process.env.CACHE_BACKEND = 'file';
+process.env.CACHE_FILE_DIR = cacheDirectory;
+
+const loginHandler = (await import('../api/oauth/login.js')).default;
+const callbackHandler = (await import('../api/oauth/callback.js')).default;
+const sessionHandler = (await import('../api/oauth/session.js')).default;
+const logoutHandler = (await import('../api/oauth/logout.js')).default;
+const metadataHandler = (await import('../api/oauth/client-metadata.js')).default;
+const searchModule = await import('../api/search.js');
+const searchHandler = searchModule.default;
+const { resetModuleStateForTests } = searchModule.testUtils;
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(cacheDirectory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  resetModuleStateForTests();
+  calls.length = 0;
+  parRequests.length = 0;
+  tokenResponses = [
+    {
+      access_token: 'user-access',
+      refresh_token: 'user-refresh',
+      token_type: 'DPoP',
+      scope: 'atproto transition:generic',
+      sub: DID,
+      expires_in: 3600,
+    },
+  ];
+  didDocument = {
+    id: DID,
+    alsoKnownAs: [`at://${HANDLE}`],
+    service: [{ id: '#atproto_pds', type: 'AtprotoPersonalDataServer', serviceEndpoint: origin }],
+  };
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+function createMockResponse() {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader: vi.fn((key, value) => {
+      res.headers[key] = value;
+      return res;
+    }),
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    end: vi.fn(() => res),
+  };
+  return res;
+}
+
+async function callHandler(handler, query = {}, headers = {}, method = 'GET') {
+  const res = createMockResponse();
+  await handler({ method, headers, query }, res);
+  return res;
+}
+
+// The `name=value` part of a Set-Cookie header.
+function getCookiePair(setCookie) {
+  return setCookie.split(';')[0];
+}
+
+// Start a sign-in and return the login cookie the callback must carry.
+async function startSignIn(handle = HANDLE) {
+  const login = await callHandler(loginHandler, { handle });
+  expect(login.statusCode).toBe(302);
+  return { cookie: getCookiePair(login.headers['Set-Cookie']) };
+}
+
+// Run the whole sign-in flow and return the session cookie header.
+async function signIn() {
+  const loginHeaders = await startSignIn(`@${HANDLE}`);
+  const { form } = parRequests[parRequests.length - 1];
+  const callback = await callHandler(
+    callbackHandler,
+    { state: form.get('state'), code: 'code1', iss: origin },
+    loginHeaders
+  );
+  expect(callback.statusCode).toBe(302);
+  return getCookiePair(callback.headers['Set-Cookie'][0]);
+}
+
+describe('OAuth sign-in', () => {
+  it('stays off without a shared cache backend', async () => {
+    vi.resetModules();
+    process.env.CACHE_BACKEND = 'memory';
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const { isOAuthEnabled } = await import('../api/_lib/oauth.js');
+
+      expect(isOAuthEnabled()).toBe(false);
+      expect(errorSpy).toHaveBeenCalledWith(
+        'OAuth disabled: OAUTH_PUBLIC_URL requires a shared CACHE_BACKEND.'
+      );
+    } finally {
+      process.env.CACHE_BACKEND = 'file';
+      vi.resetModules();
+    }
+  });
+
+  it('serves loopback client metadata', async () => {
+    const res = await callHandler(metadataHandler);
+
+    expect(res.statusCode).toBe(200);
+    const clientId = new URL(res.body.client_id);
+    expect(clientId.origin).toBe('http://localhost');
+    expect(clientId.searchParams.get('redirect_uri')).toBe(`${origin}/api/oauth/callback`);
+    expect(res.body).toMatchObject({
+      dpop_bound_access_tokens: true,
+      token_endpoint_auth_method: 'none',
+      scope: 'atproto transition:generic',
+    });
+  });
+
+  it('pushes a PKCE authorization request and redirects to the authorization server', async () => {
+    const res = await callHandler(loginHandler, { handle: HANDLE });
+
+    expect(res.statusCode).toBe(302);
+    expect(res.headers['Set-Cookie']).toMatch(
+      /^bsky_oauth_login=[\w-]{43}; Path=\/api\/oauth; HttpOnly; SameSite=Lax; Max-Age=600$/
+    );
+    const location = new URL(res.headers.Location);
+    expect(`${location.origin}${location.pathname}`).toBe(`${origin}/oauth/authorize`);
+    expect(location.searchParams.get('request_uri')).toBe('urn:ietf:params:oauth:request_uri:req1');
+    // The first PAR attempt was answered with use_dpop_nonce and retried.
+    expect(calls.filter((path) => path === '/oauth/par')).toHaveLength(2);
+    const { form } = parRequests[0];
+    expect(form.get('code_challenge_method')).toBe('S256');
+    expect(form.get('login_hint')).toBe(HANDLE);
+    expect(form.get('redirect_uri')).toBe(`${origin}/api/oauth/callback`);
+  });
+
+  it('refuses loopback and plain http services outside local development', async () => {
+    vi.resetModules();
+    process.env.OAUTH_PUBLIC_URL = 'https://search.example';
+    try {
+      const { startLogin } = await import('../api/_lib/oauth.js');
+
+      expect(await startLogin(HANDLE)).toEqual({
+        status: 400,
+        error: 'Could not resolve that handle.',
+      });
+      expect(calls).not.toContain('/.well-known/oauth-protected-resource');
+
+      didDocument.service[0].serviceEndpoint = 'http://pds.example';
+      expect((await startLogin(HANDLE)).status).toBe(400);
+    } finally {
+      process.env.OAUTH_PUBLIC_URL = origin;
+      vi.resetModules();
+    }
+  });
+
+  it('refuses private and privately resolving services outside local development', async () => {
+    vi.resetModules();
+    process.env.OAUTH_PUBLIC_URL = 'https://search.example';
+    try {
+      const { startLogin } = await import('../api/_lib/oauth.js');
+
+      const privateEndpoints = [
+        'https://10.0.0.5',
+        'https://172.20.1.1',
+        'https://192.168.1.10',
+        'https://169.254.169.254',
+        'https://127.8.9.10',
+        'https://0.0.0.0',
+        'https://[::]',
+        'https://[fd12::1]',
+        'https://[fe80::1]',
+        'https://[::ffff:10.0.0.1]',
+      ];
+      for (const endpoint of privateEndpoints) {
+        didDocument.service[0].serviceEndpoint = endpoint;
+        expect((await startLogin(HANDLE)).status).toBe(400);
+      }
+
+      didDocument.service[0].serviceEndpoint = 'https://pds.internal.example';
+      const lookup = vi
+        .spyOn(dns.promises, 'lookup')
+        .mockResolvedValue([{ address: '10.1.2.3', family: 4 }]);
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      expect(await startLogin(HANDLE)).toEqual({
+        status: 502,
+        error: 'Could not reach the account’s server.',
+      });
+      expect(lookup).toHaveBeenCalledWith('pds.internal.example', { all: true });
+      expect(calls).not.toContain('/.well-known/oauth-protected-resource');
+    } finally {
+      process.env.OAUTH_PUBLIC_URL = origin;
+      vi.resetModules();
+    }
+  });
+
+  it('refuses handles the DID document does not confirm', async () => {
+    didDocument.alsoKnownAs = ['at://mallory.test'];
+    const res = await callHandler(loginHandler, { handle: HANDLE });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ error: 'Could not resolve that handle.' });
+    expect(parRequests).toHaveLength(0);
+  });
+
+  it('rejects callbacks from the wrong issuer and replayed states', async () => {
+    const loginHeaders = await startSignIn();
+    const state = parRequests[0].form.get('state');
+
+    const wrongIssuer = await callHandler(
+      callbackHandler,
+      { state, code: 'code1', iss: 'https://evil.example' },
+      loginHeaders
+    );
+    expect(wrongIssuer.statusCode).toBe(400);
+    expect(wrongIssuer.body).toEqual({ error: 'Sign-in response did not match the request.' });
+
+    const replay = await callHandler(
+      callbackHandler,
+      { state, code: 'code1', iss: origin },
+      loginHeaders
+    );
+    expect(replay.statusCode).toBe(400);
+    expect(replay.body).toEqual({ error: 'Sign-in expired. Please try again.' });
+  });
+
+  it('rejects callbacks from a browser that did not start the sign-in', async () => {
+    const loginHeaders = await startSignIn();
+    const callbackQuery = { state: parRequests[0].form.get('state'), code: 'code1', iss: origin };
+
+    const withoutCookie = await callHandler(callbackHandler, callbackQuery);
+    expect(withoutCookie.statusCode).toBe(400);
+    expect(withoutCookie.body).toEqual({
+      error: 'Sign-in was started in another browser. Please try again.',
+    });
+    expect(withoutCookie.headers['Set-Cookie']).toBeUndefined();
+    expect(calls).not.toContain('/oauth/token');
+
+    // The attempt spends the pending sign-in, even for the browser that started it.
+    const late = await callHandler(callbackHandler, callbackQuery, loginHeaders);
+    expect(late.body).toEqual({ error: 'Sign-in expired. Please try again.' });
+
+    // Nor does the login cookie of a different sign-in.
+    await startSignIn();
+    const mismatched = await callHandler(
+      callbackHandler,
+      { ...callbackQuery, state: parRequests[parRequests.length - 1].form.get('state') },
+      loginHeaders
+    );
+    expect(mismatched.statusCode).toBe(400);
+    expect(mismatched.body.error).toMatch(/another browser/);
+  });
+
+  it('rejects tokens issued for a different account', async () => {
+    tokenResponses[0].sub = 'did:plc:zzzzzzzzzzzzzzzzzzzzzzzz';
+    const loginHeaders = await startSignIn();
+
+    const res = await callHandler(
+      callbackHandler,
+      { state: parRequests[0].form.get('state'), code: 'code1', iss: origin },
+      loginHeaders
+    );
+    expect(res.statusCode).toBe(502);
+    expect(res.headers['Set-Cookie']).toBeUndefined();
+  });
+});
+
+describe('signed-in searches', () => {
+  it('searches through the user PDS with a DPoP-bound token', async () => {
+    const cookie = await signIn();
+    expect(cookie).toMatch(/^bsky_session=[\w-]+$/);
+
+    const session = await callHandler(sessionHandler, {}, { cookie });
+    expect(session.body).toEqual({ enabled: true, signedIn: true, did: DID, handle: HANDLE });
+    // Sessions sit apart from the cache the search proxy and rate limiter fill.
+    expect(fs.readdirSync(path.join(cacheDirectory, 'oauth')).length).toBeGreaterThan(0);
+
+    const res = await callHandler(searchHandler, { term: 'cats' }, { cookie });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.posts).toEqual([{ uri: 'at://user-access/cats' }]);
+    expect(res.headers['X-RateLimit-Remaining']).toBeUndefined();
+    expect(calls).not.toContain('/shared/xrpc/com.atproto.server.createSession');
+
+    // Anonymous visitors keep using the shared session, with a separate cache entry.
+    const anonymous = await callHandler(searchHandler, { term: 'cats' });
+    expect(anonymous.headers['X-Cache']).toBe('MISS');
+    expect(anonymous.body.posts).toEqual([{ uri: 'at://shared/cats' }]);
+  });
+
+  it('refreshes tokens that are about to expire', async () => {
+    tokenResponses[0].expires_in = 30;
+    tokenResponses.push({ ...tokenResponses[0], access_token: 'rotated-access', expires_in: 3600 });
+    const cookie = await signIn();
+
+    const res = await callHandler(searchHandler, { term: 'dogs' }, { cookie });
+    expect(res.body.posts).toEqual([{ uri: 'at://rotated-access/dogs' }]);
+    expect(calls.filter((call) => call.startsWith('token:'))).toEqual([
+      'token:authorization_code',
+      'token:refresh_token',
+    ]);
+  });
+
+  it('falls back to anonymous search and JSON errors when the session store fails', async () => {
+    const cookie = await signIn();
+    const storePath = path.join(cacheDirectory, 'oauth');
+    fs.rmSync(storePath, { recursive: true, force: true });
+    fs.writeFileSync(storePath, '');
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const search = await callHandler(searchHandler, { term: 'cats' }, { cookie });
+      expect(search.statusCode).toBe(200);
+      expect(search.body.posts).toEqual([{ uri: 'at://shared/cats' }]);
+
+      const unavailable = { error: 'Sign-in is temporarily unavailable. Please try again.' };
+      const session = await callHandler(sessionHandler, {}, { cookie });
+      expect(session.statusCode).toBe(503);
+      expect(session.body).toEqual(unavailable);
+      const login = await callHandler(loginHandler, { handle: HANDLE });
+      expect(login.statusCode).toBe(503);
+      expect(login.body).toEqual(unavailable);
+      const logout = await callHandler(logoutHandler, {}, { cookie }, 'POST');
+      expect(logout.statusCode).toBe(503);
+      expect(logout.headers['Set-Cookie']).toBeUndefined();
+    } finally {
+      fs.rmSync(storePath, { force: true });
+      fs.mkdirSync(storePath, { mode: 0o700 });
+    }
+  });
+
+  it('signs out, revoking the refresh token', async () => {
+    const cookie = await signIn();
+
+    const res = await callHandler(logoutHandler, {}, { cookie }, 'POST');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Set-Cookie']).toMatch(/^bsky_session=; .*Max-Age=0/);
+    expect(calls).toContain('revoke:user-refresh');
+
+    const session = await callHandler(sessionHandler, {}, { cookie });
+    expect(session.body).toEqual({ enabled: true, signedIn: false });
+    const search = await callHandler(searchHandler, { term: 'cats' }, { cookie });
+    expect(search.body.posts).toEqual([{ uri: 'at://shared/cats' }]);
+  });
+});
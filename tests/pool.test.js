@@ -0,0 +1,232 @@
+/**
+ * Account pool tests: routing searches to the healthiest account, rotating away from 429s,
+ * quarantining accounts whose session cannot be created and the unauthenticated fallback,
+ * against a local XRPC server
+ */
+
+import { describe, it, expect, afterAll, afterEach, beforeEach, vi } from 'vitest';
+import http from 'node:http';
+
+const calls = [];
+// Per-handle behaviour: createSession status and the searchPosts responses, in order.
+const accounts = {};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  res.setHeader('Content-Type', 'application/json');
+  if (url.pathname === '/xrpc/com.atproto.server.createSession') {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const { identifier } = JSON.parse(body);
+      calls.push(`createSession:${identifier}`);
+      if (accounts[identifier].sessionStatus !== 200) {
+        res.statusCode = accounts[identifier].sessionStatus;
+        res.end(JSON.stringify({ error: 'AuthenticationRequired', message: 'Invalid password' }));
+        return;
+      }
+      res.end(JSON.stringify({ accessJwt: `access-${identifier}`, refreshJwt: 'refresh' }));
+    });
+    return;
+  }
+  if (url.pathname === '/xrpc/app.bsky.feed.searchPosts') {
+    const handle = req.headers.authorization.replace('Bearer access-', '');
+    calls.push(`search:${handle}`);
+    const { status = 200, headers = {} } = accounts[handle].searches.shift() || {};
+    res.writeHead(status, headers);
+    res.end(JSON.stringify({ posts: [{ uri: `at://${handle}/${url.searchParams.get('q')}` }] }));
+    return;
+  }
+  if (url.pathname === '/public/xrpc/app.bsky.feed.searchPosts') {
+    calls.push(`fallback:${req.headers.authorization || 'anonymous'}`);
+    res.end(JSON.stringify({ posts: [{ uri: `at://public/${url.searchParams.get('q')}` }] }));
+    return;
+  }
+  res.statusCode = 404;
+  res.end(JSON.stringify({ error: 'NotFound' }));
+});
+await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+const origin = `http://127.0.0.1:${server.address().port}`;
+process.env.BSKY_SERVICE_URL = origin;
+process.env.BSKY_PUBLIC_API_URL = `${origin}/public`;
+process.env.BSKY_HANDLE = 'alpha.test';
+process.env.BSKY_APP_PASSWORD = 'alpha-password';
+process.env.BSKY_ACCOUNTS = JSON.stringify([
+  { handle: 'beta.test', password: 'beta-password' },
+  { handle: 'gamma.test' },
+  { handle: 'ALPHA.test', password: 'duplicate' },
+]);
+
+const searchModule = await import('../api/search.js');
+const searchHandler = searchModule.default;
+const { resetModuleStateForTests } = searchModule.testUtils;
+const healthHandler = (await import('../api/health.js')).default;
+const batchHandler = (await import('../api/search/batch.js')).default;
+const feedHandler = (await import('../api/feed.js')).default;
+
+function budget(remaining, limit = 100) {
+  return {
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(Math.floor(Date.now() / 1000) + 300),
+  };
+}
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  resetModuleStateForTests();
+  calls.length = 0;
+  accounts['alpha.test'] = { sessionStatus: 200, searches: [] };
+  accounts['beta.test'] = { sessionStatus: 200, searches: [] };
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+function createMockResponse() {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader: vi.fn((key, value) => {
+      res.headers[key] = value;
+      return res;
+    }),
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    send: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+  };
+  return res;
+}
+
+async function search(term, handler = searchHandler) {
+  const res = createMockResponse();
+  const query = handler === batchHandler ? { terms: term, pages: '1' } : { term };
+  await handler({ method: 'GET', headers: {}, query }, res);
+  return res;
+}
+
+function searchedWith() {
+  return calls.filter((call) => call.startsWith('search:')).map((call) => call.slice(7));
+}
+
+describe('account pool', () => {
+  it('routes each search to the account with the most upstream budget left', async () => {
+    accounts['alpha.test'].searches.push({ headers: budget(2) });
+    accounts['beta.test'].searches.push({ headers: budget(90) }, { headers: budget(89) });
+
+    await search('one');
+    await search('two');
+    const res = await search('three');
+
+    expect(searchedWith()).toEqual(['alpha.test', 'beta.test', 'beta.test']);
+    expect(res.body.posts).toEqual([{ uri: 'at://beta.test/three' }]);
+    expect(res.headers['X-RateLimit-Remaining']).toBe('91');
+    expect(res.headers['X-RateLimit-Limit']).toBe('200');
+  });
+
+  it('moves a rate-limited search to another account and keeps off the throttled one', async () => {
+    accounts['alpha.test'].searches.push({ status: 429, headers: { 'Retry-After': '30' } });
+
+    const first = await search('one');
+    const second = await search('two');
+
+    expect(first.statusCode).toBe(200);
+    expect(first.body.posts).toEqual([{ uri: 'at://beta.test/one' }]);
+    expect(second.body.posts).toEqual([{ uri: 'at://beta.test/two' }]);
+    expect(searchedWith()).toEqual(['alpha.test', 'beta.test', 'beta.test']);
+  });
+
+  it('quarantines an account whose session cannot be created', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    accounts['alpha.test'].sessionStatus = 401;
+
+    const first = await search('one');
+    await search('two');
+
+    expect(first.body.posts).toEqual([{ uri: 'at://beta.test/one' }]);
+    expect(calls.filter((call) => call === 'createSession:alpha.test')).toHaveLength(1);
+    expect(console.error).toHaveBeenCalledWith(
+      'Account 0 quarantined for 60s:',
+      'Invalid password'
+    );
+
+    const health = createMockResponse();
+    await healthHandler({ method: 'GET', headers: {}, query: {} }, health);
+    expect(health.body.session.pool).toEqual({ accounts: 2, available: 1, quarantined: 1 });
+    expect(health.body.config.errors).toContain(
+      'BSKY_ACCOUNTS entry 1 needs a handle and password.'
+    );
+  });
+
+  it('fails with the upstream error once every account is rate limited', async () => {
+    accounts['alpha.test'].searches.push({ status: 429, headers: { 'Retry-After': '30' } });
+    accounts['beta.test'].searches.push({ status: 429, headers: { 'Retry-After': '30' } });
+
+    const res = await search('one');
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['Retry-After']).toBe('30');
+    expect(searchedWith()).toEqual(['alpha.test', 'beta.test']);
+  });
+
+  it('falls back to the public AppView, uncached, when no account can sign in', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    accounts['alpha.test'].sessionStatus = 401;
+    accounts['beta.test'].sessionStatus = 401;
+
+    const first = await search('one');
+    const second = await search('one');
+    const batch = await search('two', batchHandler);
+
+    expect(first.statusCode).toBe(200);
+    expect(first.headers['X-Search-Degraded']).toBe('1');
+    expect(first.body).toEqual({ posts: [{ uri: 'at://public/one' }], degraded: true });
+    expect(second.headers['X-Cache']).toBe('MISS');
+    expect(batch.headers['X-Search-Degraded']).toBe('1');
+    expect(batch.body).toMatchObject({ posts: [{ uri: 'at://public/two' }], degraded: true });
+    // Quarantined accounts are not retried; the fallback never sends credentials.
+    expect(calls.filter((call) => call.startsWith('createSession:'))).toHaveLength(2);
+    expect(calls.filter((call) => call.startsWith('fallback:'))).toEqual([
+      'fallback:anonymous',
+      'fallback:anonymous',
+      'fallback:anonymous',
+    ]);
+  });
+
+  it('serves feeds from the fallback too, marked degraded and kept out of caches', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    accounts['alpha.test'].sessionStatus = 401;
+    accounts['beta.test'].sessionStatus = 401;
+    const res = createMockResponse();
+
+    const query = { terms: 'one' };
+    await feedHandler({ method: 'GET', headers: { host: 'feeds.example.test' }, query }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['X-Search-Degraded']).toBe('1');
+    expect(res.headers['Cache-Control']).toBe('no-store');
+    expect(calls).toContain('fallback:anonymous');
+  });
+
+  it('does not mark responses served by a pooled account as degraded', async () => {
+    const res = await search('one');
+
+    expect(res.headers['X-Search-Degraded']).toBeUndefined();
+    expect(res.body).toEqual({ posts: [{ uri: 'at://alpha.test/one' }] });
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Compact search projection tests: shape, and compatibility with the frontend post helpers
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const { projectCompactPost, projectSearchPayload } = await import('../api/_lib/projection.js');
+const { deduplicatePosts, filterByDate, filterByLikes, getPostTimestamp, sortPosts } = await import(
+  '../src/testing.mjs'
+);
+const { getPostUrl } = await import('../src/utils.mjs');
+const { matchesQuery, parseQuery } = await import('../src/query.mjs');
+const { isReplyPost } = await import('../src/thread.mjs');
+
+function createUpstreamPost(overrides = {}) {
+  return {
+    uri: 'at://did:plc:abc/app.bsky.feed.post/3kabc',
+    cid: 'bafyreib',
+    author: {
+      did: 'did:plc:abc',
+      handle: 'alice.bsky.social',
+      displayName: 'Alice',
+      avatar: 'https://cdn.bsky.app/img/avatar/plain/did:plc:abc/x@jpeg',
+      associated: { chat: { allowIncoming: 'all' } },
+      viewer: { muted: false, blockedBy: false },
+      labels: [],
+      createdAt: '2023-01-01T00:00:00.000Z',
+    },
+    record: {
+      $type: 'app.bsky.feed.post',
+      text: 'hello world',
+      createdAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+      langs: ['en'],
+      facets: [{ index: { byteStart: 0, byteEnd: 5 }, features: [] }],
+      reply: {
+        root: { uri: 'at://did:plc:root/app.bsky.feed.post/1', cid: 'bafyroot' },
+        parent: { uri: 'at://did:plc:root/app.bsky.feed.post/1', cid: 'bafyroot' },
+      },
+    },
+    embed: {
+      $type: 'app.bsky.embed.images#view',
+      images: [
+        {
+          thumb: 'https://cdn.bsky.app/img/feed_thumbnail/plain/x@jpeg',
+          fullsize: 'https://cdn.bsky.app/img/feed_fullsize/plain/x@jpeg',
+          alt: 'a cat',
+          aspectRatio: { width: 4, height: 3 },
+        },
+      ],
+    },
+    replyCount: 1,
+    repostCount: 2,
+    likeCount: 3,
+    quoteCount: 4,
+    indexedAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    viewer: { threadMuted: false },
+    labels: [{ src: 'did:plc:labeler', uri: 'at://x', cid: 'y', val: 'nudity', cts: 'z' }],
+    ...overrides,
+  };
+}
+
+// ============================================================================
+// projectCompactPost
+// ============================================================================
+describe('projectCompactPost', () => {
+  it('keeps only the fields the frontend reads', () => {
+    const post = createUpstreamPost();
+
+    expect(projectCompactPost(post)).toEqual({
+      uri: post.uri,
+      author: {
+        handle: 'alice.bsky.social',
+        displayName: 'Alice',
+        avatar: post.author.avatar,
+      },
+      record: {
+        text: 'hello world',
+        createdAt: post.record.createdAt,
+        reply: post.record.reply,
+      },
+      indexedAt: post.indexedAt,
+      likeCount: 3,
+      repostCount: 2,
+      replyCount: 1,
+      quoteCount: 4,
+      embed: {
+        $type: 'app.bsky.embed.images#view',
+        images: [
+          {
+            thumb: post.embed.images[0].thumb,
+            fullsize: post.embed.images[0].fullsize,
+            alt: 'a cat',
+          },
+        ],
+      },
+      labels: [{ src: 'did:plc:labeler', val: 'nudity' }],
+    });
+  });
+
+  it('drops unknown embeds, empty labels and missing optional fields', () => {
+    const projected = projectCompactPost(
+      createUpstreamPost({
+        embed: { $type: 'app.bsky.embed.video#view', playlist: 'https://x' },
+        labels: [],
+        quoteCount: undefined,
+        record: { text: 'top-level', createdAt: '2024-01-01T00:00:00.000Z' },
+      })
+    );
+
+    expect(projected).not.toHaveProperty('embed');
+    expect(projected).not.toHaveProperty('labels');
+    expect(projected).not.toHaveProperty('quoteCount');
+    expect(projected.record).toEqual({ text: 'top-level', createdAt: '2024-01-01T00:00:00.000Z' });
+  });
+
+  it('keeps the tags, link cards and quoted text the query matches against', () => {
+    const query = parseQuery('climate');
+    const quoted = { uri: 'at://q', author: { did: 'did:plc:q' }, value: { text: 'Climate' } };
+    const image = { thumb: 'https://t', fullsize: 'https://f', alt: 'climate map' };
+    const posts = [
+      createUpstreamPost({ record: { text: 'see', createdAt: 'x', tags: ['climate'] } }),
+      createUpstreamPost({
+        embed: {
+          $type: 'app.bsky.embed.external#view',
+          external: { uri: 'https://x', title: 'Climate report', description: '', thumb: 't' },
+        },
+      }),
+      createUpstreamPost({ embed: { $type: 'app.bsky.embed.record#view', record: quoted } }),
+      createUpstreamPost({
+        embed: {
+          $type: 'app.bsky.embed.recordWithMedia#view',
+          record: { record: { ...quoted, value: { text: 'no match' } } },
+          media: { $type: 'app.bsky.embed.images#view', images: [image] },
+        },
+      }),
+    ];
+
+    posts.forEach((post) => {
+      expect(matchesQuery(query, post)).toBe(true);
+      expect(matchesQuery(query, projectCompactPost(post))).toBe(true);
+    });
+    expect(projectCompactPost(posts[2]).embed).toEqual({
+      $type: 'app.bsky.embed.record#view',
+      record: { value: { text: 'Climate' } },
+    });
+  });
+
+  it('tolerates posts with missing author or record objects', () => {
+    expect(projectCompactPost({ uri: 'at://x' })).toEqual({ uri: 'at://x', author: {}, record: {} });
+  });
+});
+
+// ============================================================================
+// projectSearchPayload
+// ============================================================================
+describe('projectSearchPayload', () => {
+  it('projects posts and keeps cursor and hit totals in compact view', () => {
+    const payload = { posts: [createUpstreamPost()], cursor: '100', hitsTotal: 5 };
+    const projected = projectSearchPayload(payload, 'compact');
+
+    expect(projected.cursor).toBe('100');
+    expect(projected.hitsTotal).toBe(5);
+    expect(projected.posts[0]).not.toHaveProperty('cid');
+    expect(payload.posts[0]).toHaveProperty('cid');
+  });
+
+  it('returns the payload untouched for the full view or malformed payloads', () => {
+    const payload = { posts: [createUpstreamPost()] };
+
+    expect(projectSearchPayload(payload, 'full')).toBe(payload);
+    expect(projectSearchPayload(payload, '')).toBe(payload);
+    expect(projectSearchPayload(null, 'compact')).toBeNull();
+  });
+});
+
+// ============================================================================
+// Compatibility with the frontend helpers
+// ============================================================================
+describe('compact posts with frontend helpers', () => {
+  const older = createUpstreamPost({
+    uri: 'at://did:plc:abc/app.bsky.feed.post/older',
+    likeCount: 10,
+    record: { text: 'older', createdAt: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString() },
+  });
+  const newer = createUpstreamPost({
+    uri: 'at://did:plc:abc/app.bsky.feed.post/newer',
+    likeCount: 1,
+    record: { text: 'newer', createdAt: new Date(Date.now() - 60 * 1000).toISOString() },
+  });
+  const stale = createUpstreamPost({
+    uri: 'at://did:plc:abc/app.bsky.feed.post/stale',
+    record: { text: 'stale', createdAt: new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString() },
+  });
+
+  function compact(posts) {
+    return posts.map((post) => projectCompactPost(post));
+  }
+
+  it('sorts and filters the same as the full posts', () => {
+    const full = [older, newer, stale];
+
+    expect(sortPosts(compact(full), 'latest').map((post) => post.uri)).toEqual(
+      sortPosts(full, 'latest').map((post) => post.uri)
+    );
+    expect(sortPosts(compact(full), 'top').map((post) => post.uri)).toEqual(
+      sortPosts(full, 'top').map((post) => post.uri)
+    );
+    expect(filterByDate(compact(full), 24).map((post) => post.uri)).toEqual(
+      filterByDate(full, 24).map((post) => post.uri)
+    );
+    expect(filterByLikes(compact(full), 5).map((post) => post.uri)).toEqual([older.uri]);
+  });
+
+  it('deduplicates by URI and merges matched terms', () => {
+    const posts = [
+      { ...projectCompactPost(older), matchedTerm: 'a' },
+      { ...projectCompactPost(older), matchedTerm: 'b' },
+      { ...projectCompactPost(newer), matchedTerm: 'a' },
+    ];
+
+    const deduplicated = deduplicatePosts(posts);
+    expect(deduplicated).toHaveLength(2);
+    expect(deduplicated[0].matchedTerms).toEqual(['a', 'b']);
+  });
+
+  it('keeps the timestamp, post URL and reply detection intact', () => {
+    const post = createUpstreamPost();
+    const projected = projectCompactPost(post);
+
+    expect(getPostTimestamp(projected)).toBe(getPostTimestamp(post));
+    expect(getPostUrl(projected)).toBe(getPostUrl(post));
+    expect(isReplyPost(projected)).toBe(true);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Per-client rate limiter tests for the search proxy
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const { createTokenBucketLimiter, getClientIp } = await import('../api/_lib/rate-limit.js');
+
+// Stand-in for a remote key-value service: values round-trip through JSON like a real one.
+function createJsonKeyValueStandIn() {
+  const data = new Map();
+  return {
+    data,
+    async get(key) {
+      const raw = data.get(key);
+      return raw === undefined ? null : JSON.parse(raw);
+    },
+    async set(key, value) {
+      data.set(key, JSON.stringify(value));
+    },
+  };
+}
+
+// ============================================================================
+// createTokenBucketLimiter
+// ============================================================================
+describe('createTokenBucketLimiter', () => {
+  function createClock(start = 1_000_000) {
+    const clock = { time: start, now: () => clock.time };
+    return clock;
+  }
+
+  it('allows a burst and then rejects with a retry delay', async () => {
+    const clock = createClock();
+    const limiter = createTokenBucketLimiter({ burst: 3, refillPerSecond: 1, now: clock.now });
+
+    expect((await limiter.consume('a')).remaining).toBe(2);
+    expect((await limiter.consume('a')).remaining).toBe(1);
+    expect((await limiter.consume('a')).allowed).toBe(true);
+
+    const rejected = await limiter.consume('a');
+    expect(rejected.allowed).toBe(false);
+    expect(rejected.retryAfterMs).toBe(1000);
+  });
+
+  it('refills tokens over time up to the burst size', async () => {
+    const clock = createClock();
+    const limiter = createTokenBucketLimiter({ burst: 2, refillPerSecond: 0.5, now: clock.now });
+
+    await limiter.consume('a');
+    await limiter.consume('a');
+    expect((await limiter.consume('a')).allowed).toBe(false);
+
+    clock.time += 2000;
+    expect((await limiter.consume('a')).allowed).toBe(true);
+
+    clock.time += 60_000;
+    expect((await limiter.consume('a')).remaining).toBe(1);
+  });
+
+  it('charges multi-token requests and caps the cost at the burst size', async () => {
+    const clock = createClock();
+    const limiter = createTokenBucketLimiter({ burst: 5, refillPerSecond: 1, now: clock.now });
+
+    expect((await limiter.consume('a', 3)).remaining).toBe(2);
+    const rejected = await limiter.consume('a', 3);
+    expect(rejected.allowed).toBe(false);
+    expect(rejected.retryAfterMs).toBe(1000);
+
+    clock.time += 60_000;
+    expect((await limiter.consume('a', 50)).allowed).toBe(true);
+    expect((await limiter.consume('a')).allowed).toBe(false);
+  });
+
+  it('keeps separate buckets per client', async () => {
+    const limiter = createTokenBucketLimiter({ burst: 1, refillPerSecond: 1, now: () => 0 });
+
+    expect((await limiter.consume('a')).allowed).toBe(true);
+    expect((await limiter.consume('a')).allowed).toBe(false);
+    expect((await limiter.consume('b')).allowed).toBe(true);
+  });
+
+  it('works against a JSON key-value stand-in', async () => {
+    const store = createJsonKeyValueStandIn();
+    const limiter = createTokenBucketLimiter({ store, burst: 1, refillPerSecond: 1, now: () => 0 });
+
+    expect((await limiter.consume('203.0.113.7')).allowed).toBe(true);
+    expect((await limiter.consume('203.0.113.7')).allowed).toBe(false);
+    expect([...store.data.keys()]).toEqual(['ratelimit:203.0.113.7']);
+  });
+});
+
+// ============================================================================
+// getClientIp
+// ============================================================================
+describe('getClientIp', () => {
+  it('uses the leftmost X-Forwarded-For entry', () => {
+    const req = { headers: { 'x-forwarded-for': '198.51.100.1, 10.0.0.1' } };
+    expect(getClientIp(req)).toBe('198.51.100.1');
+  });
+
+  it('falls back to X-Real-IP, then the socket address', () => {
+    expect(getClientIp({ headers: { 'x-real-ip': '198.51.100.2' } })).toBe('198.51.100.2');
+    expect(getClientIp({ headers: {}, socket: { remoteAddress: '127.0.0.1' } })).toBe('127.0.0.1');
+    expect(getClientIp({})).toBe('unknown');
+  });
+});
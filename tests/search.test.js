@@ -16,18 +16,29 @@ const { testUtils } = searchModule;
 const {
   getQueryString,
   stripControlChars,
+  parseSearchFilters,
   getSearchCacheKey,
   isSessionExpired,
   getCachedSearchResult,
   cleanupSearchCache,
   enforceSearchCacheLimit,
   searchResultsCache,
+  inFlightSearches,
   SEARCH_CACHE_TTL_MS,
+  SEARCH_CACHE_STALE_TTL_MS,
   MAX_SEARCH_CACHE_SIZE,
   UPSTREAM_TIMEOUT_MS,
   UPSTREAM_TIMEOUT_ERROR_CODE,
   fetchWithTimeout,
   isUpstreamTimeoutError,
+  parseRateLimitHeaders,
+  parseRetryAfterMs,
+  getRetryDelayMs,
+  UPSTREAM_RETRY_MAX_ATTEMPTS,
+  CLIENT_RATE_LIMIT_BURST,
+  setClientRateLimitStore,
+  setSharedCacheStore,
+  SESSION_TTL_MS,
   resetModuleStateForTests,
 } = testUtils;
 
@@ -190,6 +201,706 @@ describe('search handler timeout mapping', () => {
   });
 });
 
+// ============================================================================
+// handler in-flight coalescing
+// ============================================================================
+describe('search handler in-flight coalescing', () => {
+  function createDeferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  }
+
+  function mockUpstream(onSearch) {
+    global.fetch = vi.fn((url, options = {}) => {
+      if (url.includes('/com.atproto.server.createSession')) {
+        return Promise.resolve({
+          ok: true,
+          json: async () => ({ accessJwt: 'access-token', refreshJwt: 'refresh-token' }),
+        });
+      }
+      if (url.includes('/app.bsky.feed.searchPosts')) {
+        return onSearch(url, options);
+      }
+      throw new Error(`Unexpected fetch URL in test: ${url}`);
+    });
+  }
+
+  function countSearchCalls() {
+    return global.fetch.mock.calls.filter(([url]) => url.includes('/app.bsky.feed.searchPosts'))
+      .length;
+  }
+
+  it('shares one upstream fetch between concurrent identical requests', async () => {
+    const upstream = createDeferred();
+    mockUpstream(() => upstream.promise);
+
+    const resA = createMockResponse();
+    const resB = createMockResponse();
+    const first = searchHandler({ method: 'GET', query: { term: 'shared' } }, resA);
+    const second = searchHandler({ method: 'GET', query: { term: 'shared' } }, resB);
+
+    await vi.waitFor(() => expect(countSearchCalls()).toBe(1));
+    expect(inFlightSearches.size).toBe(1);
+
+    upstream.resolve({ ok: true, status: 200, json: async () => ({ posts: [{ uri: 'at://1' }] }) });
+    await Promise.all([first, second]);
+
+    expect(countSearchCalls()).toBe(1);
+    expect(resA.statusCode).toBe(200);
+    expect(resB.statusCode).toBe(200);
+    expect(resA.body).toEqual({ posts: [{ uri: 'at://1' }] });
+    expect(resB.body).toEqual(resA.body);
+    expect(inFlightSearches.size).toBe(0);
+  });
+
+  it('does not coalesce requests with different parameters', async () => {
+    mockUpstream(async () => ({ ok: true, status: 200, json: async () => ({ posts: [] }) }));
+
+    await Promise.all([
+      searchHandler({ method: 'GET', query: { term: 'one' } }, createMockResponse()),
+      searchHandler({ method: 'GET', query: { term: 'one', sort: 'latest' } }, createMockResponse()),
+      searchHandler({ method: 'GET', query: { term: 'two' } }, createMockResponse()),
+    ]);
+
+    expect(countSearchCalls()).toBe(3);
+  });
+
+  it('propagates upstream error responses to every waiting caller', async () => {
+    const upstream = createDeferred();
+    mockUpstream(() => upstream.promise);
+
+    const resA = createMockResponse();
+    const resB = createMockResponse();
+    const pending = Promise.all([
+      searchHandler({ method: 'GET', query: { term: 'broken' } }, resA),
+      searchHandler({ method: 'GET', query: { term: 'broken' } }, resB),
+    ]);
+
+    await vi.waitFor(() => expect(countSearchCalls()).toBe(1));
+    upstream.resolve({ ok: false, status: 400, json: async () => ({ message: 'Bad query' }) });
+    await pending;
+
+    expect(resA.statusCode).toBe(400);
+    expect(resB.statusCode).toBe(400);
+    expect(resB.body).toEqual({ error: 'Bad query' });
+    expect(searchResultsCache.size).toBe(0);
+  });
+
+  it('maps a shared upstream timeout to 504 for every caller and allows a retry', async () => {
+    vi.useFakeTimers();
+    mockUpstream(
+      (_url, options) =>
+        new Promise((_resolve, reject) => {
+          options.signal.addEventListener(
+            'abort',
+            () => {
+              const abortError = new Error('Aborted');
+              abortError.name = 'AbortError';
+              reject(abortError);
+            },
+            { once: true },
+          );
+        }),
+    );
+
+    const resA = createMockResponse();
+    const resB = createMockResponse();
+    const pending = Promise.all([
+      searchHandler({ method: 'GET', query: { term: 'slow' } }, resA),
+      searchHandler({ method: 'GET', query: { term: 'slow' } }, resB),
+    ]);
+    await vi.advanceTimersByTimeAsync(UPSTREAM_TIMEOUT_MS + 1);
+    await pending;
+
+    expect(countSearchCalls()).toBe(1);
+    expect(resA.statusCode).toBe(504);
+    expect(resB.statusCode).toBe(504);
+    expect(inFlightSearches.size).toBe(0);
+
+    const retry = searchHandler({ method: 'GET', query: { term: 'slow' } }, createMockResponse());
+    await vi.advanceTimersByTimeAsync(UPSTREAM_TIMEOUT_MS + 1);
+    await retry;
+    expect(countSearchCalls()).toBe(2);
+  });
+});
+
+// ============================================================================
+// handler stale-while-revalidate
+// ============================================================================
+describe('search handler stale-while-revalidate', () => {
+  function mockUpstream(posts) {
+    global.fetch = vi.fn(async (url) => {
+      if (url.includes('/com.atproto.server.createSession')) {
+        return {
+          ok: true,
+          json: async () => ({ accessJwt: 'access-token', refreshJwt: 'refresh-token' }),
+        };
+      }
+      if (url.includes('/app.bsky.feed.searchPosts')) {
+        return { ok: true, status: 200, json: async () => ({ posts }) };
+      }
+      throw new Error(`Unexpected fetch URL in test: ${url}`);
+    });
+  }
+
+  function seedCache(term, data, ageMs) {
+    searchResultsCache.set(getSearchCacheKey(term, '', 'top', {}), {
+      data,
+      timestamp: Date.now() - ageMs,
+    });
+  }
+
+  it('reports MISS and caches the upstream result', async () => {
+    mockUpstream([{ uri: 'at://new' }]);
+    const res = createMockResponse();
+
+    await searchHandler({ method: 'GET', query: { term: 'swr' } }, res);
+
+    expect(res.headers['X-Cache']).toBe('MISS');
+    expect(getCachedSearchResult(getSearchCacheKey('swr', '', 'top', {})).stale).toBe(false);
+  });
+
+  it('serves fresh entries as HIT without calling upstream', async () => {
+    mockUpstream([{ uri: 'at://new' }]);
+    seedCache('swr', { posts: [{ uri: 'at://cached' }] }, 1000);
+    const res = createMockResponse();
+
+    await searchHandler({ method: 'GET', query: { term: 'swr' } }, res);
+
+    expect(res.headers['X-Cache']).toBe('HIT');
+    expect(res.body).toEqual({ posts: [{ uri: 'at://cached' }] });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('serves stale entries immediately and refreshes them in the background', async () => {
+    mockUpstream([{ uri: 'at://new' }]);
+    seedCache('swr', { posts: [{ uri: 'at://cached' }] }, SEARCH_CACHE_TTL_MS + 1000);
+    const res = createMockResponse();
+
+    await searchHandler({ method: 'GET', query: { term: 'swr' } }, res);
+
+    expect(res.headers['X-Cache']).toBe('STALE');
+    expect(res.body).toEqual({ posts: [{ uri: 'at://cached' }] });
+
+    const cacheKey = getSearchCacheKey('swr', '', 'top', {});
+    await vi.waitFor(() => expect(inFlightSearches.size).toBe(0));
+    expect(getCachedSearchResult(cacheKey)).toEqual({
+      data: { posts: [{ uri: 'at://new' }] },
+      stale: false,
+    });
+  });
+
+  it('refetches entries past the hard limit', async () => {
+    mockUpstream([{ uri: 'at://new' }]);
+    seedCache('swr', { posts: [{ uri: 'at://cached' }] }, SEARCH_CACHE_STALE_TTL_MS + 1000);
+    const res = createMockResponse();
+
+    await searchHandler({ method: 'GET', query: { term: 'swr' } }, res);
+
+    expect(res.headers['X-Cache']).toBe('MISS');
+    expect(res.body).toEqual({ posts: [{ uri: 'at://new' }] });
+  });
+});
+
+// ============================================================================
+// upstream retry policy
+// ============================================================================
+describe('upstream retry policy', () => {
+  function upstreamResponse(status, headers = {}, body = { posts: [] }) {
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: new Headers(headers),
+      json: async () => body,
+    };
+  }
+
+  function mockUpstream(searchResponses) {
+    const queue = [...searchResponses];
+    global.fetch = vi.fn(async (url) => {
+      if (url.includes('/com.atproto.server.createSession')) {
+        return {
+          ok: true,
+          json: async () => ({ accessJwt: 'access-token', refreshJwt: 'refresh-token' }),
+        };
+      }
+      if (url.includes('/app.bsky.feed.searchPosts')) {
+        return queue.length > 1 ? queue.shift() : queue[0];
+      }
+      throw new Error(`Unexpected fetch URL in test: ${url}`);
+    });
+  }
+
+  function countSearchCalls() {
+    return global.fetch.mock.calls.filter(([url]) => url.includes('/app.bsky.feed.searchPosts'))
+      .length;
+  }
+
+  it('parses Bluesky rate-limit headers', () => {
+    const headers = new Headers({
+      'ratelimit-limit': '3000',
+      'ratelimit-remaining': '12',
+      'ratelimit-reset': '1700000000',
+    });
+    expect(parseRateLimitHeaders(headers)).toEqual({ limit: 3000, remaining: 12, reset: 1700000000 });
+    expect(parseRateLimitHeaders(new Headers())).toBeNull();
+    expect(parseRateLimitHeaders(undefined)).toBeNull();
+  });
+
+  it('parses Retry-After as seconds or HTTP date', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    expect(parseRetryAfterMs(new Headers({ 'retry-after': '3' }), now)).toBe(3000);
+    expect(
+      parseRetryAfterMs(new Headers({ 'retry-after': 'Thu, 01 Jan 2026 00:00:05 GMT' }), now),
+    ).toBe(5000);
+    expect(parseRetryAfterMs(new Headers(), now)).toBeNull();
+  });
+
+  it('prefers server hints over backoff when computing delays', () => {
+    const now = 1_700_000_000_000;
+    expect(getRetryDelayMs(upstreamResponse(429, { 'retry-after': '2' }), 0, now)).toBe(2000);
+    expect(
+      getRetryDelayMs(
+        upstreamResponse(429, {
+          'ratelimit-remaining': '0',
+          'ratelimit-reset': String(now / 1000 + 4),
+        }),
+        0,
+        now,
+      ),
+    ).toBe(4000);
+
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+    expect(getRetryDelayMs(upstreamResponse(503), 0, now)).toBe(250);
+    expect(getRetryDelayMs(upstreamResponse(503), 2, now)).toBe(1000);
+  });
+
+  it('retries transient upstream failures and returns the eventual success', async () => {
+    vi.useFakeTimers();
+    mockUpstream([
+      upstreamResponse(503),
+      upstreamResponse(200, {}, { posts: [{ uri: 'at://ok' }] }),
+    ]);
+    const res = createMockResponse();
+
+    const pending = searchHandler({ method: 'GET', query: { term: 'retry' } }, res);
+    await vi.advanceTimersByTimeAsync(1000);
+    await pending;
+
+    expect(countSearchCalls()).toBe(2);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ posts: [{ uri: 'at://ok' }] });
+  });
+
+  it('stops after the maximum number of attempts', async () => {
+    vi.useFakeTimers();
+    mockUpstream([upstreamResponse(500, {}, { message: 'Internal' })]);
+    const res = createMockResponse();
+
+    const pending = searchHandler({ method: 'GET', query: { term: 'retry' } }, res);
+    await vi.advanceTimersByTimeAsync(5000);
+    await pending;
+
+    expect(countSearchCalls()).toBe(UPSTREAM_RETRY_MAX_ATTEMPTS);
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({ error: 'Internal' });
+  });
+
+  it('does not retry when the rate-limit reset falls outside the time budget', async () => {
+    const resetSeconds = Math.floor(Date.now() / 1000) + 60;
+    mockUpstream([
+      upstreamResponse(
+        429,
+        {
+          'ratelimit-limit': '3000',
+          'ratelimit-remaining': '0',
+          'ratelimit-reset': String(resetSeconds),
+          'retry-after': '60',
+        },
+        { message: 'Rate Limit Exceeded' },
+      ),
+    ]);
+    const res = createMockResponse();
+
+    await searchHandler({ method: 'GET', query: { term: 'limited' } }, res);
+
+    expect(countSearchCalls()).toBe(1);
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['Retry-After']).toBe('60');
+    expect(res.headers['X-RateLimit-Remaining']).toBe('0');
+    expect(res.headers['X-RateLimit-Limit']).toBe('3000');
+    expect(res.headers['X-RateLimit-Reset']).toBe(String(resetSeconds));
+  });
+
+  it('does not retry client errors', async () => {
+    mockUpstream([upstreamResponse(400, {}, { message: 'Bad query' })]);
+    const res = createMockResponse();
+
+    await searchHandler({ method: 'GET', query: { term: 'bad' } }, res);
+
+    expect(countSearchCalls()).toBe(1);
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('exposes the last known budget on cache hits', async () => {
+    mockUpstream([
+      upstreamResponse(200, { 'ratelimit-limit': '3000', 'ratelimit-remaining': '2500' }),
+    ]);
+
+    await searchHandler({ method: 'GET', query: { term: 'budget' } }, createMockResponse());
+    const res = createMockResponse();
+    await searchHandler({ method: 'GET', query: { term: 'budget' } }, res);
+
+    expect(res.headers['X-Cache']).toBe('HIT');
+    expect(res.headers['X-RateLimit-Remaining']).toBe('2500');
+  });
+});
+
+// ============================================================================
+// handler per-client rate limiting
+// ============================================================================
+describe('search handler per-client rate limiting', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn(async (url) => {
+      if (url.includes('/com.atproto.server.createSession')) {
+        return {
+          ok: true,
+          json: async () => ({ accessJwt: 'access-token', refreshJwt: 'refresh-token' }),
+        };
+      }
+      return { ok: true, status: 200, json: async () => ({ posts: [] }) };
+    });
+  });
+
+  function requestFrom(ip) {
+    return { method: 'GET', headers: { 'x-forwarded-for': ip }, query: { term: 'limit' } };
+  }
+
+  it('returns 429 with Retry-After once a client exhausts its burst', async () => {
+    for (let i = 0; i < CLIENT_RATE_LIMIT_BURST; i += 1) {
+      const res = createMockResponse();
+      await searchHandler(requestFrom('198.51.100.10'), res);
+      expect(res.statusCode).toBe(200);
+    }
+
+    const res = createMockResponse();
+    await searchHandler(requestFrom('198.51.100.10'), res);
+    expect(res.statusCode).toBe(429);
+    expect(res.body.error).toMatch(/Too many requests/);
+    expect(Number(res.headers['Retry-After'])).toBeGreaterThanOrEqual(1);
+
+    const other = createMockResponse();
+    await searchHandler(requestFrom('198.51.100.11'), other);
+    expect(other.statusCode).toBe(200);
+  });
+
+  it('fails open when the limiter store errors', async () => {
+    setClientRateLimitStore({
+      get: async () => {
+        throw new Error('store down');
+      },
+      set: async () => {},
+    });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const res = createMockResponse();
+
+    await searchHandler(requestFrom('198.51.100.12'), res);
+
+    expect(res.statusCode).toBe(200);
+  });
+});
+
+// ============================================================================
+// handler shared cache backend
+// ============================================================================
+describe('search handler shared cache backend', () => {
+  function createSharedStandIn() {
+    const data = new Map();
+    return {
+      kind: 'redis',
+      data,
+      get: vi.fn(async (key) => data.get(key) ?? null),
+      set: vi.fn(async (key, value) => {
+        data.set(key, value);
+      }),
+      delete: vi.fn(async (key) => {
+        data.delete(key);
+      }),
+    };
+  }
+
+  function mockUpstream() {
+    global.fetch = vi.fn(async (url) => {
+      if (url.includes('/com.atproto.server.createSession')) {
+        return {
+          ok: true,
+          json: async () => ({ accessJwt: 'created-token', refreshJwt: 'refresh-token' }),
+        };
+      }
+      if (url.includes('/app.bsky.feed.searchPosts')) {
+        return {
+          ok: true,
+          status: 200,
+          json: async () => ({ posts: [{ uri: 'at://upstream' }] }),
+        };
+      }
+      throw new Error(`Unexpected fetch URL in test: ${url}`);
+    });
+  }
+
+  it('writes the session and search pages through to the shared store', async () => {
+    const store = createSharedStandIn();
+    setSharedCacheStore(store);
+    mockUpstream();
+
+    await searchHandler({ method: 'GET', query: { term: 'shared' } }, createMockResponse());
+
+    expect(store.data.get('session:shared').session.accessJwt).toBe('created-token');
+    const cacheKey = getSearchCacheKey('shared', '', 'top', {});
+    expect(store.data.get(`search:${cacheKey}`).data).toEqual({ posts: [{ uri: 'at://upstream' }] });
+  });
+
+  it('serves cold-start requests from the shared store without calling upstream', async () => {
+    const store = createSharedStandIn();
+    const cacheKey = getSearchCacheKey('shared', '', 'top', {});
+    store.data.set(`search:${cacheKey}`, {
+      data: { posts: [{ uri: 'at://from-store' }] },
+      timestamp: Date.now(),
+    });
+    setSharedCacheStore(store);
+    mockUpstream();
+    const res = createMockResponse();
+
+    await searchHandler({ method: 'GET', query: { term: 'shared' } }, res);
+
+    expect(res.headers['X-Cache']).toBe('HIT');
+    expect(res.body).toEqual({ posts: [{ uri: 'at://from-store' }] });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('reuses a persisted session instead of creating a new one', async () => {
+    const store = createSharedStandIn();
+    store.data.set('session:shared', {
+      session: { accessJwt: 'stored-token', refreshJwt: 'stored-refresh' },
+      createdAt: Date.now() - 1000,
+    });
+    setSharedCacheStore(store);
+    mockUpstream();
+
+    await searchHandler({ method: 'GET', query: { term: 'fresh-term' } }, createMockResponse());
+
+    const urls = global.fetch.mock.calls.map(([url]) => url);
+    expect(urls.some((url) => url.includes('createSession'))).toBe(false);
+    expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer stored-token');
+  });
+
+  it('ignores persisted sessions older than the session TTL', async () => {
+    const store = createSharedStandIn();
+    store.data.set('session:shared', {
+      session: { accessJwt: 'old-token' },
+      createdAt: Date.now() - SESSION_TTL_MS - 1,
+    });
+    setSharedCacheStore(store);
+    mockUpstream();
+
+    await searchHandler({ method: 'GET', query: { term: 'fresh-term' } }, createMockResponse());
+
+    expect(global.fetch.mock.calls[0][0]).toContain('createSession');
+  });
+
+  it('keeps serving when the shared store fails', async () => {
+    const store = createSharedStandIn();
+    store.get.mockRejectedValue(new Error('store down'));
+    store.set.mockRejectedValue(new Error('store down'));
+    setSharedCacheStore(store);
+    mockUpstream();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const res = createMockResponse();
+
+    await searchHandler({ method: 'GET', query: { term: 'shared' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ posts: [{ uri: 'at://upstream' }] });
+  });
+});
+
+// ============================================================================
+// handler search filters
+// ============================================================================
+describe('search handler filters', () => {
+  function mockUpstream() {
+    const searchUrls = [];
+    global.fetch = vi.fn(async (url) => {
+      if (url.includes('/com.atproto.server.createSession')) {
+        return {
+          ok: true,
+          json: async () => ({ accessJwt: 'access-token', refreshJwt: 'refresh-token' }),
+        };
+      }
+      if (url.includes('/app.bsky.feed.searchPosts')) {
+        searchUrls.push(new URL(url));
+        return { ok: true, status: 200, json: async () => ({ posts: [] }) };
+      }
+      throw new Error(`Unexpected fetch URL in test: ${url}`);
+    });
+    return searchUrls;
+  }
+
+  it('forwards validated filters to searchPosts', async () => {
+    const searchUrls = mockUpstream();
+    const res = createMockResponse();
+
+    await searchHandler(
+      {
+        method: 'GET',
+        query: {
+          term: 'atproto',
+          author: '@Alice.bsky.social',
+          since: '2026-09-01',
+          tag: '#one, two',
+          domain: 'Example.com',
+        },
+      },
+      res,
+    );
+
+    expect(res.statusCode).toBe(200);
+    const params = searchUrls[0].searchParams;
+    expect(params.get('author')).toBe('alice.bsky.social');
+    expect(params.get('since')).toBe('2026-09-01T00:00:00.000Z');
+    expect(params.getAll('tag')).toEqual(['one', 'two']);
+    expect(params.get('domain')).toBe('example.com');
+    expect(params.has('mentions')).toBe(false);
+  });
+
+  it('rejects invalid filters before calling upstream', async () => {
+    const searchUrls = mockUpstream();
+    const res = createMockResponse();
+
+    await searchHandler({ method: 'GET', query: { term: 'atproto', url: 'ftp://x' } }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ error: 'Invalid url parameter.' });
+    expect(searchUrls).toHaveLength(0);
+  });
+});
+
+// ============================================================================
+// Compact view
+// ============================================================================
+describe('search handler compact view', () => {
+  const upstreamPost = {
+    uri: 'at://did:plc:abc/app.bsky.feed.post/1',
+    cid: 'bafy',
+    author: { did: 'did:plc:abc', handle: 'alice.bsky.social', viewer: { muted: false } },
+    record: { text: 'hi', createdAt: '2026-10-01T00:00:00.000Z', langs: ['en'] },
+    indexedAt: '2026-10-01T00:00:01.000Z',
+    likeCount: 2,
+  };
+
+  function mockUpstream() {
+    global.fetch = vi.fn(async (url) => {
+      if (url.includes('/com.atproto.server.createSession')) {
+        return { ok: true, json: async () => ({ accessJwt: 'access-token' }) };
+      }
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ posts: [upstreamPost], cursor: 'next' }),
+      };
+    });
+  }
+
+  it('projects posts when view=compact and caches the full payload', async () => {
+    mockUpstream();
+    const compactRes = createMockResponse();
+    const fullRes = createMockResponse();
+
+    await searchHandler({ method: 'GET', query: { term: 'slim', view: 'compact' } }, compactRes);
+    await searchHandler({ method: 'GET', query: { term: 'slim' } }, fullRes);
+
+    expect(compactRes.body).toEqual({
+      cursor: 'next',
+      posts: [
+        {
+          uri: upstreamPost.uri,
+          author: { handle: 'alice.bsky.social' },
+          record: { text: 'hi', createdAt: '2026-10-01T00:00:00.000Z' },
+          indexedAt: '2026-10-01T00:00:01.000Z',
+          likeCount: 2,
+        },
+      ],
+    });
+    expect(fullRes.headers['X-Cache']).toBe('HIT');
+    expect(fullRes.body.posts[0]).toEqual(upstreamPost);
+  });
+
+  it('rejects unknown views', async () => {
+    mockUpstream();
+    const res = createMockResponse();
+
+    await searchHandler({ method: 'GET', query: { term: 'slim', view: 'tiny' } }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ error: 'Invalid view parameter.' });
+  });
+});
+
+// ============================================================================
+// parseSearchFilters
+// ============================================================================
+describe('parseSearchFilters', () => {
+  it('returns empty filters when none are provided', () => {
+    expect(parseSearchFilters({ term: 'x' })).toEqual({ filters: {} });
+  });
+
+  it('accepts handles and DIDs for author and mentions', () => {
+    const { filters } = parseSearchFilters({ author: 'did:plc:abc123', mentions: 'bob.example.com' });
+    expect(filters).toEqual({ author: 'did:plc:abc123', mentions: 'bob.example.com' });
+  });
+
+  it('rejects malformed actors', () => {
+    expect(parseSearchFilters({ author: 'not a handle' }).error).toBe('Invalid author parameter.');
+    expect(parseSearchFilters({ mentions: 'did:bad' }).error).toBe('Invalid mentions parameter.');
+  });
+
+  it('normalizes dates and datetimes to ISO strings', () => {
+    const { filters } = parseSearchFilters({
+      since: '2026-09-01',
+      until: '2026-09-15T12:30:00+02:00',
+    });
+    expect(filters.since).toBe('2026-09-01T00:00:00.000Z');
+    expect(filters.until).toBe('2026-09-15T10:30:00.000Z');
+  });
+
+  it('rejects unparseable dates and inverted windows', () => {
+    expect(parseSearchFilters({ since: 'yesterday' }).error).toBe('Invalid since parameter.');
+    expect(parseSearchFilters({ since: '2026-09-15', until: '2026-09-01' }).error).toBe(
+      'The since parameter must be earlier than until.',
+    );
+  });
+
+  it('validates domain and url', () => {
+    expect(parseSearchFilters({ domain: 'bad domain' }).error).toBe('Invalid domain parameter.');
+    expect(parseSearchFilters({ url: 'javascript:alert(1)' }).error).toBe('Invalid url parameter.');
+    expect(parseSearchFilters({ url: 'https://example.com/a' }).filters.url).toBe(
+      'https://example.com/a',
+    );
+  });
+
+  it('limits tag count and length', () => {
+    const tooMany = Array.from({ length: 11 }, (_, i) => `t${i}`).join(',');
+    expect(parseSearchFilters({ tag: tooMany }).error).toBe('Invalid tag parameter.');
+    expect(parseSearchFilters({ tag: 'x'.repeat(65) }).error).toBe('Invalid tag parameter.');
+    expect(parseSearchFilters({ tag: 'has space' }).error).toBe('Invalid tag parameter.');
+  });
+});
+
 // ============================================================================
 // getQueryString
 // ============================================================================
@@ -266,6 +977,14 @@ describe('getSearchCacheKey', () => {
     expect(key1).toBe(key2);
   });
 
+  it('generates different keys for different filters', () => {
+    const key1 = getSearchCacheKey('term', null, 'top', { author: 'alice.bsky.social' });
+    const key2 = getSearchCacheKey('term', null, 'top', { mentions: 'alice.bsky.social' });
+    const key3 = getSearchCacheKey('term', null, 'top');
+    expect(key1).not.toBe(key2);
+    expect(key1).not.toBe(key3);
+  });
+
   it('returns valid JSON string', () => {
     const key = getSearchCacheKey('term', 'cursor', 'top');
     expect(() => JSON.parse(key)).not.toThrow();
@@ -308,27 +1027,45 @@ describe('searchResultsCache helpers', () => {
       timestamp: now - SEARCH_CACHE_TTL_MS + 1000,
     });
     searchResultsCache.set('stale', {
-      data: { ok: false },
+      data: { ok: true },
       timestamp: now - SEARCH_CACHE_TTL_MS - 1,
     });
+    searchResultsCache.set('expired', {
+      data: { ok: false },
+      timestamp: now - SEARCH_CACHE_STALE_TTL_MS - 1,
+    });
 
     cleanupSearchCache();
 
     expect(searchResultsCache.has('fresh')).toBe(true);
-    expect(searchResultsCache.has('stale')).toBe(false);
+    expect(searchResultsCache.has('stale')).toBe(true);
+    expect(searchResultsCache.has('expired')).toBe(false);
   });
 
-  it('drops stale entries when reading cached results', () => {
+  it('drops expired entries when reading cached results', () => {
     const now = 2_000_000;
     vi.spyOn(Date, 'now').mockReturnValue(now);
 
-    searchResultsCache.set('stale', {
+    searchResultsCache.set('expired', {
       data: { ok: false },
+      timestamp: now - SEARCH_CACHE_STALE_TTL_MS - 1,
+    });
+
+    expect(getCachedSearchResult('expired')).toBeNull();
+    expect(searchResultsCache.has('expired')).toBe(false);
+  });
+
+  it('flags entries past the fresh TTL as stale', () => {
+    const now = 2_500_000;
+    vi.spyOn(Date, 'now').mockReturnValue(now);
+
+    searchResultsCache.set('stale', {
+      data: { ok: true },
       timestamp: now - SEARCH_CACHE_TTL_MS - 1,
     });
 
-    expect(getCachedSearchResult('stale')).toBeNull();
-    expect(searchResultsCache.has('stale')).toBe(false);
+    expect(getCachedSearchResult('stale')).toEqual({ data: { ok: true }, stale: true });
+    expect(searchResultsCache.has('stale')).toBe(true);
   });
 
   it('returns fresh entries and refreshes LRU order on read', () => {
@@ -348,7 +1085,7 @@ describe('searchResultsCache helpers', () => {
       timestamp: now,
     });
 
-    expect(getCachedSearchResult('first')).toEqual({ ok: 1 });
+    expect(getCachedSearchResult('first')).toEqual({ data: { ok: 1 }, stale: false });
     expect([...searchResultsCache.keys()]).toEqual(['second', 'third', 'first']);
   });
 });
@@ -0,0 +1,221 @@
+/**
+ * Standalone server tests: static files, API routing, vercel.json rewrites and headers
+ */
+
+import { describe, it, expect, afterAll, beforeAll, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+process.env.BSKY_HANDLE = 'server-handle';
+process.env.BSKY_APP_PASSWORD = 'server-password';
+
+const {
+  applyDestination,
+  compileSourcePattern,
+  createServer,
+  discoverApiRoutes,
+  withPublicApiOrigin,
+} = await import('../server.js');
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const vercelConfig = JSON.parse(fs.readFileSync(path.join(rootDir, 'vercel.json'), 'utf8'));
+const tempDirs = [];
+
+function createTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bsky-server-test-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+async function startServer(options) {
+  const server = createServer(options);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, origin: `http://127.0.0.1:${server.address().port}` };
+}
+
+let distDir;
+let origin;
+let server;
+
+beforeAll(async () => {
+  distDir = createTempDir();
+  fs.writeFileSync(path.join(distDir, 'bluesky-term-search.html'), '<!doctype html><p>app</p>');
+  fs.writeFileSync(path.join(distDir, 'app.min.js'), 'console.log(1);');
+  ({ server, origin } = await startServer({ rootDir, distDir }));
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+// ============================================================================
+// Routing helpers
+// ============================================================================
+describe('compileSourcePattern', () => {
+  it('matches literal paths, regex groups and named params', () => {
+    expect(compileSourcePattern('/')('/')).toEqual({});
+    expect(compileSourcePattern('/')('/x')).toBeNull();
+    expect(compileSourcePattern('/(.*)')('/a/b')).toEqual({ 1: 'a/b' });
+    expect(compileSourcePattern('/.well-known/did.json')('/.well-known/didXjson')).toBeNull();
+    expect(compileSourcePattern('/p/:id')('/p/42')).toEqual({ id: '42' });
+    expect(compileSourcePattern('/docs/:path*')('/docs/a/b')).toEqual({ path: 'a/b' });
+  });
+
+  it('fills rewrite destinations from the captures', () => {
+    expect(applyDestination('/api/$1', { 1: 'x' })).toBe('/api/x');
+    expect(applyDestination('/api/post?id=:id', { id: '42' })).toBe('/api/post?id=42');
+  });
+});
+
+describe('withPublicApiOrigin', () => {
+  const policy = vercelConfig.headers[0].headers.find(
+    ({ key }) => key === 'Content-Security-Policy'
+  ).value;
+
+  it('keeps the policy for the default public AppView', () => {
+    expect(withPublicApiOrigin(policy, 'https://public.api.bsky.app/xrpc')).toBe(policy);
+  });
+
+  it('allows a configured AppView origin and plain http local mocks', () => {
+    const https = withPublicApiOrigin(policy, 'https://appview.example/xrpc');
+    expect(https).toContain(
+      "connect-src 'self' https://public.api.bsky.app https://appview.example;"
+    );
+    expect(https).toContain('upgrade-insecure-requests');
+
+    const mock = withPublicApiOrigin(policy, 'http://localhost:2584/xrpc');
+    expect(mock).toContain('https://public.api.bsky.app http://localhost:2584;');
+    expect(mock).not.toContain('upgrade-insecure-requests');
+  });
+});
+
+describe('discoverApiRoutes', () => {
+  it('maps handler files to their Vercel paths and skips _lib', () => {
+    const routes = discoverApiRoutes(path.join(rootDir, 'api'));
+
+    expect(routes.get('/api/search')).toBe(path.join(rootDir, 'api', 'search.js'));
+    expect(routes.get('/api/search/batch')).toBe(path.join(rootDir, 'api', 'search', 'batch.js'));
+    expect(routes.has('/api/feedgen/skeleton')).toBe(true);
+    expect(Array.from(routes.keys()).some((route) => route.includes('_lib'))).toBe(false);
+  });
+});
+
+// ============================================================================
+// HTTP
+// ============================================================================
+describe('standalone server', () => {
+  it('serves the app through the / rewrite with the vercel.json security headers', async () => {
+    const response = await fetch(`${origin}/`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('text/html; charset=utf-8');
+    expect(await response.text()).toContain('<p>app</p>');
+    vercelConfig.headers[0].headers.forEach(({ key, value }) => {
+      expect(response.headers.get(key)).toBe(value);
+    });
+  });
+
+  it('serves built assets and 404s anything outside the build output', async () => {
+    const asset = await fetch(`${origin}/app.min.js`);
+    expect(asset.status).toBe(200);
+    expect(asset.headers.get('content-type')).toBe('text/javascript; charset=utf-8');
+
+    expect((await fetch(`${origin}/missing.html`)).status).toBe(404);
+    expect((await fetch(`${origin}/..%2fpackage.json`)).status).toBe(404);
+    expect((await fetch(`${origin}/%2e%2e/vercel.json`)).status).toBe(404);
+    expect((await fetch(`${origin}/app.min.js`, { method: 'POST' })).status).toBe(405);
+  });
+
+  it('runs API handlers with Vercel-style req.query and res helpers', async () => {
+    const response = await fetch(`${origin}/api/search?sort=latest`);
+
+    expect(response.status).toBe(400);
+    expect(response.headers.get('content-type')).toBe('application/json; charset=utf-8');
+    expect(response.headers.get('cache-control')).toBe('no-store');
+    expect(response.headers.get('x-frame-options')).toBe('DENY');
+    expect(await response.json()).toEqual({ error: 'Missing term parameter.' });
+
+    const metrics = await fetch(`${origin}/api/metrics`);
+    expect(metrics.status).toBe(200);
+    expect(await metrics.text()).toContain('# TYPE bsky_search_responses_total counter');
+  });
+
+  it('routes the feed generator rewrites to their handlers', async () => {
+    const response = await fetch(`${origin}/xrpc/app.bsky.feed.describeFeedGenerator`);
+
+    expect(response.status).toBe(501);
+    expect(await response.json()).toEqual({
+      error: 'MethodNotImplemented',
+      message: 'Feed generator is not configured.',
+    });
+    expect((await fetch(`${origin}/.well-known/did.json`)).status).toBe(404);
+  });
+
+  it('drops forwarded client headers unless the proxy is trusted', async () => {
+    const apiDir = path.join(createTempDir(), 'api');
+    fs.mkdirSync(apiDir);
+    fs.writeFileSync(path.join(path.dirname(apiDir), 'vercel.json'), '{}');
+    fs.writeFileSync(
+      path.join(apiDir, 'echo.js'),
+      "module.exports = (req, res) =>\n" +
+        "  res.json({ ip: req.headers['x-forwarded-for'] || null, query: req.query });"
+    );
+    const headers = { 'X-Forwarded-For': '203.0.113.9' };
+
+    const direct = await startServer({ rootDir: path.dirname(apiDir) });
+    const proxied = await startServer({ rootDir: path.dirname(apiDir), trustProxy: true });
+    try {
+      expect(await (await fetch(`${direct.origin}/api/echo?t=a&t=b`, { headers })).json()).toEqual(
+        { ip: null, query: { t: ['a', 'b'] } }
+      );
+      expect(await (await fetch(`${proxied.origin}/api/echo`, { headers })).json()).toEqual({
+        ip: '203.0.113.9',
+        query: {},
+      });
+    } finally {
+      await new Promise((resolve) => direct.server.close(resolve));
+      await new Promise((resolve) => proxied.server.close(resolve));
+    }
+  });
+
+  it('parses JSON bodies and turns handler failures into a 500', async () => {
+    const apiDir = path.join(createTempDir(), 'api');
+    fs.mkdirSync(apiDir);
+    fs.writeFileSync(path.join(path.dirname(apiDir), 'vercel.json'), '{}');
+    fs.writeFileSync(
+      path.join(apiDir, 'echo.js'),
+      'module.exports = (req, res) => res.send(req.body);'
+    );
+    fs.writeFileSync(
+      path.join(apiDir, 'boom.js'),
+      "module.exports = async () => { throw new Error('boom'); };"
+    );
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const app = await startServer({ rootDir: path.dirname(apiDir) });
+
+    try {
+      const echoed = await fetch(`${app.origin}/api/echo`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ hello: 'world' }),
+      });
+      expect(await echoed.json()).toEqual({ hello: 'world' });
+
+      const invalid = await fetch(`${app.origin}/api/echo`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{',
+      });
+      expect(invalid.status).toBe(400);
+
+      const failed = await fetch(`${app.origin}/api/boom`);
+      expect(failed.status).toBe(500);
+      expect(await failed.json()).toEqual({ error: 'Server error.' });
+    } finally {
+      await new Promise((resolve) => app.server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,416 @@
+/**
+ * Live search stream tests: the shared polling hub and the /api/stream SSE handler
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'node:events';
+
+process.env.BSKY_HANDLE = 'stream-handle';
+process.env.BSKY_APP_PASSWORD = 'stream-app-password';
+process.env.STREAM_MAX_DURATION_SECONDS = '90';
+
+const { createStreamHub } = await import('../api/_lib/stream-hub.js');
+const streamModule = await import('../api/stream.js');
+const streamHandler = streamModule.default;
+const {
+  STREAM_MAX_DURATION_MS,
+  STREAM_POLL_INTERVAL_MS,
+  getStreamKey,
+  getSubscriberSince,
+  parseStreamInterval,
+  resetStreamHub,
+} = streamModule.testUtils;
+const { resetModuleStateForTests } = (await import('../api/search.js')).testUtils;
+
+const originalFetch = global.fetch;
+
+function createPost(uri, minutesAgo = 0) {
+  return { uri, indexedAt: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString() };
+}
+
+function createSubscriber(overrides = {}) {
+  return {
+    since: null,
+    onPosts: vi.fn(),
+    onError: vi.fn(),
+    ...overrides,
+  };
+}
+
+function createStreamRequest(query, headers = {}) {
+  const req = new EventEmitter();
+  req.method = 'GET';
+  req.query = query;
+  req.headers = headers;
+  return req;
+}
+
+function createStreamResponse() {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    chunks: [],
+    ended: false,
+    setHeader: vi.fn((key, value) => {
+      res.headers[key] = value;
+      return res;
+    }),
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    write: vi.fn((chunk) => {
+      res.chunks.push(chunk);
+      return true;
+    }),
+    end: vi.fn(() => {
+      res.ended = true;
+    }),
+  };
+  return res;
+}
+
+// Parse the `event:`/`data:` messages written so far.
+function getEvents(res) {
+  return res.chunks
+    .join('')
+    .split('\n\n')
+    .map((block) => {
+      const event = block.match(/^event: (.*)$/m)?.[1];
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      const id = block.match(/^id: (.*)$/m)?.[1];
+      return event ? { event, id, data: JSON.parse(data) } : null;
+    })
+    .filter(Boolean);
+}
+
+beforeEach(() => {
+  resetModuleStateForTests();
+  resetStreamHub();
+});
+
+afterEach(() => {
+  global.fetch = originalFetch;
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+// ============================================================================
+// createStreamHub
+// ============================================================================
+describe('createStreamHub', () => {
+  it('shares one polling loop between subscribers of the same search', async () => {
+    vi.useFakeTimers();
+    const poll = vi.fn(async () => ({ posts: [] }));
+    const hub = createStreamHub({ poll, intervalMs: 1000 });
+
+    const unsubscribeA = hub.subscribe('k', {}, createSubscriber());
+    const unsubscribeB = hub.subscribe('k', {}, createSubscriber());
+    await vi.advanceTimersByTimeAsync(3000);
+
+    expect(poll).toHaveBeenCalledTimes(4);
+    expect(hub.channelCount).toBe(1);
+    expect(hub.subscriberCount).toBe(2);
+
+    unsubscribeA();
+    unsubscribeB();
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(poll).toHaveBeenCalledTimes(4);
+    expect(hub.channelCount).toBe(0);
+  });
+
+  it('keeps an idle channel for reconnects and closes it after idleMs', async () => {
+    vi.useFakeTimers();
+    const poll = vi.fn(async () => ({ posts: [createPost('at://1')] }));
+    const hub = createStreamHub({ poll, intervalMs: 1000, idleMs: 1500 });
+
+    hub.subscribe('k', {}, createSubscriber())();
+    await vi.advanceTimersByTimeAsync(1000);
+    const returning = createSubscriber({ since: Date.now() - 60000 });
+    const unsubscribe = hub.subscribe('k', {}, returning);
+
+    expect(poll).toHaveBeenCalledTimes(2);
+    expect(returning.onPosts).toHaveBeenCalledWith(
+      [expect.objectContaining({ uri: 'at://1' })],
+      Date.now(),
+      false
+    );
+
+    unsubscribe();
+    await vi.advanceTimersByTimeAsync(1500);
+    expect(hub.channelCount).toBe(0);
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(poll).toHaveBeenCalledTimes(3);
+  });
+
+  it('polls each channel at its own interval and flags the first poll', async () => {
+    vi.useFakeTimers();
+    const poll = vi.fn(async () => ({ posts: [] }));
+    const hub = createStreamHub({ poll, intervalMs: 1000 });
+
+    const unsubscribe = hub.subscribe('slow', { id: 'slow' }, createSubscriber(), {
+      intervalMs: 5000,
+    });
+    await vi.advanceTimersByTimeAsync(5000);
+    unsubscribe();
+
+    expect(poll.mock.calls).toEqual([
+      [{ id: 'slow' }, { initial: true }],
+      [{ id: 'slow' }, { initial: false }],
+    ]);
+  });
+
+  it('tells subscribers when a poll came from the fallback AppView', async () => {
+    vi.useFakeTimers();
+    const poll = vi
+      .fn()
+      .mockResolvedValueOnce({ posts: [createPost('at://1')], degraded: true })
+      .mockResolvedValue({ posts: [createPost('at://2')], degraded: false });
+    const hub = createStreamHub({ poll, intervalMs: 1000 });
+    const subscriber = createSubscriber();
+
+    const unsubscribe = hub.subscribe('k', {}, subscriber);
+    await vi.advanceTimersByTimeAsync(1000);
+    unsubscribe();
+
+    expect(subscriber.onPosts.mock.calls.map(([, , degraded]) => degraded)).toEqual([true, false]);
+  });
+
+  it('pushes only URIs the channel has not seen', async () => {
+    vi.useFakeTimers();
+    const rounds = [
+      [createPost('at://1'), createPost('at://2')],
+      [createPost('at://2'), createPost('at://3')],
+      [createPost('at://3')],
+    ];
+    const poll = vi.fn(async () => ({ posts: rounds.shift() || [] }));
+    const hub = createStreamHub({ poll, intervalMs: 1000 });
+    const subscriber = createSubscriber({ since: Date.now() });
+
+    const unsubscribe = hub.subscribe('k', {}, subscriber);
+    await vi.advanceTimersByTimeAsync(2000);
+    unsubscribe();
+
+    const delivered = subscriber.onPosts.mock.calls.map(([posts]) => posts.map((p) => p.uri));
+    expect(delivered).toEqual([['at://1', 'at://2'], ['at://3']]);
+  });
+
+  it('applies the subscriber watermark to the first delivery only', async () => {
+    vi.useFakeTimers();
+    const rounds = [
+      [createPost('at://old', 60), createPost('at://recent', 1)],
+      [createPost('at://late-indexed', 120)],
+    ];
+    const poll = vi.fn(async () => ({ posts: rounds.shift() || [] }));
+    const hub = createStreamHub({ poll, intervalMs: 1000 });
+    const subscriber = createSubscriber({ since: Date.now() - 2 * 60 * 1000 });
+
+    const unsubscribe = hub.subscribe('k', {}, subscriber);
+    await vi.advanceTimersByTimeAsync(1000);
+    unsubscribe();
+
+    const delivered = subscriber.onPosts.mock.calls.map(([posts]) => posts.map((p) => p.uri));
+    expect(delivered).toEqual([['at://recent'], ['at://late-indexed']]);
+  });
+
+  it('catches late joiners up from the last poll', async () => {
+    vi.useFakeTimers();
+    const poll = vi.fn(async () => ({ posts: [createPost('at://1')] }));
+    const hub = createStreamHub({ poll, intervalMs: 1000 });
+
+    const unsubscribeA = hub.subscribe('k', {}, createSubscriber());
+    await vi.advanceTimersByTimeAsync(0);
+    const late = createSubscriber({ since: Date.now() - 1000 });
+    const unsubscribeB = hub.subscribe('k', {}, late);
+    unsubscribeA();
+    unsubscribeB();
+
+    expect(late.onPosts).toHaveBeenCalledWith(
+      [expect.objectContaining({ uri: 'at://1' })],
+      Date.now(),
+      false
+    );
+  });
+
+  it('reports poll errors without closing the channel', async () => {
+    vi.useFakeTimers();
+    const poll = vi
+      .fn()
+      .mockResolvedValueOnce({ posts: [], error: 'Upstream down' })
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValue({ posts: [createPost('at://1')] });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const hub = createStreamHub({ poll, intervalMs: 1000 });
+    const subscriber = createSubscriber();
+
+    const unsubscribe = hub.subscribe('k', {}, subscriber);
+    await vi.advanceTimersByTimeAsync(2000);
+    unsubscribe();
+
+    expect(subscriber.onError.mock.calls).toEqual([['Upstream down'], ['Live update failed.']]);
+    expect(subscriber.onPosts).toHaveBeenCalledTimes(1);
+  });
+
+  it('merges live poll posts on their own cadence once the first search poll lands', async () => {
+    vi.useFakeTimers();
+    const searchPosts = { posts: [createPost('at://1')] };
+    const poll = vi.fn(() => new Promise((resolve) => setTimeout(() => resolve(searchPosts), 500)));
+    const livePoll = vi
+      .fn()
+      .mockResolvedValueOnce({ posts: [createPost('at://early')] })
+      .mockResolvedValueOnce({ posts: [createPost('at://1'), createPost('at://2')] })
+      .mockResolvedValue({ posts: [createPost('at://2')] });
+    const hub = createStreamHub({ poll, intervalMs: 10000, livePoll, liveIntervalMs: 1000 });
+    const subscriber = createSubscriber();
+
+    const unsubscribe = hub.subscribe('k', {}, subscriber);
+    await vi.advanceTimersByTimeAsync(3000);
+    unsubscribe();
+
+    expect(poll).toHaveBeenCalledTimes(1);
+    expect(livePoll).toHaveBeenCalledTimes(4);
+    const delivered = subscriber.onPosts.mock.calls.map(([posts]) => posts.map((p) => p.uri));
+    expect(delivered).toEqual([['at://1'], ['at://2']]);
+  });
+});
+
+// ============================================================================
+// Handler helpers
+// ============================================================================
+describe('getStreamKey', () => {
+  it('ignores term order', () => {
+    expect(getStreamKey(['b', 'a'], 'latest', {})).toBe(getStreamKey(['a', 'b'], 'latest', {}));
+  });
+
+  it('separates sorts and filters', () => {
+    expect(getStreamKey(['a'], 'latest', {})).not.toBe(getStreamKey(['a'], 'top', {}));
+    expect(getStreamKey(['a'], 'latest', {})).not.toBe(
+      getStreamKey(['a'], 'latest', { author: 'x.test' })
+    );
+  });
+});
+
+describe('parseStreamInterval', () => {
+  it('takes the client interval in seconds within the server bounds', () => {
+    expect(parseStreamInterval(undefined)).toBe(STREAM_POLL_INTERVAL_MS);
+    expect(parseStreamInterval('300')).toBe(300000);
+    expect(parseStreamInterval('1')).toBe(STREAM_POLL_INTERVAL_MS);
+    expect(parseStreamInterval('999999')).toBe(60 * 60 * 1000);
+    expect(parseStreamInterval('5m')).toBeNull();
+  });
+
+  it('keeps searches with different intervals on separate channels', () => {
+    expect(getStreamKey(['a'], 'latest', {}, 60000)).not.toBe(
+      getStreamKey(['a'], 'latest', {}, 300000)
+    );
+  });
+});
+
+describe('getSubscriberSince', () => {
+  it('prefers Last-Event-ID, then from, then now', () => {
+    expect(getSubscriberSince({ headers: { 'last-event-id': '123' }, query: { from: '456' } })).toBe(
+      123
+    );
+    expect(getSubscriberSince({ headers: {}, query: { from: '456' } })).toBe(456);
+
+    const before = Date.now();
+    expect(getSubscriberSince({ headers: {}, query: { from: 'soon' } })).toBeGreaterThanOrEqual(
+      before
+    );
+  });
+});
+
+// ============================================================================
+// /api/stream
+// ============================================================================
+describe('stream handler', () => {
+  function mockUpstream(rounds) {
+    global.fetch = vi.fn(async (url) => {
+      if (url.includes('/com.atproto.server.createSession')) {
+        return { ok: true, headers: new Headers(), json: async () => ({ accessJwt: 'access' }) };
+      }
+      const posts = rounds.length > 1 ? rounds.shift() : rounds[0];
+      return { ok: true, status: 200, headers: new Headers(), json: async () => ({ posts }) };
+    });
+  }
+
+  it('validates the request before opening a stream', async () => {
+    const res = createStreamResponse();
+    await streamHandler(createStreamRequest({ terms: 'a', sort: 'random' }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ error: 'Invalid sort parameter.' });
+    expect(res.write).not.toHaveBeenCalled();
+
+    const intervalRes = createStreamResponse();
+    await streamHandler(createStreamRequest({ terms: 'a', interval: 'soon' }), intervalRes);
+    expect(intervalRes.body).toEqual({ error: 'Invalid interval parameter.' });
+  });
+
+  it('streams new compact posts with matched terms until the client disconnects', async () => {
+    vi.useFakeTimers();
+    const post = {
+      ...createPost('at://did:plc:a/app.bsky.feed.post/1'),
+      cid: 'bafy',
+      author: { handle: 'a.test', did: 'did:plc:a' },
+    };
+    mockUpstream([[post]]);
+    const req = createStreamRequest({ terms: 'alpha', from: String(Date.now() - 60000) });
+    const res = createStreamResponse();
+
+    const done = streamHandler(req, res);
+    await vi.advanceTimersByTimeAsync(0);
+    req.emit('close');
+    await done;
+
+    expect(res.headers['Content-Type']).toBe('text/event-stream; charset=utf-8');
+    expect(res.chunks[0]).toBe('retry: 2000\n\n');
+    const [event] = getEvents(res);
+    expect(event.event).toBe('posts');
+    expect(event.id).toMatch(/^\d+$/);
+    expect(event.data.posts).toEqual([
+      {
+        uri: post.uri,
+        author: { handle: 'a.test' },
+        record: {},
+        indexedAt: post.indexedAt,
+        matchedTerms: ['alpha'],
+      },
+    ]);
+    expect(res.ended).toBe(true);
+  });
+
+  it('polls on the shared cadence and sends only unseen posts', async () => {
+    vi.useFakeTimers();
+    mockUpstream([[createPost('at://1')], [createPost('at://1'), createPost('at://2')]]);
+    const req = createStreamRequest({ terms: 'alpha', from: String(Date.now() - 60000) });
+    const res = createStreamResponse();
+
+    const done = streamHandler(req, res);
+    await vi.advanceTimersByTimeAsync(STREAM_POLL_INTERVAL_MS);
+    req.emit('close');
+    await done;
+
+    const uris = getEvents(res).map(({ data }) => data.posts.map((post) => post.uri));
+    expect(uris).toEqual([['at://1'], ['at://2']]);
+  });
+
+  it('ends with an end event once the duration cap is reached', async () => {
+    vi.useFakeTimers();
+    mockUpstream([[]]);
+    const res = createStreamResponse();
+
+    const done = streamHandler(createStreamRequest({ terms: 'alpha' }), res);
+    await vi.advanceTimersByTimeAsync(STREAM_MAX_DURATION_MS);
+    await done;
+
+    const events = getEvents(res);
+    expect(events[events.length - 1]).toEqual({ event: 'end', id: undefined, data: {} });
+    expect(res.ended).toBe(true);
+  });
+});
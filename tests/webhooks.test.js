@@ -0,0 +1,281 @@
+/**
+ * Saved-search webhook tests: the cron job, signed delivery with retries and the delivery log,
+ * against a local server that plays both the XRPC service and the webhook receiver
+ */
+
+import { describe, it, expect, afterAll, afterEach, beforeEach, vi } from 'vitest';
+import crypto from 'node:crypto';
+import http from 'node:http';
+
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+}
+
+function createPost(id, likeCount, createdAt) {
+  return {
+    uri: `at://did:plc:author/app.bsky.feed.post/${id}`,
+    cid: `cid${id}`,
+    author: { did: 'did:plc:author', handle: 'author.test' },
+    record: { text: `post ${id} about cats and dogs`, createdAt },
+    indexedAt: createdAt,
+    likeCount,
+  };
+}
+
+const postsByTerm = {};
+const receivedHooks = [];
+// Status codes the receiver answers with, in order; 200 once the queue is empty.
+const hookStatuses = [];
+// Milliseconds each upstream search appears to take, on a Date.now the test mocks.
+let searchCostMs = 0;
+let clockOffsetMs = 0;
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname.startsWith('/hooks/')) {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      receivedHooks.push({ path: url.pathname, headers: req.headers, body });
+      res.statusCode = hookStatuses.shift() || 200;
+      res.end();
+    });
+    return;
+  }
+
+  res.setHeader('Content-Type', 'application/json');
+  if (url.pathname === '/xrpc/com.atproto.server.createSession') {
+    res.end(JSON.stringify({ accessJwt: 'local-access', refreshJwt: 'local-refresh' }));
+    return;
+  }
+  if (url.pathname === '/xrpc/app.bsky.feed.searchPosts') {
+    clockOffsetMs += searchCostMs;
+    res.end(JSON.stringify({ posts: postsByTerm[url.searchParams.get('q')] || [] }));
+    return;
+  }
+  res.statusCode = 404;
+  res.end(JSON.stringify({ error: 'MethodNotImplemented' }));
+});
+await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+const origin = `http://127.0.0.1:${server.address().port}`;
+
+process.env.BSKY_HANDLE = 'webhooks-handle';
+process.env.BSKY_APP_PASSWORD = 'webhooks-password';
+process.env.BSKY_SERVICE_URL = origin;
+process.env.CRON_SECRET = 'cron-secret';
+process.env.WEBHOOK_SECRET = 'signing-secret';
+process.env.WEBHOOK_RETRY_DELAY_MS = '0';
+process.env.WEBHOOK_SEARCHES = JSON.stringify([
+  { id: 'cats', query: 'terms=cats,kittens&minLikes=5', url: `${origin}/hooks/cats` },
+  { id: 'dogs', query: 'terms=dogs', url: `${origin}/hooks/dogs` },
+  { id: 'cats', query: 'terms=cats', url: `${origin}/hooks/again` },
+  { id: 'ftp', query: 'terms=cats', url: 'ftp://example.test/hook' },
+]);
+
+const healthHandler = (await import('../api/health.js')).default;
+const cronHandler = (await import('../api/cron/webhooks.js')).default;
+const logHandler = (await import('../api/webhooks/log.js')).default;
+const { resetModuleStateForTests, searchResultsCache } = (await import('../api/search.js'))
+  .testUtils;
+
+const AUTHORIZED = { authorization: 'Bearer cron-secret' };
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  resetModuleStateForTests();
+  Object.keys(postsByTerm).forEach((term) => delete postsByTerm[term]);
+  postsByTerm.cats = [createPost('1', 10, hoursAgo(3)), createPost('2', 1, hoursAgo(2))];
+  postsByTerm.dogs = [createPost('3', 20, hoursAgo(1))];
+  receivedHooks.length = 0;
+  hookStatuses.length = 0;
+  searchCostMs = 0;
+  clockOffsetMs = 0;
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+function createMockResponse() {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader: vi.fn((key, value) => {
+      res.headers[key] = value;
+      return res;
+    }),
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+  };
+  return res;
+}
+
+async function runCron(headers = AUTHORIZED) {
+  // Each cron run should see fresh upstream results, as it would minutes apart.
+  searchResultsCache.clear();
+  const res = createMockResponse();
+  await cronHandler({ method: 'GET', headers, query: {} }, res);
+  return res;
+}
+
+function verifySignature({ headers, body }) {
+  const expected = crypto
+    .createHmac('sha256', 'signing-secret')
+    .update(`${headers['x-webhook-timestamp']}.${body}`)
+    .digest('hex');
+  return headers['x-webhook-signature'] === `sha256=${expected}`;
+}
+
+// ============================================================================
+// Configuration and auth
+// ============================================================================
+describe('webhook configuration', () => {
+  it('reports unusable WEBHOOK_SEARCHES entries through /api/health', async () => {
+    const res = createMockResponse();
+    await healthHandler({ method: 'GET' }, res);
+
+    expect(res.body.config.webhooks).toBe(true);
+    expect(res.body.config.errors).toEqual([
+      'WEBHOOK_SEARCHES entry 2 needs a unique id.',
+      'WEBHOOK_SEARCHES entry ftp needs an http(s) url.',
+    ]);
+  });
+
+  it('requires the cron bearer token for the job and the log', async () => {
+    expect((await runCron({})).statusCode).toBe(401);
+    expect((await runCron({ authorization: 'Bearer wrong' })).statusCode).toBe(401);
+
+    const log = createMockResponse();
+    await logHandler({ method: 'GET', headers: {}, query: {} }, log);
+    expect(log.statusCode).toBe(401);
+    expect(receivedHooks).toHaveLength(0);
+  });
+});
+
+// ============================================================================
+// Delivery
+// ============================================================================
+describe('webhook cron job', () => {
+  it('records a baseline first, then delivers only new matches, signed', async () => {
+    const first = await runCron();
+    expect(first.statusCode).toBe(200);
+    expect(first.body.searches.map((search) => search.status)).toEqual(['baseline', 'baseline']);
+    expect(receivedHooks).toHaveLength(0);
+
+    postsByTerm.kittens = [createPost('4', 8, hoursAgo(1)), createPost('1', 10, hoursAgo(3))];
+    postsByTerm.cats.push(createPost('5', 2, hoursAgo(1)));
+    const second = await runCron();
+
+    expect(second.body.searches.map((search) => search.status)).toEqual([
+      'delivered',
+      'unchanged',
+    ]);
+    expect(receivedHooks).toHaveLength(1);
+    const [hook] = receivedHooks;
+    expect(hook.path).toBe('/hooks/cats');
+    expect(hook.headers['content-type']).toBe('application/json');
+    expect(verifySignature(hook)).toBe(true);
+
+    const payload = JSON.parse(hook.body);
+    expect(payload.id).toBe(hook.headers['x-webhook-id']);
+    expect(payload.search).toEqual({ id: 'cats', query: 'terms=cats,kittens&minLikes=5' });
+    expect(payload.posts).toEqual([
+      expect.objectContaining({
+        uri: 'at://did:plc:author/app.bsky.feed.post/4',
+        matchedTerms: ['kittens'],
+      }),
+    ]);
+    expect(payload.posts[0].cid).toBeUndefined();
+
+    await runCron();
+    expect(receivedHooks).toHaveLength(1);
+  });
+
+  it('retries a failing receiver and logs the delivery', async () => {
+    await runCron();
+    postsByTerm.dogs.push(createPost('6', 30, hoursAgo(1)));
+    hookStatuses.push(500, 503);
+
+    const res = await runCron();
+
+    expect(res.body.searches[1]).toMatchObject({
+      id: 'dogs',
+      status: 'delivered',
+      postCount: 1,
+      delivery: { status: 200, attempts: 3 },
+    });
+    expect(receivedHooks).toHaveLength(3);
+    expect(new Set(receivedHooks.map((hook) => hook.headers['x-webhook-id'])).size).toBe(1);
+    expect(receivedHooks.every(verifySignature)).toBe(true);
+
+    const log = createMockResponse();
+    await logHandler({ method: 'GET', headers: AUTHORIZED, query: {} }, log);
+    expect(log.statusCode).toBe(200);
+    expect(log.body.deliveries).toEqual([
+      expect.objectContaining({
+        searchId: 'dogs',
+        outcome: 'delivered',
+        status: 200,
+        attempts: 3,
+        postCount: 1,
+      }),
+    ]);
+  });
+
+  it('keeps undelivered posts pending until the receiver accepts them', async () => {
+    await runCron();
+    postsByTerm.dogs.push(createPost('6', 30, hoursAgo(1)));
+    hookStatuses.push(410);
+
+    const failed = await runCron();
+    expect(failed.body.searches[1]).toMatchObject({
+      status: 'failed',
+      delivery: { status: 410, attempts: 1, error: 'HTTP 410' },
+    });
+
+    const retried = await runCron();
+    expect(retried.body.searches[1]).toMatchObject({ status: 'delivered', postCount: 1 });
+    expect(receivedHooks).toHaveLength(2);
+
+    const log = createMockResponse();
+    await logHandler({ method: 'GET', headers: AUTHORIZED, query: {} }, log);
+    expect(log.body.deliveries.map((entry) => entry.outcome)).toEqual(['delivered', 'failed']);
+  });
+
+  it('skips the searches left once the run budget is spent and logs each delivery', async () => {
+    await runCron();
+    postsByTerm.kittens = [createPost('4', 8, hoursAgo(1))];
+    postsByTerm.dogs.push(createPost('6', 30, hoursAgo(1)));
+    const realNow = Date.now;
+    vi.spyOn(Date, 'now').mockImplementation(() => realNow() + clockOffsetMs);
+    searchCostMs = 30 * 1000;
+
+    const res = await runCron();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.searches).toEqual([
+      expect.objectContaining({ id: 'cats', status: 'delivered', postCount: 1 }),
+      { id: 'dogs', status: 'skipped', error: 'Run time budget spent.' },
+    ]);
+    expect(receivedHooks.map((hook) => hook.path)).toEqual(['/hooks/cats']);
+
+    const log = createMockResponse();
+    await logHandler({ method: 'GET', headers: AUTHORIZED, query: {} }, log);
+    expect(log.body.deliveries).toEqual([
+      expect.objectContaining({ searchId: 'cats', outcome: 'delivered', postCount: 1 }),
+    ]);
+
+    searchCostMs = 0;
+    const next = await runCron();
+    expect(next.body.searches[1]).toMatchObject({ id: 'dogs', status: 'delivered' });
+  });
+});